@@ -4,21 +4,51 @@
  * This class analyzes unified markets to identify price discrepancies that allow
  * for risk-free profit through simultaneous buying and selling on different platforms.
  * 
- * Arbitrage exists when: (platform_A_yes_price + platform_B_no_price) < 0.95
- * The 0.95 threshold accounts for transaction fees and slippage.
+ * Arbitrage exists when the net cost of a YES + NO pair is below $1.00:
+ *   platform_A_yes_price + platform_B_no_price + fees < 1.00
+ * Fees come from each venue's FeeModel schedule (trading fees, gas, withdrawal).
+ * 
+ * When orderbook depth is available (see OrderbookService), opportunities are
+ * also sized by walking both legs' books: maximum executable size, the
+ * volume-weighted profit curve, break-even size and recommended stakes.
+ * 
+ * Multi-outcome markets are checked for Dutch books: a mutually exclusive,
+ * exhaustive outcome set whose best asks sum below $1.00 (buy every outcome)
+ * or whose best bids sum above $1.00 (sell every outcome). Quotes for an
+ * outcome can come from the multi-outcome market itself or from a separate
+ * binary market on another venue ("Will <candidate> win ...?").
  * 
  * Requirements: 10.1, 10.2, 10.3, 10.4, 10.5
  */
 
+const FeeModel = require('./FeeModel');
+
+// Words ignored when comparing a binary market's question to an event
+const CONTEXT_STOPWORDS = new Set([
+  'will', 'the', 'win', 'wins', 'be', 'by', 'in', 'on', 'of', 'for', 'and', 'or', 'to', 'a', 'an',
+  'who', 'which', 'what', 'next', 'is', 'at', 'before', 'after', 'yes', 'no'
+]);
+
 class ArbitrageDetector {
   constructor(options = {}) {
-    // Minimum profit threshold to flag as arbitrage (default 2%)
-    // This accounts for trading fees and execution risk
+    // Minimum net-of-fee profit to flag as arbitrage (default 2%)
+    // This accounts for execution risk
     this.minProfitThreshold = options.minProfitThreshold || 2.0;
     
-    // Maximum combined price for arbitrage (default 0.95)
-    // This is 1.00 minus typical fee structure
-    this.maxCombinedPrice = options.maxCombinedPrice || 0.95;
+    // Maximum combined price before fees (default 1.00)
+    // Fees are handled by the fee model, this is only an extra safety cap
+    this.maxCombinedPrice = options.maxCombinedPrice || 1.0;
+    
+    // Per-platform fee schedules used for all net calculations
+    this.feeModel = options.feeModel || new FeeModel();
+    
+    // Binary markets further than this from a multi-outcome event's end date
+    // are not treated as one of its outcomes
+    this.maxEndDateDiffDays = options.maxEndDateDiffDays || 30;
+    
+    // Recommended stakes as fractions of the largest size that still
+    // clears minProfitThreshold (conservative, balanced, maximum)
+    this.stakeFractions = options.stakeFractions || [0.25, 0.5, 1.0];
     
     console.log('[ArbitrageDetector] Initialized with settings:', {
       minProfitThreshold: `${this.minProfitThreshold}%`,
@@ -36,9 +66,9 @@ class ArbitrageDetector {
    * Algorithm:
    * 1. Find lowest YES price across all platforms (best buy price)
    * 2. Find highest NO price across all platforms (best sell price)
-   * 3. Check if (yes_price + no_price) < 0.95
-   * 4. Calculate profit percentage
-   * 5. Only flag if profit > 2% (account for fees)
+   * 3. Add each leg's fees (FeeModel, fixed costs spread over referenceSize contracts)
+   * 4. Check if the net cost per pair is below 1.00
+   * 5. Only flag if net profit > minProfitThreshold
    * 
    * @param {Object} unifiedMarket Unified market with multiple platform data
    * @returns {Object|null} Arbitrage opportunity details or null if none exists
@@ -66,7 +96,7 @@ class ArbitrageDetector {
         return null;
       }
       
-      // Check if arbitrage exists: (yes_price + no_price) < maxCombinedPrice
+      // Gross cost of one YES + NO pair at top of book
       const totalCost = bestPrices.yesBuy.price + bestPrices.noSell.price;
       
       if (totalCost >= this.maxCombinedPrice) {
@@ -74,11 +104,21 @@ class ArbitrageDetector {
         return null;
       }
       
+      // Net cost per pair after both venues' fees
+      const fees = this.calculatePairFees(bestPrices.yesBuy, bestPrices.noSell);
+      const netCost = totalCost + fees.total;
+      
+      if (netCost >= 1) {
+        // Fees consume the whole edge
+        return null;
+      }
+      
       // Calculate profit percentage
-      // Profit = (1.00 - totalCost) / totalCost * 100
-      const profitPct = ((1 - totalCost) / totalCost) * 100;
+      // Profit = (1.00 - netCost) / netCost * 100
+      const profitPct = ((1 - netCost) / netCost) * 100;
+      const grossProfitPct = ((1 - totalCost) / totalCost) * 100;
       
-      // Only flag if profit exceeds minimum threshold (account for fees)
+      // Only flag if net profit exceeds minimum threshold
       if (profitPct < this.minProfitThreshold) {
         return null;
       }
@@ -87,12 +127,15 @@ class ArbitrageDetector {
       console.log(`[ArbitrageDetector] 🚨 Arbitrage detected in market: ${unifiedMarket.question}`);
       console.log(`[ArbitrageDetector] Buy YES on ${bestPrices.yesBuy.platform} at ${(bestPrices.yesBuy.price * 100).toFixed(1)}¢`);
       console.log(`[ArbitrageDetector] Sell YES on ${bestPrices.noSell.platform} at ${(bestPrices.noSell.price * 100).toFixed(1)}¢`);
-      console.log(`[ArbitrageDetector] Profit: ${profitPct.toFixed(2)}%`);
+      console.log(`[ArbitrageDetector] Profit: ${profitPct.toFixed(2)}% net (${grossProfitPct.toFixed(2)}% before ${(fees.total * 100).toFixed(2)}¢ fees per pair)`);
       
       return {
         exists: true,
         profitPct: profitPct,
+        grossProfitPct: grossProfitPct,
         totalCost: totalCost,
+        netCost: netCost,
+        fees: fees,
         yesBuy: bestPrices.yesBuy,
         noSell: bestPrices.noSell,
         detectedAt: Date.now()
@@ -150,6 +193,258 @@ class ArbitrageDetector {
     };
   }
   
+  /**
+   * Fees per YES + NO pair at top-of-book prices
+   * Fixed costs (gas, withdrawal) are spread over the fee model's reference size
+   * 
+   * @param {Object} yesBuy { platform, price } of the YES leg
+   * @param {Object} noSell { platform, price } of the NO leg
+   * @returns {Object} { yes, no, total, contracts } fees in USD per pair
+   */
+  calculatePairFees(yesBuy, noSell) {
+    const contracts = this.feeModel.referenceSize;
+    const options = { side: 'buy', includeWithdrawal: true };
+    
+    const yes = this.feeModel.orderCost(yesBuy.platform, yesBuy.price, contracts, options).fees / contracts;
+    const no = this.feeModel.orderCost(noSell.platform, noSell.price, contracts, options).fees / contracts;
+    
+    return { yes, no, total: yes + no, contracts };
+  }
+  
+  // ====================================================================
+  // DEPTH-AWARE SIZING
+  // ====================================================================
+  
+  /**
+   * Walk both legs' orderbooks and build the profit curve
+   * 
+   * Each pair is one YES bought on the buy platform (its YES asks) plus one
+   * NO bought on the sell platform. Buying NO at q is selling YES at 1 - q,
+   * so the NO leg consumes the sell platform's YES bids at cost 1 - bid.
+   * Every pair pays out $1.00 at resolution.
+   * 
+   * With legs given, each contract also pays its venue's trading fee, and
+   * the fixed costs of both venues (gas, withdrawal) are charged once.
+   * 
+   * @param {Array} asks YES asks on the buy platform [{ price, size }], best first
+   * @param {Array} bids YES bids on the sell platform [{ price, size }], best first
+   * @param {Object} legs Optional { buyPlatform, sellPlatform } to apply fees
+   * @returns {Object} { curve, maxExecutableSize, breakEvenSize, fixedCosts }
+   *   curve points: { size, yesCost, noCost, cost, profit, profitPct, vwapCost, marginalCost }
+   *   (yesCost/noCost include trading fees, cost adds fixed costs)
+   *   maxExecutableSize: pairs fillable while every additional pair is profitable
+   *   breakEvenSize: pairs at which cumulative profit returns to zero (null if books run out first)
+   */
+  walkOrderbooks(asks, bids, legs = null) {
+    const curve = [];
+    let maxExecutableSize = null;
+    let breakEvenSize = null;
+    
+    const fixedCosts = legs
+      ? this.feeModel.fixedCosts(legs.buyPlatform) + this.feeModel.fixedCosts(legs.sellPlatform)
+      : 0;
+    const feeFor = (platform, price) => (legs ? this.feeModel.marginalFee(platform, price) : 0);
+    
+    let size = 0;
+    let yesCost = 0;
+    let noCost = 0;
+    let i = 0;
+    let j = 0;
+    let askLeft = asks.length > 0 ? asks[0].size : 0;
+    let bidLeft = bids.length > 0 ? bids[0].size : 0;
+    
+    while (i < asks.length && j < bids.length) {
+      const yesPrice = asks[i].price + feeFor(legs && legs.buyPlatform, asks[i].price);
+      const noPrice = (1 - bids[j].price) + feeFor(legs && legs.sellPlatform, 1 - bids[j].price);
+      const marginalCost = yesPrice + noPrice;
+      let quantity = Math.min(askLeft, bidLeft);
+      
+      if (marginalCost >= 1) {
+        if (maxExecutableSize === null) {
+          maxExecutableSize = size;
+        }
+        
+        // Each further pair loses (marginalCost - 1); stop where the profit is used up
+        const profit = size - (yesCost + noCost + fixedCosts);
+        const loss = marginalCost - 1;
+        if (loss > 0 && quantity * loss >= profit) {
+          quantity = Math.max(0, profit / loss);
+          breakEvenSize = size + quantity;
+        }
+      }
+      
+      size += quantity;
+      yesCost += quantity * yesPrice;
+      noCost += quantity * noPrice;
+      
+      const cost = yesCost + noCost + fixedCosts;
+      curve.push({
+        size: this.round(size, 2),
+        yesCost: this.round(yesCost, 2),
+        noCost: this.round(noCost, 2),
+        cost: this.round(cost, 2),
+        profit: this.round(size - cost, 2),
+        profitPct: cost > 0 ? this.round(((size - cost) / cost) * 100, 2) : 0,
+        vwapCost: size > 0 ? this.round(cost / size, 4) : 0,
+        marginalCost: this.round(marginalCost, 4)
+      });
+      
+      if (breakEvenSize !== null) {
+        break;
+      }
+      
+      askLeft -= quantity;
+      bidLeft -= quantity;
+      if (askLeft <= 0 && ++i < asks.length) askLeft = asks[i].size;
+      if (bidLeft <= 0 && ++j < bids.length) bidLeft = bids[j].size;
+    }
+    
+    return {
+      curve,
+      maxExecutableSize: this.round(maxExecutableSize === null ? size : maxExecutableSize, 2),
+      breakEvenSize: breakEvenSize === null ? null : this.round(breakEvenSize, 2),
+      fixedCosts
+    };
+  }
+  
+  /**
+   * Cost of filling a given number of pairs, interpolated on the curve
+   * (cost is linear in size within each curve segment)
+   * 
+   * @param {Array} curve Curve from walkOrderbooks()
+   * @param {number} size Number of pairs
+   * @returns {Object|null} { yesCost, noCost } or null if the books cannot fill size
+   */
+  costAtSize(curve, size) {
+    let prev = { size: 0, yesCost: 0, noCost: 0 };
+    
+    for (const point of curve) {
+      if (size <= point.size) {
+        const ratio = point.size > prev.size ? (size - prev.size) / (point.size - prev.size) : 0;
+        return {
+          yesCost: prev.yesCost + (point.yesCost - prev.yesCost) * ratio,
+          noCost: prev.noCost + (point.noCost - prev.noCost) * ratio
+        };
+      }
+      prev = point;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Largest size whose volume-weighted profit still clears minProfitThreshold
+   * Profit % is monotonic within each curve segment (fixed costs can make it
+   * rise at first, worse levels make it fall later), so keep the last
+   * segment end or crossing that clears the threshold.
+   * 
+   * @param {Array} curve Curve from walkOrderbooks() or walkDutchBook()
+   * @param {number} maxExecutableSize Upper bound
+   * @param {number} fixedCosts Fixed costs included in the curve's cost
+   * @param {number} payout Payout per pair or set (default $1.00)
+   * @returns {number} Size in pairs (0 if no size clears the threshold)
+   */
+  findThresholdSize(curve, maxExecutableSize, fixedCosts = 0, payout = 1) {
+    const target = this.minProfitThreshold / 100;
+    let prev = { size: 0, cost: fixedCosts, profitPct: -Infinity };
+    let result = 0;
+    
+    for (const point of curve) {
+      if (point.size > maxExecutableSize) break;
+      
+      if (point.profitPct >= this.minProfitThreshold) {
+        result = point.size;
+      } else if (prev.profitPct >= this.minProfitThreshold) {
+        // Solve payout * size = (1 + target) * cost within this segment
+        const m = point.marginalCost;
+        const denominator = payout - (1 + target) * m;
+        if (denominator !== 0) {
+          const size = ((1 + target) * (prev.cost - prev.size * m)) / denominator;
+          result = this.round(Math.max(prev.size, Math.min(size, point.size)), 2);
+        }
+      }
+      
+      prev = point;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Size an arbitrage opportunity against orderbook depth
+   * 
+   * @param {Object} arbitrageData Arbitrage data from detectArbitrage()
+   * @param {Object} orderbooks Normalized books by platform { polymarket: { bids, asks }, ... }
+   * @returns {Object|null} Sizing details or null if either leg has no depth
+   */
+  analyzeDepth(arbitrageData, orderbooks) {
+    if (!arbitrageData || !orderbooks) {
+      return null;
+    }
+    
+    const buyBook = orderbooks[arbitrageData.yesBuy.platform];
+    const sellBook = orderbooks[arbitrageData.noSell.platform];
+    
+    if (!buyBook || !sellBook || !buyBook.asks || !sellBook.bids ||
+        buyBook.asks.length === 0 || sellBook.bids.length === 0) {
+      return null;
+    }
+    
+    const { curve, maxExecutableSize, breakEvenSize, fixedCosts } = this.walkOrderbooks(buyBook.asks, sellBook.bids, {
+      buyPlatform: arbitrageData.yesBuy.platform,
+      sellPlatform: arbitrageData.noSell.platform
+    });
+    const thresholdSize = this.findThresholdSize(curve, maxExecutableSize, fixedCosts);
+    const best = this.costAtSize(curve, maxExecutableSize) || { yesCost: 0, noCost: 0 };
+    const maxStake = best.yesCost + best.noCost + fixedCosts;
+    const maxProfit = maxExecutableSize - maxStake;
+    
+    // Whole contracts only: Kalshi does not support fractional contracts
+    const labels = ['conservative', 'balanced', 'maximum'];
+    const recommendedStakes = this.stakeFractions
+      .map((fraction, index) => {
+        const contracts = Math.floor(thresholdSize * fraction);
+        const cost = this.costAtSize(curve, contracts);
+        if (contracts <= 0 || !cost) return null;
+        
+        const stake = cost.yesCost + cost.noCost + fixedCosts;
+        if (contracts - stake <= 0) return null;
+        
+        return {
+          label: labels[index] || `${Math.round(fraction * 100)}%`,
+          contracts,
+          yesStake: this.round(cost.yesCost, 2),
+          noStake: this.round(cost.noCost, 2),
+          totalStake: this.round(stake, 2),
+          expectedProfit: this.round(contracts - stake, 2),
+          profitPct: this.round(((contracts - stake) / stake) * 100, 2)
+        };
+      })
+      .filter(Boolean);
+    
+    return {
+      maxExecutableSize,
+      maxProfit: this.round(maxProfit, 2),
+      maxStake: this.round(maxStake, 2),
+      fixedCosts: this.round(fixedCosts, 2),
+      thresholdSize,
+      breakEvenSize,
+      profitCurve: curve,
+      recommendedStakes
+    };
+  }
+  
+  /**
+   * Round to a fixed number of decimals
+   * @param {number} value Value
+   * @param {number} decimals Decimal places
+   * @returns {number} Rounded value
+   */
+  round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+  
   // ====================================================================
   // ARBITRAGE INSTRUCTIONS GENERATION (Task 5.2 - Requirements 10.3, 10.4)
   // ====================================================================
@@ -159,20 +454,23 @@ class ArbitrageDetector {
    * 
    * @param {Object} arbitrageData Arbitrage opportunity data from detectArbitrage()
    * @param {Object} unifiedMarket The unified market object
+   * @param {Object} orderbooks Optional normalized books by platform for depth-aware sizing
    * @returns {Object} Formatted arbitrage instructions
    */
-  generateInstructions(arbitrageData, unifiedMarket) {
+  generateInstructions(arbitrageData, unifiedMarket, orderbooks = null) {
     if (!arbitrageData || !arbitrageData.exists) {
       return null;
     }
     
     try {
       const { yesBuy, noSell, profitPct, totalCost } = arbitrageData;
+      const netCost = arbitrageData.netCost || totalCost;
       
       // Convert prices to cents for readability
       const yesBuyPriceCents = (yesBuy.price * 100).toFixed(1);
       const noSellPriceCents = (noSell.price * 100).toFixed(1);
-      const profitCents = ((1 - totalCost) * 100).toFixed(1);
+      const profitCents = ((1 - netCost) * 100).toFixed(1);
+      const feeCents = ((netCost - totalCost) * 100).toFixed(1);
       
       // Generate step-by-step instructions
       const steps = [
@@ -197,12 +495,30 @@ class ArbitrageDetector {
           action: 'PROFIT',
           amount: profitCents,
           percentage: profitPct.toFixed(2),
-          description: `Collect profit of ${profitCents}¢ per $1 invested (${profitPct.toFixed(2)}% return)`
+          description: `Collect profit of ${profitCents}¢ per $1 payout after ${feeCents}¢ fees (${profitPct.toFixed(2)}% net return)`
         }
       ];
       
+      // Size against real depth when books are available
+      const sizing = this.analyzeDepth(arbitrageData, orderbooks);
+      
+      if (sizing && sizing.recommendedStakes.length > 0) {
+        const stake = sizing.recommendedStakes[sizing.recommendedStakes.length - 1];
+        
+        steps.splice(2, 0, {
+          step: 3,
+          action: 'SIZE',
+          contracts: stake.contracts,
+          amount: stake.totalStake.toFixed(2),
+          description: `Stake up to $${stake.totalStake.toFixed(2)} (${stake.contracts} contracts: ` +
+                       `$${stake.yesStake.toFixed(2)} on ${yesBuy.platform}, $${stake.noStake.toFixed(2)} on ${noSell.platform}) ` +
+                       `for about $${stake.expectedProfit.toFixed(2)} profit`
+        });
+        steps[3].step = 4;
+      }
+      
       // Generate summary instruction text
-      const summaryText = `Buy YES on ${yesBuy.platform} at ${yesBuyPriceCents}¢, Sell YES on ${noSell.platform} at ${noSellPriceCents}¢ for ${profitPct.toFixed(2)}% profit`;
+      const summaryText = `Buy YES on ${yesBuy.platform} at ${yesBuyPriceCents}¢, Sell YES on ${noSell.platform} at ${noSellPriceCents}¢ for ${profitPct.toFixed(2)}% profit after fees`;
       
       // Generate detailed explanation
       const explanation = this.generateExplanation(arbitrageData, unifiedMarket);
@@ -210,7 +526,10 @@ class ArbitrageDetector {
       return {
         exists: true,
         profitPct: profitPct,
+        grossProfitPct: arbitrageData.grossProfitPct || profitPct,
         profitCents: profitCents,
+        feeCents: feeCents,
+        fees: arbitrageData.fees || null,
         buyPlatform: yesBuy.platform,
         buyPrice: yesBuyPriceCents,
         sellPlatform: noSell.platform,
@@ -218,7 +537,9 @@ class ArbitrageDetector {
         steps: steps,
         summary: summaryText,
         explanation: explanation,
-        warnings: this.generateWarnings(arbitrageData),
+        sizing: sizing,
+        recommendedStakes: sizing ? sizing.recommendedStakes : [],
+        warnings: this.generateWarnings(arbitrageData, sizing),
         detectedAt: arbitrageData.detectedAt || Date.now()
       };
       
@@ -237,25 +558,30 @@ class ArbitrageDetector {
    */
   generateExplanation(arbitrageData, unifiedMarket) {
     const { yesBuy, noSell, profitPct, totalCost } = arbitrageData;
+    const netCost = arbitrageData.netCost || totalCost;
     
     return `This arbitrage opportunity exists because the combined cost of buying YES on ${yesBuy.platform} ` +
            `(${(yesBuy.price * 100).toFixed(1)}¢) and buying NO on ${noSell.platform} ` +
            `(${((1 - noSell.price) * 100).toFixed(1)}¢) totals ${(totalCost * 100).toFixed(1)}¢, ` +
-           `which is less than $1.00. Since YES and NO are complementary outcomes that must sum to $1.00 ` +
-           `at resolution, you can lock in a guaranteed profit of ${((1 - totalCost) * 100).toFixed(1)}¢ ` +
-           `per dollar invested (${profitPct.toFixed(2)}% return).`;
+           `or ${(netCost * 100).toFixed(1)}¢ including fees, which is less than $1.00. ` +
+           `Since YES and NO are complementary outcomes that must sum to $1.00 ` +
+           `at resolution, you can lock in a guaranteed profit of ${((1 - netCost) * 100).toFixed(1)}¢ ` +
+           `per pair after fees (${profitPct.toFixed(2)}% return).`;
   }
   
   /**
    * Generate warnings about arbitrage execution risks
    * 
    * @param {Object} arbitrageData Arbitrage data
+   * @param {Object} sizing Optional sizing from analyzeDepth()
    * @returns {Array<string>} Array of warning messages
    */
-  generateWarnings(arbitrageData) {
+  generateWarnings(arbitrageData, sizing = null) {
+    const { yesBuy, noSell } = arbitrageData;
     const warnings = [
       '⚠️ Arbitrage opportunities may disappear quickly as other traders exploit them',
-      '⚠️ Consider transaction fees on both platforms (typically 2-5% total)',
+      `⚠️ Profit is net of fees: ${yesBuy.platform} (${this.feeModel.describe(yesBuy.platform)}), ` +
+        `${noSell.platform} (${this.feeModel.describe(noSell.platform)})`,
       '⚠️ Account for potential slippage if market liquidity is low',
       '⚠️ Ensure you have sufficient funds on both platforms before executing',
       '⚠️ Price may change between detection and execution'
@@ -263,16 +589,543 @@ class ArbitrageDetector {
     
     // Add specific warnings based on profit margin
     if (arbitrageData.profitPct < 3) {
-      warnings.push('⚠️ Low profit margin - fees may consume most or all of the profit');
+      warnings.push('⚠️ Low net profit margin - small price moves may erase the profit');
     }
     
     if (arbitrageData.profitPct > 10) {
       warnings.push('⚠️ Unusually high profit margin - verify market data accuracy before executing');
     }
     
+    if (sizing && sizing.recommendedStakes.length === 0) {
+      warnings.push('⚠️ Orderbook depth cannot fill a single contract above the profit threshold - top-of-book prices overstate this opportunity');
+    }
+    
     return warnings;
   }
   
+  // ====================================================================
+  // MULTI-OUTCOME (DUTCH BOOK) ARBITRAGE
+  // ====================================================================
+  
+  /**
+   * Normalize an outcome name or question for phrase matching
+   * @param {string} text Raw text
+   * @returns {string} Lowercase words separated by single spaces
+   */
+  normalizeText(text) {
+    return ` ${(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+  }
+  
+  /**
+   * Significant words of a text (for event context comparison)
+   * @param {string} text Raw text
+   * @returns {Set<string>} Tokens
+   */
+  contextTokens(text) {
+    return new Set(this.normalizeText(text).split(' ')
+      .filter(token => token.length > 1 && !CONTEXT_STOPWORDS.has(token)));
+  }
+  
+  /**
+   * Build a top-of-book quote for one outcome of a market
+   * The outcome's position is kept because a market's orderbook describes
+   * the YES side of its first outcome (see analyzeDutchBookDepth). Without
+   * a quoted ask/bid the outcome price stands in, and that side is flagged
+   * indicative: it may be a last trade or midpoint nobody is offering.
+   * 
+   * @param {Object} market Normalized market
+   * @param {Object} outcome Outcome ({ name, price, ask?, bid? })
+   * @returns {Object} { platform, marketId, outcome, outcomeIndex, ask, bid, indicative: { ask, bid } }
+   */
+  quoteFromOutcome(market, outcome) {
+    const outcomes = market.allOutcomes || market.outcomes || [];
+    
+    return {
+      platform: (market.platform || 'unknown').toLowerCase(),
+      marketId: market.id,
+      outcome: outcome.name,
+      outcomeIndex: outcomes.findIndex(o => o.name === outcome.name),
+      ask: outcome.ask !== undefined ? outcome.ask : outcome.price,
+      bid: outcome.bid !== undefined ? outcome.bid : outcome.price,
+      indicative: { ask: outcome.ask === undefined, bid: outcome.bid === undefined }
+    };
+  }
+  
+  /**
+   * Build a quote from a binary market standing in for one outcome
+   * Selling YES is buying NO, so the YES bid is 1 - the NO ask when listed
+   * (1 - the NO price, indicative, otherwise)
+   * 
+   * @param {Object} market Normalized binary market
+   * @returns {Object|null} Quote or null if the market has no YES price
+   */
+  quoteFromBinary(market) {
+    const outcomes = market.outcomes || [];
+    const yes = outcomes.find(o => (o.name || '').toLowerCase() === 'yes');
+    const no = outcomes.find(o => (o.name || '').toLowerCase() === 'no');
+    
+    if (!yes) {
+      return null;
+    }
+    
+    const quote = this.quoteFromOutcome(market, yes);
+    if (no && yes.bid === undefined) {
+      quote.bid = 1 - (no.ask !== undefined ? no.ask : no.price);
+      quote.indicative.bid = no.ask === undefined;
+    }
+    return quote;
+  }
+  
+  /**
+   * Find which outcome of an event a binary market prices
+   * The binary question must name the outcome (longest name wins, so
+   * "Donald Trump Jr." beats "Donald Trump") and share the event context.
+   * 
+   * @param {Object} binaryMarket Normalized binary market
+   * @param {Object} outcomeSet Outcome set being built
+   * @returns {Object|null} Matching outcome entry or null
+   */
+  matchBinaryToOutcome(binaryMarket, outcomeSet) {
+    const text = this.normalizeText(binaryMarket.question || binaryMarket.title);
+    
+    const named = outcomeSet.outcomes
+      .filter(entry => entry.key.trim() && text.includes(entry.key))
+      .sort((a, b) => b.key.length - a.key.length);
+    
+    if (named.length === 0) {
+      return null;
+    }
+    
+    const outcome = named[0];
+    const outcomeTokens = this.contextTokens(outcome.name);
+    const shared = [...this.contextTokens(text)]
+      .filter(token => !outcomeTokens.has(token) && outcomeSet.context.has(token)).length;
+    
+    if (shared < Math.min(2, outcomeSet.context.size)) {
+      return null;
+    }
+    
+    if (outcomeSet.endDate && binaryMarket.endDate) {
+      const diffDays = Math.abs(new Date(outcomeSet.endDate) - new Date(binaryMarket.endDate)) / 86400000;
+      if (diffDays > this.maxEndDateDiffDays) {
+        return null;
+      }
+    }
+    
+    return outcome;
+  }
+  
+  /**
+   * Build the outcome set of a multi-outcome market with quotes from every venue
+   * 
+   * @param {Object} multiMarket Normalized multi-outcome market
+   * @param {Array} relatedMarkets Other venues' markets: binary markets per outcome,
+   *   or multi-outcome markets listing the same outcomes
+   * @returns {Object} { id, question, endDate, context, outcomes: [{ name, key, quotes }] }
+   */
+  buildOutcomeSet(multiMarket, relatedMarkets = []) {
+    const question = multiMarket.question || multiMarket.title || '';
+    const outcomeSet = {
+      id: multiMarket.id,
+      question,
+      endDate: multiMarket.endDate || null,
+      context: this.contextTokens(question),
+      outcomes: (multiMarket.allOutcomes || multiMarket.outcomes || []).map(outcome => ({
+        name: outcome.name,
+        key: this.normalizeText(outcome.name),
+        quotes: [this.quoteFromOutcome(multiMarket, outcome)]
+      }))
+    };
+    
+    const byKey = new Map(outcomeSet.outcomes.map(entry => [entry.key, entry]));
+    
+    for (const market of relatedMarkets) {
+      if (!market || market.id === multiMarket.id) continue;
+      
+      const outcomes = market.allOutcomes || market.outcomes || [];
+      
+      if (outcomes.length > 2) {
+        // Same event listed as a multi-outcome market on another venue
+        for (const outcome of outcomes) {
+          const entry = byKey.get(this.normalizeText(outcome.name));
+          if (entry) entry.quotes.push(this.quoteFromOutcome(market, outcome));
+        }
+        continue;
+      }
+      
+      const entry = this.matchBinaryToOutcome(market, outcomeSet);
+      const quote = entry && this.quoteFromBinary(market);
+      if (quote) {
+        entry.quotes.push({ ...quote, outcome: entry.name });
+      }
+    }
+    
+    return outcomeSet;
+  }
+  
+  /**
+   * Pick the best venue for every outcome on one side
+   * 
+   * @param {Object} outcomeSet Outcome set from buildOutcomeSet()
+   * @param {string} side 'buy' (lowest ask) or 'sell' (highest bid)
+   * @returns {Array|null} Legs [{ outcome, platform, marketId, outcomeIndex, price, netPrice, indicative }], null if an outcome has no quote
+   */
+  selectDutchBookLegs(outcomeSet, side) {
+    const field = side === 'buy' ? 'ask' : 'bid';
+    const contracts = this.feeModel.referenceSize;
+    const legs = [];
+    
+    for (const entry of outcomeSet.outcomes) {
+      let best = null;
+      
+      for (const quote of entry.quotes) {
+        const price = quote[field];
+        if (!(price > 0 && price < 1)) continue;
+        
+        // Fixed withdrawal costs are charged once per venue, not per leg
+        const netPrice = this.feeModel.orderCost(quote.platform, price, contracts, { side }).net / contracts;
+        if (!best || (side === 'buy' ? netPrice < best.netPrice : netPrice > best.netPrice)) {
+          best = {
+            outcome: entry.name,
+            platform: quote.platform,
+            marketId: quote.marketId,
+            outcomeIndex: quote.outcomeIndex,
+            price,
+            netPrice,
+            indicative: Boolean(quote.indicative && quote.indicative[field])
+          };
+        }
+      }
+      
+      if (!best) {
+        return null;
+      }
+      legs.push(best);
+    }
+    
+    return legs;
+  }
+  
+  /**
+   * Detect a Dutch book in a mutually exclusive, exhaustive outcome set
+   * 
+   * Buy side:  Σ best asks + fees < 1.00 -> buy YES on every outcome, one pays $1.00
+   * Sell side: Σ best bids - fees > 1.00 -> sell YES on every outcome (buy NO),
+   *            collect the bids and pay $1.00 on the winner
+   * 
+   * A result with any leg priced from an outcome price rather than a quoted
+   * ask/bid is flagged indicative (see quoteFromOutcome).
+   * 
+   * @param {Object} outcomeSet Outcome set from buildOutcomeSet()
+   * @returns {Object|null} Dutch book details or null if none clears minProfitThreshold
+   */
+  detectDutchBook(outcomeSet) {
+    try {
+      if (!outcomeSet || !Array.isArray(outcomeSet.outcomes) || outcomeSet.outcomes.length < 3) {
+        return null;
+      }
+      
+      const contracts = this.feeModel.referenceSize;
+      const candidates = [];
+      
+      for (const side of ['buy', 'sell']) {
+        const legs = this.selectDutchBookLegs(outcomeSet, side);
+        if (!legs) continue;
+        
+        const venues = [...new Set(legs.map(leg => leg.platform))];
+        const withdrawal = venues.reduce((sum, venue) => sum + this.feeModel.getSchedule(venue).withdrawalFee, 0) / contracts;
+        const gross = legs.reduce((sum, leg) => sum + leg.price, 0);
+        const net = legs.reduce((sum, leg) => sum + leg.netPrice, 0);
+        
+        let grossProfitPct;
+        let profitPct;
+        
+        if (side === 'buy') {
+          const netCost = net + withdrawal;
+          grossProfitPct = ((1 - gross) / gross) * 100;
+          profitPct = ((1 - netCost) / netCost) * 100;
+        } else {
+          // Capital at risk is the NO collateral: Σ(1 - bid) for n - 1 payout
+          const netProceeds = net - withdrawal;
+          grossProfitPct = ((gross - 1) / (legs.length - gross)) * 100;
+          profitPct = ((netProceeds - 1) / (legs.length - netProceeds)) * 100;
+        }
+        
+        if (profitPct >= this.minProfitThreshold) {
+          candidates.push({
+            side,
+            legs,
+            venues,
+            grossTotal: gross,
+            netTotal: side === 'buy' ? net + withdrawal : net - withdrawal,
+            grossProfitPct,
+            profitPct
+          });
+        }
+      }
+      
+      if (candidates.length === 0) {
+        return null;
+      }
+      
+      const best = candidates.reduce((a, b) => (b.profitPct > a.profitPct ? b : a));
+      
+      console.log(`[ArbitrageDetector] 🚨 Dutch book (${best.side} all ${best.legs.length} outcomes) in: ${outcomeSet.question}`);
+      console.log(`[ArbitrageDetector] Profit: ${best.profitPct.toFixed(2)}% net across ${best.venues.join(', ')}`);
+      
+      return {
+        exists: true,
+        type: 'dutch-book',
+        ...best,
+        crossVenue: best.venues.length > 1,
+        indicative: best.legs.some(leg => leg.indicative),
+        outcomeCount: best.legs.length,
+        marketId: outcomeSet.id,
+        question: outcomeSet.question,
+        detectedAt: Date.now()
+      };
+      
+    } catch (error) {
+      console.error('[ArbitrageDetector] Error detecting Dutch book:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Walk the books of every Dutch book leg in lockstep
+   * 
+   * Each set is one contract per leg: YES at the ask when buying, NO at
+   * 1 - bid when selling, each paying its venue's trading fee. A set pays
+   * $1.00 when buying (one outcome wins) and n - 1 when selling (every NO
+   * but the winner's). Legs without a book are filled at their top-of-book
+   * price with unlimited size. Fixed costs of every venue are charged once.
+   * 
+   * @param {Array} ladders Per leg: levels [{ price, size }] best first, or null
+   * @param {Object} dutchBook Result of detectDutchBook()
+   * @returns {Object} { curve, maxExecutableSize, payout, fixedCosts }
+   *   curve points: { size, cost, profit, profitPct, vwapCost, marginalCost }
+   *   maxExecutableSize: sets fillable while every additional set is profitable
+   */
+  walkDutchBook(ladders, dutchBook) {
+    const isBuy = dutchBook.side === 'buy';
+    const payout = isBuy ? 1 : dutchBook.legs.length - 1;
+    const fixedCosts = dutchBook.venues.reduce((sum, venue) => sum + this.feeModel.fixedCosts(venue), 0);
+    
+    const levels = dutchBook.legs.map((leg, k) => ladders[k] || [{ price: leg.price, size: Infinity }]);
+    const position = levels.map(() => 0);
+    const left = levels.map(ladder => ladder[0].size);
+    
+    const curve = [];
+    let size = 0;
+    let cost = 0;
+    
+    while (position.every((level, k) => level < levels[k].length)) {
+      const marginalCost = dutchBook.legs.reduce((sum, leg, k) => {
+        const quoted = levels[k][position[k]].price;
+        const price = isBuy ? quoted : 1 - quoted;
+        return sum + price + this.feeModel.marginalFee(leg.platform, price);
+      }, 0);
+      const quantity = Math.min(...left);
+      
+      if (marginalCost >= payout || !Number.isFinite(quantity)) {
+        break;
+      }
+      
+      size += quantity;
+      cost += quantity * marginalCost;
+      
+      const total = cost + fixedCosts;
+      curve.push({
+        size: this.round(size, 2),
+        cost: this.round(total, 2),
+        profit: this.round(size * payout - total, 2),
+        profitPct: total > 0 ? this.round(((size * payout - total) / total) * 100, 2) : 0,
+        vwapCost: this.round(total / size, 4),
+        marginalCost: this.round(marginalCost, 4)
+      });
+      
+      left.forEach((remaining, k) => {
+        left[k] = remaining - quantity;
+        if (left[k] <= 0 && ++position[k] < levels[k].length) left[k] = levels[k][position[k]].size;
+      });
+    }
+    
+    return { curve, maxExecutableSize: this.round(size, 2), payout, fixedCosts };
+  }
+  
+  /**
+   * Size a Dutch book against orderbook depth
+   * 
+   * A normalized book describes the YES side of its market's first outcome,
+   * so it is used for legs quoting that outcome of the same market (binary
+   * markets standing in for an outcome, or the first outcome of a
+   * multi-outcome market). Other legs are sized at top-of-book prices and
+   * listed in unsizedLegs.
+   * 
+   * @param {Object} dutchBook Result of detectDutchBook()
+   * @param {Object} orderbooks Normalized books by platform { kalshi: { marketId, bids, asks }, ... }
+   * @returns {Object|null} Sizing details, null if no leg has a book
+   */
+  analyzeDutchBookDepth(dutchBook, orderbooks) {
+    if (!dutchBook || !orderbooks) {
+      return null;
+    }
+    
+    const field = dutchBook.side === 'buy' ? 'asks' : 'bids';
+    const ladders = dutchBook.legs.map((leg) => {
+      const book = orderbooks[leg.platform];
+      return book && book.marketId === leg.marketId && leg.outcomeIndex === 0 && book[field] && book[field].length > 0
+        ? book[field]
+        : null;
+    });
+    
+    if (ladders.every(ladder => ladder === null)) {
+      return null;
+    }
+    
+    const { curve, maxExecutableSize, payout, fixedCosts } = this.walkDutchBook(ladders, dutchBook);
+    const thresholdSize = this.findThresholdSize(curve, maxExecutableSize, fixedCosts, payout);
+    
+    // Cost (with fixed costs) of a number of sets, interpolated on the curve
+    const costAt = (sets) => {
+      let prev = { size: 0, cost: fixedCosts };
+      for (const point of curve) {
+        if (sets <= point.size) {
+          const ratio = point.size > prev.size ? (sets - prev.size) / (point.size - prev.size) : 0;
+          return prev.cost + (point.cost - prev.cost) * ratio;
+        }
+        prev = point;
+      }
+      return null;
+    };
+    
+    const maxStake = costAt(maxExecutableSize) || fixedCosts;
+    
+    // Whole contracts only: Kalshi does not support fractional contracts
+    const labels = ['conservative', 'balanced', 'maximum'];
+    const recommendedStakes = this.stakeFractions
+      .map((fraction, index) => {
+        const contracts = Math.floor(thresholdSize * fraction);
+        const stake = contracts > 0 ? costAt(contracts) : null;
+        if (stake === null || contracts * payout - stake <= 0) return null;
+        
+        return {
+          label: labels[index] || `${Math.round(fraction * 100)}%`,
+          contracts,
+          totalStake: this.round(stake, 2),
+          expectedProfit: this.round(contracts * payout - stake, 2),
+          profitPct: this.round(((contracts * payout - stake) / stake) * 100, 2)
+        };
+      })
+      .filter(Boolean);
+    
+    return {
+      maxExecutableSize,
+      maxProfit: this.round(maxExecutableSize * payout - maxStake, 2),
+      maxStake: this.round(maxStake, 2),
+      fixedCosts: this.round(fixedCosts, 2),
+      thresholdSize,
+      profitCurve: curve,
+      recommendedStakes,
+      unsizedLegs: dutchBook.legs.filter((leg, k) => ladders[k] === null).map(leg => leg.outcome)
+    };
+  }
+  
+  /**
+   * Generate trading instructions for a Dutch book
+   * 
+   * @param {Object} dutchBook Result of detectDutchBook()
+   * @param {Object} orderbooks Optional normalized books by platform for depth-aware sizing
+   * @returns {Object|null} Formatted instructions
+   */
+  generateDutchBookInstructions(dutchBook, orderbooks = null) {
+    if (!dutchBook || !dutchBook.exists) {
+      return null;
+    }
+    
+    const isBuy = dutchBook.side === 'buy';
+    const totalCents = (dutchBook.grossTotal * 100).toFixed(1);
+    
+    const steps = dutchBook.legs.map((leg, index) => ({
+      step: index + 1,
+      action: isBuy ? 'BUY' : 'SELL',
+      platform: leg.platform,
+      outcome: leg.outcome,
+      price: (leg.price * 100).toFixed(1),
+      description: isBuy
+        ? `Buy "${leg.outcome}" YES on ${leg.platform} at ${(leg.price * 100).toFixed(1)}¢`
+        : `Sell "${leg.outcome}" YES on ${leg.platform} at ${(leg.price * 100).toFixed(1)}¢ (or buy NO at ${((1 - leg.price) * 100).toFixed(1)}¢)`
+    }));
+    
+    // Size against real depth when books are available
+    const sizing = this.analyzeDutchBookDepth(dutchBook, orderbooks);
+    
+    if (sizing && sizing.recommendedStakes.length > 0) {
+      const stake = sizing.recommendedStakes[sizing.recommendedStakes.length - 1];
+      
+      steps.push({
+        step: steps.length + 1,
+        action: 'SIZE',
+        contracts: stake.contracts,
+        amount: stake.totalStake.toFixed(2),
+        description: `Stake up to $${stake.totalStake.toFixed(2)} (${stake.contracts} contracts on every outcome) ` +
+                     `for about $${stake.expectedProfit.toFixed(2)} profit`
+      });
+    }
+    
+    steps.push({
+      step: steps.length + 1,
+      action: 'PROFIT',
+      percentage: dutchBook.profitPct.toFixed(2),
+      description: isBuy
+        ? `All ${dutchBook.outcomeCount} outcomes cost ${totalCents}¢ and exactly one pays $1.00 (${dutchBook.profitPct.toFixed(2)}% net return)`
+        : `All ${dutchBook.outcomeCount} outcomes sell for ${totalCents}¢ and exactly one costs $1.00 (${dutchBook.profitPct.toFixed(2)}% net return)`
+    });
+    
+    const warnings = [
+      '⚠️ Every leg must resolve on the same event with the same rules - verify each venue\'s resolution criteria',
+      '⚠️ The outcome set must be exhaustive: an unlisted winner makes every leg lose',
+      '⚠️ All legs must be filled - a partial fill leaves an unhedged position'
+    ];
+    
+    if (dutchBook.crossVenue) {
+      warnings.push(`⚠️ Funds are needed on ${dutchBook.venues.join(' and ')} before executing`);
+    }
+    
+    if (sizing && sizing.recommendedStakes.length === 0) {
+      warnings.push('⚠️ Orderbook depth cannot fill a single set above the profit threshold - top-of-book prices overstate this opportunity');
+    }
+    
+    if (dutchBook.indicative) {
+      const legs = dutchBook.legs.filter(leg => leg.indicative).map(leg => leg.outcome);
+      warnings.push(`⚠️ No quoted ${isBuy ? 'ask' : 'bid'} for ${legs.join(', ')} - ${legs.length === 1 ? 'that leg is' : 'those legs are'} priced at the last outcome price`);
+    }
+    
+    if (sizing && sizing.unsizedLegs.length > 0) {
+      warnings.push(`⚠️ No orderbook for ${sizing.unsizedLegs.join(', ')} - ${sizing.unsizedLegs.length === 1 ? 'that leg is' : 'those legs are'} sized at top-of-book prices`);
+    }
+    
+    return {
+      exists: true,
+      type: 'dutch-book',
+      side: dutchBook.side,
+      profitPct: dutchBook.profitPct,
+      grossProfitPct: dutchBook.grossProfitPct,
+      outcomeCount: dutchBook.outcomeCount,
+      venues: dutchBook.venues,
+      crossVenue: dutchBook.crossVenue,
+      indicative: dutchBook.indicative,
+      legs: dutchBook.legs,
+      steps,
+      summary: `${isBuy ? 'Buy' : 'Sell'} all ${dutchBook.outcomeCount} outcomes across ${dutchBook.venues.join(', ')} ` +
+               `for ${dutchBook.profitPct.toFixed(2)}% profit after fees`,
+      sizing,
+      recommendedStakes: sizing ? sizing.recommendedStakes : [],
+      warnings,
+      detectedAt: dutchBook.detectedAt
+    };
+  }
+  
   // ====================================================================
   // BATCH PROCESSING
   // ====================================================================
@@ -0,0 +1,380 @@
+/**
+ * Unit Tests for ArbitrageDetector
+ * Tests top-of-book detection, fees, depth-aware sizing and Dutch books
+ */
+
+const ArbitrageDetector = require('./ArbitrageDetector');
+const FeeModel = require('./FeeModel');
+
+describe('ArbitrageDetector', () => {
+  let detector;
+
+  // Buy YES on Polymarket at 40¢, buy NO on Kalshi (highest NO at 52¢)
+  const unifiedMarket = {
+    unified_id: 'unified-1',
+    question: 'Will the Fed cut rates in December?',
+    platforms: {
+      polymarket: { outcomes: [{ name: 'Yes', price: 0.40 }, { name: 'No', price: 0.50 }] },
+      kalshi: { outcomes: [{ name: 'Yes', price: 0.47 }, { name: 'No', price: 0.52 }] }
+    }
+  };
+
+  // YES asks on the buy leg, YES bids on the sell leg (NO costs 1 - bid)
+  const orderbooks = {
+    polymarket: {
+      asks: [{ price: 0.40, size: 100 }, { price: 0.42, size: 100 }, { price: 0.46, size: 200 }, { price: 0.50, size: 1000 }],
+      bids: []
+    },
+    kalshi: {
+      asks: [],
+      bids: [{ price: 0.55, size: 150 }, { price: 0.50, size: 100 }, { price: 0.40, size: 500 }]
+    }
+  };
+
+  // Keeps the book-walking arithmetic readable
+  const zeroFees = new FeeModel({
+    polymarket: { gasPerOrder: 0, withdrawalFee: 0 },
+    kalshi: { takerFeeRate: 0 }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    detector = new ArbitrageDetector({ feeModel: zeroFees });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Detection', () => {
+    test('should detect top-of-book arbitrage across platforms', () => {
+      const arbitrage = detector.detectArbitrage(unifiedMarket);
+
+      expect(arbitrage.yesBuy).toEqual({ platform: 'polymarket', price: 0.40 });
+      expect(arbitrage.noSell).toEqual({ platform: 'kalshi', price: 0.52 });
+      expect(arbitrage.totalCost).toBeCloseTo(0.92);
+    });
+
+    test('should keep instructions unchanged without orderbooks', () => {
+      const instructions = detector.generateInstructions(detector.detectArbitrage(unifiedMarket), unifiedMarket);
+
+      expect(instructions.sizing).toBeNull();
+      expect(instructions.recommendedStakes).toEqual([]);
+      expect(instructions.steps.map(step => step.action)).toEqual(['BUY', 'SELL', 'PROFIT']);
+    });
+  });
+
+  describe('Depth-aware sizing', () => {
+    test('should walk both books into a volume-weighted profit curve', () => {
+      const { curve, maxExecutableSize, breakEvenSize } = detector.walkOrderbooks(
+        orderbooks.polymarket.asks,
+        orderbooks.kalshi.bids
+      );
+
+      expect(curve.slice(0, 4).map(point => [point.size, point.cost, point.profit])).toEqual([
+        [100, 85, 15],
+        [150, 128.5, 21.5],
+        [200, 174.5, 25.5],
+        [250, 222.5, 27.5]
+      ]);
+      expect(curve[3].vwapCost).toBe(0.89);
+
+      // Marginal pair cost reaches 1.06 after 250 contracts
+      expect(maxExecutableSize).toBe(250);
+
+      // Losses at 6¢ then 10¢ per pair use up the $27.50 profit at 585 contracts
+      expect(breakEvenSize).toBe(585);
+      expect(curve[curve.length - 1].profit).toBeCloseTo(0);
+    });
+
+    test('should report no break-even when books run out while profitable', () => {
+      const result = detector.walkOrderbooks([{ price: 0.40, size: 10 }], [{ price: 0.55, size: 50 }]);
+
+      expect(result.maxExecutableSize).toBe(10);
+      expect(result.breakEvenSize).toBeNull();
+    });
+
+    test('should recommend whole-contract stakes up to the threshold size', () => {
+      const sizing = detector.analyzeDepth(detector.detectArbitrage(unifiedMarket), orderbooks);
+
+      expect(sizing).toMatchObject({ maxExecutableSize: 250, maxProfit: 27.5, maxStake: 222.5, thresholdSize: 250 });
+      expect(sizing.recommendedStakes.map(stake => stake.contracts)).toEqual([62, 125, 250]);
+      expect(sizing.recommendedStakes[0]).toMatchObject({
+        label: 'conservative',
+        yesStake: 24.8,
+        noStake: 27.9,
+        totalStake: 52.7,
+        expectedProfit: 9.3
+      });
+    });
+
+    test('should cap stakes where the VWAP profit falls below the threshold', () => {
+      detector = new ArbitrageDetector({ minProfitThreshold: 15, feeModel: zeroFees });
+      const sizing = detector.analyzeDepth(
+        { yesBuy: { platform: 'polymarket' }, noSell: { platform: 'kalshi' } },
+        orderbooks
+      );
+
+      // Between 150 and 200 contracts the VWAP return crosses 15%
+      expect(sizing.thresholdSize).toBeCloseTo(188.36, 1);
+      const maximum = sizing.recommendedStakes[2];
+      expect(maximum.contracts).toBe(188);
+      expect(maximum.profitPct).toBeGreaterThanOrEqual(15);
+    });
+
+    test('should return null when a leg has no depth', () => {
+      const arbitrage = detector.detectArbitrage(unifiedMarket);
+
+      expect(detector.analyzeDepth(arbitrage, null)).toBeNull();
+      expect(detector.analyzeDepth(arbitrage, { polymarket: orderbooks.polymarket })).toBeNull();
+    });
+
+    test('should add a sizing step and stakes to instructions', () => {
+      const instructions = detector.generateInstructions(
+        detector.detectArbitrage(unifiedMarket),
+        unifiedMarket,
+        orderbooks
+      );
+
+      expect(instructions.steps.map(step => step.action)).toEqual(['BUY', 'SELL', 'SIZE', 'PROFIT']);
+      expect(instructions.steps.map(step => step.step)).toEqual([1, 2, 3, 4]);
+      expect(instructions.steps[2].description).toContain('$222.50 (250 contracts');
+      expect(instructions.recommendedStakes).toHaveLength(3);
+    });
+
+    test('should warn when depth cannot support the opportunity', () => {
+      const thinBooks = {
+        polymarket: { asks: [{ price: 0.40, size: 100 }], bids: [] },
+        kalshi: { asks: [], bids: [{ price: 0.39, size: 100 }] }
+      };
+      const instructions = detector.generateInstructions(
+        detector.detectArbitrage(unifiedMarket),
+        unifiedMarket,
+        thinBooks
+      );
+
+      expect(instructions.sizing.maxExecutableSize).toBe(0);
+      expect(instructions.steps).toHaveLength(3);
+      expect(instructions.warnings.some(warning => warning.includes('overstate'))).toBe(true);
+    });
+  });
+
+  describe('Fees', () => {
+    beforeEach(() => {
+      detector = new ArbitrageDetector();
+    });
+
+    test('should report net-of-fee profit using each venue schedule', () => {
+      const arbitrage = detector.detectArbitrage(unifiedMarket);
+
+      // Kalshi NO at 52¢: 0.07 × 100 × 0.52 × 0.48 = $1.75 per 100 contracts
+      expect(arbitrage.fees.no).toBeCloseTo(0.0175);
+      // Polymarket: no trading fee, $0.01 gas + $1.00 withdrawal per 100 contracts
+      expect(arbitrage.fees.yes).toBeCloseTo(0.0101);
+      expect(arbitrage.netCost).toBeCloseTo(0.9476);
+      expect(arbitrage.profitPct).toBeLessThan(arbitrage.grossProfitPct);
+    });
+
+    test('should reject opportunities whose edge is consumed by fees', () => {
+      const thinEdge = {
+        platforms: {
+          polymarket: { outcomes: [{ name: 'Yes', price: 0.47 }, { name: 'No', price: 0.50 }] },
+          kalshi: { outcomes: [{ name: 'Yes', price: 0.49 }, { name: 'No', price: 0.51 }] }
+        }
+      };
+
+      // A 2¢ gross edge clears a 1% threshold before fees, but not after them
+      expect(new ArbitrageDetector({ feeModel: zeroFees, minProfitThreshold: 1 }).detectArbitrage(thinEdge)).not.toBeNull();
+      expect(detector.detectArbitrage(thinEdge)).toBeNull();
+    });
+
+    test('should include trading and fixed costs when walking books', () => {
+      const { curve, fixedCosts } = detector.walkOrderbooks(
+        orderbooks.polymarket.asks,
+        orderbooks.kalshi.bids,
+        { buyPlatform: 'polymarket', sellPlatform: 'kalshi' }
+      );
+
+      expect(fixedCosts).toBeCloseTo(1.01);
+      // NO at 45¢ on Kalshi adds 0.07 × 0.45 × 0.55 per contract
+      expect(curve[0].marginalCost).toBeCloseTo(0.8673, 4);
+      expect(curve[0].cost).toBeCloseTo(85 + 1.7325 + 1.01, 2);
+    });
+
+    test('should describe fees in the warnings', () => {
+      const instructions = detector.generateInstructions(detector.detectArbitrage(unifiedMarket), unifiedMarket);
+
+      expect(instructions.warnings[1]).toContain('kalshi (7.00% × C × P × (1-P) taker fee)');
+      expect(instructions.warnings[1]).toContain('$1.00 withdrawal');
+      expect(instructions.steps[2].description).toContain('after');
+    });
+  });
+
+  describe('Dutch books', () => {
+    // Polymarket lists the event, Kalshi lists each candidate as a binary market
+    const election = {
+      id: 'poly-mayor',
+      platform: 'polymarket',
+      question: 'Who will win the 2025 NYC mayoral election?',
+      endDate: '2025-11-04T00:00:00Z',
+      allOutcomes: [
+        { name: 'Zohran Mamdani', price: 0.70 },
+        { name: 'Andrew Cuomo', price: 0.22 },
+        { name: 'Curtis Sliwa', price: 0.08 }
+      ]
+    };
+    const binary = (id, question, yes, no) => ({
+      id,
+      platform: 'kalshi',
+      question,
+      endDate: '2025-11-05T00:00:00Z',
+      outcomes: [{ name: 'Yes', price: yes }, { name: 'No', price: no }]
+    });
+
+    test('should attach binary markets to the outcome they name', () => {
+      const outcomeSet = detector.buildOutcomeSet(election, [
+        binary('kalshi-CUOMO', 'Will Andrew Cuomo win the NYC mayoral election?', 0.15, 0.84),
+        binary('kalshi-CUOMO-GOV', 'Will Andrew Cuomo run for New York governor?', 0.10, 0.90),
+        binary('kalshi-OTHER', 'Will Zohran Mamdani win the NYC mayoral election?', 0.60, 0.38)
+      ]);
+
+      const quotes = Object.fromEntries(outcomeSet.outcomes.map(entry => [entry.name, entry.quotes]));
+      expect(quotes['Andrew Cuomo'].map(quote => quote.marketId)).toEqual(['poly-mayor', 'kalshi-CUOMO']);
+      expect(quotes['Zohran Mamdani'][1]).toMatchObject({ platform: 'kalshi', ask: 0.60, bid: 0.62 });
+      expect(quotes['Curtis Sliwa']).toHaveLength(1);
+    });
+
+    test('should buy every outcome when best asks across venues sum below $1', () => {
+      const outcomeSet = detector.buildOutcomeSet(election, [
+        binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36),
+        binary('kalshi-CUOMO', 'Will Andrew Cuomo win the NYC mayoral election?', 0.15, 0.84)
+      ]);
+      const dutchBook = detector.detectDutchBook(outcomeSet);
+
+      // 62¢ + 15¢ + 8¢ = 85¢ for a guaranteed $1.00
+      expect(dutchBook).toMatchObject({ side: 'buy', crossVenue: true, outcomeCount: 3 });
+      expect(dutchBook.grossTotal).toBeCloseTo(0.85);
+      expect(dutchBook.legs.map(leg => [leg.outcome, leg.platform])).toEqual([
+        ['Zohran Mamdani', 'kalshi'],
+        ['Andrew Cuomo', 'kalshi'],
+        ['Curtis Sliwa', 'polymarket']
+      ]);
+      expect(dutchBook.profitPct).toBeCloseTo((0.15 / 0.85) * 100);
+    });
+
+    test('should sell every outcome when best bids sum above $1', () => {
+      const rich = {
+        ...election,
+        allOutcomes: [
+          { name: 'Zohran Mamdani', price: 0.75, bid: 0.74 },
+          { name: 'Andrew Cuomo', price: 0.25, bid: 0.24 },
+          { name: 'Curtis Sliwa', price: 0.10, bid: 0.09 }
+        ]
+      };
+      const dutchBook = detector.detectDutchBook(detector.buildOutcomeSet(rich));
+
+      // Collect 107¢, pay $1.00 on the winner; NO collateral is 3 - 1.07
+      expect(dutchBook).toMatchObject({ side: 'sell', crossVenue: false });
+      expect(dutchBook.profitPct).toBeCloseTo((0.07 / 1.93) * 100);
+    });
+
+    test('should ignore fairly priced sets and sets missing an outcome quote', () => {
+      expect(detector.detectDutchBook(detector.buildOutcomeSet(election))).toBeNull();
+
+      const unpriced = { ...election, allOutcomes: [...election.allOutcomes, { name: 'Eric Adams', price: 0 }] };
+      expect(detector.detectDutchBook(detector.buildOutcomeSet(unpriced))).toBeNull();
+    });
+
+    test('should charge each venue schedule and withdrawal once per venue', () => {
+      detector = new ArbitrageDetector();
+      const outcomeSet = detector.buildOutcomeSet(election, [
+        binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36)
+      ]);
+      const dutchBook = detector.detectDutchBook(outcomeSet);
+
+      // Kalshi 0.07 × 0.62 × 0.38 rounded up per 100, Polymarket gas per leg and one $1.00 withdrawal
+      const expected = 0.62 + 0.0165 + 0.22 + 0.08 + 0.0002 + 0.01;
+      expect(dutchBook.netTotal).toBeCloseTo(expected, 4);
+      expect(dutchBook.profitPct).toBeLessThan(dutchBook.grossProfitPct);
+    });
+
+    test('should generate one step per leg plus the profit step', () => {
+      const instructions = detector.generateDutchBookInstructions(detector.detectDutchBook(
+        detector.buildOutcomeSet(election, [
+          binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36)
+        ])
+      ));
+
+      expect(instructions.type).toBe('dutch-book');
+      expect(instructions.steps.map(step => step.action)).toEqual(['BUY', 'BUY', 'BUY', 'PROFIT']);
+      expect(instructions.warnings.some(warning => warning.includes('exhaustive'))).toBe(true);
+    });
+
+    test('should size legs against the depth of their own market books', () => {
+      const dutchBook = detector.detectDutchBook(detector.buildOutcomeSet(election, [
+        binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36),
+        binary('kalshi-CUOMO', 'Will Andrew Cuomo win the NYC mayoral election?', 0.15, 0.84)
+      ]));
+      const books = {
+        kalshi: {
+          marketId: 'kalshi-MAMDANI',
+          asks: [{ price: 0.62, size: 100 }, { price: 0.70, size: 200 }, { price: 0.90, size: 500 }],
+          bids: []
+        }
+      };
+
+      const instructions = detector.generateDutchBookInstructions(dutchBook, books);
+
+      // 85¢ sets for 100, then 93¢ for 200; a 113¢ set would lose money
+      expect(instructions.sizing).toMatchObject({
+        maxExecutableSize: 300,
+        maxStake: 271,
+        maxProfit: 29,
+        unsizedLegs: ['Andrew Cuomo', 'Curtis Sliwa']
+      });
+      expect(instructions.recommendedStakes[2]).toMatchObject({ contracts: 300, totalStake: 271, expectedProfit: 29 });
+      expect(instructions.steps.map(step => step.action)).toEqual(['BUY', 'BUY', 'BUY', 'SIZE', 'PROFIT']);
+      expect(instructions.warnings.some(warning => warning.includes('No orderbook for Andrew Cuomo, Curtis Sliwa'))).toBe(true);
+    });
+
+    test('should not size legs with a book for another market', () => {
+      const dutchBook = detector.detectDutchBook(detector.buildOutcomeSet(election, [
+        binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36)
+      ]));
+      const books = { kalshi: { marketId: 'kalshi-OTHER', asks: [{ price: 0.62, size: 10 }], bids: [] } };
+
+      expect(detector.analyzeDutchBookDepth(dutchBook, books)).toBeNull();
+      expect(detector.generateDutchBookInstructions(dutchBook, books).recommendedStakes).toEqual([]);
+    });
+
+    test('should flag legs priced without a quoted ask or bid as indicative', () => {
+      const quoted = {
+        ...election,
+        allOutcomes: [
+          { name: 'Zohran Mamdani', price: 0.70, ask: 0.71 },
+          { name: 'Andrew Cuomo', price: 0.22, ask: 0.23 },
+          { name: 'Curtis Sliwa', price: 0.08, ask: 0.09 }
+        ]
+      };
+      const cuomo = {
+        ...binary('kalshi-CUOMO', 'Will Andrew Cuomo win the NYC mayoral election?', 0.15, 0.84),
+        outcomes: [{ name: 'Yes', price: 0.15, ask: 0.15 }, { name: 'No', price: 0.84, ask: 0.86 }]
+      };
+
+      const firm = detector.detectDutchBook(detector.buildOutcomeSet(quoted, [cuomo]));
+      expect(firm.indicative).toBe(false);
+      expect(detector.buildOutcomeSet(quoted, [cuomo]).outcomes[1].quotes[1]).toMatchObject({
+        bid: expect.closeTo(0.14), indicative: { ask: false, bid: false }
+      });
+
+      const instructions = detector.generateDutchBookInstructions(detector.detectDutchBook(
+        detector.buildOutcomeSet(election, [
+          binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.62, 0.36)
+        ])
+      ));
+      expect(instructions.indicative).toBe(true);
+      expect(instructions.legs.every(leg => leg.indicative)).toBe(true);
+      expect(instructions.warnings.some(warning => warning.includes('No quoted ask for Zohran Mamdani'))).toBe(true);
+    });
+  });
+});
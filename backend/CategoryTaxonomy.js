@@ -0,0 +1,286 @@
+/**
+ * CategoryTaxonomy - Data-driven market categories and subcategories
+ *
+ * Classification rules live in category-taxonomy.json (or the file named by
+ * CATEGORY_TAXONOMY_PATH) rather than in code:
+ *
+ * {
+ *   "fallback": "Other",
+ *   "categories": [{
+ *     "name": "Sports",
+ *     "aliases": ["sports"],                       venue categories and tags (slugs)
+ *     "rules": [{ "priority": 50, "keywords": ["playoff*"] }],
+ *     "subcategories": [{
+ *       "name": "NFL",
+ *       "aliases": ["nfl", "super-bowl"],
+ *       "rules": [{ "priority": 85, "keywords": ["nfl", "super bowl"] }]
+ *     }]
+ *   }]
+ * }
+ *
+ * Keywords match whole words only ('uk' does not match "Ukraine"); a trailing
+ * '*' matches any word ending ('election*' matches "elections"). When rules of
+ * several (sub)categories match a title, the highest priority wins, then the
+ * most matched keywords, then config order.
+ *
+ * Venue categories and tags (Kalshi categories, Polymarket tags and event
+ * categories) are checked against aliases first; keyword rules then only pick
+ * the subcategory within the category the venue gave.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, 'category-taxonomy.json');
+
+class CategoryTaxonomy {
+  /**
+   * @param {Object} options Taxonomy options
+   * @param {Object} options.config Taxonomy config (default: loaded from filePath)
+   * @param {string} options.filePath Config file (default: CATEGORY_TAXONOMY_PATH or category-taxonomy.json)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.CATEGORY_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH;
+
+    const config = options.config || JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.compile(config);
+  }
+
+  // ====================================================================
+  // CONFIG
+  // ====================================================================
+
+  /**
+   * Validate a config and build the alias index and keyword rules
+   * @param {Object} config Taxonomy config
+   * @throws {Error} If the config is malformed
+   */
+  compile(config) {
+    if (!config || !Array.isArray(config.categories) || config.categories.length === 0) {
+      throw new Error('Category taxonomy must list at least one category');
+    }
+
+    this.version = config.version || 1;
+    this.fallback = config.fallback || 'Other';
+    this.categories = [];
+    this.rules = [];
+
+    // alias slug -> { category, subcategory }
+    this.aliases = new Map();
+
+    const names = new Set([this.fallback]);
+    let order = 0;
+
+    const addAliases = (entry, category, subcategory) => {
+      for (const alias of [entry.name, ...(entry.aliases || [])]) {
+        const slug = this.slugify(alias);
+        if (!this.aliases.has(slug)) this.aliases.set(slug, { category, subcategory });
+      }
+    };
+
+    const addRules = (entry, category, subcategory) => {
+      for (const rule of entry.rules || []) {
+        if (typeof rule.priority !== 'number' || !Array.isArray(rule.keywords)) {
+          throw new Error(`Invalid rule in category ${subcategory || category}: expected { priority, keywords }`);
+        }
+
+        for (const keyword of rule.keywords) {
+          this.rules.push({ category, subcategory, keyword, priority: rule.priority, order: order++, pattern: this.keywordPattern(keyword) });
+        }
+      }
+    };
+
+    for (const entry of config.categories) {
+      if (!entry.name || names.has(entry.name)) {
+        throw new Error(`Category taxonomy has a missing or duplicate category name: ${entry.name}`);
+      }
+      names.add(entry.name);
+
+      const subcategories = [];
+      for (const sub of entry.subcategories || []) {
+        if (!sub.name || subcategories.some(existing => existing.name === sub.name)) {
+          throw new Error(`Category ${entry.name} has a missing or duplicate subcategory name: ${sub.name}`);
+        }
+        subcategories.push({ name: sub.name, slug: this.slugify(sub.name) });
+      }
+
+      this.categories.push({ name: entry.name, slug: this.slugify(entry.name), subcategories });
+
+      // Subcategory aliases first: they are more specific than the category's
+      for (const sub of entry.subcategories || []) addAliases(sub, entry.name, sub.name);
+      addAliases(entry, entry.name, null);
+
+      addRules(entry, entry.name, null);
+      for (const sub of entry.subcategories || []) addRules(sub, entry.name, sub.name);
+    }
+
+    console.log(`[CategoryTaxonomy] Loaded ${this.categories.length} categories, ${this.rules.length} keyword rules`);
+  }
+
+  /**
+   * Lowercase slug of a category, tag or alias ('Pop Culture' -> 'pop-culture')
+   * @param {string} value Label
+   * @returns {string} Slug
+   */
+  slugify(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Whole-word regular expression for a keyword
+   * @param {string} keyword Keyword ('super bowl', 'election*')
+   * @returns {RegExp} Case-insensitive pattern
+   */
+  keywordPattern(keyword) {
+    const prefix = keyword.endsWith('*');
+    const body = (prefix ? keyword.slice(0, -1) : keyword)
+      .trim()
+      .split(/\s+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}${prefix ? '[\\p{L}\\p{N}]*' : ''}(?![\\p{L}\\p{N}])`, 'iu');
+  }
+
+  // ====================================================================
+  // CLASSIFICATION
+  // ====================================================================
+
+  /**
+   * Classify a market
+   *
+   * @param {string} title Market title
+   * @param {Object} native Venue metadata
+   * @param {string} native.category Venue category
+   * @param {Array<string>} native.tags Venue tags / event categories, most relevant first
+   * @returns {Object} { category, subcategory, source: 'venue' | 'keywords' | 'fallback', keywords, terms }
+   *   keywords are the matching rule keywords, terms the title text they matched
+   */
+  classify(title, native = {}) {
+    const venue = this.mapNative([native.category, ...(native.tags || [])]);
+    const candidates = this.matchRules(title || '', venue ? venue.category : null);
+
+    if (venue) {
+      const best = candidates.find(candidate => (venue.subcategory ? candidate.subcategory === venue.subcategory : candidate.subcategory));
+      return {
+        category: venue.category,
+        subcategory: venue.subcategory || (best ? best.subcategory : null),
+        source: 'venue',
+        keywords: best ? best.keywords : [],
+        terms: best ? best.terms : []
+      };
+    }
+
+    if (candidates.length > 0) {
+      const [best] = candidates;
+      return { category: best.category, subcategory: best.subcategory, source: 'keywords', keywords: best.keywords, terms: best.terms };
+    }
+
+    return { category: this.fallback, subcategory: null, source: 'fallback', keywords: [], terms: [] };
+  }
+
+  /**
+   * Map venue categories/tags through the alias index
+   * A subcategory alias anywhere in the list wins over a plain category alias
+   * of the same category.
+   *
+   * @param {Array} values Venue categories and tags (strings or { label, slug })
+   * @returns {Object|null} { category, subcategory } or null if none is known
+   */
+  mapNative(values) {
+    const hits = values
+      .map(value => (value && typeof value === 'object' ? value.slug || value.label : value))
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => this.aliases.get(this.slugify(value)))
+      .filter(Boolean);
+
+    if (hits.length === 0) return null;
+
+    const category = hits[0].category;
+    return hits.find(hit => hit.category === category && hit.subcategory) || hits[0];
+  }
+
+  /**
+   * Whether a label names a category, or one of its subcategories, by alias
+   * (used to keep tags from repeating the category path)
+   *
+   * @param {string} value Label ('NFL', 'sports')
+   * @param {string} category Category name
+   * @returns {boolean} True if the label is an alias within the category
+   */
+  isCategoryAlias(value, category) {
+    const hit = this.aliases.get(this.slugify(value));
+    return Boolean(hit && hit.category === category);
+  }
+
+  /**
+   * Keyword rule matches for a title, best first
+   *
+   * @param {string} title Market title
+   * @param {string|null} category Only consider this category's rules
+   * @returns {Array} [{ category, subcategory, priority, keywords, terms }]
+   */
+  matchRules(title, category = null) {
+    const matches = new Map();
+
+    for (const rule of this.rules) {
+      if (category && rule.category !== category) continue;
+      const found = title.match(rule.pattern);
+      if (!found) continue;
+
+      const key = `${rule.category}/${rule.subcategory || ''}`;
+      const match = matches.get(key) ||
+        { category: rule.category, subcategory: rule.subcategory, priority: 0, order: rule.order, keywords: [], terms: [] };
+
+      match.priority = Math.max(match.priority, rule.priority);
+      match.keywords.push(rule.keyword);
+      match.terms.push(found[0]);
+      matches.set(key, match);
+    }
+
+    return [...matches.values()].sort((a, b) =>
+      b.priority - a.priority || b.keywords.length - a.keywords.length || a.order - b.order);
+  }
+
+  // ====================================================================
+  // LISTING
+  // ====================================================================
+
+  /**
+   * Category tree with market counts
+   *
+   * @param {Array} markets Markets with category and subcategory
+   * @returns {Array} [{ name, slug, count, subcategories: [{ name, slug, count }] }] (fallback last)
+   */
+  countMarkets(markets) {
+    const tree = [...this.categories, { name: this.fallback, slug: this.slugify(this.fallback), subcategories: [] }]
+      .map(category => ({
+        name: category.name,
+        slug: category.slug,
+        count: 0,
+        subcategories: category.subcategories.map(sub => ({ name: sub.name, slug: sub.slug, count: 0 }))
+      }));
+
+    const byName = new Map(tree.map(category => [category.name.toLowerCase(), category]));
+    const fallback = tree[tree.length - 1];
+
+    for (const market of markets || []) {
+      const category = byName.get(String(market.category || '').toLowerCase()) || fallback;
+      category.count++;
+
+      const sub = market.subcategory && category.subcategories.find(entry => entry.name === market.subcategory);
+      if (sub) sub.count++;
+    }
+
+    return tree;
+  }
+}
+
+CategoryTaxonomy.DEFAULT_TAXONOMY_PATH = DEFAULT_TAXONOMY_PATH;
+
+// Export for use in MarketSchema and server
+module.exports = CategoryTaxonomy;
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for CategoryTaxonomy
+ * Runs the title regression set in fixtures/category-titles.json and tests
+ * word-boundary rules, priorities, venue aliases and category counts
+ */
+
+const CategoryTaxonomy = require('./CategoryTaxonomy');
+const TITLES = require('./fixtures/category-titles.json');
+
+describe('CategoryTaxonomy', () => {
+  let taxonomy;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    taxonomy = new CategoryTaxonomy();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Regression titles', () => {
+    test.each(TITLES.map(entry => [entry.title, entry]))('%s', (title, entry) => {
+      const result = taxonomy.classify(title, { category: entry.nativeCategory, tags: entry.tags });
+
+      expect({ category: result.category, subcategory: result.subcategory })
+        .toEqual({ category: entry.category, subcategory: entry.subcategory });
+    });
+  });
+
+  describe('Rules', () => {
+    test('should only match whole words', () => {
+      expect(taxonomy.classify('Will Ukraine join the EU?')).toMatchObject({ subcategory: 'Russia & Ukraine' });
+      expect(taxonomy.classify('Who wins the award for best duke?')).toMatchObject({ category: 'Culture', keywords: ['award*'] });
+      expect(taxonomy.classify('Will the program ship?')).toMatchObject({ category: 'Other', source: 'fallback' });
+    });
+
+    test('should pick the highest priority, then the most keywords, then config order', () => {
+      const custom = new CategoryTaxonomy({
+        config: {
+          categories: [
+            { name: 'A', rules: [{ priority: 10, keywords: ['alpha', 'beta'] }] },
+            { name: 'B', rules: [{ priority: 10, keywords: ['alpha'] }, { priority: 20, keywords: ['gamma'] }] }
+          ]
+        }
+      });
+
+      expect(custom.classify('alpha beta').category).toBe('A');
+      expect(custom.classify('alpha').category).toBe('A');
+      expect(custom.classify('alpha beta gamma').category).toBe('B');
+    });
+
+    test('should reject malformed configs', () => {
+      expect(() => new CategoryTaxonomy({ config: { categories: [] } })).toThrow('at least one category');
+      expect(() => new CategoryTaxonomy({ config: { categories: [{ name: 'A' }, { name: 'A' }] } })).toThrow('duplicate');
+      expect(() => new CategoryTaxonomy({ config: { categories: [{ name: 'A', rules: [{ keywords: ['x'] }] }] } })).toThrow('Invalid rule');
+    });
+  });
+
+  describe('Venue categories', () => {
+    test('should trust venue aliases and refine the subcategory from the title', () => {
+      expect(taxonomy.classify('Will Bitcoin hit $200k?', { category: 'Sports' }))
+        .toMatchObject({ category: 'Sports', subcategory: null, source: 'venue' });
+      expect(taxonomy.classify('Fed decision in March?', { category: 'Financials' }))
+        .toMatchObject({ category: 'Economics', subcategory: 'Fed & Rates', keywords: ['fed'] });
+      expect(taxonomy.mapNative(['unknown', 'Pop Culture', 'music'])).toEqual({ category: 'Culture', subcategory: 'Music' });
+    });
+  });
+
+  describe('Listing', () => {
+    test('should count markets per category and subcategory', () => {
+      const tree = taxonomy.countMarkets([
+        { category: 'Sports', subcategory: 'NFL' },
+        { category: 'sports', subcategory: null },
+        { category: 'Weather' }
+      ]);
+
+      const sports = tree.find(category => category.name === 'Sports');
+      expect(sports).toMatchObject({ slug: 'sports', count: 2 });
+      expect(sports.subcategories.find(sub => sub.name === 'NFL').count).toBe(1);
+      expect(tree[tree.length - 1]).toEqual({ name: 'Other', slug: 'other', count: 1, subcategories: [] });
+    });
+  });
+});
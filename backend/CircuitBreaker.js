@@ -0,0 +1,132 @@
+/**
+ * CircuitBreaker - Per-platform circuit breaker
+ *
+ * Stops sending requests to a venue that keeps failing, then lets a single
+ * probe through once the reset timeout has passed:
+ *
+ *   closed     requests flow; consecutive failures are counted
+ *   open       requests are refused until resetTimeoutMs after opening
+ *   half-open  one probe request is allowed; success closes the breaker,
+ *              failure re-opens it for another resetTimeoutMs
+ *
+ * Used by HttpClient (one breaker per platform).
+ */
+
+const STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options Breaker options
+   * @param {string} options.name Platform name (for logs)
+   * @param {number} options.failureThreshold Consecutive failures that open the breaker (default 5)
+   * @param {number} options.resetTimeoutMs Time before a recovery probe (default 30 seconds)
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.clock = options.clock || (() => Date.now());
+
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Whether a request may be sent now
+   * Moves an open breaker to half-open once the reset timeout has passed
+   * and reserves the single probe slot.
+   *
+   * @returns {boolean} True if the request may proceed
+   */
+  canRequest() {
+    if (this.state === STATE.OPEN && this.clock() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATE.HALF_OPEN;
+      this.probeInFlight = false;
+      console.log(`[CircuitBreaker] ${this.name}: half-open, probing for recovery`);
+    }
+
+    if (this.state === STATE.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATE.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== STATE.CLOSED) {
+      console.log(`[CircuitBreaker] ${this.name}: recovered, closing`);
+    }
+
+    this.state = STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastSuccessAt = this.clock();
+  }
+
+  /**
+   * Record a failed request
+   * @param {Error} error The failure
+   */
+  recordFailure(error = null) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = this.clock();
+    this.probeInFlight = false;
+
+    if (this.state === STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATE.OPEN) {
+        console.warn(`[CircuitBreaker] ${this.name}: open after ${this.failures} failures (${this.lastError})`);
+      }
+      this.state = STATE.OPEN;
+      this.openedAt = this.clock();
+    }
+  }
+
+  /**
+   * Time at which an open breaker will allow a probe
+   * @returns {number|null} Time in ms, or null when not open
+   */
+  retryAt() {
+    return this.state === STATE.OPEN ? this.openedAt + this.resetTimeoutMs : null;
+  }
+
+  /**
+   * Snapshot of the breaker for health endpoints
+   * @returns {Object} { state, failures, openedAt, retryAt, lastError, lastFailureAt, lastSuccessAt }
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+      retryAt: this.retryAt(),
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt
+    };
+  }
+}
+
+CircuitBreaker.STATE = STATE;
+
+// Export for use in HttpClient
+module.exports = CircuitBreaker;
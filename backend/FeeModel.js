@@ -0,0 +1,216 @@
+/**
+ * FeeModel - Per-platform trading cost model
+ *
+ * Replaces flat fee allowances (the old 0.95 combined-price threshold) with
+ * each venue's own fee formula so arbitrage and routing can work net of fees.
+ *
+ * Fee formulas (fee for an order of C contracts at price P, 0.00-1.00):
+ * - 'parabolic': rate × C × P × (1 - P)      Kalshi trading fee
+ * - 'min-price': rate × C × min(P, 1 - P)    Polymarket CLOB fee
+ * - 'notional':  rate × C × P                Flat percentage of notional
+ *
+ * On top of the trading fee each schedule can charge:
+ * - gasPerOrder:   fixed USD per order (Polymarket settles on Polygon)
+ * - withdrawalFee: fixed USD to move proceeds off the venue
+ *
+ * Defaults are the published schedules at the time of writing; override
+ * any field per platform via the constructor when venues change them.
+ */
+
+const DEFAULT_SCHEDULES = {
+  polymarket: {
+    formula: 'min-price',
+    takerFeeRate: 0,        // Most markets charge no trading fee
+    makerFeeRate: 0,
+    roundUpToCent: false,
+    gasPerOrder: 0.01,      // Polygon transaction (relayer) cost
+    withdrawalFee: 1.0      // Bridging USDC off Polygon
+  },
+  kalshi: {
+    formula: 'parabolic',
+    takerFeeRate: 0.07,
+    makerFeeRate: 0.0175,
+    roundUpToCent: true,    // Fees are rounded up to the next cent per order
+    gasPerOrder: 0,
+    withdrawalFee: 0        // ACH withdrawals are free
+  }
+};
+
+// Venues without a known schedule are treated as fee-free
+const ZERO_SCHEDULE = {
+  formula: 'notional',
+  takerFeeRate: 0,
+  makerFeeRate: 0,
+  roundUpToCent: false,
+  gasPerOrder: 0,
+  withdrawalFee: 0
+};
+
+class FeeModel {
+  /**
+   * @param {Object} schedules Per-platform overrides merged over the defaults
+   *   e.g. { kalshi: { takerFeeRate: 0.035 } }
+   * @param {Object} options Model options
+   * @param {number} options.referenceSize Contracts used to spread fixed costs
+   *   when a per-contract figure is needed (default 100)
+   */
+  constructor(schedules = {}, options = {}) {
+    this.schedules = {};
+
+    for (const platform of new Set([...Object.keys(DEFAULT_SCHEDULES), ...Object.keys(schedules)])) {
+      this.schedules[platform] = {
+        ...ZERO_SCHEDULE,
+        ...(DEFAULT_SCHEDULES[platform] || {}),
+        ...(schedules[platform] || {})
+      };
+    }
+
+    this.referenceSize = options.referenceSize || 100;
+  }
+
+  /**
+   * Get the fee schedule for a platform
+   * @param {string} platform Platform name
+   * @returns {Object} Fee schedule
+   */
+  getSchedule(platform) {
+    return this.schedules[(platform || '').toLowerCase()] || ZERO_SCHEDULE;
+  }
+
+  // ====================================================================
+  // FEE CALCULATION
+  // ====================================================================
+
+  /**
+   * Trading fee for one order
+   *
+   * @param {string} platform Platform name
+   * @param {number} price Price per contract (0.00-1.00)
+   * @param {number} contracts Number of contracts
+   * @param {Object} options { role: 'taker'|'maker', round: apply venue rounding (default true) }
+   * @returns {number} Fee in USD
+   */
+  tradingFee(platform, price, contracts, options = {}) {
+    const schedule = this.getSchedule(platform);
+    const rate = options.role === 'maker' ? schedule.makerFeeRate : schedule.takerFeeRate;
+
+    if (!rate || !(contracts > 0)) {
+      return 0;
+    }
+
+    let fee;
+    switch (schedule.formula) {
+      case 'parabolic':
+        fee = rate * contracts * price * (1 - price);
+        break;
+      case 'min-price':
+        fee = rate * contracts * Math.min(price, 1 - price);
+        break;
+      default:
+        fee = rate * contracts * price;
+    }
+
+    if (schedule.roundUpToCent && options.round !== false) {
+      // Guard against float noise pushing an exact cent up
+      fee = Math.ceil(Math.round(fee * 1e6) / 1e4) / 100;
+    }
+
+    return fee;
+  }
+
+  /**
+   * Full cost of buying (or proceeds of selling) one order
+   *
+   * @param {string} platform Platform name
+   * @param {number} price Price per contract (0.00-1.00)
+   * @param {number} contracts Number of contracts
+   * @param {Object} options { side: 'buy'|'sell', role, includeWithdrawal }
+   * @returns {Object} { notional, tradingFee, gasFee, withdrawalFee, fees, net }
+   *   net is the cash paid (buy) or received (sell) after fees
+   */
+  orderCost(platform, price, contracts, options = {}) {
+    const schedule = this.getSchedule(platform);
+    const notional = price * contracts;
+    const tradingFee = this.tradingFee(platform, price, contracts, options);
+    const gasFee = contracts > 0 ? schedule.gasPerOrder : 0;
+    const withdrawalFee = options.includeWithdrawal && contracts > 0 ? schedule.withdrawalFee : 0;
+    const fees = tradingFee + gasFee + withdrawalFee;
+
+    return {
+      notional,
+      tradingFee,
+      gasFee,
+      withdrawalFee,
+      fees,
+      net: options.side === 'sell' ? notional - fees : notional + fees
+    };
+  }
+
+  /**
+   * All-in price per contract for an order of a reference size
+   * Fixed costs (gas, withdrawal) are spread over the order
+   *
+   * @param {string} platform Platform name
+   * @param {number} price Price per contract (0.00-1.00)
+   * @param {Object} options { side, role, includeWithdrawal, contracts }
+   * @returns {number} Net price per contract
+   */
+  effectivePrice(platform, price, options = {}) {
+    const contracts = options.contracts || this.referenceSize;
+    return this.orderCost(platform, price, contracts, options).net / contracts;
+  }
+
+  /**
+   * Per-contract trading fee without venue rounding
+   * Used when walking orderbooks level by level
+   *
+   * @param {string} platform Platform name
+   * @param {number} price Price per contract (0.00-1.00)
+   * @param {string} role 'taker' or 'maker'
+   * @returns {number} Fee in USD per contract
+   */
+  marginalFee(platform, price, role = 'taker') {
+    return this.tradingFee(platform, price, 1, { role, round: false });
+  }
+
+  /**
+   * Fixed USD costs of holding a position on a platform (gas + withdrawal)
+   * @param {string} platform Platform name
+   * @returns {number} Fixed cost in USD
+   */
+  fixedCosts(platform) {
+    const schedule = this.getSchedule(platform);
+    return schedule.gasPerOrder + schedule.withdrawalFee;
+  }
+
+  /**
+   * Short human-readable fee summary
+   * @param {string} platform Platform name
+   * @returns {string} Description
+   */
+  describe(platform) {
+    const schedule = this.getSchedule(platform);
+    const parts = [];
+
+    if (schedule.takerFeeRate > 0) {
+      const formula = {
+        parabolic: 'C × P × (1-P)',
+        'min-price': 'C × min(P, 1-P)',
+        notional: 'C × P'
+      }[schedule.formula];
+      parts.push(`${(schedule.takerFeeRate * 100).toFixed(2)}% × ${formula} taker fee`);
+    } else {
+      parts.push('no trading fee');
+    }
+
+    if (schedule.gasPerOrder > 0) parts.push(`$${schedule.gasPerOrder.toFixed(2)} gas per order`);
+    if (schedule.withdrawalFee > 0) parts.push(`$${schedule.withdrawalFee.toFixed(2)} withdrawal`);
+
+    return parts.join(', ');
+  }
+}
+
+FeeModel.DEFAULT_SCHEDULES = DEFAULT_SCHEDULES;
+
+// Export for use in arbitrage detection and routing
+module.exports = FeeModel;
@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for FeeModel
+ * Tests venue fee formulas and net-of-fee routing
+ */
+
+const FeeModel = require('./FeeModel');
+const MarketAggregator = require('./MarketAggregator');
+const PlatformRegistry = require('./PlatformRegistry');
+
+describe('FeeModel', () => {
+  let fees;
+
+  beforeEach(() => {
+    fees = new FeeModel();
+  });
+
+  describe('Fee formulas', () => {
+    test('should charge Kalshi parabolic fees rounded up to the cent per order', () => {
+      // 0.07 × 100 × 0.5 × 0.5 = $1.75
+      expect(fees.tradingFee('kalshi', 0.5, 100)).toBeCloseTo(1.75);
+      // 0.07 × 1 × 0.5 × 0.5 = $0.0175 -> $0.02
+      expect(fees.tradingFee('kalshi', 0.5, 1)).toBeCloseTo(0.02);
+      expect(fees.marginalFee('kalshi', 0.5)).toBeCloseTo(0.0175);
+      // Cheaper near the extremes
+      expect(fees.tradingFee('kalshi', 0.95, 100)).toBeLessThan(fees.tradingFee('kalshi', 0.5, 100));
+    });
+
+    test('should apply maker rates when requested', () => {
+      expect(fees.tradingFee('kalshi', 0.5, 100, { role: 'maker' })).toBeCloseTo(0.44);
+    });
+
+    test('should charge Polymarket gas and withdrawal but no trading fee by default', () => {
+      const cost = fees.orderCost('polymarket', 0.4, 100, { side: 'buy', includeWithdrawal: true });
+
+      expect(cost).toMatchObject({ notional: 40, tradingFee: 0, gasFee: 0.01, withdrawalFee: 1 });
+      expect(cost.net).toBeCloseTo(41.01);
+    });
+
+    test('should support overriding a schedule', () => {
+      fees = new FeeModel({ polymarket: { takerFeeRate: 0.02 } });
+
+      // min-price formula: 0.02 × 100 × min(0.7, 0.3)
+      expect(fees.tradingFee('polymarket', 0.7, 100)).toBeCloseTo(0.6);
+      expect(fees.getSchedule('polymarket').gasPerOrder).toBe(0.01);
+    });
+
+    test('should net fees out of sale proceeds', () => {
+      expect(fees.effectivePrice('kalshi', 0.5, { side: 'buy' })).toBeCloseTo(0.5175);
+      expect(fees.effectivePrice('kalshi', 0.5, { side: 'sell' })).toBeCloseTo(0.4825);
+    });
+
+    test('should treat unknown venues as fee-free', () => {
+      expect(fees.orderCost('limitless', 0.5, 10, { includeWithdrawal: true }).fees).toBe(0);
+      expect(fees.describe('limitless')).toBe('no trading fee');
+    });
+  });
+
+  describe('Net-of-fee routing', () => {
+    let aggregator;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      aggregator = new MarketAggregator(new PlatformRegistry(), {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should route to the cheaper venue after fees', () => {
+      const market = {
+        platforms: {
+          // Kalshi quotes 0.5¢ cheaper but pays ~1.75¢ in fees at 50¢
+          kalshi: { platform: 'Kalshi', outcomes: [{ name: 'Yes', price: 0.495 }], spread: 0.02, liquidity: 50000 },
+          polymarket: { platform: 'polymarket', outcomes: [{ name: 'Yes', price: 0.50 }], spread: 0.02, liquidity: 50000 }
+        }
+      };
+
+      const recommendation = aggregator.getRoutingRecommendation(market, 'buy', 'yes');
+
+      expect(recommendation.platform).toBe('polymarket');
+      expect(recommendation.netPrice).toBeCloseTo(0.5001);
+      expect(recommendation.reason).toContain('after fees');
+    });
+
+    test('should score execution on net prices', () => {
+      const platformData = { platform: 'kalshi', outcomes: [{ name: 'Yes', price: 0.5 }], spread: 0.2, liquidity: 0 };
+
+      // Only price quality contributes: (1 - 0.5175) × 0.5
+      expect(aggregator.calculateExecutionScore(platformData, 'buy', 'yes')).toBeCloseTo(0.24125);
+    });
+  });
+});
@@ -0,0 +1,513 @@
+/**
+ * HttpClient - Shared resilient HTTP client for venue APIs
+ *
+ * Every outbound request (fetchers, server routes) goes through one client:
+ * - Keep-alive connection pool per host
+ * - Per-attempt timeout and response-size cap
+ * - gzip/deflate/brotli decoding and redirect following
+ * - Retries with exponential backoff and full jitter, honoring Retry-After
+ * - One CircuitBreaker per platform, so a failing venue is not hammered
+ * - One RateBudget token bucket per host; requests made while serving an API
+ *   route (runWithPriority('interactive')) go ahead of background polling
+ * - Structured errors (HttpStatusError, TimeoutError, ...) with a
+ *   `retryable` flag instead of plain Error strings
+ *
+ * Retried: network errors, timeouts, unparseable bodies, 429 and 5xx.
+ * Other 4xx responses fail immediately and do not count against the breaker.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { AsyncLocalStorage } = require('async_hooks');
+const CircuitBreaker = require('./CircuitBreaker');
+const RateBudget = require('./RateBudget');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// ====================================================================
+// ERROR TYPES
+// ====================================================================
+
+class HttpClientError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} details { url, platform, retryable }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = details.url || null;
+    this.platform = details.platform || null;
+    this.retryable = details.retryable === true;
+  }
+}
+
+// Non-2xx response (after redirects)
+class HttpStatusError extends HttpClientError {
+  constructor(status, details = {}) {
+    super(`HTTP Error Status: ${status} for ${details.url}`, {
+      ...details,
+      retryable: status === 429 || status >= 500
+    });
+    this.status = status;
+    this.headers = details.headers || {};
+    this.body = details.body || '';
+    this.retryAfterMs = details.retryAfterMs === undefined ? null : details.retryAfterMs;
+  }
+}
+
+// No complete response within the timeout
+class TimeoutError extends HttpClientError {
+  constructor(timeoutMs, details = {}) {
+    super(`Request timed out after ${timeoutMs}ms: ${details.url}`, { ...details, retryable: true });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Connection-level failure (DNS, refused, reset, bad encoding)
+class NetworkError extends HttpClientError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.code = details.code || null;
+  }
+}
+
+// 2xx response whose body could not be parsed
+class ResponseParseError extends HttpClientError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.status = details.status || null;
+    this.body = details.body || '';
+  }
+}
+
+// Response body larger than maxResponseBytes
+class ResponseTooLargeError extends HttpClientError {
+  constructor(maxBytes, details = {}) {
+    super(`Response exceeded ${maxBytes} bytes: ${details.url}`, details);
+    this.maxBytes = maxBytes;
+  }
+}
+
+// Redirect chain longer than maxRedirects
+class TooManyRedirectsError extends HttpClientError {
+  constructor(maxRedirects, details = {}) {
+    super(`More than ${maxRedirects} redirects: ${details.url}`, details);
+  }
+}
+
+// Platform breaker is open; no request was sent
+class CircuitOpenError extends HttpClientError {
+  constructor(platform, retryAt, details = {}) {
+    super(`Circuit open for ${platform}, next probe at ${new Date(retryAt).toISOString()}`, { ...details, platform });
+    this.retryAt = retryAt;
+  }
+}
+
+// ====================================================================
+// CLIENT
+// ====================================================================
+
+class HttpClient {
+  /**
+   * @param {Object} options Client options
+   * @param {string} options.userAgent User-Agent header
+   * @param {number} options.timeoutMs Per-attempt timeout (default 15 seconds)
+   * @param {number} options.maxResponseBytes Decoded body size cap (default 50 MB)
+   * @param {number} options.maxRedirects Redirects followed per attempt (default 3)
+   * @param {number} options.retries Retries after the first attempt (default 2)
+   * @param {number} options.baseDelayMs Backoff base (default 500ms)
+   * @param {number} options.maxDelayMs Backoff cap (default 10 seconds)
+   * @param {number} options.maxRetryAfterMs Longest Retry-After we wait for (default 60 seconds)
+   * @param {number} options.maxSocketsPerHost Pool size per host (default 10)
+   * @param {Object} options.breaker CircuitBreaker options ({ failureThreshold, resetTimeoutMs })
+   * @param {RateBudget} options.budget Per-host request budget (default: a new RateBudget)
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   * @param {Function} options.random Returns [0, 1) for jitter (default Math.random)
+   * @param {Function} options.sleep Waits ms (default setTimeout)
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || 'Tanner.xyz-Aggregator/1.0';
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxResponseBytes = options.maxResponseBytes || 50 * 1024 * 1024;
+    this.maxRedirects = options.maxRedirects === undefined ? 3 : options.maxRedirects;
+    this.retries = options.retries === undefined ? 2 : options.retries;
+    this.baseDelayMs = options.baseDelayMs || 500;
+    this.maxDelayMs = options.maxDelayMs || 10000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs || 60000;
+    this.maxSocketsPerHost = options.maxSocketsPerHost || 10;
+    this.breakerOptions = options.breaker || {};
+    this.clock = options.clock || (() => Date.now());
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.budget = options.budget || new RateBudget({ clock: this.clock });
+    this.priorityContext = new AsyncLocalStorage();
+
+    this.agents = new Map(); // 'protocol//host' -> Agent
+    this.breakers = new Map(); // platform -> CircuitBreaker
+  }
+
+  /**
+   * GET a URL and parse the body as JSON
+   *
+   * @param {string} url URL to fetch
+   * @param {Object} options Request options (see request)
+   * @returns {Promise<any>} Parsed JSON
+   */
+  async getJson(url, options = {}) {
+    const response = await this.request(url, { ...options, parse: 'json' });
+    return response.data;
+  }
+
+  /**
+   * Send a request with retries, redirects and the platform breaker
+   *
+   * @param {string} url URL to fetch
+   * @param {Object} options Request options
+   * @param {string} options.method HTTP method (default GET)
+   * @param {string} options.platform Platform whose breaker guards the request
+   * @param {string} options.priority 'interactive' or 'background' (default: runWithPriority context)
+   * @param {Object|Function} options.headers Headers, or (URL) => headers to re-sign each attempt/redirect
+   * @param {number} options.retries Retries after the first attempt
+   * @param {number} options.timeoutMs Per-attempt timeout
+   * @param {Function} options.onResponse Called with every raw response (e.g. to read Date headers)
+   * @param {string} options.parse 'json' to parse the body (parse failures are retried)
+   * @returns {Promise<Object>} { status, headers, body, data, url }
+   * @throws {HttpClientError} Structured error once retries are exhausted
+   */
+  async request(url, options = {}) {
+    const platform = options.platform || null;
+    const breaker = platform ? this.getBreaker(platform) : null;
+    const retries = options.retries === undefined ? this.retries : options.retries;
+
+    for (let attempt = 0; ; attempt++) {
+      if (breaker && !breaker.canRequest()) {
+        throw new CircuitOpenError(platform, breaker.retryAt() || this.clock(), { url });
+      }
+
+      try {
+        const response = await this.attempt(new URL(url), options);
+        if (breaker) breaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        const failure = error instanceof HttpClientError
+          ? error
+          : new NetworkError(error.message, { url, platform, code: error.code });
+        failure.platform = platform;
+
+        // The venue answered: a 4xx is our problem, not a platform outage
+        if (breaker) {
+          if (failure.retryable) breaker.recordFailure(failure);
+          else breaker.recordSuccess();
+        }
+
+        const delay = this.retryDelay(failure, attempt, retries);
+        if (delay === null) {
+          throw failure;
+        }
+
+        console.log(`[HttpClient] ${failure.message} - retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * One attempt: send, follow redirects, check status, parse
+   *
+   * @param {URL} target Request URL
+   * @param {Object} options Request options (see request)
+   * @returns {Promise<Object>} { status, headers, body, data, url }
+   */
+  async attempt(target, options) {
+    let current = target;
+    let method = options.method || 'GET';
+    const priority = this.priorityFor(options);
+
+    for (let redirects = 0; ; redirects++) {
+      const waitMs = await this.budget.acquire(current.host, priority);
+      if (waitMs > 0) {
+        console.log(`[HttpClient] ${priority} request to ${current.host} throttled for ${waitMs}ms`);
+      }
+
+      const response = await this.send(current, method, options);
+
+      if (REDIRECT_STATUSES.includes(response.status) && response.headers.location) {
+        if (redirects >= this.maxRedirects) {
+          throw new TooManyRedirectsError(this.maxRedirects, { url: target.href });
+        }
+        current = new URL(response.headers.location, current);
+        if (response.status === 303) method = 'GET';
+        continue;
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        const body = response.body.toString('utf8');
+        console.error(`[HttpClient] HTTP ${response.status} from ${current.href}: ${body.substring(0, 500)}`);
+        throw new HttpStatusError(response.status, {
+          url: current.href,
+          headers: response.headers,
+          body: body.substring(0, 2000),
+          retryAfterMs: this.parseRetryAfter(response.headers['retry-after'])
+        });
+      }
+
+      if (options.parse === 'json') {
+        const text = response.body.toString('utf8');
+        try {
+          response.data = JSON.parse(text);
+        } catch (e) {
+          throw new ResponseParseError(`Failed to parse JSON response. Status: ${response.status} (${e.message})`, {
+            url: current.href,
+            status: response.status,
+            body: text.substring(0, 500)
+          });
+        }
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Single HTTP exchange over the pooled agent
+   *
+   * @param {URL} target Request URL
+   * @param {string} method HTTP method
+   * @param {Object} options Request options (see request)
+   * @returns {Promise<Object>} { status, headers, body: Buffer, url }
+   */
+  send(target, method, options) {
+    const timeoutMs = options.timeoutMs || this.timeoutMs;
+    const extraHeaders = typeof options.headers === 'function' ? options.headers(target) : options.headers;
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'http:' ? http : https;
+      let settled = false;
+      let req = null;
+
+      const finish = (error, response) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) {
+          if (req) req.destroy();
+          reject(error);
+        } else {
+          resolve(response);
+        }
+      };
+
+      const timer = setTimeout(() => finish(new TimeoutError(timeoutMs, { url: target.href })), timeoutMs);
+
+      req = client.request(target, {
+        method,
+        agent: this.getAgent(target),
+        headers: {
+          'Accept': 'application/json',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'User-Agent': this.userAgent,
+          ...(extraHeaders || {})
+        }
+      }, (res) => {
+        if (options.onResponse) options.onResponse(res);
+
+        if (Number(res.headers['content-length']) > this.maxResponseBytes) {
+          finish(new ResponseTooLargeError(this.maxResponseBytes, { url: target.href }));
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        const stream = this.decode(res);
+
+        stream.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > this.maxResponseBytes) {
+            finish(new ResponseTooLargeError(this.maxResponseBytes, { url: target.href }));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on('end', () => finish(null, {
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks),
+          url: target.href
+        }));
+        stream.on('error', err => finish(new NetworkError(`Failed to read response: ${err.message}`, { url: target.href, code: err.code })));
+        res.on('aborted', () => finish(new NetworkError('Response aborted', { url: target.href })));
+      });
+
+      req.on('error', err => finish(new NetworkError(`Request failed: ${err.message}`, { url: target.href, code: err.code })));
+      req.end();
+    });
+  }
+
+  /**
+   * Decompress a response according to Content-Encoding
+   * @param {http.IncomingMessage} res Response
+   * @returns {stream.Readable} Decoded body stream
+   */
+  decode(res) {
+    const encoding = (res.headers['content-encoding'] || '').toLowerCase();
+    const decoder = encoding === 'gzip' ? zlib.createGunzip()
+      : encoding === 'deflate' ? zlib.createInflate()
+      : encoding === 'br' ? zlib.createBrotliDecompress()
+      : null;
+
+    if (!decoder) return res;
+
+    res.on('error', err => decoder.destroy(err));
+    return res.pipe(decoder);
+  }
+
+  /**
+   * Delay before the next attempt, or null to give up
+   * Full jitter: random(0, min(maxDelay, base * 2^attempt)). A Retry-After
+   * header sets the delay instead (never waiting longer than maxRetryAfterMs).
+   *
+   * @param {HttpClientError} error Failure of this attempt
+   * @param {number} attempt Zero-based attempt number
+   * @param {number} retries Retries allowed
+   * @returns {number|null} Delay in ms, or null when not retrying
+   */
+  retryDelay(error, attempt, retries) {
+    if (!error.retryable || attempt >= retries) {
+      return null;
+    }
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= this.maxRetryAfterMs ? error.retryAfterMs : null;
+    }
+
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(this.random() * cap);
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date)
+   * @param {string} value Header value
+   * @returns {number|null} Delay in ms, or null when absent/invalid
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - this.clock());
+  }
+
+  /**
+   * Keep-alive agent for a host
+   * @param {URL} target Request URL
+   * @returns {http.Agent|https.Agent} Pooled agent
+   */
+  getAgent(target) {
+    const key = `${target.protocol}//${target.host}`;
+
+    if (!this.agents.has(key)) {
+      const Agent = target.protocol === 'http:' ? http.Agent : https.Agent;
+      this.agents.set(key, new Agent({ keepAlive: true, maxSockets: this.maxSocketsPerHost }));
+    }
+
+    return this.agents.get(key);
+  }
+
+  /**
+   * Circuit breaker for a platform (created on first use)
+   * @param {string} platform Platform name
+   * @returns {CircuitBreaker} Breaker
+   */
+  getBreaker(platform) {
+    if (!this.breakers.has(platform)) {
+      this.breakers.set(platform, new CircuitBreaker({ ...this.breakerOptions, name: platform, clock: this.clock }));
+    }
+
+    return this.breakers.get(platform);
+  }
+
+  /**
+   * Breaker state per platform
+   * @returns {Object} { platform: breaker.getState() }
+   */
+  getBreakerStates() {
+    const states = {};
+    for (const [platform, breaker] of this.breakers) {
+      states[platform] = breaker.getState();
+    }
+    return states;
+  }
+
+  /**
+   * Set the request budget of an upstream host
+   * @param {string} url Any URL on the host (or a bare host)
+   * @param {Object} config { perMinute, burst, reserve } (see RateBudget.configure)
+   */
+  setHostBudget(url, config) {
+    const host = url.includes('://') ? new URL(url).host : url;
+    this.budget.configure(host, config);
+  }
+
+  /**
+   * Run a function with a default priority for the requests it makes
+   * The priority follows async continuations, so everything a route handler
+   * awaits inherits it.
+   *
+   * @param {string} priority 'interactive' or 'background'
+   * @param {Function} fn Function to run
+   * @returns {any} fn's return value
+   */
+  runWithPriority(priority, fn) {
+    return this.priorityContext.run(priority, fn);
+  }
+
+  /**
+   * Priority of a request: explicit option, else the surrounding context
+   * @param {Object} options Request options
+   * @returns {string} 'interactive' or 'background'
+   */
+  priorityFor(options) {
+    return options.priority || this.priorityContext.getStore() || 'background';
+  }
+
+  /**
+   * Budget usage and throttling per host
+   * @returns {Object} RateBudget.getStats()
+   */
+  getBudgetStats() {
+    return this.budget.getStats();
+  }
+
+  /**
+   * Close pooled connections and budget timers (shutdown and tests)
+   */
+  destroy() {
+    for (const agent of this.agents.values()) {
+      agent.destroy();
+    }
+    this.agents.clear();
+    this.budget.destroy();
+  }
+}
+
+HttpClient.HttpClientError = HttpClientError;
+HttpClient.HttpStatusError = HttpStatusError;
+HttpClient.TimeoutError = TimeoutError;
+HttpClient.NetworkError = NetworkError;
+HttpClient.ResponseParseError = ResponseParseError;
+HttpClient.ResponseTooLargeError = ResponseTooLargeError;
+HttpClient.TooManyRedirectsError = TooManyRedirectsError;
+HttpClient.CircuitOpenError = CircuitOpenError;
+
+// Export for use in fetchers and server
+module.exports = HttpClient;
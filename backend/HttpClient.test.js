@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for HttpClient
+ * Runs the client against a local stub server: decoding, pooling, retries,
+ * Retry-After, redirects, limits, breakers, rate budgets and structured errors
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const HttpClient = require('./HttpClient');
+
+describe('HttpClient', () => {
+  let server;
+  let baseUrl;
+  let hits;
+  let sockets;
+  let client;
+  let delays;
+  let now;
+
+  // Route -> handler; handlers get (req, res, hitCount)
+  const routes = {
+    '/gzip': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync(JSON.stringify({ markets: [1, 2, 3], encoding: req.headers['accept-encoding'] })));
+    },
+    '/flaky': (req, res, count) => {
+      res.writeHead(count < 3 ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: count >= 3 }));
+    },
+    '/throttled': (req, res, count) => {
+      res.writeHead(count === 1 ? 429 : 200, { 'Retry-After': '2' });
+      res.end(JSON.stringify({ ok: true }));
+    },
+    '/throttled-long': (req, res) => {
+      res.writeHead(429, { 'Retry-After': '3600' });
+      res.end('slow down');
+    },
+    '/missing': (req, res) => {
+      res.writeHead(404);
+      res.end('not found');
+    },
+    '/slow': () => {}, // never answers
+    '/large': (req, res) => {
+      res.writeHead(200);
+      res.end(JSON.stringify({ padding: 'x'.repeat(5000) }));
+    },
+    '/redirect': (req, res) => {
+      res.writeHead(302, { Location: '/gzip' });
+      res.end();
+    },
+    '/loop': (req, res) => {
+      res.writeHead(301, { Location: '/loop' });
+      res.end();
+    },
+    '/html': (req, res, count) => {
+      res.writeHead(200);
+      res.end(count === 1 ? '<html>Bad gateway</html>' : JSON.stringify({ ok: true }));
+    },
+    '/down': (req, res) => {
+      res.writeHead(500);
+      res.end();
+    },
+    '/echo': (req, res) => {
+      res.writeHead(req.headers['x-signature'] === 'attempt-2' ? 200 : 503);
+      res.end(JSON.stringify({ signature: req.headers['x-signature'] }));
+    }
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      hits[path] = (hits[path] || 0) + 1;
+      sockets.push(req.socket.remotePort);
+      routes[path](req, res, hits[path]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    hits = {};
+    sockets = [];
+    delays = [];
+    now = Date.parse('2026-06-01T00:00:00Z');
+    client = new HttpClient({
+      baseDelayMs: 100,
+      random: () => 0.5,
+      sleep: async (ms) => { delays.push(ms); },
+      clock: () => now,
+      breaker: { failureThreshold: 2, resetTimeoutMs: 30000 }
+    });
+  });
+
+  afterEach(() => {
+    client.destroy();
+    jest.restoreAllMocks();
+  });
+
+  describe('Responses', () => {
+    test('should decode gzip and reuse pooled connections', async () => {
+      const first = await client.getJson(`${baseUrl}/gzip`);
+      await client.getJson(`${baseUrl}/gzip`);
+
+      expect(first).toEqual({ markets: [1, 2, 3], encoding: 'gzip, deflate, br' });
+      expect(sockets[0]).toBe(sockets[1]);
+      expect(client.agents.size).toBe(1);
+    });
+
+    test('should follow redirects and stop redirect loops', async () => {
+      await expect(client.getJson(`${baseUrl}/redirect`)).resolves.toMatchObject({ markets: [1, 2, 3] });
+
+      const error = await client.getJson(`${baseUrl}/loop`).catch(e => e);
+      expect(error).toBeInstanceOf(HttpClient.TooManyRedirectsError);
+      expect(hits['/loop']).toBe(4);
+    });
+
+    test('should cap response size', async () => {
+      const small = new HttpClient({ maxResponseBytes: 1000 });
+
+      await expect(small.getJson(`${baseUrl}/large`)).rejects.toBeInstanceOf(HttpClient.ResponseTooLargeError);
+      small.destroy();
+    });
+
+    test('should time out and report a retryable TimeoutError', async () => {
+      const error = await client.getJson(`${baseUrl}/slow`, { timeoutMs: 50, retries: 0 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpClient.TimeoutError);
+      expect(error.retryable).toBe(true);
+    });
+  });
+
+  describe('Retries', () => {
+    test('should back off with jitter on 5xx until success', async () => {
+      await expect(client.getJson(`${baseUrl}/flaky`)).resolves.toEqual({ ok: true });
+
+      expect(hits['/flaky']).toBe(3);
+      expect(delays).toEqual([50, 100]); // random 0.5 x (100, 200)
+    });
+
+    test('should wait for Retry-After and give up when it is too long', async () => {
+      await client.getJson(`${baseUrl}/throttled`);
+      expect(delays).toEqual([2000]);
+
+      const error = await client.getJson(`${baseUrl}/throttled-long`).catch(e => e);
+      expect(error).toBeInstanceOf(HttpClient.HttpStatusError);
+      expect(error).toMatchObject({ status: 429, retryAfterMs: 3600000 });
+      expect(hits['/throttled-long']).toBe(1);
+    });
+
+    test('should not retry client errors', async () => {
+      const error = await client.getJson(`${baseUrl}/missing`, { platform: 'polymarket' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(HttpClient.HttpStatusError);
+      expect(error).toMatchObject({ status: 404, retryable: false, platform: 'polymarket', body: 'not found' });
+      expect(error.message).toContain('HTTP Error Status: 404');
+      expect(hits['/missing']).toBe(1);
+      expect(client.getBreakerStates().polymarket.state).toBe('closed');
+    });
+
+    test('should retry unparseable bodies', async () => {
+      await expect(client.getJson(`${baseUrl}/html`)).resolves.toEqual({ ok: true });
+      expect(hits['/html']).toBe(2);
+    });
+
+    test('should rebuild headers for every attempt', async () => {
+      let attempt = 0;
+      const data = await client.getJson(`${baseUrl}/echo`, {
+        headers: () => ({ 'X-Signature': `attempt-${++attempt}` })
+      });
+
+      expect(data).toEqual({ signature: 'attempt-2' });
+    });
+  });
+
+  describe('Circuit breaker', () => {
+    test('should open per platform and probe after the reset timeout', async () => {
+      await expect(client.getJson(`${baseUrl}/down`, { platform: 'kalshi', retries: 0 })).rejects.toBeInstanceOf(HttpClient.HttpStatusError);
+      await expect(client.getJson(`${baseUrl}/down`, { platform: 'kalshi', retries: 0 })).rejects.toBeInstanceOf(HttpClient.HttpStatusError);
+
+      const refused = await client.getJson(`${baseUrl}/gzip`, { platform: 'kalshi' }).catch(e => e);
+      expect(refused).toBeInstanceOf(HttpClient.CircuitOpenError);
+      expect(refused.retryAt).toBe(now + 30000);
+      expect(hits['/gzip']).toBeUndefined();
+
+      // Other platforms are unaffected
+      await expect(client.getJson(`${baseUrl}/gzip`, { platform: 'polymarket' })).resolves.toBeTruthy();
+
+      now += 30000;
+      await expect(client.getJson(`${baseUrl}/gzip`, { platform: 'kalshi' })).resolves.toBeTruthy();
+      expect(client.getBreakerStates().kalshi).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('should re-open when the recovery probe fails', async () => {
+      const breaker = client.getBreaker('kalshi');
+      breaker.recordFailure(new Error('down'));
+      breaker.recordFailure(new Error('down'));
+
+      now += 30000;
+      await expect(client.getJson(`${baseUrl}/down`, { platform: 'kalshi' })).rejects.toBeInstanceOf(HttpClient.CircuitOpenError);
+      expect(hits['/down']).toBe(1); // Only the probe was sent
+      expect(breaker.getState()).toMatchObject({ state: 'open', openedAt: now });
+    });
+  });
+
+  describe('Rate budget', () => {
+    test('should take a token per request, redirect and retry', async () => {
+      await client.getJson(`${baseUrl}/redirect`);
+      await client.getJson(`${baseUrl}/flaky`);
+
+      const host = new URL(baseUrl).host;
+      expect(client.getBudgetStats()[host]).toMatchObject({ usedLastMinute: 5, granted: { interactive: 0, background: 5 } });
+    });
+
+    test('should tag requests made inside runWithPriority as interactive', async () => {
+      const acquire = jest.spyOn(client.budget, 'acquire');
+
+      await client.runWithPriority('interactive', async () => {
+        await Promise.resolve();
+        await client.getJson(`${baseUrl}/gzip`);
+      });
+      await client.getJson(`${baseUrl}/gzip`);
+      await client.runWithPriority('interactive', () => client.getJson(`${baseUrl}/gzip`, { priority: 'background' }));
+
+      expect(acquire.mock.calls.map(call => call[1])).toEqual(['interactive', 'background', 'background']);
+    });
+
+    test('should apply host budgets set by URL', () => {
+      client.setHostBudget('https://api.elections.kalshi.com/trade-api/v2', { perMinute: 50 });
+
+      expect(client.getBudgetStats()['api.elections.kalshi.com']).toMatchObject({ perMinute: 50, burst: 9, reserve: 1 });
+    });
+  });
+});
@@ -2,22 +2,91 @@
  * KalshiFetcher - Kalshi API integration
  * 
  * Handles authentication, rate limiting, and data fetching from Kalshi API.
- * Implements exponential backoff retry and normalizes data to unified schema.
+ * Requests are signed with the API key's RSA private key (RSA-PSS, SHA-256)
+ * over timestamp + method + path, as the v2 API requires for portfolio and
+ * order endpoints; unsigned requests still work for public market data.
+ * Implements exponential backoff retry and normalizes data to the versioned MarketSchema.
+ * Also fetches orderbook depth per market ticker.
+ * 
+ * Markets are loaded through events (with their series for categories):
+ * the sibling markets of a mutually exclusive event - candidates, ranges,
+ * brackets - are grouped into one multi-outcome market, one outcome per
+ * sibling, with the sibling tickers as outcome token IDs. Markets from
+ * other events stay binary Yes/No markets.
+ * Registered with PlatformRegistry as the 'kalshi' PlatformAdapter.
  * 
  * Requirements: 1.1, 1.2, 1.3, 1.4, 1.5, 2.1, 2.2, 2.3, 2.4, 2.5
  */
 
-const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
+const HttpClient = require('./HttpClient');
+const PlatformAdapter = require('./PlatformAdapter');
+const MarketLifecycle = require('./MarketLifecycle');
+const MarketSchema = require('./MarketSchema');
+
+// Local clock offsets below this are ignored (Date headers only have 1s precision)
+const MAX_CLOCK_SKEW_MS = 5000;
+
+// API page size maximums
+const EVENTS_PAGE_LIMIT = 200;
+const MARKETS_PAGE_LIMIT = 1000;
+
+// Page budgets per fetch strategy (same names as the Polymarket FETCH_STRATEGY)
+const FETCH_STRATEGIES = {
+  SMART: 5,     // Up to 1,000 events - covers the active markets most polls need
+  FULL: 100,    // Up to 20,000 events - complete listing (slow at 50 req/min)
+  MINIMAL: 1    // 200 events - fastest, incomplete
+};
+
+// Incremental refreshes re-request this much time before the last sync
+const INCREMENTAL_OVERLAP_MS = 60 * 1000;
 
-class KalshiFetcher {
-  constructor(apiEndpoint, apiKey, cacheManager) {
+class KalshiFetcher extends PlatformAdapter {
+  /**
+   * @param {string} apiEndpoint Trade API base URL
+   * @param {string} apiKey API key ID (KALSHI-ACCESS-KEY)
+   * @param {Object} cacheManager Cache manager for platform health
+   * @param {Object} options Signing options
+   * @param {string} options.privateKey PEM private key (default KALSHI_PRIVATE_KEY)
+   * @param {string} options.privateKeyPath Path to a PEM file (default KALSHI_PRIVATE_KEY_PATH)
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   * @param {string} options.fetchStrategy 'SMART', 'FULL' or 'MINIMAL' (default KALSHI_FETCH_STRATEGY or SMART)
+   * @param {boolean} options.incremental Only re-fetch changed markets between full refreshes (default true)
+   * @param {number} options.fullRefreshInterval ms between full refreshes (default 10 minutes)
+   * @param {HttpClient} options.httpClient Shared HTTP client (default: a new client)
+   */
+  constructor(apiEndpoint, apiKey, cacheManager, options = {}) {
+    super({
+      name: 'kalshi',
+      displayName: 'Kalshi',
+      polling: { interval: 10000, enabled: true } // 10 seconds (respects rate limits)
+    });
+    
     this.apiEndpoint = apiEndpoint || 'https://api.elections.kalshi.com/trade-api/v2';
     this.apiKey = apiKey || process.env.KALSHI_API_KEY;
     this.cache = cacheManager;
+    this.http = options.httpClient || new HttpClient();
+    this.lifecycle = new MarketLifecycle();
+    this.schema = new MarketSchema({ lifecycle: this.lifecycle });
     this.rateLimit = 50; // requests per minute
-    this.requestQueue = [];
-    this.authToken = null;
-    this.tokenExpiration = null;
+    this.http.setHostBudget(this.apiEndpoint, { perMinute: this.rateLimit });
+    this.seriesTTL = 60 * 60 * 1000; // Series metadata rarely changes - refresh hourly
+    this.seriesIndex = null; // Map series_ticker -> series
+    this.seriesFetchedAt = 0;
+    // Single-line env values escape the PEM's newlines as \n
+    this.privateKeyPem = (options.privateKey || process.env.KALSHI_PRIVATE_KEY || '').replace(/\\n/g, '\n') || null;
+    this.privateKeyPath = options.privateKeyPath || process.env.KALSHI_PRIVATE_KEY_PATH || null;
+    this.signingKey = null; // crypto.KeyObject once loaded
+    this.clock = options.clock || (() => Date.now());
+    this.clockSkew = 0; // Kalshi server time - local time, in ms
+    this.unsignedWarningShown = false;
+    this.maxPages = { ...FETCH_STRATEGIES, ...(options.maxPages || {}) };
+    this.fetchStrategy = options.fetchStrategy || process.env.KALSHI_FETCH_STRATEGY || 'SMART';
+    this.incremental = options.incremental !== false;
+    this.fullRefreshInterval = options.fullRefreshInterval || 10 * 60 * 1000;
+    this.snapshot = null; // { status, events: Map event_ticker -> event, fullSyncAt, syncedAt }
+    this.lastPagination = null;
     this.healthStatus = {
       status: 'healthy',
       lastAttempt: null,
@@ -25,37 +94,42 @@ class KalshiFetcher {
       lastSuccessfulFetch: null
     };
     
-    console.log('[KalshiFetcher] Initialized with endpoint:', this.apiEndpoint);
+    console.log(`[KalshiFetcher] Initialized with endpoint: ${this.apiEndpoint} (fetch strategy ${this.fetchStrategy})`);
   }
   
   /**
-   * Authenticate with Kalshi API and obtain auth token
-   * @returns {Promise<string>} Authentication token
+   * Load the signing key for the configured API key
+   * Kalshi has no token exchange: every request is signed, so this only
+   * loads and caches the private key. Without an API key or private key
+   * requests are sent unsigned (public market data only).
+   * 
+   * @returns {Promise<crypto.KeyObject|null>} Signing key, or null when unsigned
+   * @throws {Error} If the configured private key cannot be read or parsed
    */
   async authenticate() {
-    try {
-      console.log('[KalshiFetcher] Authenticating with Kalshi API...');
-      
-      // Check if we have a valid token
-      if (this.authToken && this.tokenExpiration && Date.now() < this.tokenExpiration) {
-        console.log('[KalshiFetcher] Using cached auth token');
-        return this.authToken;
+    if (this.signingKey) {
+      return this.signingKey;
+    }
+    
+    if (!this.apiKey || (!this.privateKeyPem && !this.privateKeyPath)) {
+      if (!this.unsignedWarningShown) {
+        console.warn('[KalshiFetcher] No API key ID and private key configured, sending unsigned requests');
+        this.unsignedWarningShown = true;
       }
+      return null;
+    }
+    
+    try {
+      const pem = this.privateKeyPem || fs.readFileSync(this.privateKeyPath, 'utf8');
+      this.signingKey = crypto.createPrivateKey(pem);
       
-      // Check if API key is available
-      if (!this.apiKey) {
-        console.warn('[KalshiFetcher] No API key provided, skipping authentication');
-        return null;
+      if (this.signingKey.asymmetricKeyType !== 'rsa') {
+        this.signingKey = null;
+        throw new Error('Kalshi private key must be an RSA key');
       }
       
-      // For now, we'll use the API key directly in headers
-      // Kalshi API uses API key authentication in the Authorization header
-      this.authToken = this.apiKey;
-      // Set expiration to 1 hour from now
-      this.tokenExpiration = Date.now() + (60 * 60 * 1000);
-      
-      console.log('[KalshiFetcher] Authentication successful');
-      return this.authToken;
+      console.log('[KalshiFetcher] Loaded signing key for API key', this.apiKey);
+      return this.signingKey;
       
     } catch (error) {
       console.error('[KalshiFetcher] Authentication failed:', error.message);
@@ -64,54 +138,392 @@ class KalshiFetcher {
     }
   }
   
+  /**
+   * Build the signature headers for a request
+   * The signed message is timestamp (ms) + HTTP method + path, where path
+   * is the URL path without the query string (e.g. /trade-api/v2/portfolio/balance).
+   * 
+   * @param {string} method HTTP method
+   * @param {string} path URL path
+   * @returns {Object} KALSHI-ACCESS-* headers (empty when unsigned)
+   */
+  signRequest(method, path) {
+    if (!this.signingKey) {
+      return {};
+    }
+    
+    const timestamp = String(Math.round(this.clock() + this.clockSkew));
+    const signature = crypto.sign('sha256', Buffer.from(`${timestamp}${method.toUpperCase()}${path}`), {
+      key: this.signingKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    });
+    
+    return {
+      'KALSHI-ACCESS-KEY': this.apiKey,
+      'KALSHI-ACCESS-TIMESTAMP': timestamp,
+      'KALSHI-ACCESS-SIGNATURE': signature.toString('base64')
+    };
+  }
+  
+  /**
+   * Track the offset between Kalshi's clock and ours from a Date header
+   * Signed timestamps outside Kalshi's window are rejected, so a drifting
+   * local clock is corrected by the measured offset.
+   * 
+   * @param {string} dateHeader HTTP Date header from a Kalshi response
+   * @returns {boolean} True if the offset changed
+   */
+  syncClock(dateHeader) {
+    const serverTime = dateHeader ? Date.parse(dateHeader) : NaN;
+    if (isNaN(serverTime)) {
+      return false;
+    }
+    
+    const measured = serverTime - this.clock();
+    const skew = Math.abs(measured) > MAX_CLOCK_SKEW_MS ? measured : 0;
+    
+    if (skew === this.clockSkew) {
+      return false;
+    }
+    
+    if (skew !== 0) {
+      console.warn(`[KalshiFetcher] Local clock is off by ${measured}ms, correcting signed timestamps`);
+    }
+    this.clockSkew = skew;
+    return true;
+  }
+  
+  /**
+   * Fetch the portfolio balance (requires a signing key)
+   * @returns {Promise<Object>} { balance } in cents
+   */
+  async fetchBalance() {
+    if (!(await this.authenticate())) {
+      throw new Error('Kalshi portfolio endpoints require KALSHI_API_KEY and a private key');
+    }
+    
+    const url = `${this.apiEndpoint}/portfolio/balance`;
+    const data = await this.fetchWithRetry(url, 1);
+    
+    if (!data || typeof data.balance !== 'number') {
+      throw new Error('Invalid Kalshi balance response');
+    }
+    
+    this.logRequest('fetchBalance', url, 1);
+    return data;
+  }
+  
   /**
    * Fetch markets from Kalshi with authentication and rate limiting
-   * @param {Object} options Fetch options (limit, status, etc.)
-   * @returns {Promise<Array>} Array of raw Kalshi markets
+   * By default markets are loaded through events and mutually exclusive
+   * events come back as one grouped raw event (see groupEventMarkets);
+   * pass groupEvents: false for the flat /markets listing.
+   * Both follow the response cursor for up to the strategy's page budget.
+   * 
+   * @param {Object} options Fetch options (limit, status, groupEvents, strategy, fullRefresh, etc.)
+   * @returns {Promise<Array>} Array of raw Kalshi markets and grouped events
    */
   async fetchMarkets(options = {}) {
+    const { groupEvents = true, strategy, fullRefresh = false, ...query } = options;
+    const maxPages = this.getMaxPages(strategy);
+    
+    if (groupEvents) {
+      return this.fetchGroupedMarkets(query, { maxPages, fullRefresh });
+    }
+    
     try {
-      console.log('[KalshiFetcher] Fetching markets...');
+      console.log(`[KalshiFetcher] Fetching markets (max ${maxPages} pages)...`);
       
       // Authenticate first
       await this.authenticate();
       
-      // Apply rate limiting
-      await this.throttle();
+      const markets = await this.fetchPages('/markets', {
+        ...query,
+        status: query.status || 'open',
+        limit: Math.min(query.limit || MARKETS_PAGE_LIMIT, MARKETS_PAGE_LIMIT)
+      }, 'markets', maxPages);
       
-      // Build URL with query parameters
-      const params = new URLSearchParams({
-        status: options.status || 'open',
-        limit: options.limit || 500,
-        ...options
-      });
+      console.log(`[KalshiFetcher] Fetched ${markets.length} markets`);
+      this.updateHealthStatus('healthy');
       
-      const url = `${this.apiEndpoint}/markets?${params.toString()}`;
-      console.log('[KalshiFetcher] Fetching from:', url);
+      return markets;
       
-      // Fetch with retry logic
+    } catch (error) {
+      console.error('[KalshiFetcher] Failed to fetch markets:', error.message);
+      this.updateHealthStatus('degraded', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Page budget for a fetch strategy
+   * @param {string} strategy 'SMART', 'FULL' or 'MINIMAL' (default: this.fetchStrategy)
+   * @returns {number} Maximum pages per fetch
+   */
+  getMaxPages(strategy = this.fetchStrategy) {
+    return this.maxPages[strategy] || this.maxPages.SMART;
+  }
+  
+  /**
+   * Follow Kalshi's cursor across pages
+   * Each response carries a `cursor` for the next page (empty on the last).
+   * 
+   * @param {string} path Endpoint path ('/events', '/markets')
+   * @param {Object} query Query parameters
+   * @param {string} field Response field holding the page's items
+   * @param {number} maxPages Page budget
+   * @returns {Promise<Array>} Items from every fetched page
+   */
+  async fetchPages(path, query, field, maxPages) {
+    const items = [];
+    let cursor = null;
+    let pages = 0;
+    
+    do {
+      const params = new URLSearchParams(query);
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      
+      const url = `${this.apiEndpoint}${path}?${params.toString()}`;
       const data = await this.fetchWithRetry(url);
       
-      if (!data || !Array.isArray(data.markets)) {
-        console.error('[KalshiFetcher] Invalid response structure:', data);
-        throw new Error('Invalid Kalshi markets response structure');
+      if (!data || !Array.isArray(data[field])) {
+        console.error(`[KalshiFetcher] Invalid ${field} response structure:`, data);
+        throw new Error(`Invalid Kalshi ${field} response structure`);
       }
       
-      console.log(`[KalshiFetcher] Fetched ${data.markets.length} markets`);
+      items.push(...data[field]);
+      pages++;
+      cursor = data.cursor || null;
+      this.logRequest(`fetchPages ${pages}/${maxPages}`, url, data[field].length);
+    } while (cursor && pages < maxPages);
+    
+    if (cursor) {
+      console.log(`[KalshiFetcher] Stopped ${path} after ${pages} pages (page budget), more available`);
+    }
+    
+    this.lastPagination = { path, pages, items: items.length, complete: !cursor };
+    return items;
+  }
+  
+  /**
+   * Fetch events with their nested markets
+   * @param {Object} options Fetch options (status, limit, series_ticker, etc.)
+   * @param {number} maxPages Page budget (default: strategy budget)
+   * @returns {Promise<Array>} Array of raw Kalshi events ({ ..., markets: [] })
+   */
+  async fetchEvents(options = {}, maxPages = this.getMaxPages()) {
+    try {
+      console.log(`[KalshiFetcher] Fetching events (max ${maxPages} pages)...`);
+      
+      await this.authenticate();
+      
+      const events = await this.fetchPages('/events', {
+        ...options,
+        status: options.status || 'open',
+        limit: Math.min(options.limit || EVENTS_PAGE_LIMIT, EVENTS_PAGE_LIMIT),
+        with_nested_markets: 'true'
+      }, 'events', maxPages);
+      
       this.updateHealthStatus('healthy');
       
-      // Log request/response for debugging
-      this.logRequest('fetchMarkets', url, data.markets.length);
+      return events;
       
-      return data.markets;
+    } catch (error) {
+      console.error('[KalshiFetcher] Failed to fetch events:', error.message);
+      this.updateHealthStatus('degraded', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Fetch markets updated since a time (incremental refresh)
+   * No status filter, so markets that closed or settled since are included.
+   * 
+   * @param {number} since Time in ms
+   * @param {number} maxPages Page budget
+   * @returns {Promise<Array>} Raw markets updated since `since`
+   */
+  async fetchUpdatedMarkets(since, maxPages = this.getMaxPages()) {
+    try {
+      await this.authenticate();
+      
+      const markets = await this.fetchPages('/markets', {
+        limit: MARKETS_PAGE_LIMIT,
+        min_updated_ts: Math.floor(since / 1000)
+      }, 'markets', maxPages);
+      
+      this.updateHealthStatus('healthy');
+      
+      return markets;
       
     } catch (error) {
-      console.error('[KalshiFetcher] Failed to fetch markets:', error.message);
+      console.error('[KalshiFetcher] Failed to fetch updated markets:', error.message);
       this.updateHealthStatus('degraded', error);
       throw error;
     }
   }
   
+  /**
+   * Get series metadata keyed by series ticker (cached for seriesTTL)
+   * Series only supply categories, so a failed refresh keeps the previous
+   * index (or an empty one) instead of failing the market fetch.
+   * 
+   * @returns {Promise<Map>} series_ticker -> raw series
+   */
+  async fetchSeriesIndex() {
+    if (this.seriesIndex && Date.now() - this.seriesFetchedAt < this.seriesTTL) {
+      return this.seriesIndex;
+    }
+    
+    try {
+      await this.authenticate();
+      const url = `${this.apiEndpoint}/series`;
+      const data = await this.fetchWithRetry(url, 1);
+      
+      if (!data || !Array.isArray(data.series)) {
+        throw new Error('Invalid Kalshi series response structure');
+      }
+      
+      this.seriesIndex = new Map(data.series.map(series => [series.ticker, series]));
+      this.seriesFetchedAt = Date.now();
+      this.logRequest('fetchSeriesIndex', url, data.series.length);
+      
+    } catch (error) {
+      console.warn('[KalshiFetcher] Series unavailable, using cached categories:', error.message);
+      // Retry on the next fetch rather than on every request
+      this.seriesIndex = this.seriesIndex || new Map();
+      this.seriesFetchedAt = Date.now() - this.seriesTTL + 60 * 1000;
+    }
+    
+    return this.seriesIndex;
+  }
+  
+  /**
+   * Fetch events and series, then group sibling markets
+   * 
+   * The first fetch (and one every fullRefreshInterval) pages through all
+   * events and keeps them as a snapshot. Polls in between only request
+   * markets updated since the last sync (min_updated_ts, with a small
+   * overlap) and merge them into the snapshot. A market from an event the
+   * snapshot has not seen is kept as a binary market until the next full
+   * refresh picks up its event. An incremental refresh cut short by the
+   * page budget keeps the previous sync time and forces a full refresh on
+   * the next fetch, so changes past the budget are not skipped.
+   * 
+   * @param {Object} options Fetch options (status, limit, etc.)
+   * @param {Object} refresh { maxPages, fullRefresh }
+   * @returns {Promise<Array>} Raw grouped events and raw binary markets
+   */
+  async fetchGroupedMarkets(options = {}, refresh = {}) {
+    const maxPages = refresh.maxPages || this.getMaxPages();
+    const now = this.clock();
+    const snapshot = this.snapshot;
+    const incremental = this.incremental && !refresh.fullRefresh && snapshot &&
+      snapshot.status === (options.status || 'open') &&
+      now - snapshot.fullSyncAt < this.fullRefreshInterval;
+    
+    if (incremental) {
+      const updated = await this.fetchUpdatedMarkets(snapshot.syncedAt - INCREMENTAL_OVERLAP_MS, maxPages);
+      this.mergeUpdatedMarkets(updated);
+      console.log(`[KalshiFetcher] Incremental refresh: ${updated.length} markets changed`);
+      
+      if (this.lastPagination.complete) {
+        this.snapshot.syncedAt = now;
+      } else {
+        this.snapshot.fullSyncAt = -Infinity;
+      }
+    } else {
+      const events = await this.fetchEvents(options, maxPages);
+      this.snapshot = {
+        status: options.status || 'open',
+        events: new Map(events.map(event => [event.event_ticker, event])),
+        fullSyncAt: now,
+        syncedAt: now
+      };
+    }
+    
+    const events = [...this.snapshot.events.values()];
+    const seriesIndex = await this.fetchSeriesIndex();
+    const items = this.groupEventMarkets(events, seriesIndex);
+    
+    const grouped = items.filter(item => this.isEvent(item)).length;
+    console.log(`[KalshiFetcher] ${events.length} events -> ${grouped} multi-outcome markets, ${items.length - grouped} binary markets`);
+    
+    return items;
+  }
+  
+  /**
+   * Merge updated markets into the event snapshot
+   * @param {Array} markets Raw markets from fetchUpdatedMarkets
+   */
+  mergeUpdatedMarkets(markets) {
+    for (const market of markets) {
+      const eventTicker = market.event_ticker || market.ticker;
+      let event = this.snapshot.events.get(eventTicker);
+      
+      if (!event) {
+        // Unknown event: grouping waits for the next full refresh
+        if (!this.lifecycle.isLive(this.lifecycle.fromKalshi(market))) continue;
+        
+        event = { event_ticker: eventTicker, mutually_exclusive: false, markets: [] };
+        this.snapshot.events.set(eventTicker, event);
+      }
+      
+      const markets = Array.isArray(event.markets) ? event.markets : [];
+      const index = markets.findIndex(existing => existing.ticker === market.ticker);
+      
+      event.markets = index === -1
+        ? [...markets, market]
+        : markets.map((existing, i) => (i === index ? market : existing));
+    }
+  }
+  
+  /**
+   * Group the markets of mutually exclusive events
+   * 
+   * Events whose markets are mutually exclusive (exactly one resolves Yes)
+   * are returned whole with their series attached, and normalize to one
+   * multi-outcome market. Markets of other events (e.g. "above X" ladders,
+   * where several can resolve Yes) are returned individually with the
+   * event/series category filled in.
+   * 
+   * @param {Array} events Raw events with nested markets
+   * @param {Map} seriesIndex series_ticker -> raw series
+   * @returns {Array} Raw grouped events and raw markets
+   */
+  groupEventMarkets(events, seriesIndex = new Map()) {
+    const items = [];
+    
+    for (const event of events || []) {
+      const markets = Array.isArray(event.markets) ? event.markets : [];
+      const series = seriesIndex.get(event.series_ticker) || null;
+      const category = event.category || (series ? series.category : null);
+      
+      if (event.mutually_exclusive === true && markets.length >= 2) {
+        items.push({ ...event, category, series });
+        continue;
+      }
+      
+      for (const market of markets) {
+        items.push({ ...market, category: market.category || category });
+      }
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Whether a raw item is a grouped event rather than a single market
+   * @param {Object} raw Raw item from fetchMarkets
+   * @returns {boolean} True for grouped events
+   */
+  isEvent(raw) {
+    return Boolean(raw && raw.event_ticker && Array.isArray(raw.markets));
+  }
+  
   /**
    * Fetch detailed market data for a specific market
    * @param {string} marketId Kalshi market ticker
@@ -124,9 +536,6 @@ class KalshiFetcher {
       // Authenticate first
       await this.authenticate();
       
-      // Apply rate limiting
-      await this.throttle();
-      
       const url = `${this.apiEndpoint}/markets/${marketId}`;
       
       // Fetch with retry logic
@@ -153,186 +562,119 @@ class KalshiFetcher {
   }
   
   /**
-   * Fetch with exponential backoff retry
-   * @param {string} url URL to fetch
-   * @param {number} maxRetries Maximum number of retry attempts
-   * @returns {Promise<any>} Parsed JSON response
+   * Re-fetch the raw item behind a normalized market (PollingService refreshes)
+   * Grouped multi-outcome markets are re-read as their whole event, so the
+   * result normalizes the same way as the item from fetchMarkets.
+   * 
+   * @param {Object} market Normalized Kalshi market
+   * @returns {Promise<Object>} Raw grouped event or raw market
    */
-  async fetchWithRetry(url, maxRetries = 3) {
-    let lastError;
+  async refreshMarket(market) {
+    const ticker = String(market.id).replace(/^kalshi-/, '');
     
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        // Use native fetch with authentication headers
-        const data = await this.nativeFetchWithAuth(url);
-        this.updateHealthStatus('healthy');
-        return data;
-        
-      } catch (error) {
-        lastError = error;
-        console.error(`[KalshiFetcher] Fetch attempt ${attempt}/${maxRetries} failed:`, error.message);
-        
-        if (attempt < maxRetries) {
-          // Exponential backoff: 2^attempt * 1000ms
-          const delay = Math.pow(2, attempt) * 1000;
-          console.log(`[KalshiFetcher] Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
+    if (market.marketType !== 'multi-outcome') {
+      const raw = await this.fetchMarketDetails(ticker);
+      return { ...raw, category: raw.category || market.category };
     }
     
-    // All retries failed
-    this.updateHealthStatus('degraded', lastError);
-    throw new Error(`Failed to fetch from Kalshi after ${maxRetries} attempts: ${lastError.message}`);
+    await this.authenticate();
+    const data = await this.fetchWithRetry(`${this.apiEndpoint}/events/${ticker}?with_nested_markets=true`);
+    const event = { ...data.event, markets: (data.event && data.event.markets) || data.markets || [] };
+    
+    if (this.snapshot) {
+      this.snapshot.events.set(event.event_ticker || ticker, event);
+    }
+    
+    const [item] = this.groupEventMarkets([event], await this.fetchSeriesIndex());
+    return item;
   }
   
   /**
-   * Native fetch with Kalshi authentication headers
+   * Fetch JSON through the shared HTTP client with signature headers
+   * Each attempt is signed with a fresh timestamp. A signed request
+   * rejected with 401 after the clock offset changed is sent once more
+   * with a corrected timestamp.
+   * 
    * @param {string} url URL to fetch
+   * @param {number} maxRetries Maximum number of attempts
    * @returns {Promise<any>} Parsed JSON response
+   * @throws {HttpClientError} Structured error once attempts are exhausted
    */
-  async nativeFetchWithAuth(url) {
-    return new Promise((resolve, reject) => {
-      const urlObj = new URL(url);
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || 443,
-        path: urlObj.pathname + urlObj.search,
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      };
-      
-      // Add authentication header if we have a token
-      if (this.authToken) {
-        options.headers['Authorization'] = `Bearer ${this.authToken}`;
+  async fetchWithRetry(url, maxRetries = 3) {
+    let skewChanged = false;
+    
+    const request = () => this.http.getJson(url, {
+      platform: this.name,
+      retries: maxRetries - 1,
+      headers: target => this.signRequest('GET', target.pathname),
+      onResponse: (res) => {
+        skewChanged = this.syncClock(res.headers.date) || skewChanged;
       }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              console.error(`[KalshiFetcher] JSON Parse Error: ${e.message}. Raw data: ${data.substring(0, 500)}...`);
-              reject(new Error(`Failed to parse JSON response. Status: ${res.statusCode}`));
-            }
-          } else {
-            console.error(`[KalshiFetcher] HTTP Error: Status ${res.statusCode}. Raw data: ${data.substring(0, 500)}...`);
-            reject(new Error(`HTTP Error Status: ${res.statusCode} for ${url}`));
-          }
-        });
-      });
-      
-      req.on('error', (err) => {
-        reject(new Error(`Kalshi Fetch Error: ${err.message}`));
-      });
-      
-      req.end();
     });
-  }
-  
-  /**
-   * Rate limiting throttle (50 requests per minute)
-   * @returns {Promise<void>}
-   */
-  async throttle() {
-    const now = Date.now();
-    const oneMinute = 60 * 1000;
-    
-    // Remove requests older than 1 minute
-    this.requestQueue = this.requestQueue.filter(time => now - time < oneMinute);
     
-    // Check if we've hit the rate limit
-    if (this.requestQueue.length >= this.rateLimit) {
-      // Calculate wait time until oldest request expires
-      const oldestRequest = this.requestQueue[0];
-      const waitTime = oneMinute - (now - oldestRequest);
+    try {
+      let data;
+      try {
+        data = await request();
+      } catch (error) {
+        if (error.status !== 401 || !this.signingKey || !skewChanged) throw error;
+        data = await request();
+      }
       
-      console.log(`[KalshiFetcher] Rate limit reached (${this.rateLimit}/min), waiting ${waitTime}ms...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      this.updateHealthStatus('healthy');
+      return data;
       
-      // Remove the oldest request after waiting
-      this.requestQueue.shift();
+    } catch (error) {
+      console.error(`[KalshiFetcher] Fetch failed after ${maxRetries} attempt(s):`, error.message);
+      this.updateHealthStatus('degraded', error);
+      throw error;
     }
-    
-    // Add current request to queue
-    this.requestQueue.push(now);
   }
   
   /**
-   * Normalize Kalshi market to unified schema
-   * Note: This method requires helper functions from server.js
-   * (cleanMarketTitle, getAdvancedCategory, optimizeTitle, generateMarketHistory)
+   * Normalize Kalshi market to the versioned schema (see MarketSchema)
+   * Grouped events (see groupEventMarkets) are passed to normalizeEvent.
+   * Price history is served separately by PriceHistoryStore
    * 
    * @param {Object} rawMarket Raw Kalshi market object
-   * @returns {Object} Normalized market object
+   * @returns {Object|null} Normalized market object
    */
-  normalizeMarket(rawMarket, helpers = {}) {
+  normalizeMarket(rawMarket) {
+    if (this.isEvent(rawMarket)) {
+      return this.normalizeEvent(rawMarket);
+    }
+    
     try {
-      const { cleanMarketTitle, getAdvancedCategory, optimizeTitle, generateMarketHistory } = helpers;
-      
       // Extract question from title or subtitle
-      const rawTitle = rawMarket.title || rawMarket.subtitle || rawMarket.ticker_name;
-      const cleanedTitle = cleanMarketTitle ? cleanMarketTitle(rawTitle) : rawTitle;
-      
-      // Extract category from Kalshi metadata
-      const category = getAdvancedCategory ? getAdvancedCategory(cleanedTitle, rawMarket.category) : 'Other';
+      const rawTitle = rawMarket.title || rawMarket.subtitle || rawMarket.ticker_name || rawMarket.ticker;
+      const ticker = rawMarket.ticker_name || rawMarket.ticker;
       
       // Convert Kalshi prices (cents) to decimal format (0.00-1.00)
       const yesPrice = (rawMarket.yes_ask || rawMarket.yes_bid || 50) / 100.0;
       const noPrice = (rawMarket.no_ask || rawMarket.no_bid || 50) / 100.0;
       
-      // Extract volume and convert to USD
-      const volume = parseFloat(rawMarket.volume || rawMarket.volume_24h || 0);
-      
-      // Extract liquidity
-      const liquidity = parseFloat(rawMarket.open_interest || rawMarket.liquidity || 0);
+      // Lifecycle status and settlement outcome
+      const { status, settlement } = this.lifecycle.fromKalshi(rawMarket);
       
-      return {
-        id: `kalshi-${rawMarket.ticker_name || rawMarket.ticker}`,
-        title: cleanedTitle,
-        shortTitle: optimizeTitle ? optimizeTitle(rawTitle) : rawTitle,
-        platform: 'Kalshi',
-        category: category,
-        volume_24h: volume,
-        liquidity: liquidity,
+      return this.schema.buildMarket({
+        id: `kalshi-${ticker}`,
+        platform: 'kalshi',
+        platformName: 'Kalshi',
+        question: rawTitle,
         outcomes: [
-          { 
-            name: 'Yes', 
-            price: yesPrice, 
-            history: generateMarketHistory ? generateMarketHistory(yesPrice) : [], 
-            color: '#10B981', 
-            image: null,
-            rank: 1
-          },
-          { 
-            name: 'No', 
-            price: noPrice, 
-            history: generateMarketHistory ? generateMarketHistory(noPrice) : [], 
-            color: '#EF4444', 
-            image: null,
-            rank: 2
-          },
+          { name: 'Yes', price: yesPrice },
+          { name: 'No', price: noPrice }
         ],
-        closed: rawMarket.status === 'closed' || rawMarket.status === 'settled',
-        resolved: rawMarket.status === 'settled',
-        endDate: rawMarket.close_time || rawMarket.expiration_time || null,
+        nativeCategory: rawMarket.category,
+        volume_24h: rawMarket.volume || rawMarket.volume_24h,
+        liquidity: rawMarket.open_interest || rawMarket.liquidity,
         startDate: rawMarket.open_time || null,
-        // Additional Kalshi-specific metadata
-        kalshiUrl: rawMarket.ticker_name ? `https://kalshi.com/markets/${rawMarket.ticker_name}` : null,
-        isMultiOutcome: false,
-        outcomeCount: 2,
-        marketType: 'binary'
-      };
+        endDate: rawMarket.close_time || rawMarket.expiration_time || null,
+        url: ticker ? `https://kalshi.com/markets/${ticker}` : null,
+        tokenIds: ticker ? [ticker] : [],
+        status,
+        settlement
+      });
       
     } catch (error) {
       console.error('[KalshiFetcher] Error normalizing market:', error.message, rawMarket);
@@ -340,6 +682,169 @@ class KalshiFetcher {
     }
   }
   
+  /**
+   * Normalize a mutually exclusive event into one multi-outcome market
+   * Each sibling market becomes an outcome priced at its YES ask, with the
+   * sibling ticker as tokenId (used for orderbook lookups).
+   * 
+   * @param {Object} rawEvent Raw event with nested markets (and series)
+   * @returns {Object|null} Normalized market object
+   */
+  normalizeEvent(rawEvent) {
+    try {
+      const legs = rawEvent.markets.map(market => ({
+        market,
+        name: market.yes_sub_title || market.subtitle || market.title || market.ticker,
+        ...this.lifecycle.fromKalshi(market)
+      }));
+      
+      const outcomes = legs.map(leg => ({
+        name: leg.name,
+        price: this.eventOutcomePrice(leg),
+        volume: Number(leg.market.volume || 0),
+        tokenId: leg.market.ticker
+      }));
+      
+      const { status, settlement } = this.eventLifecycle(legs);
+      
+      const sum = field => legs.reduce((total, leg) => total + Number(leg.market[field] || 0), 0);
+      const openTimes = legs.map(leg => leg.market.open_time).filter(Boolean).sort();
+      const closeTimes = legs.map(leg => leg.market.close_time || leg.market.expiration_time).filter(Boolean).sort();
+      const seriesTicker = rawEvent.series_ticker || rawEvent.event_ticker;
+      
+      return this.schema.buildMarket({
+        id: `kalshi-${rawEvent.event_ticker}`,
+        platform: 'kalshi',
+        platformName: 'Kalshi',
+        question: rawEvent.title || rawEvent.sub_title || rawEvent.event_ticker,
+        outcomes,
+        nativeCategory: rawEvent.category || (rawEvent.series ? rawEvent.series.category : null),
+        nativeTags: rawEvent.series && Array.isArray(rawEvent.series.tags) ? rawEvent.series.tags : [],
+        volume_24h: sum('volume'),
+        liquidity: sum('open_interest'),
+        startDate: openTimes[0] || null,
+        endDate: closeTimes[closeTimes.length - 1] || null,
+        url: `https://kalshi.com/markets/${seriesTicker}`,
+        tokenIds: legs.map(leg => leg.market.ticker).filter(Boolean),
+        status,
+        settlement
+      });
+      
+    } catch (error) {
+      console.error('[KalshiFetcher] Error normalizing event:', error.message, rawEvent.event_ticker);
+      return null;
+    }
+  }
+  
+  /**
+   * Price of one outcome of a grouped event (0.00-1.00)
+   * Settled siblings are priced at their settlement; live siblings at the
+   * YES ask, falling back to the last trade and then the YES bid.
+   * 
+   * @param {Object} leg { market, status, settlement }
+   * @returns {number} Outcome price
+   */
+  eventOutcomePrice(leg) {
+    if (leg.status === 'resolved') {
+      return leg.settlement && leg.settlement.outcome === 'Yes' ? 1 : 0;
+    }
+    if (leg.status === 'voided') {
+      return 0;
+    }
+    
+    const { yes_ask, last_price, yes_bid } = leg.market;
+    return (yes_ask || last_price || yes_bid || 0) / 100.0;
+  }
+  
+  /**
+   * Lifecycle state of a grouped event from its siblings
+   * The event resolves when a sibling settles Yes (that sibling's name is
+   * the settlement outcome) and is voided only when every sibling is. A
+   * sibling settling No (an eliminated candidate) does not end the event.
+   * 
+   * @param {Array} legs [{ name, status, settlement }]
+   * @returns {Object} { status, settlement }
+   */
+  eventLifecycle(legs) {
+    const winner = legs.find(leg => leg.status === 'resolved' && leg.settlement && leg.settlement.outcome === 'Yes');
+    
+    if (winner) {
+      return {
+        status: 'resolved',
+        settlement: { ...winner.settlement, outcome: winner.name }
+      };
+    }
+    
+    if (legs.every(leg => leg.status === 'voided')) {
+      return { status: 'voided', settlement: legs[0].settlement };
+    }
+    
+    const statuses = legs.map(leg => (leg.status === 'resolved' ? 'closed' : leg.status));
+    return { status: this.lifecycle.aggregateStatus(statuses), settlement: null };
+  }
+  
+  /**
+   * Fetch the orderbook for a normalized market
+   * 
+   * Grouped events use the first sibling's book (like Polymarket's first token);
+   * OrderbookService keeps such books out of merged cross-venue depth.
+   * 
+   * @param {Object} market Normalized market (tokenIds, or id 'kalshi-<ticker>')
+   * @returns {Promise<Object|null>} { bids, asks } for the YES side in 0.00-1.00 prices
+   */
+  async fetchOrderbook(market) {
+    const ticker = market && market.tokenIds && market.tokenIds.length > 0
+      ? market.tokenIds[0]
+      : market && market.id ? market.id.replace(/^kalshi-/, '') : null;
+    
+    if (!ticker) {
+      return null;
+    }
+    
+    await this.authenticate();
+    const url = `${this.apiEndpoint}/markets/${encodeURIComponent(ticker)}/orderbook`;
+    
+    // Single attempt: depth goes stale faster than the retry backoff
+    const data = await this.fetchWithRetry(url, 1);
+    
+    if (!data || !data.orderbook) {
+      throw new Error('Invalid Kalshi orderbook response');
+    }
+    
+    const book = this.normalizeOrderbook(data.orderbook);
+    this.logRequest('fetchOrderbook', url, book.bids.length + book.asks.length);
+    
+    return book;
+  }
+  
+  /**
+   * Convert a Kalshi orderbook to YES-side price levels
+   * Kalshi only lists bids: yes[] are YES bids and no[] are NO bids.
+   * A NO bid at p is equivalent to a YES ask at (1 - p).
+   * Levels are [priceCents, quantity] or, in *_dollars fields, ['0.4500', quantity].
+   * 
+   * @param {Object} rawBook Raw orderbook ({ yes, no, yes_dollars, no_dollars })
+   * @returns {Object} { bids: [{ price, size }], asks: [{ price, size }] }
+   */
+  normalizeOrderbook(rawBook = {}) {
+    const toLevels = (dollarLevels, centLevels) => {
+      if (Array.isArray(dollarLevels)) {
+        return dollarLevels.map(([price, size]) => ({ price: parseFloat(price), size: Number(size) }));
+      }
+      
+      return (Array.isArray(centLevels) ? centLevels : [])
+        .map(([price, size]) => ({ price: Number(price) / 100, size: Number(size) }));
+    };
+    
+    const yesBids = toLevels(rawBook.yes_dollars, rawBook.yes);
+    const noBids = toLevels(rawBook.no_dollars, rawBook.no);
+    
+    return {
+      bids: yesBids,
+      asks: noBids.map(level => ({ price: Math.round((1 - level.price) * 10000) / 10000, size: level.size }))
+    };
+  }
+  
   /**
    * Update health status
    * @param {string} status 'healthy' or 'degraded'
@@ -355,7 +860,7 @@ class KalshiFetcher {
     
     // Update cache manager's platform health if available
     if (this.cache && this.cache.updatePlatformHealth) {
-      this.cache.updatePlatformHealth('kalshi', status, error);
+      this.cache.updatePlatformHealth(this.name, status, error);
     }
   }
   
@@ -383,5 +888,7 @@ class KalshiFetcher {
   }
 }
 
+KalshiFetcher.FETCH_STRATEGIES = FETCH_STRATEGIES;
+
 // Export for use in server
 module.exports = KalshiFetcher;
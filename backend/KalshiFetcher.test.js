@@ -0,0 +1,392 @@
+/**
+ * Unit Tests for KalshiFetcher
+ * Tests event/series loading, grouping sibling markets into multi-outcome
+ * markets, and RSA-PSS request signing against a local stub server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const KalshiFetcher = require('./KalshiFetcher');
+const MarketSchema = require('./MarketSchema');
+
+describe('KalshiFetcher', () => {
+  let fetcher;
+  let schema;
+
+  const bracket = (ticker, name, fields = {}) => ({
+    ticker,
+    event_ticker: 'KXFEDDECISION-26DEC',
+    yes_sub_title: name,
+    status: 'active',
+    yes_ask: 30,
+    volume: 1000,
+    open_interest: 200,
+    open_time: '2026-01-01T00:00:00Z',
+    close_time: '2030-12-16T19:00:00Z',
+    ...fields
+  });
+
+  const fedEvent = {
+    event_ticker: 'KXFEDDECISION-26DEC',
+    series_ticker: 'KXFEDDECISION',
+    title: 'Fed decision in December 2026?',
+    mutually_exclusive: true,
+    markets: [
+      bracket('KXFEDDECISION-26DEC-C25', 'Cut 25bps', { yes_ask: 55 }),
+      bracket('KXFEDDECISION-26DEC-H0', 'No change', { yes_ask: 38 }),
+      bracket('KXFEDDECISION-26DEC-C50', 'Cut >25bps', { yes_ask: 0, last_price: 9 })
+    ]
+  };
+
+  const ladderEvent = {
+    event_ticker: 'KXBTC-26DEC31',
+    series_ticker: 'KXBTC',
+    title: 'Bitcoin price at end of 2026',
+    mutually_exclusive: false,
+    markets: [
+      { ticker: 'KXBTC-26DEC31-T150000', title: 'Bitcoin above $150,000?', status: 'active', yes_ask: 40, no_ask: 61 },
+      { ticker: 'KXBTC-26DEC31-T200000', title: 'Bitcoin above $200,000?', status: 'active', yes_ask: 12, no_ask: 89 }
+    ]
+  };
+
+  const seriesIndex = new Map([
+    ['KXFEDDECISION', { ticker: 'KXFEDDECISION', category: 'Economics' }],
+    ['KXBTC', { ticker: 'KXBTC', category: 'Crypto' }]
+  ]);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetcher = new KalshiFetcher('https://kalshi.test/trade-api/v2');
+    schema = new MarketSchema();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Grouping', () => {
+    test('should group mutually exclusive events and keep ladders binary', () => {
+      const items = fetcher.groupEventMarkets([fedEvent, ladderEvent], seriesIndex);
+
+      expect(items).toHaveLength(3);
+      expect(fetcher.isEvent(items[0])).toBe(true);
+      expect(items[0].series.category).toBe('Economics');
+      expect(items.slice(1).map(item => [item.ticker, item.category])).toEqual([
+        ['KXBTC-26DEC31-T150000', 'Crypto'],
+        ['KXBTC-26DEC31-T200000', 'Crypto']
+      ]);
+    });
+
+    test('should normalize a grouped event into one multi-outcome market', () => {
+      const [item] = fetcher.groupEventMarkets([fedEvent], seriesIndex);
+      const market = fetcher.normalizeMarket(item);
+
+      expect(schema.validate(market).errors).toEqual([]);
+      expect(market).toMatchObject({
+        id: 'kalshi-KXFEDDECISION-26DEC',
+        question: 'Fed decision in December 2026?',
+        category: 'Economics',
+        isMultiOutcome: true,
+        outcomeCount: 3,
+        volume_24h: 3000,
+        liquidity: 600,
+        endDate: '2030-12-16T19:00:00Z',
+        status: 'open'
+      });
+      expect(market.allOutcomes.map(o => [o.name, o.price, o.tokenId])).toEqual([
+        ['Cut 25bps', 0.55, 'KXFEDDECISION-26DEC-C25'],
+        ['No change', 0.38, 'KXFEDDECISION-26DEC-H0'],
+        ['Cut >25bps', 0.09, 'KXFEDDECISION-26DEC-C50']
+      ]);
+      expect(market.tokenIds).toHaveLength(3);
+    });
+
+    test('should settle the event on the sibling that resolved Yes', () => {
+      const settled = {
+        ...fedEvent,
+        markets: [
+          bracket('A', 'Cut 25bps', { status: 'settled', result: 'no' }),
+          bracket('B', 'No change', { status: 'settled', result: 'yes', settlement_ts: '2026-12-16T20:00:00Z' }),
+          bracket('C', 'Cut >25bps', { status: 'settled', result: 'no' })
+        ]
+      };
+
+      const market = fetcher.normalizeMarket(settled);
+
+      expect(market).toMatchObject({
+        status: 'resolved',
+        settlement: { outcome: 'No change', settledAt: '2026-12-16T20:00:00Z', source: 'kalshi' }
+      });
+      expect(market.allOutcomes[0]).toMatchObject({ name: 'No change', price: 1 });
+    });
+
+    test('should keep the event open while eliminated siblings settle No', () => {
+      const market = fetcher.normalizeMarket({
+        ...fedEvent,
+        markets: [bracket('A', 'Cut 25bps', { status: 'settled', result: 'no' }), ...fedEvent.markets.slice(1)]
+      });
+
+      expect(market.status).toBe('open');
+      expect(market.allOutcomes.find(o => o.name === 'Cut 25bps').price).toBe(0);
+    });
+  });
+
+  describe('Fetching', () => {
+    test('should load events with nested markets and series', async () => {
+      const urls = [];
+      jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => {
+        urls.push(url);
+        return url.includes('/events')
+          ? { events: [fedEvent, ladderEvent] }
+          : { series: [...seriesIndex.values()] };
+      });
+
+      const markets = (await fetcher.fetchMarkets({ status: 'open', limit: 500 }))
+        .map(raw => fetcher.normalizeMarket(raw));
+
+      expect(urls[0]).toContain('/events?');
+      expect(urls[0]).toContain('with_nested_markets=true');
+      expect(urls[0]).toContain('limit=200');
+      expect(markets.map(m => [m.id, m.marketType])).toEqual([
+        ['kalshi-KXFEDDECISION-26DEC', 'multi-outcome'],
+        ['kalshi-KXBTC-26DEC31-T150000', 'binary'],
+        ['kalshi-KXBTC-26DEC31-T200000', 'binary']
+      ]);
+      expect(markets[1].category).toBe('Crypto');
+    });
+
+    test('should fall back to flat markets and survive missing series', async () => {
+      jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => {
+        if (url.includes('/series')) throw new Error('HTTP Error Status: 503');
+        return url.includes('/events') ? { events: [fedEvent] } : { markets: ladderEvent.markets };
+      });
+
+      expect(await fetcher.fetchMarkets({ groupEvents: false })).toHaveLength(2);
+
+      const [event] = await fetcher.fetchMarkets();
+      expect(event.series).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Series unavailable'), expect.any(String));
+    });
+
+    test('should refresh a grouped market as its whole event', async () => {
+      const urls = [];
+      jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => {
+        urls.push(url);
+        if (url.includes('/series')) return { series: [...seriesIndex.values()] };
+        return url.includes('/events/') ? { event: fedEvent } : { market: ladderEvent.markets[0] };
+      });
+
+      const grouped = fetcher.normalizeMarket(fetcher.groupEventMarkets([fedEvent], seriesIndex)[0]);
+      const refreshed = fetcher.normalizeMarket(await fetcher.refreshMarket(grouped));
+      expect(urls[0]).toContain('/events/KXFEDDECISION-26DEC?with_nested_markets=true');
+      expect(refreshed).toMatchObject({ id: grouped.id, marketType: 'multi-outcome', outcomeCount: 3 });
+
+      const binary = fetcher.normalizeMarket({ ...ladderEvent.markets[0], category: 'Crypto' });
+      const raw = await fetcher.refreshMarket(binary);
+      expect(urls[urls.length - 1]).toContain('/markets/KXBTC-26DEC31-T150000');
+      expect(fetcher.normalizeMarket(raw)).toMatchObject({ id: binary.id, category: 'Crypto' });
+    });
+  });
+
+  describe('Pagination', () => {
+    // Serves `pages` as a cursor chain: page i links to page i + 1
+    const servePages = (field, pages) => jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => {
+      const cursor = new URL(url).searchParams.get('cursor');
+      const index = cursor ? Number(cursor.replace('page-', '')) : 0;
+      return { [field]: pages[index], cursor: index + 1 < pages.length ? `page-${index + 1}` : '' };
+    });
+
+    test('should follow the cursor until the last page', async () => {
+      const spy = servePages('markets', [ladderEvent.markets.slice(0, 1), ladderEvent.markets.slice(1), []]);
+
+      const markets = await fetcher.fetchMarkets({ groupEvents: false, strategy: 'FULL' });
+
+      expect(markets).toHaveLength(2);
+      expect(spy.mock.calls.map(([url]) => new URL(url).searchParams.get('cursor'))).toEqual([null, 'page-1', 'page-2']);
+      expect(fetcher.lastPagination).toMatchObject({ path: '/markets', pages: 3, complete: true });
+    });
+
+    test('should stop at the strategy page budget', async () => {
+      const pages = Array.from({ length: 8 }, (_, i) => [{ ...fedEvent, event_ticker: `EV-${i}` }]);
+      servePages('events', pages);
+
+      expect(await fetcher.fetchEvents({}, fetcher.getMaxPages('MINIMAL'))).toHaveLength(1);
+      expect(await fetcher.fetchEvents({}, fetcher.getMaxPages('SMART'))).toHaveLength(KalshiFetcher.FETCH_STRATEGIES.SMART);
+      expect(fetcher.lastPagination.complete).toBe(false);
+      expect(fetcher.getMaxPages('UNKNOWN')).toBe(KalshiFetcher.FETCH_STRATEGIES.SMART);
+    });
+
+    test('should only re-fetch changed markets between full refreshes', async () => {
+      let now = Date.parse('2026-06-01T12:00:00Z');
+      fetcher = new KalshiFetcher('https://kalshi.test/trade-api/v2', null, null, {
+        clock: () => now,
+        fullRefreshInterval: 10 * 60 * 1000
+      });
+      fetcher.seriesIndex = seriesIndex;
+      fetcher.seriesFetchedAt = Date.now();
+
+      const updates = [
+        bracket('KXFEDDECISION-26DEC-H0', 'No change', { yes_ask: 61 }),
+        { ticker: 'KXNEW-1', event_ticker: 'KXNEW', title: 'New market?', status: 'active', yes_ask: 20 },
+        { ticker: 'KXOLD-1', event_ticker: 'KXOLD', title: 'Old market?', status: 'settled', result: 'no' }
+      ];
+      const spy = jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => (
+        url.includes('/events') ? { events: [fedEvent], cursor: '' } : { markets: updates, cursor: '' }
+      ));
+
+      await fetcher.fetchMarkets();
+      now += 60 * 1000;
+      const items = await fetcher.fetchMarkets();
+
+      const incrementalUrl = new URL(spy.mock.calls[1][0]);
+      expect(incrementalUrl.pathname).toBe('/trade-api/v2/markets');
+      expect(incrementalUrl.searchParams.get('min_updated_ts')).toBe(String(Date.parse('2026-06-01T12:00:00Z') / 1000 - 60));
+
+      const [event, added] = items.map(item => fetcher.normalizeMarket(item));
+      expect(items).toHaveLength(2);
+      expect(event.allOutcomes.find(o => o.name === 'No change').price).toBe(0.61);
+      expect(event.outcomeCount).toBe(3);
+      expect(added.id).toBe('kalshi-KXNEW-1');
+
+      // Full refresh once the interval has passed
+      now += 10 * 60 * 1000;
+      await fetcher.fetchMarkets();
+      expect(spy.mock.calls[2][0]).toContain('/events?');
+    });
+
+    test('should not advance the sync time past an incremental refresh cut short by the page budget', async () => {
+      let now = Date.parse('2026-06-01T12:00:00Z');
+      fetcher = new KalshiFetcher('https://kalshi.test/trade-api/v2', null, null, {
+        clock: () => now,
+        fullRefreshInterval: 10 * 60 * 1000
+      });
+      fetcher.seriesIndex = seriesIndex;
+      fetcher.seriesFetchedAt = Date.now();
+
+      const spy = jest.spyOn(fetcher, 'fetchWithRetry').mockImplementation(async (url) => (
+        url.includes('/events') ? { events: [fedEvent], cursor: '' } : { markets: [], cursor: 'more' }
+      ));
+
+      await fetcher.fetchGroupedMarkets({}, { maxPages: 1 });
+      const syncedAt = fetcher.snapshot.syncedAt;
+      now += 60 * 1000;
+      await fetcher.fetchGroupedMarkets({}, { maxPages: 1 });
+
+      expect(spy.mock.calls[1][0]).toContain('/markets?');
+      expect(fetcher.lastPagination.complete).toBe(false);
+      expect(fetcher.snapshot.syncedAt).toBe(syncedAt);
+
+      // The next fetch rebuilds the snapshot
+      now += 60 * 1000;
+      await fetcher.fetchGroupedMarkets({}, { maxPages: 1 });
+      expect(spy.mock.calls[2][0]).toContain('/events?');
+      expect(fetcher.snapshot.syncedAt).toBe(now);
+    });
+  });
+
+  describe('Request signing', () => {
+    const KEY_ID = 'a952bcbe-ec3b-4b5b-b8f9-11dae589608c';
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const privatePem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    let server;
+    let baseUrl;
+    let received;
+
+    // Stub Kalshi: verifies the signature and a +/-5s timestamp window on portfolio routes
+    const verify = (req) => {
+      const timestamp = req.headers['kalshi-access-timestamp'];
+      const signature = req.headers['kalshi-access-signature'];
+      if (req.headers['kalshi-access-key'] !== KEY_ID || !timestamp || !signature) return 'missing headers';
+      if (Math.abs(Number(timestamp) - Date.now()) > 5000) return 'timestamp outside window';
+
+      const message = `${timestamp}${req.method}${new URL(req.url, baseUrl).pathname}`;
+      const valid = crypto.verify('sha256', Buffer.from(message), {
+        key: publicKey,
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+      }, Buffer.from(signature, 'base64'));
+      return valid ? null : 'bad signature';
+    };
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const error = req.url.startsWith('/trade-api/v2/portfolio') ? verify(req) : null;
+        received.push({ url: req.url, headers: req.headers, error });
+
+        res.writeHead(error ? 401 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(error ? { error: { code: 'unauthorized', message: error } } : { balance: 12345 }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections(); // Fetchers keep pooled keep-alive sockets open
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      received = [];
+    });
+
+    test('should sign requests the server can verify', async () => {
+      const signed = new KalshiFetcher(`${baseUrl}/trade-api/v2`, KEY_ID, null, { privateKey: privatePem });
+
+      await expect(signed.fetchBalance()).resolves.toEqual({ balance: 12345 });
+      expect(received[0].error).toBeNull();
+
+      // The query string is not part of the signed path
+      await signed.fetchWithRetry(`${baseUrl}/trade-api/v2/portfolio/orders?limit=5`, 1);
+      expect(received[1].error).toBeNull();
+    });
+
+    test('should load the key from a PEM file', async () => {
+      const keyPath = path.join(os.tmpdir(), `kalshi-test-${process.pid}.pem`);
+      fs.writeFileSync(keyPath, privatePem);
+
+      try {
+        const signed = new KalshiFetcher(`${baseUrl}/trade-api/v2`, KEY_ID, null, { privateKeyPath: keyPath });
+        await expect(signed.fetchBalance()).resolves.toEqual({ balance: 12345 });
+      } finally {
+        fs.unlinkSync(keyPath);
+      }
+    });
+
+    test('should correct for a skewed local clock', async () => {
+      const skewed = new KalshiFetcher(`${baseUrl}/trade-api/v2`, KEY_ID, null, {
+        privateKey: privatePem,
+        clock: () => Date.now() - 10 * 60 * 1000
+      });
+
+      await expect(skewed.fetchBalance()).resolves.toEqual({ balance: 12345 });
+      expect(received.map(r => r.error)).toEqual(['timestamp outside window', null]);
+      expect(skewed.clockSkew).toBeGreaterThan(9 * 60 * 1000);
+    });
+
+    test('should send unsigned requests without credentials', async () => {
+      const unsigned = new KalshiFetcher(`${baseUrl}/trade-api/v2`);
+
+      await expect(unsigned.fetchBalance()).rejects.toThrow('require KALSHI_API_KEY');
+      await unsigned.fetchWithRetry(`${baseUrl}/trade-api/v2/markets`, 1);
+      expect(received[0].headers['kalshi-access-signature']).toBeUndefined();
+    });
+
+    test('should reject a wrong key and unreadable key material', async () => {
+      const other = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+      const wrongKey = new KalshiFetcher(`${baseUrl}/trade-api/v2`, KEY_ID, null, { privateKey: other });
+
+      await expect(wrongKey.fetchBalance()).rejects.toThrow('HTTP Error Status: 401');
+      expect(received[0].error).toBe('bad signature');
+
+      const broken = new KalshiFetcher(`${baseUrl}/trade-api/v2`, KEY_ID, null, { privateKey: 'not a pem' });
+      await expect(broken.authenticate()).rejects.toThrow();
+      expect(broken.getHealthStatus().status).toBe('degraded');
+    });
+  });
+});
@@ -5,28 +5,39 @@
  * from multiple prediction market platforms (Polymarket, Kalshi).
  * 
  * Key responsibilities:
- * 1. Parallel data fetching from multiple platforms
+ * 1. Parallel data fetching from every platform in the PlatformRegistry
  * 2. Market matching using MarketMatchingEngine
  * 3. Combined metrics calculation (volume, liquidity score)
- * 4. Arbitrage detection
+ * 4. Arbitrage detection (binary pairs and multi-outcome Dutch books)
+ * 5. Net-of-fee routing recommendations (FeeModel)
+ * 6. Graceful degradation: a failing platform contributes its last-known-good
+ *    markets, and unified markets built from it are flagged stale
  * 
  * Requirements: 1.1, 1.2, 1.3, 3.1, 3.2, 3.3, 3.5, 14.1-14.5
  */
 
 const MarketMatchingEngine = require('./MarketMatchingEngine');
 const ArbitrageDetector = require('./ArbitrageDetector');
+const FeeModel = require('./FeeModel');
+const MarketLifecycle = require('./MarketLifecycle');
+const MarketSchema = require('./MarketSchema');
 
 class MarketAggregator {
-  constructor(polymarketFetcher, kalshiFetcher, cacheManager) {
-    this.polymarketFetcher = polymarketFetcher;
-    this.kalshiFetcher = kalshiFetcher;
+  constructor(platformRegistry, cacheManager, matchOverrides = null) {
+    this.registry = platformRegistry;
     this.cache = cacheManager;
-    this.matchingEngine = new MarketMatchingEngine();
+    this.matchingEngine = new MarketMatchingEngine({ overrides: matchOverrides });
+    this.feeModel = new FeeModel();
+    this.lifecycle = new MarketLifecycle();
+    this.schema = new MarketSchema({ lifecycle: this.lifecycle });
     this.arbitrageDetector = new ArbitrageDetector({
-      minProfitThreshold: 2.0,  // 2% minimum profit
-      maxCombinedPrice: 0.95     // Account for fees
+      minProfitThreshold: 2.0,  // 2% minimum profit after fees
+      feeModel: this.feeModel
     });
     
+    // Last successful fetch per platform { 'kalshi': { markets, fetchedAt } }
+    this.lastKnownGood = {};
+    
     // Performance tracking
     this.performanceMetrics = {
       lastFetchDuration: 0,
@@ -35,7 +46,7 @@ class MarketAggregator {
       totalMatches: 0
     };
     
-    console.log('[MarketAggregator] Initialized with Polymarket and Kalshi fetchers');
+    console.log(`[MarketAggregator] Initialized with platforms: ${this.registry.names().join(', ')}`);
   }
   
   // ====================================================================
@@ -43,51 +54,55 @@ class MarketAggregator {
   // ====================================================================
   
   /**
-   * Fetch markets from all platforms in parallel using Promise.allSettled()
+   * Fetch markets from all registered platforms in parallel using Promise.allSettled()
    * Handles partial failures gracefully - continues with available platforms
    * 
    * @param {Object} options Fetch options (category, limit, etc.)
-   * @returns {Promise<Object>} Object with markets from each platform
+   * @returns {Promise<Object>} Object keyed by platform name with normalized markets,
+   *   plus totalMarkets and fetchDuration
    */
   async fetchAllPlatforms(options = {}) {
     const startTime = Date.now();
-    console.log('[MarketAggregator] Fetching from all platforms in parallel...');
+    const platformNames = this.registry.names();
+    console.log(`[MarketAggregator] Fetching from ${platformNames.length} platforms in parallel...`);
     
     try {
-      // Fetch from both platforms in parallel using Promise.allSettled
+      // Fetch from every platform in parallel using Promise.allSettled
       // This ensures we get results from successful platforms even if one fails
-      const results = await Promise.allSettled([
-        this.fetchPolymarketMarkets(options),
-        this.fetchKalshiMarkets(options)
-      ]);
-      
-      // Extract results and handle failures
-      const polymarketResult = results[0];
-      const kalshiResult = results[1];
-      
-      // Process Polymarket results
-      let polymarketMarkets = [];
-      if (polymarketResult.status === 'fulfilled') {
-        polymarketMarkets = polymarketResult.value || [];
-        console.log(`[MarketAggregator] ✓ Polymarket: ${polymarketMarkets.length} markets`);
-      } else {
-        console.error(`[MarketAggregator] ✗ Polymarket failed:`, polymarketResult.reason?.message);
-        this.cache.updatePlatformHealth('polymarket', 'degraded', polymarketResult.reason);
-      }
+      const results = await Promise.allSettled(
+        platformNames.map(name => this.fetchPlatformMarkets(name, options))
+      );
       
-      // Process Kalshi results
-      let kalshiMarkets = [];
-      if (kalshiResult.status === 'fulfilled') {
-        kalshiMarkets = kalshiResult.value || [];
-        console.log(`[MarketAggregator] ✓ Kalshi: ${kalshiMarkets.length} markets`);
-      } else {
-        console.error(`[MarketAggregator] ✗ Kalshi failed:`, kalshiResult.reason?.message);
-        this.cache.updatePlatformHealth('kalshi', 'degraded', kalshiResult.reason);
-      }
+      const platformMarkets = {};
+      let totalMarkets = 0;
+      
+      results.forEach((result, index) => {
+        const name = platformNames[index];
+        
+        if (result.status === 'fulfilled') {
+          platformMarkets[name] = result.value || [];
+          totalMarkets += platformMarkets[name].length;
+          console.log(`[MarketAggregator] ✓ ${name}: ${platformMarkets[name].length} markets`);
+        } else {
+          console.error(`[MarketAggregator] ✗ ${name} failed:`, result.reason?.message);
+          this.cache.updatePlatformHealth(name, 'degraded', result.reason);
+          
+          // Fall back to the last successful fetch (flagged stale by markStale)
+          const fallback = this.lastKnownGood[name];
+          platformMarkets[name] = fallback ? fallback.markets : [];
+          totalMarkets += platformMarkets[name].length;
+          
+          if (fallback) {
+            console.warn(`[MarketAggregator] Serving ${fallback.markets.length} last-known-good ${name} markets (${Math.round((Date.now() - fallback.fetchedAt) / 1000)}s old)`);
+          }
+        }
+      });
       
       // Check if we have data from at least one platform
-      if (polymarketMarkets.length === 0 && kalshiMarkets.length === 0) {
-        throw new Error('All platforms unavailable - no market data retrieved');
+      if (totalMarkets === 0) {
+        const error = new Error('All platforms unavailable - no market data retrieved');
+        error.code = 'PLATFORMS_UNAVAILABLE';
+        throw error;
       }
       
       // Log performance metrics
@@ -96,12 +111,11 @@ class MarketAggregator {
       this.performanceMetrics.totalFetches++;
       
       console.log(`[MarketAggregator] Fetch complete in ${duration}ms`);
-      console.log(`[MarketAggregator] Total markets: ${polymarketMarkets.length + kalshiMarkets.length}`);
+      console.log(`[MarketAggregator] Total markets: ${totalMarkets}`);
       
       return {
-        polymarket: polymarketMarkets,
-        kalshi: kalshiMarkets,
-        totalMarkets: polymarketMarkets.length + kalshiMarkets.length,
+        ...platformMarkets,
+        totalMarkets,
         fetchDuration: duration
       };
       
@@ -112,69 +126,68 @@ class MarketAggregator {
   }
   
   /**
-   * Fetch markets from Polymarket
+   * Fetch and normalize markets from a single registered platform
    * 
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @param {Object} options Fetch options
-   * @returns {Promise<Array>} Array of normalized Polymarket markets
+   * @returns {Promise<Array>} Array of normalized markets
    */
-  async fetchPolymarketMarkets(options = {}) {
+  async fetchPlatformMarkets(platform, options = {}) {
     try {
-      console.log('[MarketAggregator] Fetching Polymarket markets...');
+      console.log(`[MarketAggregator] Fetching ${platform} markets...`);
       
-      if (!this.polymarketFetcher) {
-        console.warn('[MarketAggregator] Polymarket fetcher not available');
+      const adapter = this.registry.get(platform);
+      if (!adapter) {
+        console.warn(`[MarketAggregator] ${platform} adapter not registered`);
         return [];
       }
       
-      // Fetch raw markets from Polymarket
-      const rawMarkets = await this.polymarketFetcher.fetchMarkets(options);
+      // Fetch raw markets from the platform
+      const rawMarkets = await adapter.fetchMarkets(options);
       
-      // Normalize markets to unified schema
-      const normalizedMarkets = rawMarkets
-        .map(market => this.polymarketFetcher.normalizeMarket(market))
-        .filter(Boolean); // Remove any null results
+      // Normalize markets and drop any that do not satisfy the schema
+      const normalizedMarkets = this.schema.filterValid(
+        (rawMarkets || []).map(market => adapter.normalizeMarket(market)),
+        platform
+      );
+      
+      console.log(`[MarketAggregator] Normalized ${normalizedMarkets.length} ${platform} markets`);
       
-      console.log(`[MarketAggregator] Normalized ${normalizedMarkets.length} Polymarket markets`);
+      this.lastKnownGood[platform] = { markets: normalizedMarkets, fetchedAt: Date.now() };
       
       return normalizedMarkets;
       
     } catch (error) {
-      console.error('[MarketAggregator] Polymarket fetch failed:', error.message);
+      console.error(`[MarketAggregator] ${platform} fetch failed:`, error.message);
       throw error;
     }
   }
   
   /**
-   * Fetch markets from Kalshi
+   * Re-fetch and normalize a single platform market (PollingService refreshes)
+   * Adapters may implement refreshMarket(market) when a normalized market is
+   * not a single venue market (Kalshi grouped events); otherwise the venue ID
+   * is the normalized id without the adapter's idPrefix ('<platform>-' by default).
    * 
-   * @param {Object} options Fetch options
-   * @returns {Promise<Array>} Array of normalized Kalshi markets
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
+   * @param {Object} market Current normalized market
+   * @returns {Promise<Object|null>} Normalized market, or null if it fails the schema
    */
-  async fetchKalshiMarkets(options = {}) {
-    try {
-      console.log('[MarketAggregator] Fetching Kalshi markets...');
-      
-      if (!this.kalshiFetcher) {
-        console.warn('[MarketAggregator] Kalshi fetcher not available');
-        return [];
-      }
-      
-      // Fetch raw markets from Kalshi
-      const rawMarkets = await this.kalshiFetcher.fetchMarkets(options);
-      
-      // Normalize markets to unified schema
-      const normalizedMarkets = rawMarkets
-        .map(market => this.kalshiFetcher.normalizeMarket(market))
-        .filter(Boolean); // Remove any null results
-      
-      console.log(`[MarketAggregator] Normalized ${normalizedMarkets.length} Kalshi markets`);
-      
-      return normalizedMarkets;
-      
-    } catch (error) {
-      console.error('[MarketAggregator] Kalshi fetch failed:', error.message);
-      throw error;
+  async fetchPlatformMarket(platform, market) {
+    const adapter = this.registry.get(platform);
+    if (!adapter) {
+      return null;
     }
+    
+    const prefix = adapter.idPrefix || `${platform}-`;
+    const id = String(market.id);
+    
+    const raw = typeof adapter.refreshMarket === 'function'
+      ? await adapter.refreshMarket(market)
+      : await adapter.fetchMarketDetails(id.startsWith(prefix) ? id.slice(prefix.length) : id);
+    
+    const [normalized] = this.schema.filterValid([raw ? adapter.normalizeMarket(raw) : null], platform);
+    return normalized || null;
   }
   
   // ====================================================================
@@ -192,11 +205,9 @@ class MarketAggregator {
     console.log('[MarketAggregator] Combining and matching markets...');
     
     try {
-      // Combine all markets into a single array
-      const allMarkets = [
-        ...(platformMarkets.polymarket || []),
-        ...(platformMarkets.kalshi || [])
-      ];
+      // Combine all registered platforms' markets into a single array
+      const allMarkets = this.registry.names()
+        .flatMap(name => platformMarkets[name] || []);
       
       if (allMarkets.length === 0) {
         console.warn('[MarketAggregator] No markets to combine');
@@ -250,6 +261,9 @@ class MarketAggregator {
     // Calculate liquidity score (1-5 stars)
     const liquidity_score = this.calculateLiquidityScore(unifiedMarket);
     
+    // Most active lifecycle status across platforms
+    const status = this.lifecycle.currentStatus(unifiedMarket);
+    
     // Detect arbitrage opportunities
     const arbitrage = this.detectArbitrage(unifiedMarket);
     
@@ -261,6 +275,7 @@ class MarketAggregator {
       combined_volume,
       best_price,
       liquidity_score,
+      status,
       arbitrage,
       routing_recommendations
     };
@@ -378,12 +393,25 @@ class MarketAggregator {
   /**
    * Detect arbitrage opportunities across platforms
    * Uses the ArbitrageDetector class for detection and instruction generation
+   * Multi-outcome markets are checked for a Dutch book across their platforms
    * 
    * @param {Object} unifiedMarket Unified market object
+   * @param {Object} orderbooks Optional normalized books by platform for depth-aware sizing (both kinds)
    * @returns {Object|null} Arbitrage info with instructions or null if no opportunity
    */
-  detectArbitrage(unifiedMarket) {
+  detectArbitrage(unifiedMarket, orderbooks = null) {
     try {
+      const platformMarkets = Object.values(unifiedMarket.platforms || {});
+      const multiOutcome = platformMarkets.find(market => this.isMultiOutcome(market));
+      
+      if (multiOutcome) {
+        const outcomeSet = this.arbitrageDetector.buildOutcomeSet(multiOutcome, platformMarkets);
+        return this.arbitrageDetector.generateDutchBookInstructions(
+          this.arbitrageDetector.detectDutchBook(outcomeSet),
+          orderbooks
+        );
+      }
+      
       // Use ArbitrageDetector to detect opportunity
       const arbitrageData = this.arbitrageDetector.detectArbitrage(unifiedMarket);
       
@@ -392,7 +420,7 @@ class MarketAggregator {
       }
       
       // Generate human-readable instructions
-      const instructions = this.arbitrageDetector.generateInstructions(arbitrageData, unifiedMarket);
+      const instructions = this.arbitrageDetector.generateInstructions(arbitrageData, unifiedMarket, orderbooks);
       
       return instructions;
       
@@ -409,6 +437,7 @@ class MarketAggregator {
   /**
    * Calculate execution score for a platform
    * Formula: (price_quality × 0.5) + (spread_quality × 0.3) + (liquidity_quality × 0.2)
+   * Price quality uses the net price after the platform's fees
    * 
    * @param {Object} platformData Platform market data
    * @param {string} side 'buy' or 'sell'
@@ -431,9 +460,9 @@ class MarketAggregator {
       }
       
       // 1. Price Quality (0-1 scale)
-      // For buying: lower price is better
-      // For selling: higher price is better
-      const price = outcomeData.price;
+      // For buying: lower net price (price + fees) is better
+      // For selling: higher net price (price - fees) is better
+      const price = this.getNetPrice(platformData.platform, outcomeData.price, side);
       const priceQuality = side === 'buy' 
         ? (1 - price)  // Lower price = higher quality for buying
         : price;        // Higher price = higher quality for selling
@@ -460,6 +489,19 @@ class MarketAggregator {
     }
   }
   
+  /**
+   * Price per contract after the platform's fees (clamped to 0-1)
+   * 
+   * @param {string} platform Platform name
+   * @param {number} price Quoted price (0.00-1.00)
+   * @param {string} side 'buy' or 'sell'
+   * @returns {number} Net price per contract
+   */
+  getNetPrice(platform, price, side) {
+    const netPrice = this.feeModel.effectivePrice(platform, price, { side });
+    return Math.max(0, Math.min(1, netPrice));
+  }
+  
   /**
    * Determine best platform for buying or selling
    * 
@@ -484,15 +526,20 @@ class MarketAggregator {
         const liquidity = platformData.liquidity || 0;
         const hasSufficientLiquidity = liquidity >= 1000; // $1k minimum
         
+        const price = platformData.outcomes?.find(o => 
+          o.name.toLowerCase() === outcome.toLowerCase()
+        )?.price || 0;
+        const netPrice = this.getNetPrice(platformName, price, side);
+        
         return {
           platform: platformName,
           score,
           liquidity,
           hasSufficientLiquidity,
           spread: platformData.spread || 0,
-          price: platformData.outcomes?.find(o => 
-            o.name.toLowerCase() === outcome.toLowerCase()
-          )?.price || 0
+          price,
+          netPrice,
+          feePerContract: Math.abs(netPrice - price)
         };
       });
       
@@ -516,9 +563,9 @@ class MarketAggregator {
       // Generate reason
       let reason = '';
       if (side === 'buy') {
-        reason = `Best price (${(best.price * 100).toFixed(1)}¢) with good liquidity`;
+        reason = `Best net price (${(best.netPrice * 100).toFixed(1)}¢ after fees) with good liquidity`;
       } else {
-        reason = `Best selling price (${(best.price * 100).toFixed(1)}¢) with good liquidity`;
+        reason = `Best net selling price (${(best.netPrice * 100).toFixed(1)}¢ after fees) with good liquidity`;
       }
       
       if (best.spread < 0.05) {
@@ -530,6 +577,8 @@ class MarketAggregator {
         score: best.score,
         reason,
         price: best.price,
+        netPrice: best.netPrice,
+        feePerContract: best.feePerContract,
         liquidity: best.liquidity,
         spread: best.spread
       };
@@ -593,7 +642,7 @@ class MarketAggregator {
           : allCached;
         
         if (filtered.length > 0) {
-          return filtered;
+          return this.markStale(filtered);
         }
       }
       
@@ -615,7 +664,7 @@ class MarketAggregator {
         this.cache.setUnifiedMarket(market.unified_id, market);
       });
       
-      return filtered;
+      return this.markStale(filtered);
       
     } catch (error) {
       console.error(`[MarketAggregator] Error getting unified markets for ${category}:`, error.message);
@@ -628,6 +677,7 @@ class MarketAggregator {
    * 
    * @param {string} unifiedId Unified market ID
    * @returns {Promise<Object>} Unified market with full details
+   * @throws {Error} code MARKET_NOT_FOUND for unknown IDs, PLATFORMS_UNAVAILABLE without data
    */
   async getUnifiedMarketDetails(unifiedId) {
     try {
@@ -640,7 +690,9 @@ class MarketAggregator {
       const market = allMarkets.find(m => m.unified_id === unifiedId);
       
       if (!market) {
-        throw new Error(`Unified market not found: ${unifiedId}`);
+        const error = new Error(`Unified market not found: ${unifiedId}`);
+        error.code = 'MARKET_NOT_FOUND';
+        throw error;
       }
       
       return market;
@@ -683,6 +735,142 @@ class MarketAggregator {
     }
   }
   
+  /**
+   * Whether a platform market lists more than two mutually exclusive outcomes
+   * 
+   * @param {Object} market Normalized platform market
+   * @returns {boolean} True for multi-outcome markets
+   */
+  isMultiOutcome(market) {
+    return Boolean(market) && (market.allOutcomes || market.outcomes || []).length > 2;
+  }
+  
+  /**
+   * Find Dutch books across multi-outcome markets
+   * Each multi-outcome market is priced against every other venue's listing of
+   * the same event, including binary "Will <candidate> win?" markets that were
+   * not matched into the same unified market. Those are looked up through the
+   * matching engine's blocking index instead of comparing every pair.
+   * 
+   * @returns {Promise<Array>} Unified markets with Dutch book arbitrage, best first
+   */
+  async findMultiOutcomeArbitrage() {
+    try {
+      console.log('[MarketAggregator] Finding multi-outcome arbitrage opportunities...');
+      
+      const allMarkets = await this.getUnifiedMarkets('all');
+      
+      const platformMarkets = allMarkets.flatMap(unified => Object.values(unified.platforms || {}).filter(Boolean));
+      const related = this.matchingEngine.findCandidateMarkets(platformMarkets, market => this.isMultiOutcome(market));
+      
+      const opportunities = [];
+      
+      for (const unified of allMarkets) {
+        const matched = Object.values(unified.platforms || {});
+        const multiOutcome = matched.find(market => this.isMultiOutcome(market));
+        if (!multiOutcome) continue;
+        
+        const relatedMarkets = new Set([...matched, ...(related.get(multiOutcome) || [])]);
+        const outcomeSet = this.arbitrageDetector.buildOutcomeSet(multiOutcome, [...relatedMarkets]);
+        const arbitrage = this.arbitrageDetector.generateDutchBookInstructions(
+          this.arbitrageDetector.detectDutchBook(outcomeSet)
+        );
+        
+        if (arbitrage) {
+          opportunities.push({ ...unified, arbitrage });
+        }
+      }
+      
+      opportunities.sort((a, b) => b.arbitrage.profitPct - a.arbitrage.profitPct);
+      
+      console.log(`[MarketAggregator] Found ${opportunities.length} multi-outcome arbitrage opportunities`);
+      
+      return opportunities;
+      
+    } catch (error) {
+      console.error('[MarketAggregator] Error finding multi-outcome arbitrage:', error.message);
+      throw error;
+    }
+  }
+  
+  // ====================================================================
+  // GRACEFUL DEGRADATION
+  // ====================================================================
+  
+  /**
+   * Seed a platform's last-known-good markets (e.g. from MarketStore on boot)
+   * Ignored once a live fetch has succeeded.
+   * 
+   * @param {string} platform Platform name
+   * @param {Array} markets Normalized markets
+   * @param {number} fetchedAt Time the markets were fetched (ms)
+   */
+  restoreLastKnownGood(platform, markets, fetchedAt) {
+    if (this.lastKnownGood[platform] || !Array.isArray(markets) || markets.length === 0) {
+      return;
+    }
+    
+    this.lastKnownGood[platform] = { markets, fetchedAt };
+    console.log(`[MarketAggregator] Restored ${markets.length} last-known-good ${platform} markets`);
+  }
+  
+  /**
+   * Platforms whose data is currently stale
+   * A platform is stale while its health is 'degraded' (last fetch failed or
+   * no success within the cache's health timeout); its age is measured from the last
+   * successful fetch.
+   * 
+   * @returns {Object} { platform: { since, ageMs } }
+   */
+  getStalePlatforms() {
+    const now = Date.now();
+    const stale = {};
+    
+    for (const [platform, health] of Object.entries(this.cache.getAllPlatformHealth())) {
+      if (!health || health.status !== 'degraded') continue;
+      
+      const since = health.lastSuccessfulFetch || (this.lastKnownGood[platform] || {}).fetchedAt || null;
+      stale[platform] = { since, ageMs: since ? now - since : null };
+    }
+    
+    return stale;
+  }
+  
+  /**
+   * Flag unified markets that include data from a stale platform
+   * Flagged markets are copies carrying stale: true, stalePlatforms and
+   * dataAgeMs (age of the oldest stale platform data); cached objects are
+   * never modified. Normalized markets are flagged by their own platform.
+   * 
+   * @param {Array} markets Unified or normalized markets
+   * @returns {Array} Markets with stale ones flagged
+   */
+  markStale(markets) {
+    const stalePlatforms = this.getStalePlatforms();
+    
+    if (Object.keys(stalePlatforms).length === 0) {
+      return markets;
+    }
+    
+    return markets.map(market => {
+      const platforms = (market.platforms ? Object.keys(market.platforms) : [market.platform])
+        .filter(name => stalePlatforms[name]);
+      
+      if (platforms.length === 0) {
+        return market;
+      }
+      
+      const ages = platforms.map(name => stalePlatforms[name].ageMs).filter(age => age !== null);
+      
+      return {
+        ...market,
+        stale: true,
+        stalePlatforms: platforms,
+        dataAgeMs: ages.length > 0 ? Math.max(...ages) : null
+      };
+    });
+  }
+  
   /**
    * Get platform health status
    * 
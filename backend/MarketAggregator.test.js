@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for MarketAggregator
+ * Tests graceful degradation: last-known-good fallback (live or restored) and stale flagging
+ */
+
+const MarketAggregator = require('./MarketAggregator');
+const PlatformRegistry = require('./PlatformRegistry');
+const PolymarketFetcher = require('./PolymarketFetcher');
+const fixtures = require('./fixtures/polymarket-gamma-markets.json');
+
+describe('MarketAggregator', () => {
+  let cache;
+  let polymarket;
+  let aggregator;
+  let now;
+
+  // Minimal SmartCacheManager health tracking; unified cache always misses
+  const createCache = () => ({
+    platformHealth: {},
+    registerPlatform(platform) {
+      this.platformHealth[platform] = { status: 'unknown', lastSuccessfulFetch: null, lastError: null };
+    },
+    updatePlatformHealth(platform, status, error = null) {
+      const health = this.platformHealth[platform];
+      health.status = status;
+      if (status === 'healthy') health.lastSuccessfulFetch = Date.now();
+      if (error) health.lastError = error.message;
+    },
+    getAllPlatformHealth() {
+      return this.platformHealth;
+    },
+    getAllUnifiedMarkets: () => [],
+    setUnifiedMarket: () => {}
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    now = Date.parse('2026-06-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    cache = createCache();
+    polymarket = new PolymarketFetcher('https://gamma-api.polymarket.com', cache);
+    polymarket.fetchMarkets = jest.fn(async () => {
+      cache.updatePlatformHealth('polymarket', 'healthy');
+      return [fixtures.stringifiedBinary, fixtures.customOutcomeNames];
+    });
+
+    const registry = new PlatformRegistry(cache);
+    registry.register(polymarket);
+    aggregator = new MarketAggregator(registry, cache);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Graceful degradation', () => {
+    test('should not flag fresh data', async () => {
+      const markets = await aggregator.getUnifiedMarkets('all');
+
+      expect(markets).toHaveLength(2);
+      expect(markets.some(market => market.stale)).toBe(false);
+      expect(aggregator.getStalePlatforms()).toEqual({});
+    });
+
+    test('should serve last-known-good markets flagged stale with their age', async () => {
+      await aggregator.getUnifiedMarkets('all');
+
+      now += 90000;
+      polymarket.fetchMarkets.mockRejectedValue(new Error('HTTP Error Status: 503'));
+      const markets = await aggregator.getUnifiedMarkets('all');
+
+      expect(markets).toHaveLength(2);
+      expect(markets[0]).toMatchObject({ stale: true, stalePlatforms: ['polymarket'], dataAgeMs: 90000 });
+      expect(aggregator.getStalePlatforms()).toEqual({ polymarket: { since: now - 90000, ageMs: 90000 } });
+      expect(cache.platformHealth.polymarket).toMatchObject({ status: 'degraded', lastError: 'HTTP Error Status: 503' });
+    });
+
+    test('should clear the stale flag once the platform recovers', async () => {
+      await aggregator.getUnifiedMarkets('all');
+      polymarket.fetchMarkets.mockRejectedValueOnce(new Error('timeout'));
+      await aggregator.getUnifiedMarkets('all');
+
+      const markets = await aggregator.getUnifiedMarkets('all');
+
+      expect(markets.some(market => market.stale)).toBe(false);
+    });
+
+    test('should serve restored markets when the first fetch after a restart fails', async () => {
+      const restored = await polymarket.fetchMarkets().then(raw => raw.map(market => polymarket.normalizeMarket(market)));
+      aggregator.restoreLastKnownGood('polymarket', restored, now - 600000);
+      polymarket.fetchMarkets.mockRejectedValue(new Error('ECONNRESET'));
+
+      const markets = await aggregator.getUnifiedMarkets('all');
+
+      expect(markets).toHaveLength(2);
+      expect(markets[0]).toMatchObject({ stale: true, stalePlatforms: ['polymarket'] });
+    });
+
+    test('should flag normalized markets by their own platform', async () => {
+      await aggregator.getUnifiedMarkets('all');
+      now += 90000;
+      polymarket.fetchMarkets.mockRejectedValue(new Error('HTTP Error Status: 503'));
+      await aggregator.getUnifiedMarkets('all');
+
+      const [stale, fresh] = aggregator.markStale([
+        { id: 'poly-1', platform: 'polymarket' },
+        { id: 'kalshi-1', platform: 'kalshi' }
+      ]);
+
+      expect(stale).toMatchObject({ stale: true, stalePlatforms: ['polymarket'], dataAgeMs: 90000 });
+      expect(fresh.stale).toBeUndefined();
+    });
+
+    test('should report unavailable platforms when there is nothing to serve', async () => {
+      polymarket.fetchMarkets.mockRejectedValue(new Error('ECONNRESET'));
+
+      await expect(aggregator.getUnifiedMarkets('all')).rejects.toMatchObject({ code: 'PLATFORMS_UNAVAILABLE' });
+    });
+
+    test('should tell unknown markets apart from outages', async () => {
+      await expect(aggregator.getUnifiedMarketDetails('missing')).rejects.toMatchObject({ code: 'MARKET_NOT_FOUND' });
+
+      polymarket.fetchMarkets.mockRejectedValue(new Error('ECONNRESET'));
+      aggregator.lastKnownGood = {};
+      await expect(aggregator.getUnifiedMarketDetails('missing')).rejects.toMatchObject({ code: 'PLATFORMS_UNAVAILABLE' });
+    });
+  });
+
+  describe('Single market refresh', () => {
+    test('should strip the Polymarket id prefix before fetching market details', async () => {
+      expect(polymarket.refreshMarket).toBeUndefined();
+      polymarket.fetchMarketDetails = jest.fn(async () => ({ ...fixtures.stringifiedBinary, id: '123' }));
+
+      const market = await aggregator.fetchPlatformMarket('polymarket', { id: 'poly-123' });
+
+      expect(polymarket.fetchMarketDetails).toHaveBeenCalledWith('123');
+      expect(market).toMatchObject({ id: 'poly-123', platform: 'polymarket' });
+    });
+  });
+
+  describe('Multi-outcome arbitrage', () => {
+    const endDate = '2025-11-04T00:00:00Z';
+    const unified = (market) => ({ unified_id: market.id, platforms: { [market.platform]: market } });
+    const binary = (id, question, yes) => ({
+      id,
+      platform: 'kalshi',
+      question,
+      endDate,
+      outcomes: [{ name: 'Yes', price: yes }, { name: 'No', price: 1 - yes }]
+    });
+
+    test('should price multi-outcome markets against candidate binaries from other venues', async () => {
+      const election = {
+        id: 'poly-mayor',
+        platform: 'polymarket',
+        question: 'Who will win the 2025 NYC mayoral election?',
+        endDate,
+        isMultiOutcome: true,
+        allOutcomes: [
+          { name: 'Zohran Mamdani', price: 0.70 },
+          { name: 'Andrew Cuomo', price: 0.22 },
+          { name: 'Curtis Sliwa', price: 0.08 }
+        ]
+      };
+      const unrelated = binary('kalshi-BTC', 'Will Bitcoin reach $150,000 by December 2025?', 0.3);
+
+      aggregator.getUnifiedMarkets = jest.fn(async () => [
+        unified(election),
+        unified(binary('kalshi-MAMDANI', 'Will Zohran Mamdani win the NYC mayoral election?', 0.55)),
+        unified(unrelated)
+      ]);
+      const matchBinary = jest.spyOn(aggregator.arbitrageDetector, 'matchBinaryToOutcome');
+
+      const opportunities = await aggregator.findMultiOutcomeArbitrage();
+
+      expect(opportunities).toHaveLength(1);
+      expect(opportunities[0].arbitrage.legs.find(leg => leg.outcome === 'Zohran Mamdani')).toMatchObject({ platform: 'kalshi', marketId: 'kalshi-MAMDANI' });
+      expect(matchBinary.mock.calls.map(call => call[0].id)).toEqual(['kalshi-MAMDANI']);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * MarketFacets - Subcategory and tag facets for market listings
+ *
+ * Listing endpoints accept multi-select facet filters:
+ *
+ *   ?subcategory=NFL,NBA     market is in any of the subcategories
+ *   ?tag=Chiefs&tag=Bills    market carries any of the tags
+ *
+ * Values within a facet are OR-ed, facets are AND-ed. Counts are
+ * disjunctive: each facet is counted over the markets matching every other
+ * facet's selection, so selecting NFL still shows how many NBA markets there
+ * are. Works for normalized markets (tags) and unified markets (the union of
+ * their platform markets' tags).
+ */
+
+// Most tag values returned per listing (selected tags are always included)
+const MAX_TAG_FACETS = 30;
+
+const FACETS = ['subcategory', 'tag'];
+
+class MarketFacets {
+  /**
+   * @param {Object} options Facet options
+   * @param {number} options.maxTags Most tag values returned (default 30)
+   */
+  constructor(options = {}) {
+    this.maxTags = options.maxTags || MAX_TAG_FACETS;
+  }
+
+  /**
+   * Read facet selections from a query string
+   * @param {Object} query Express query ({ subcategory, tag }, comma-separated or repeated)
+   * @returns {Object} { subcategory: [], tag: [] } values as given, deduped case-insensitively
+   */
+  parseFilters(query = {}) {
+    const filters = {};
+
+    for (const facet of FACETS) {
+      const values = [].concat(query[facet] || [])
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+      filters[facet] = [...new Map(values.reverse().map(value => [value.toLowerCase(), value])).values()].reverse();
+    }
+
+    return filters;
+  }
+
+  /**
+   * Facet values of a market
+   * @param {Object} market Normalized or unified market
+   * @param {string} facet 'subcategory' or 'tag'
+   * @returns {Array<string>} Values as displayed
+   */
+  valuesOf(market, facet) {
+    if (facet === 'subcategory') {
+      return market.subcategory ? [market.subcategory] : [];
+    }
+
+    if (market.platforms) {
+      const tags = Object.values(market.platforms).flatMap(platformMarket => (platformMarket && platformMarket.tags) || []);
+      return [...new Map(tags.reverse().map(tag => [tag.toLowerCase(), tag])).values()].reverse();
+    }
+
+    return market.tags || [];
+  }
+
+  /**
+   * Whether a market matches the selections of every facet but one
+   * @param {Object} market Market
+   * @param {Object} filters Facet selections
+   * @param {string|null} skip Facet to ignore
+   * @returns {boolean} True if it matches
+   */
+  matches(market, filters, skip = null) {
+    return FACETS.every((facet) => {
+      if (facet === skip || !filters[facet] || filters[facet].length === 0) return true;
+      const selected = filters[facet].map(value => value.toLowerCase());
+      return this.valuesOf(market, facet).some(value => selected.includes(value.toLowerCase()));
+    });
+  }
+
+  /**
+   * Markets matching the facet selections
+   * @param {Array} markets Markets
+   * @param {Object} filters Facet selections
+   * @returns {Array} Matching markets
+   */
+  apply(markets, filters) {
+    return markets.filter(market => this.matches(market, filters));
+  }
+
+  /**
+   * Facet value counts
+   * @param {Array} markets Markets before facet filtering
+   * @param {Object} filters Facet selections
+   * @returns {Object} { subcategory: [{ value, count, selected }], tag: [...] } most frequent first
+   */
+  count(markets, filters) {
+    const facets = {};
+
+    for (const facet of FACETS) {
+      const counts = new Map(); // lowercase -> { value, count, selected }
+      const selected = (filters[facet] || []).map(value => value.toLowerCase());
+
+      for (const market of markets) {
+        if (!this.matches(market, filters, facet)) continue;
+
+        for (const value of this.valuesOf(market, facet)) {
+          const key = value.toLowerCase();
+          const entry = counts.get(key) || { value, count: 0, selected: selected.includes(key) };
+          entry.count++;
+          counts.set(key, entry);
+        }
+      }
+
+      // Keep selections visible (with 0) so they can be cleared
+      for (const value of filters[facet] || []) {
+        const key = value.toLowerCase();
+        if (!counts.has(key)) counts.set(key, { value, count: 0, selected: true });
+      }
+
+      const values = [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      facets[facet] = facet === 'tag'
+        ? values.filter((entry, index) => index < this.maxTags || entry.selected)
+        : values;
+    }
+
+    return facets;
+  }
+
+  /**
+   * Filter a listing and count its facets
+   * @param {Array} markets Markets before facet filtering
+   * @param {Object} query Express query
+   * @returns {Object} { markets, facets, filters }
+   */
+  list(markets, query) {
+    const filters = this.parseFilters(query);
+
+    return {
+      markets: this.apply(markets, filters),
+      facets: this.count(markets, filters),
+      filters
+    };
+  }
+}
+
+MarketFacets.FACETS = FACETS;
+MarketFacets.MAX_TAG_FACETS = MAX_TAG_FACETS;
+
+// Export for use in server
+module.exports = MarketFacets;
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for MarketFacets
+ * Tests filter parsing, multi-select filtering and disjunctive facet counts
+ */
+
+const MarketFacets = require('./MarketFacets');
+
+describe('MarketFacets', () => {
+  let facets;
+
+  const MARKETS = [
+    { id: 'a', subcategory: 'NFL', tags: ['Chiefs', 'Super Bowl'] },
+    { id: 'b', subcategory: 'NFL', tags: ['Bills'] },
+    { id: 'c', subcategory: 'NBA', tags: ['Lakers'] },
+    {
+      unified_id: 'd',
+      subcategory: 'NFL',
+      platforms: { polymarket: { tags: ['Chiefs'] }, kalshi: { tags: ['chiefs', 'Eagles'] } }
+    }
+  ];
+
+  const idsOf = markets => markets.map(market => market.id || market.unified_id);
+
+  beforeEach(() => {
+    facets = new MarketFacets();
+  });
+
+  test('should parse comma-separated and repeated values', () => {
+    expect(facets.parseFilters({ subcategory: 'NFL, NBA', tag: ['Chiefs', 'chiefs,Bills'] }))
+      .toEqual({ subcategory: ['NFL', 'NBA'], tag: ['Chiefs', 'Bills'] });
+    expect(facets.parseFilters({})).toEqual({ subcategory: [], tag: [] });
+  });
+
+  test('should OR values within a facet and AND across facets', () => {
+    expect(idsOf(facets.apply(MARKETS, { subcategory: ['NFL', 'nba'], tag: [] }))).toEqual(['a', 'b', 'c', 'd']);
+    expect(idsOf(facets.apply(MARKETS, { subcategory: ['nfl'], tag: ['chiefs', 'lakers'] }))).toEqual(['a', 'd']);
+  });
+
+  test('should union the tags of unified markets', () => {
+    expect(facets.valuesOf(MARKETS[3], 'tag')).toEqual(['Chiefs', 'Eagles']);
+  });
+
+  test('should count each facet over the other facets\' selections', () => {
+    const { markets, facets: counts } = facets.list(MARKETS, { subcategory: 'NFL', tag: 'Raiders' });
+
+    expect(markets).toEqual([]);
+    expect(counts.subcategory).toEqual([
+      { value: 'NFL', count: 0, selected: true }
+    ]);
+    expect(counts.tag).toEqual([
+      { value: 'Chiefs', count: 2, selected: false },
+      { value: 'Bills', count: 1, selected: false },
+      { value: 'Eagles', count: 1, selected: false },
+      { value: 'Super Bowl', count: 1, selected: false },
+      { value: 'Raiders', count: 0, selected: true }
+    ]);
+  });
+
+  test('should keep selected tags beyond the tag limit', () => {
+    const limited = new MarketFacets({ maxTags: 1 });
+    const { facets: counts } = limited.list(MARKETS, { tag: 'Lakers' });
+
+    expect(counts.tag.map(entry => entry.value)).toEqual(['Chiefs', 'Lakers']);
+    expect(counts.subcategory).toEqual([{ value: 'NBA', count: 1, selected: false }]);
+  });
+});
@@ -0,0 +1,396 @@
+/**
+ * MarketLifecycle - Market lifecycle state machine
+ *
+ * Every normalized market carries a `status` from this model instead of
+ * relying only on the `closed`/`resolved` booleans (which are still derived
+ * from it for existing consumers). Venue payloads are mapped to a state by
+ * fromPolymarket()/fromKalshi(), and time-based transitions (start and end
+ * dates passing) are applied against a real clock whenever a status is read.
+ *
+ * States and allowed transitions:
+ *   upcoming  -> open, voided
+ *   open      -> halted, closed, voided
+ *   halted    -> open, closed, voided
+ *   closed    -> resolved, disputed, voided   (trading over, awaiting resolution)
+ *   resolved  -> disputed                     (settlement.outcome holds the winner)
+ *   disputed  -> resolved, voided
+ *   voided    -> (terminal)
+ *
+ * Resolved and voided markets carry a settlement:
+ *   { outcome, settledAt, source }  outcome is null for voided markets
+ */
+
+const STATUS = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  HALTED: 'halted',
+  CLOSED: 'closed',
+  RESOLVED: 'resolved',
+  DISPUTED: 'disputed',
+  VOIDED: 'voided'
+};
+
+const TRANSITIONS = {
+  upcoming: ['open', 'voided'],
+  open: ['halted', 'closed', 'voided'],
+  halted: ['open', 'closed', 'voided'],
+  closed: ['resolved', 'disputed', 'voided'],
+  resolved: ['disputed'],
+  disputed: ['resolved', 'voided'],
+  voided: []
+};
+
+// States in which a market is still listed and can (or will) trade
+const LIVE_STATUSES = ['upcoming', 'open', 'halted'];
+
+// Most active first; a unified market takes the most active platform state
+const STATUS_PRECEDENCE = ['open', 'halted', 'upcoming', 'closed', 'disputed', 'resolved', 'voided'];
+
+// Kalshi market status -> lifecycle state
+const KALSHI_STATUS_MAP = {
+  unopened: 'upcoming',
+  initialized: 'upcoming',
+  open: 'open',
+  active: 'open',
+  paused: 'halted',
+  inactive: 'halted',
+  closed: 'closed',
+  determined: 'resolved',
+  amended: 'resolved',
+  finalized: 'resolved',
+  settled: 'resolved',
+  disputed: 'disputed'
+};
+
+class MarketLifecycle {
+  /**
+   * @param {Object} options Lifecycle options
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || (() => Date.now());
+  }
+
+  // ====================================================================
+  // STATE MACHINE
+  // ====================================================================
+
+  /**
+   * Whether a status name is known
+   * @param {string} status Status name
+   * @returns {boolean} True if valid
+   */
+  isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+  }
+
+  /**
+   * Whether a market may move from one state to another
+   * @param {string} from Current status
+   * @param {string} to Next status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(from, to) {
+    return this.isValidStatus(from) && TRANSITIONS[from].includes(to);
+  }
+
+  /**
+   * Move a market to a new state
+   *
+   * @param {Object} market Normalized market
+   * @param {string} to Next status
+   * @param {Object} settlement Settlement for resolved/voided markets
+   * @returns {Object} Copy of the market in the new state
+   * @throws {Error} If the transition is not allowed
+   */
+  transition(market, to, settlement = null) {
+    const from = market.status || STATUS.OPEN;
+
+    if (!this.canTransition(from, to)) {
+      throw new Error(`Invalid lifecycle transition: ${from} -> ${to}`);
+    }
+
+    return this.withStatus(market, to, settlement);
+  }
+
+  /**
+   * Apply a status to a market and keep the legacy booleans in step
+   *
+   * @param {Object} market Normalized market
+   * @param {string} status Lifecycle status
+   * @param {Object} settlement Settlement or null
+   * @returns {Object} Copy of the market
+   */
+  withStatus(market, status, settlement = market.settlement || null) {
+    return {
+      ...market,
+      status,
+      settlement: status === STATUS.RESOLVED || status === STATUS.VOIDED || status === STATUS.DISPUTED
+        ? settlement
+        : null,
+      closed: !LIVE_STATUSES.includes(status),
+      resolved: status === STATUS.RESOLVED
+    };
+  }
+
+  /**
+   * Apply time-based transitions for a status
+   * upcoming markets open at their start date; open and halted markets
+   * close at their end date. Resolution states are never changed by time.
+   *
+   * @param {string} status Status from the venue payload
+   * @param {string|null} startDate ISO start date
+   * @param {string|null} endDate ISO end date
+   * @returns {string} Status at the current time
+   */
+  applyClock(status, startDate, endDate) {
+    const now = this.clock();
+    const start = startDate ? new Date(startDate).getTime() : NaN;
+    const end = endDate ? new Date(endDate).getTime() : NaN;
+
+    let current = status;
+
+    if (current === STATUS.UPCOMING && start <= now) {
+      current = STATUS.OPEN;
+    }
+
+    if ((current === STATUS.OPEN || current === STATUS.HALTED || current === STATUS.UPCOMING) && end <= now) {
+      current = STATUS.CLOSED;
+    }
+
+    return current;
+  }
+
+  /**
+   * Current status of a normalized market (or unified market)
+   * Cached markets age, so the stored status is re-checked against the clock.
+   *
+   * @param {Object} market Normalized market or unified market ({ platforms })
+   * @returns {string} Lifecycle status
+   */
+  currentStatus(market) {
+    if (market.platforms) {
+      return this.aggregateStatus(Object.values(market.platforms).map(m => this.currentStatus(m)));
+    }
+
+    // Markets normalized before the lifecycle model only have the booleans
+    const stored = market.status && this.isValidStatus(market.status)
+      ? market.status
+      : market.resolved ? STATUS.RESOLVED : market.closed ? STATUS.CLOSED : STATUS.OPEN;
+
+    return this.applyClock(stored, market.startDate, market.endDate);
+  }
+
+  /**
+   * Return the market with its status brought up to date
+   * @param {Object} market Normalized market
+   * @returns {Object} Same object if unchanged, otherwise an updated copy
+   */
+  refresh(market) {
+    const status = this.currentStatus(market);
+
+    if (market.status === status) {
+      return market;
+    }
+
+    return market.platforms ? { ...market, status } : this.withStatus(market, status);
+  }
+
+  /**
+   * Combine platform states into one unified market state
+   * @param {Array<string>} statuses Platform statuses
+   * @returns {string} Most active status
+   */
+  aggregateStatus(statuses) {
+    for (const status of STATUS_PRECEDENCE) {
+      if (statuses.includes(status)) return status;
+    }
+    return STATUS.OPEN;
+  }
+
+  /**
+   * Whether a market is still listed (upcoming, open or halted)
+   * @param {Object} market Normalized market
+   * @returns {boolean} True if live
+   */
+  isLive(market) {
+    return LIVE_STATUSES.includes(this.currentStatus(market));
+  }
+
+  // ====================================================================
+  // VENUE MAPPING
+  // ====================================================================
+
+  /**
+   * Derive lifecycle state from a Polymarket Gamma/CLOB market
+   *
+   * Uses umaResolutionStatus for disputes, winning tokens or settled prices
+   * for the outcome, and active/acceptingOrders for halts. A resolution at
+   * equal prices (50-50) is a voided market.
+   *
+   * @param {Object} raw Raw Polymarket market
+   * @returns {Object} { status, settlement }
+   */
+  fromPolymarket(raw) {
+    const uma = (raw.umaResolutionStatus || '').toLowerCase();
+    const startDate = raw.start_date_iso || raw.startDate || null;
+    const endDate = raw.end_date_iso || raw.endDate || null;
+    const settledAt = raw.closedTime || raw.umaEndDate || null;
+
+    if (uma === 'disputed') {
+      return { status: STATUS.DISPUTED, settlement: null };
+    }
+
+    const prices = this.polymarketSettlementPrices(raw);
+    const settled = raw.closed === true && prices.some(entry => entry.price === 1);
+
+    if (uma === 'resolved' || raw.resolved === true || settled) {
+      const winner = prices.find(entry => entry.price === 1);
+
+      if (winner) {
+        return {
+          status: STATUS.RESOLVED,
+          settlement: { outcome: winner.name, settledAt, source: 'polymarket' }
+        };
+      }
+
+      if (prices.length > 1 && prices.every(entry => entry.price === prices[0].price)) {
+        return {
+          status: STATUS.VOIDED,
+          settlement: { outcome: null, settledAt, source: 'polymarket' }
+        };
+      }
+
+      return { status: STATUS.CLOSED, settlement: null };
+    }
+
+    if (raw.closed === true) {
+      return { status: STATUS.CLOSED, settlement: null };
+    }
+
+    const notTrading = raw.active === false || raw.acceptingOrders === false;
+    const started = !startDate || new Date(startDate).getTime() <= this.clock();
+    const status = notTrading ? (started ? STATUS.HALTED : STATUS.UPCOMING) : STATUS.OPEN;
+
+    return { status: this.applyClock(status, startDate, endDate), settlement: null };
+  }
+
+  /**
+   * Outcome names with their settlement prices from a Polymarket market
+   * Reads CLOB tokens ({ outcome, price, winner }) or Gamma's stringified
+   * outcomes/outcomePrices arrays.
+   *
+   * @param {Object} raw Raw Polymarket market
+   * @returns {Array} [{ name, price }]
+   */
+  polymarketSettlementPrices(raw) {
+    if (Array.isArray(raw.tokens) && raw.tokens.length > 0) {
+      return raw.tokens.map(token => ({
+        name: token.outcome,
+        price: token.winner === true ? 1 : parseFloat(token.price)
+      }));
+    }
+
+    // Gamma sometimes encodes these fields twice
+    const parse = (value) => {
+      let parsed = value;
+      try {
+        for (let depth = 0; depth < 2 && typeof parsed === 'string'; depth++) {
+          parsed = JSON.parse(parsed);
+        }
+      } catch (error) {
+        return [];
+      }
+      return Array.isArray(parsed) ? parsed : [];
+    };
+
+    const names = parse(raw.outcomes);
+    const prices = parse(raw.outcomePrices || raw.outcome_prices);
+
+    return names.map((name, index) => ({ name, price: parseFloat(prices[index]) }));
+  }
+
+  /**
+   * Derive lifecycle state from a Kalshi market
+   *
+   * @param {Object} raw Raw Kalshi market
+   * @returns {Object} { status, settlement }
+   */
+  fromKalshi(raw) {
+    const result = (raw.result || '').toLowerCase();
+    const settledAt = raw.settlement_ts || raw.expiration_time || null;
+    let status = KALSHI_STATUS_MAP[(raw.status || '').toLowerCase()] || STATUS.OPEN;
+
+    if (status === STATUS.RESOLVED || (status === STATUS.CLOSED && result)) {
+      if (result === 'yes' || result === 'no') {
+        return {
+          status: STATUS.RESOLVED,
+          settlement: { outcome: result === 'yes' ? 'Yes' : 'No', settledAt, source: 'kalshi' }
+        };
+      }
+
+      if (result === 'void' || result === 'voided') {
+        return {
+          status: STATUS.VOIDED,
+          settlement: { outcome: null, settledAt, source: 'kalshi' }
+        };
+      }
+
+      // Determined without a published result yet
+      status = STATUS.CLOSED;
+    }
+
+    const startDate = raw.open_time || null;
+    const endDate = raw.close_time || raw.expiration_time || null;
+
+    return { status: this.applyClock(status, startDate, endDate), settlement: null };
+  }
+
+  // ====================================================================
+  // FILTERING
+  // ====================================================================
+
+  /**
+   * Parse a ?status= query value
+   *
+   * @param {string|Array} query Comma-separated statuses, e.g. 'open,halted'
+   * @returns {Array<string>|null} Statuses, or null when no filter was given
+   * @throws {Error} If a status is unknown
+   */
+  parseStatusFilter(query) {
+    if (query === undefined || query === null || query === '') {
+      return null;
+    }
+
+    const statuses = [].concat(query)
+      .join(',')
+      .split(',')
+      .map(status => status.trim().toLowerCase())
+      .filter(Boolean);
+
+    const invalid = statuses.filter(status => !this.isValidStatus(status));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status: ${invalid.join(', ')} (expected one of ${Object.values(STATUS).join(', ')})`);
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Refresh statuses and keep markets in the requested states
+   *
+   * @param {Array} markets Normalized or unified markets
+   * @param {Array<string>|null} statuses Statuses to keep (null keeps all)
+   * @returns {Array} Markets with current statuses
+   */
+  filterByStatus(markets, statuses) {
+    const refreshed = markets.map(market => this.refresh(market));
+    return statuses ? refreshed.filter(market => statuses.includes(market.status)) : refreshed;
+  }
+}
+
+MarketLifecycle.STATUS = STATUS;
+MarketLifecycle.TRANSITIONS = TRANSITIONS;
+
+// Export for use in normalizers and server
+module.exports = MarketLifecycle;
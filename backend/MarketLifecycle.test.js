@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for MarketLifecycle
+ * Tests the state machine, venue mapping, clock transitions and status filters
+ */
+
+const MarketLifecycle = require('./MarketLifecycle');
+const PolymarketFetcher = require('./PolymarketFetcher');
+const KalshiFetcher = require('./KalshiFetcher');
+
+describe('MarketLifecycle', () => {
+  const NOW = Date.parse('2026-03-01T12:00:00Z');
+  let lifecycle;
+
+  beforeEach(() => {
+    lifecycle = new MarketLifecycle({ clock: () => NOW });
+  });
+
+  describe('State machine', () => {
+    test('should allow only listed transitions', () => {
+      expect(lifecycle.canTransition('open', 'halted')).toBe(true);
+      expect(lifecycle.canTransition('closed', 'resolved')).toBe(true);
+      expect(lifecycle.canTransition('resolved', 'disputed')).toBe(true);
+      expect(lifecycle.canTransition('resolved', 'open')).toBe(false);
+      expect(lifecycle.canTransition('voided', 'resolved')).toBe(false);
+    });
+
+    test('should keep legacy flags and settlement in step with the status', () => {
+      const market = { id: 'poly-1', status: 'closed' };
+      const resolved = lifecycle.transition(market, 'resolved', { outcome: 'Yes', settledAt: null, source: 'test' });
+
+      expect(resolved).toMatchObject({ status: 'resolved', closed: true, resolved: true });
+      expect(resolved.settlement.outcome).toBe('Yes');
+      expect(() => lifecycle.transition(resolved, 'open')).toThrow('Invalid lifecycle transition: resolved -> open');
+    });
+  });
+
+  describe('Clock', () => {
+    test('should open upcoming markets and close expired ones', () => {
+      expect(lifecycle.applyClock('upcoming', '2026-02-01T00:00:00Z', '2026-04-01T00:00:00Z')).toBe('open');
+      expect(lifecycle.applyClock('upcoming', '2026-03-02T00:00:00Z', null)).toBe('upcoming');
+      expect(lifecycle.applyClock('halted', null, '2026-02-28T00:00:00Z')).toBe('closed');
+      expect(lifecycle.applyClock('resolved', null, '2026-02-28T00:00:00Z')).toBe('resolved');
+    });
+
+    test('should re-check cached markets against the current time', () => {
+      const market = lifecycle.withStatus({ id: 'poly-1', endDate: '2026-03-01T13:00:00Z' }, 'open');
+      const later = new MarketLifecycle({ clock: () => NOW + 2 * 3600000 });
+
+      expect(lifecycle.refresh(market)).toBe(market);
+      expect(later.refresh(market)).toMatchObject({ status: 'closed', closed: true });
+    });
+
+    test('should report the most active platform status for unified markets', () => {
+      const unified = {
+        platforms: {
+          polymarket: { status: 'closed' },
+          kalshi: { status: 'halted', endDate: '2026-12-31T00:00:00Z' }
+        }
+      };
+
+      expect(lifecycle.currentStatus(unified)).toBe('halted');
+    });
+  });
+
+  describe('Polymarket mapping', () => {
+    test('should settle on the winning outcome from Gamma prices', () => {
+      const raw = {
+        closed: true,
+        umaResolutionStatus: 'resolved',
+        outcomes: '["Yes", "No"]',
+        outcomePrices: '["0", "1"]',
+        closedTime: '2026-01-10T00:00:00Z'
+      };
+
+      expect(lifecycle.fromPolymarket(raw)).toEqual({
+        status: 'resolved',
+        settlement: { outcome: 'No', settledAt: '2026-01-10T00:00:00Z', source: 'polymarket' }
+      });
+    });
+
+    test('should map disputes, 50-50 resolutions, halts and pending resolution', () => {
+      expect(lifecycle.fromPolymarket({ closed: true, umaResolutionStatus: 'disputed' }).status).toBe('disputed');
+      expect(lifecycle.fromPolymarket({
+        closed: true, umaResolutionStatus: 'resolved', outcomes: '["Yes","No"]', outcomePrices: '["0.5","0.5"]'
+      })).toMatchObject({ status: 'voided', settlement: { outcome: null } });
+      expect(lifecycle.fromPolymarket({ active: true, acceptingOrders: false }).status).toBe('halted');
+      expect(lifecycle.fromPolymarket({ active: false, startDate: '2026-04-01T00:00:00Z' }).status).toBe('upcoming');
+      expect(lifecycle.fromPolymarket({ closed: true, outcomePrices: '["0.97","0.03"]' }).status).toBe('closed');
+    });
+
+    test('should read winners from CLOB tokens', () => {
+      const { settlement } = lifecycle.fromPolymarket({
+        closed: true,
+        tokens: [{ outcome: 'Alice', price: 0, winner: false }, { outcome: 'Bob', price: 0, winner: true }]
+      });
+
+      expect(settlement.outcome).toBe('Bob');
+    });
+  });
+
+  describe('Kalshi mapping', () => {
+    test('should map venue statuses and results', () => {
+      expect(lifecycle.fromKalshi({ status: 'initialized', open_time: '2026-05-01T00:00:00Z' }).status).toBe('upcoming');
+      expect(lifecycle.fromKalshi({ status: 'active', close_time: '2026-12-01T00:00:00Z' }).status).toBe('open');
+      expect(lifecycle.fromKalshi({ status: 'active', close_time: '2026-02-01T00:00:00Z' }).status).toBe('closed');
+      expect(lifecycle.fromKalshi({ status: 'determined', result: '' }).status).toBe('closed');
+      expect(lifecycle.fromKalshi({ status: 'settled', result: 'yes', settlement_ts: '2026-02-02T00:00:00Z' })).toEqual({
+        status: 'resolved',
+        settlement: { outcome: 'Yes', settledAt: '2026-02-02T00:00:00Z', source: 'kalshi' }
+      });
+      expect(lifecycle.fromKalshi({ status: 'finalized', result: 'void' }).status).toBe('voided');
+    });
+  });
+
+  describe('Normalizers', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should fill status and settlement in both fetchers', () => {
+      const poly = new PolymarketFetcher().normalizeMarket({
+        id: '1',
+        question: 'Will it rain?',
+        closed: true,
+        umaResolutionStatus: 'resolved',
+        outcomes: '["Yes","No"]',
+        outcomePrices: '["1","0"]',
+        tokens: [{ outcome: 'Yes', price: 1, winner: true }, { outcome: 'No', price: 0 }]
+      });
+      const kalshi = new KalshiFetcher().normalizeMarket({ ticker: 'RAIN', title: 'Rain?', status: 'settled', result: 'no' });
+
+      expect(poly).toMatchObject({ status: 'resolved', resolved: true, settlement: { outcome: 'Yes' } });
+      expect(kalshi).toMatchObject({ status: 'resolved', closed: true, settlement: { outcome: 'No' } });
+    });
+  });
+
+  describe('Filtering', () => {
+    test('should parse comma-separated statuses and reject unknown ones', () => {
+      expect(lifecycle.parseStatusFilter(undefined)).toBeNull();
+      expect(lifecycle.parseStatusFilter('Open, halted')).toEqual(['open', 'halted']);
+      expect(() => lifecycle.parseStatusFilter('open,expired')).toThrow('Invalid status: expired');
+    });
+
+    test('should filter on refreshed statuses', () => {
+      const markets = [
+        { id: 'a', status: 'open', endDate: '2026-02-01T00:00:00Z' },
+        { id: 'b', status: 'open', endDate: '2026-12-01T00:00:00Z' },
+        { id: 'c', status: 'resolved', settlement: { outcome: 'Yes' } }
+      ];
+
+      expect(lifecycle.filterByStatus(markets, ['closed']).map(m => m.id)).toEqual(['a']);
+      expect(lifecycle.filterByStatus(markets, ['open', 'resolved']).map(m => m.id)).toEqual(['b', 'c']);
+      expect(lifecycle.filterByStatus(markets, null)).toHaveLength(3);
+    });
+  });
+});
@@ -5,14 +5,44 @@
  * 1. Levenshtein distance for text similarity
  * 2. Entity extraction (names, dates, events)
  * 3. Weighted confidence scoring
+ * 4. Candidate generation (blocking) so only plausible cross-platform
+ *    pairs are scored: token inverted index, shared name entities and
+ *    end-date windows
+ * 5. Manual overrides (MatchOverrideStore) applied before any scoring:
+ *    linked pairs are always merged, rejected pairs are never matched
+ * 6. Outcome-set comparison for multi-outcome markets, so a Kalshi event
+ *    grouped from sibling markets matches the Polymarket event with the
+ *    same candidates even when their titles are worded differently
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4
  */
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 class MarketMatchingEngine {
-  constructor() {
+  constructor(options = {}) {
     this.similarityThreshold = 0.85; // 85% similarity required for match
     
+    // Log every pairwise confidence calculation and match (very noisy on large inputs)
+    this.debug = options.debug || false;
+    
+    // Candidate generation settings
+    this.blocking = {
+      enabled: options.blocking !== false,
+      minSharedTokens: options.minSharedTokens || 2,       // Shared index tokens required for a candidate
+      maxTokenFrequency: options.maxTokenFrequency || 0.05, // Ignore tokens in > 5% of a platform's markets
+      minTokenFrequencyCap: options.minTokenFrequencyCap || 50, // ...but never cap below 50 markets
+      maxCandidatesPerMarket: options.maxCandidatesPerMarket || 50,
+      maxEndDateDiffDays: 30, // Date score is 0 beyond this, so confidence cannot reach the threshold
+      minSharedOutcomes: options.minSharedOutcomes || 2 // Shared outcome names that make two multi-outcome markets candidates
+    };
+    
+    // Manual match overrides (MatchOverrideStore or compatible)
+    this.overrides = options.overrides || null;
+    
+    // Statistics from the last findMatches() run
+    this.lastMatchStats = null;
+    
     // Event keywords for entity extraction
     this.eventKeywords = [
       'election', 'championship', 'award', 'price', 'rate', 'win', 'lose',
@@ -44,26 +74,28 @@ class MarketMatchingEngine {
     const len1 = str1.length;
     const len2 = str2.length;
     
-    // Create matrix
-    const matrix = Array(len2 + 1).fill(null).map(() => Array(len1 + 1).fill(0));
+    // Only the previous row of the matrix is needed
+    let previous = new Array(len1 + 1);
+    let current = new Array(len1 + 1);
     
-    // Initialize first row and column
-    for (let i = 0; i <= len1; i++) matrix[0][i] = i;
-    for (let j = 0; j <= len2; j++) matrix[j][0] = j;
+    // Initialize first row
+    for (let i = 0; i <= len1; i++) previous[i] = i;
     
-    // Fill matrix
+    // Fill matrix row by row
     for (let j = 1; j <= len2; j++) {
+      current[0] = j;
       for (let i = 1; i <= len1; i++) {
         const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j - 1][i] + 1,     // deletion
-          matrix[j][i - 1] + 1,     // insertion
-          matrix[j - 1][i - 1] + cost // substitution
+        current[i] = Math.min(
+          previous[i] + 1,        // deletion
+          current[i - 1] + 1,     // insertion
+          previous[i - 1] + cost  // substitution
         );
       }
+      [previous, current] = [current, previous];
     }
     
-    return matrix[len2][len1];
+    return previous[len1];
   }
   
   /**
@@ -104,10 +136,17 @@ class MarketMatchingEngine {
    * @returns {number} Similarity score (0.0 = completely different, 1.0 = identical)
    */
   calculateSimilarity(str1, str2) {
-    // Normalize both strings
-    const normalized1 = this.normalizeText(str1);
-    const normalized2 = this.normalizeText(str2);
-    
+    return this.calculateNormalizedSimilarity(this.normalizeText(str1), this.normalizeText(str2));
+  }
+  
+  /**
+   * Calculate similarity score between two already-normalized strings
+   * 
+   * @param {string} normalized1 First normalized string
+   * @param {string} normalized2 Second normalized string
+   * @returns {number} Similarity score (0.0 to 1.0)
+   */
+  calculateNormalizedSimilarity(normalized1, normalized2) {
     // Handle edge cases
     if (!normalized1 && !normalized2) return 1.0;
     if (!normalized1 || !normalized2) return 0.0;
@@ -262,44 +301,104 @@ class MarketMatchingEngine {
    * - Entity matching: 30%
    * - Date matching: 20%
    * 
+   * When both markets are multi-outcome, the outcome sets carry most of the
+   * weight (venues word event titles very differently):
+   * - Outcome overlap: 50%
+   * - Text similarity: 15%
+   * - Entity matching: 15%
+   * - Date matching: 20%
+   * 
    * @param {Object} market1 First market object
    * @param {Object} market2 Second market object
    * @returns {number} Confidence score (0.0 to 1.0)
    */
   calculateMatchConfidence(market1, market2) {
-    // Extract questions
-    const question1 = market1.question || market1.title || '';
-    const question2 = market2.question || market2.title || '';
-    
+    return this.scorePreparedPair(this.prepareMarket(market1), this.prepareMarket(market2));
+  }
+  
+  /**
+   * Calculate match confidence between two prepared markets
+   * (see prepareMarket - avoids re-normalizing text on every comparison)
+   * 
+   * @param {Object} prepared1 First prepared market
+   * @param {Object} prepared2 Second prepared market
+   * @returns {number} Confidence score (0.0 to 1.0)
+   */
+  scorePreparedPair(prepared1, prepared2) {
     // Calculate text similarity (50% weight)
-    const textSimilarity = this.calculateSimilarity(question1, question2);
+    const textSimilarity = this.calculateNormalizedSimilarity(prepared1.normalized, prepared2.normalized);
     
-    // Extract and compare entities (30% weight)
-    const entities1 = this.extractEntities(question1);
-    const entities2 = this.extractEntities(question2);
-    const entityScore = this.compareEntities(entities1, entities2);
+    // Compare entities (30% weight)
+    const entityScore = this.compareEntities(prepared1.entities, prepared2.entities);
     
     // Compare end dates (20% weight)
-    const dateScore = this.compareDates(
-      market1.endDate || market1.resolution_date,
-      market2.endDate || market2.resolution_date
-    );
+    const dateScore = this.compareDates(prepared1.endDate, prepared2.endDate);
+    
+    // Compare outcome sets when both markets are multi-outcome
+    const outcomeScore = this.isOutcomeSetPair(prepared1, prepared2)
+      ? this.compareOutcomeSets(prepared1.outcomes, prepared2.outcomes)
+      : null;
     
     // Calculate weighted confidence
-    const confidence = (textSimilarity * 0.5) + (entityScore * 0.3) + (dateScore * 0.2);
+    const confidence = outcomeScore === null
+      ? (textSimilarity * 0.5) + (entityScore * 0.3) + (dateScore * 0.2)
+      : (outcomeScore * 0.5) + (textSimilarity * 0.15) + (entityScore * 0.15) + (dateScore * 0.2);
     
     // Log detailed scoring for debugging
-    console.log(`[MarketMatchingEngine] Match confidence calculation:
-      Question 1: "${question1.substring(0, 60)}..."
-      Question 2: "${question2.substring(0, 60)}..."
+    if (this.debug) {
+      console.log(`[MarketMatchingEngine] Match confidence calculation:
+      Question 1: "${prepared1.question.substring(0, 60)}..."
+      Question 2: "${prepared2.question.substring(0, 60)}..."
       Text Similarity: ${(textSimilarity * 100).toFixed(1)}%
       Entity Score: ${(entityScore * 100).toFixed(1)}%
-      Date Score: ${(dateScore * 100).toFixed(1)}%
+      Date Score: ${(dateScore * 100).toFixed(1)}%${outcomeScore === null ? '' : `
+      Outcome Overlap: ${(outcomeScore * 100).toFixed(1)}%`}
       Final Confidence: ${(confidence * 100).toFixed(1)}%`);
+    }
     
     return confidence;
   }
   
+  /**
+   * Whether a pair is scored on its outcome sets (both multi-outcome)
+   * 
+   * @param {Object} prepared1 First prepared market
+   * @param {Object} prepared2 Second prepared market
+   * @returns {boolean} True if both markets list 3+ outcomes
+   */
+  isOutcomeSetPair(prepared1, prepared2) {
+    return prepared1.outcomes.length > 0 && prepared2.outcomes.length > 0;
+  }
+  
+  /**
+   * Compare the outcome sets of two multi-outcome markets
+   * Overlap is measured against the smaller set, since one venue often
+   * lists long-shot candidates or extra brackets the other does not.
+   * 
+   * @param {Array<string>} outcomes1 Outcome keys (see outcomeKey)
+   * @param {Array<string>} outcomes2 Outcome keys
+   * @returns {number} Overlap score (0.0 to 1.0)
+   */
+  compareOutcomeSets(outcomes1, outcomes2) {
+    if (!outcomes1.length || !outcomes2.length) return 0.0;
+    
+    const set2 = new Set(outcomes2);
+    const shared = outcomes1.filter(key => set2.has(key)).length;
+    
+    return shared / Math.min(outcomes1.length, outcomes2.length);
+  }
+  
+  /**
+   * Comparable key for an outcome name
+   * Spacing is dropped so "J.D. Vance" and "JD Vance" compare equal.
+   * 
+   * @param {string} name Outcome name
+   * @returns {string} Outcome key
+   */
+  outcomeKey(name) {
+    return this.normalizeText(String(name || '')).replace(/ /g, '');
+  }
+  
   /**
    * Compare two dates and return similarity score
    * 
@@ -347,68 +446,504 @@ class MarketMatchingEngine {
   // MARKET MATCHING LOGIC (Requirement 3.4)
   // ====================================================================
   
+  /**
+   * Set the manual override store consulted by findMatches
+   * 
+   * @param {Object|null} overrides Store exposing getLinkedPairs() and isRejected(id1, id2)
+   */
+  setOverrides(overrides) {
+    this.overrides = overrides;
+  }
+  
   /**
    * Find matches across all markets and create unified markets
    * 
+   * Manual overrides are honored first: markets linked by an override are
+   * grouped without scoring, and rejected pairs are never scored.
+   * Remaining markets are processed in input order; each market absorbs the
+   * not-yet-processed markets from other platforms whose confidence
+   * exceeds the threshold. Only candidates produced by the blocking
+   * index are scored (all cross-platform pairs when blocking is disabled).
+   * 
    * @param {Array} markets Array of normalized markets from all platforms
    * @returns {Array} Array of UnifiedMarket objects
    */
   findMatches(markets) {
-    console.log(`[MarketMatchingEngine] Finding matches for ${markets.length} markets...`);
-    
     if (!Array.isArray(markets) || markets.length === 0) {
       console.warn('[MarketMatchingEngine] No markets provided');
       return [];
     }
     
+    console.log(`[MarketMatchingEngine] Finding matches for ${markets.length} markets...`);
+    const startTime = Date.now();
+    
     const unifiedMarkets = [];
     const processedMarkets = new Set();
+    const prepared = markets.map(market => this.prepareMarket(market));
+    const index = this.blocking.enabled ? this.buildCandidateIndex(prepared) : null;
+    
+    const linkedGroups = this.getLinkedGroups(markets);
+    
+    const stats = {
+      markets: markets.length,
+      candidatePairs: 0,
+      scoredPairs: 0,
+      matchedPairs: 0,
+      overrideLinks: 0,
+      overrideRejects: 0
+    };
     
-    // Group markets by platform
-    const marketsByPlatform = this.groupByPlatform(markets);
-    
-    // Compare markets across platforms
     for (let i = 0; i < markets.length; i++) {
       if (processedMarkets.has(markets[i].id)) continue;
       
       const market1 = markets[i];
-      const matches = [market1];
+      
+      // Manually linked markets skip heuristic scoring entirely
+      if (linkedGroups.has(i)) {
+        const groupIndexes = linkedGroups.get(i).filter(k => !processedMarkets.has(markets[k].id));
+        groupIndexes.forEach(k => processedMarkets.add(markets[k].id));
+        stats.overrideLinks += groupIndexes.length - 1;
+        
+        const unifiedMarket = this.createUnifiedMarket(
+          groupIndexes.map(k => markets[k]),
+          groupIndexes.map(k => prepared[k])
+        );
+        unifiedMarket.match_source = 'manual';
+        unifiedMarket.match_confidence = 1.0;
+        unifiedMarkets.push(unifiedMarket);
+        continue;
+      }
+      
+      const matchIndexes = [i];
       processedMarkets.add(market1.id);
       
-      // Find matching markets from other platforms
-      for (let j = i + 1; j < markets.length; j++) {
-        if (processedMarkets.has(markets[j].id)) continue;
+      // Candidate markets from other platforms (ascending input order)
+      const candidates = index
+        ? this.getCandidates(i, prepared, index)
+        : this.getAllCandidates(i, prepared);
+      stats.candidatePairs += candidates.length;
+      
+      for (const j of candidates) {
+        // Linked markets belong to their manual group, even when it comes later
+        if (processedMarkets.has(markets[j].id) || linkedGroups.has(j)) continue;
         
         const market2 = markets[j];
         
-        // Skip if same platform
-        if (market1.platform === market2.platform) continue;
+        // Manually rejected pairs are never matched, with any market of the group
+        if (this.overrides && matchIndexes.some(k => this.overrides.isRejected(markets[k].id, market2.id))) {
+          stats.overrideRejects++;
+          continue;
+        }
+        
+        // Text similarity can be at most the length ratio; skip pairs that
+        // cannot reach the threshold even with perfect entity/date scores
+        if (this.maxConfidence(prepared[i], prepared[j]) < this.similarityThreshold) continue;
         
         // Calculate match confidence
-        const confidence = this.calculateMatchConfidence(market1, market2);
+        const confidence = this.scorePreparedPair(prepared[i], prepared[j]);
+        stats.scoredPairs++;
         
         // If confidence exceeds threshold, add to matches
         if (confidence >= this.similarityThreshold) {
-          matches.push(market2);
+          matchIndexes.push(j);
           processedMarkets.add(market2.id);
+          stats.matchedPairs++;
           
-          console.log(`[MarketMatchingEngine] Match found! Confidence: ${(confidence * 100).toFixed(1)}%
+          if (this.debug) {
+            console.log(`[MarketMatchingEngine] Match found! Confidence: ${(confidence * 100).toFixed(1)}%
             Platform 1: ${market1.platform} - "${market1.question || market1.title}"
             Platform 2: ${market2.platform} - "${market2.question || market2.title}"`);
+          }
         }
       }
       
       // Create unified market
-      const unifiedMarket = this.createUnifiedMarket(matches);
+      const unifiedMarket = this.createUnifiedMarket(
+        matchIndexes.map(k => markets[k]),
+        matchIndexes.map(k => prepared[k])
+      );
+      unifiedMarket.match_source = 'heuristic';
       unifiedMarkets.push(unifiedMarket);
     }
     
-    console.log(`[MarketMatchingEngine] Created ${unifiedMarkets.length} unified markets from ${markets.length} source markets`);
+    stats.durationMs = Date.now() - startTime;
+    stats.unifiedMarkets = unifiedMarkets.length;
+    this.lastMatchStats = stats;
+    
+    console.log(`[MarketMatchingEngine] Created ${unifiedMarkets.length} unified markets from ${markets.length} source markets in ${stats.durationMs}ms`);
+    console.log(`[MarketMatchingEngine] Scored ${stats.scoredPairs} of ${stats.candidatePairs} candidate pairs`);
     console.log(`[MarketMatchingEngine] Multi-platform markets: ${unifiedMarkets.filter(m => Object.keys(m.platforms).length > 1).length}`);
     
     return unifiedMarkets;
   }
   
+  /**
+   * Resolve manual link overrides into groups of market indexes
+   * Links are transitive: A-B and B-C put A, B and C in one group.
+   * 
+   * @param {Array} markets Array of normalized markets
+   * @returns {Map<number, Array<number>>} Market index -> sorted group indexes (groups of 2+ only)
+   */
+  getLinkedGroups(markets) {
+    const groups = new Map();
+    
+    if (!this.overrides) {
+      return groups;
+    }
+    
+    const indexById = new Map(markets.map((market, i) => [market.id, i]));
+    
+    // Union-find over linked pairs present in this batch
+    const parent = new Map();
+    const find = (i) => {
+      while (parent.get(i) !== i) {
+        parent.set(i, parent.get(parent.get(i)));
+        i = parent.get(i);
+      }
+      return i;
+    };
+    
+    for (const [id1, id2] of this.overrides.getLinkedPairs()) {
+      if (!indexById.has(id1) || !indexById.has(id2)) continue;
+      
+      const i1 = indexById.get(id1);
+      const i2 = indexById.get(id2);
+      if (!parent.has(i1)) parent.set(i1, i1);
+      if (!parent.has(i2)) parent.set(i2, i2);
+      parent.set(find(i1), find(i2));
+    }
+    
+    const members = new Map();
+    for (const i of parent.keys()) {
+      const root = find(i);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(i);
+    }
+    
+    for (const group of members.values()) {
+      group.sort((a, b) => a - b);
+      group.forEach(i => groups.set(i, group));
+    }
+    
+    return groups;
+  }
+  
+  // ====================================================================
+  // CANDIDATE GENERATION (BLOCKING)
+  // ====================================================================
+  
+  /**
+   * Precompute everything a pairwise comparison needs for one market
+   * 
+   * @param {Object} market Normalized market
+   * @returns {Object} { question, normalized, tokens, entities, outcomes, endDate, endTime, platform }
+   */
+  prepareMarket(market) {
+    const question = market.question || market.title || '';
+    const normalized = this.normalizeText(question);
+    const endDate = market.endDate || market.resolution_date || null;
+    const endTime = endDate ? new Date(endDate).getTime() : NaN;
+    
+    // Outcome keys are only kept for multi-outcome markets (Yes/No carries no signal)
+    const outcomeList = market.allOutcomes || market.outcomes || [];
+    const outcomes = market.isMultiOutcome && outcomeList.length > 2
+      ? [...new Set(outcomeList.map(outcome => this.outcomeKey(outcome.name)).filter(Boolean))]
+      : [];
+    
+    return {
+      question,
+      normalized,
+      tokens: [...new Set(normalized.split(' ').filter(token => token.length >= 2))],
+      entities: this.extractEntities(question),
+      outcomes,
+      endDate,
+      endTime,
+      platform: market.platform || 'unknown'
+    };
+  }
+  
+  /**
+   * Build per-platform inverted indexes over question tokens, name entities
+   * and (for multi-outcome markets) outcome names
+   * 
+   * Tokens that appear in a large share of a platform's markets ("2025",
+   * "price", ...) are dropped from the index - they add candidates without
+   * discriminating between markets. Numbers are indexed again paired with
+   * the dropped tokens of the same market ("2025 nba"), so questions that
+   * only differ in common words and a year/target still meet.
+   * 
+   * @param {Array} prepared Prepared markets (see prepareMarket)
+   * @returns {Object} { platformName: { tokens: Map, names: Map, outcomes: Map, numbers: Map, common: Set } }
+   */
+  buildCandidateIndex(prepared) {
+    const index = {};
+    
+    prepared.forEach((market, i) => {
+      if (!index[market.platform]) {
+        index[market.platform] = {
+          tokens: new Map(), names: new Map(), outcomes: new Map(), numbers: new Map(), common: new Set(), size: 0
+        };
+      }
+      
+      const platformIndex = index[market.platform];
+      platformIndex.size++;
+      
+      for (const token of market.tokens) {
+        this.addPosting(platformIndex.tokens, token, i);
+      }
+      
+      for (const name of market.entities.names) {
+        this.addPosting(platformIndex.names, name.toLowerCase(), i);
+      }
+      
+      for (const outcome of market.outcomes) {
+        this.addPosting(platformIndex.outcomes, outcome, i);
+      }
+    });
+    
+    // Drop overly common tokens
+    for (const platformIndex of Object.values(index)) {
+      for (const [token, postings] of platformIndex.tokens) {
+        if (postings.length > this.getTokenFrequencyCap(platformIndex)) {
+          platformIndex.tokens.delete(token);
+          platformIndex.common.add(token);
+        }
+      }
+    }
+    
+    // Fall back on numbers paired with the dropped tokens
+    prepared.forEach((market, i) => {
+      const platformIndex = index[market.platform];
+      
+      for (const key of this.getNumberKeys(market, platformIndex.common)) {
+        this.addPosting(platformIndex.numbers, key, i);
+      }
+    });
+    
+    for (const platformIndex of Object.values(index)) {
+      for (const [key, postings] of platformIndex.numbers) {
+        if (postings.length > this.getTokenFrequencyCap(platformIndex)) {
+          platformIndex.numbers.delete(key);
+        }
+      }
+    }
+    
+    return index;
+  }
+  
+  /**
+   * Largest posting list kept for a token of one platform
+   * 
+   * @param {Object} platformIndex Platform entry of the candidate index
+   * @returns {number} Maximum number of markets per token
+   */
+  getTokenFrequencyCap(platformIndex) {
+    return Math.max(
+      this.blocking.minTokenFrequencyCap,
+      Math.floor(platformIndex.size * this.blocking.maxTokenFrequency)
+    );
+  }
+  
+  /**
+   * Keys pairing each number of a market with its common (unindexed) words
+   * 
+   * @param {Object} market Prepared market
+   * @param {Set} common Tokens dropped from the platform's index
+   * @returns {Array<string>} Keys such as "2025 nba"
+   */
+  getNumberKeys(market, common) {
+    const numbers = market.tokens.filter(token => /^\d+$/.test(token));
+    const words = market.tokens.filter(token => common.has(token) && !/^\d+$/.test(token));
+    const keys = [];
+    
+    for (const number of numbers) {
+      for (const word of words) {
+        keys.push(`${number} ${word}`);
+      }
+    }
+    
+    return keys;
+  }
+  
+  /**
+   * Append a market index to a posting list
+   * 
+   * @param {Map} postings Posting lists keyed by term
+   * @param {string} key Term
+   * @param {number} i Market index
+   */
+  addPosting(postings, key, i) {
+    if (!postings.has(key)) {
+      postings.set(key, []);
+    }
+    postings.get(key).push(i);
+  }
+  
+  /**
+   * Get candidate matches for a market from the blocking index
+   * 
+   * A market on another platform is a candidate when it shares at least
+   * minSharedTokens indexed tokens or number keys, a name entity or (between multi-outcome
+   * markets) minSharedOutcomes outcome names, and its end date is
+   * within maxEndDateDiffDays (when both end dates are known). The best
+   * maxCandidatesPerMarket candidates by shared token count are kept.
+   * 
+   * @param {number} i Index of the market
+   * @param {Array} prepared Prepared markets
+   * @param {Object} index Candidate index from buildCandidateIndex
+   * @param {Object} options { allMarkets: also return markets before i (default false) }
+   * @returns {Array<number>} Candidate market indexes (j > i unless allMarkets, ascending)
+   */
+  getCandidates(i, prepared, index, options = {}) {
+    const market = prepared[i];
+    const shared = new Map(); // j -> shared token count
+    const after = options.allMarkets ? -1 : i;
+    
+    for (const [platform, platformIndex] of Object.entries(index)) {
+      if (platform === market.platform) continue;
+      
+      for (const token of market.tokens) {
+        const postings = platformIndex.tokens.get(token);
+        if (!postings) continue;
+        
+        for (const j of postings) {
+          if (j > after) shared.set(j, (shared.get(j) || 0) + 1);
+        }
+      }
+      
+      for (const key of this.getNumberKeys(market, platformIndex.common)) {
+        const postings = platformIndex.numbers.get(key);
+        if (!postings) continue;
+        
+        for (const j of postings) {
+          if (j > after) shared.set(j, (shared.get(j) || 0) + 1);
+        }
+      }
+      
+      // A shared person/organization name is enough on its own
+      for (const name of market.entities.names) {
+        const postings = platformIndex.names.get(name.toLowerCase());
+        if (!postings) continue;
+        
+        for (const j of postings) {
+          if (j > after) shared.set(j, Math.max(shared.get(j) || 0, this.blocking.minSharedTokens));
+        }
+      }
+      
+      // Multi-outcome markets listing the same candidates/brackets
+      const sharedOutcomes = new Map();
+      for (const outcome of market.outcomes) {
+        const postings = platformIndex.outcomes.get(outcome);
+        if (!postings) continue;
+        
+        for (const j of postings) {
+          if (j > after) sharedOutcomes.set(j, (sharedOutcomes.get(j) || 0) + 1);
+        }
+      }
+      
+      for (const [j, count] of sharedOutcomes) {
+        if (count >= this.blocking.minSharedOutcomes) {
+          shared.set(j, Math.max(shared.get(j) || 0, this.blocking.minSharedTokens));
+        }
+      }
+    }
+    
+    const candidates = [];
+    for (const [j, count] of shared) {
+      if (count < this.blocking.minSharedTokens) continue;
+      if (!this.isWithinEndDateWindow(market, prepared[j])) continue;
+      candidates.push({ j, count });
+    }
+    
+    return candidates
+      .sort((a, b) => b.count - a.count || a.j - b.j)
+      .slice(0, this.blocking.maxCandidatesPerMarket)
+      .map(candidate => candidate.j)
+      .sort((a, b) => a - b);
+  }
+  
+  /**
+   * Markets from other platforms that may list the same event as each
+   * selected market (blocking index candidates, not scored)
+   * 
+   * Used to price multi-outcome markets against binary markets that were
+   * not matched into the same unified market.
+   * 
+   * @param {Array} markets Normalized markets from all platforms
+   * @param {Function} select Markets to look up candidates for (default all)
+   * @returns {Map<Object, Array>} Selected market -> candidate markets
+   */
+  findCandidateMarkets(markets, select = () => true) {
+    const prepared = markets.map(market => this.prepareMarket(market));
+    const index = this.buildCandidateIndex(prepared);
+    const candidates = new Map();
+    
+    markets.forEach((market, i) => {
+      if (!select(market)) return;
+      candidates.set(market, this.getCandidates(i, prepared, index, { allMarkets: true }).map(j => markets[j]));
+    });
+    
+    return candidates;
+  }
+  
+  /**
+   * Get every later market from another platform (blocking disabled)
+   * 
+   * @param {number} i Index of the market
+   * @param {Array} prepared Prepared markets
+   * @returns {Array<number>} Candidate market indexes (j > i, ascending)
+   */
+  getAllCandidates(i, prepared) {
+    const candidates = [];
+    
+    for (let j = i + 1; j < prepared.length; j++) {
+      if (prepared[j].platform !== prepared[i].platform) {
+        candidates.push(j);
+      }
+    }
+    
+    return candidates;
+  }
+  
+  /**
+   * Check whether two markets resolve close enough together to match
+   * 
+   * @param {Object} prepared1 First prepared market
+   * @param {Object} prepared2 Second prepared market
+   * @returns {boolean} True if end dates are within the window (or unknown)
+   */
+  isWithinEndDateWindow(prepared1, prepared2) {
+    if (isNaN(prepared1.endTime) || isNaN(prepared2.endTime)) {
+      return true;
+    }
+    
+    return Math.abs(prepared1.endTime - prepared2.endTime) <= this.blocking.maxEndDateDiffDays * DAY_MS;
+  }
+  
+  /**
+   * Upper bound on the confidence of a pair, assuming perfect entity, date
+   * and outcome scores. Levenshtein similarity cannot exceed the length ratio.
+   * 
+   * @param {Object} prepared1 First prepared market
+   * @param {Object} prepared2 Second prepared market
+   * @returns {number} Maximum achievable confidence
+   */
+  maxConfidence(prepared1, prepared2) {
+    const len1 = prepared1.normalized.length;
+    const len2 = prepared2.normalized.length;
+    
+    if (len1 === 0 || len2 === 0) {
+      return len1 === len2 ? 1.0 : 0.5;
+    }
+    
+    const maxTextSimilarity = Math.min(len1, len2) / Math.max(len1, len2);
+    
+    if (this.isOutcomeSetPair(prepared1, prepared2)) {
+      return (maxTextSimilarity * 0.15) + 0.5 + 0.15 + 0.2;
+    }
+    return (maxTextSimilarity * 0.5) + 0.3 + 0.2;
+  }
+  
   /**
    * Group markets by platform
    * 
@@ -433,9 +968,10 @@ class MarketMatchingEngine {
    * Create a unified market from matched markets
    * 
    * @param {Array} matches Array of matched markets
+   * @param {Array} prepared Prepared versions of matches (optional, see prepareMarket)
    * @returns {Object} UnifiedMarket object
    */
-  createUnifiedMarket(matches) {
+  createUnifiedMarket(matches, prepared = null) {
     if (!matches || matches.length === 0) {
       throw new Error('Cannot create unified market from empty matches');
     }
@@ -449,8 +985,9 @@ class MarketMatchingEngine {
     // Determine canonical question (longest, most descriptive)
     const question = this.selectCanonicalQuestion(matches);
     
-    // Extract category (prefer most specific)
+    // Extract category (prefer most specific) and a subcategory within it
     const category = this.selectCategory(matches);
+    const subcategory = (matches.find(m => m.category === category && m.subcategory) || {}).subcategory || null;
     
     // Extract resolution date (prefer earliest)
     const resolution_date = this.selectResolutionDate(matches);
@@ -465,10 +1002,11 @@ class MarketMatchingEngine {
     // Calculate match confidence (average if multiple matches)
     let match_confidence = 1.0;
     if (matches.length > 1) {
+      const preparedMatches = prepared || matches.map(market => this.prepareMarket(market));
       const confidences = [];
       for (let i = 0; i < matches.length - 1; i++) {
         for (let j = i + 1; j < matches.length; j++) {
-          confidences.push(this.calculateMatchConfidence(matches[i], matches[j]));
+          confidences.push(this.scorePreparedPair(preparedMatches[i], preparedMatches[j]));
         }
       }
       match_confidence = confidences.reduce((a, b) => a + b, 0) / confidences.length;
@@ -479,8 +1017,8 @@ class MarketMatchingEngine {
     const best_price = this.findBestPrices(matches);
     const liquidity_score = this.calculateLiquidityScore(matches);
     
-    // Check for arbitrage opportunities
-    const arbitrage = this.detectArbitrage(matches);
+    // Arbitrage (binary and Dutch book) is filled in by MarketAggregator's ArbitrageDetector
+    const arbitrage = null;
     
     // Check for criteria mismatches
     const criteria_mismatch = this.checkCriteriaMismatch(matches);
@@ -489,6 +1027,7 @@ class MarketMatchingEngine {
       unified_id,
       question,
       category,
+      subcategory,
       resolution_date,
       platforms,
       match_confidence,
@@ -641,56 +1180,6 @@ class MarketMatchingEngine {
     return Math.max(1, Math.min(5, Math.round(score * 5)));
   }
   
-  /**
-   * Detect arbitrage opportunities
-   * 
-   * @param {Array} matches Array of matched markets
-   * @returns {Object|null} Arbitrage info or null
-   */
-  detectArbitrage(matches) {
-    if (matches.length < 2) return null;
-    
-    // Find best YES and NO prices across platforms
-    let bestYesBuy = { platform: null, price: 1 };
-    let bestNoSell = { platform: null, price: 0 };
-    
-    for (const market of matches) {
-      if (!market.outcomes) continue;
-      
-      for (const outcome of market.outcomes) {
-        const name = (outcome.name || '').toLowerCase();
-        const price = outcome.price || 0;
-        
-        // For arbitrage, we want to buy YES at lowest price
-        if (name === 'yes' && price < bestYesBuy.price) {
-          bestYesBuy = { platform: market.platform, price };
-        }
-        // And sell NO at highest price (or buy NO at lowest)
-        if (name === 'no' && price > bestNoSell.price) {
-          bestNoSell = { platform: market.platform, price };
-        }
-      }
-    }
-    
-    // Check if arbitrage exists: (yes_price + no_price) < 0.95
-    const totalCost = bestYesBuy.price + bestNoSell.price;
-    
-    if (totalCost < 0.95) {
-      const profit_pct = ((1 - totalCost) / totalCost) * 100;
-      
-      // Only flag if profit > 2% (to account for fees)
-      if (profit_pct > 2) {
-        return {
-          exists: true,
-          profit_pct,
-          instructions: `Buy YES on ${bestYesBuy.platform} at ${(bestYesBuy.price * 100).toFixed(1)}¢, Sell YES on ${bestNoSell.platform} at ${(bestNoSell.price * 100).toFixed(1)}¢`
-        };
-      }
-    }
-    
-    return null;
-  }
-  
   /**
    * Check if resolution criteria differ between platforms
    * 
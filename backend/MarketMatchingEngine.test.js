@@ -446,4 +446,165 @@ describe('MarketMatchingEngine', () => {
       expect(score).toBe(0.5);
     });
   });
+
+  // ====================================================================
+  // TEST SUITE 8: Candidate Generation (Blocking)
+  // ====================================================================
+  describe('Candidate Generation (Blocking)', () => {
+    const market = (id, platform, question, endDate = '2025-12-31T00:00:00Z') => ({
+      id, platform, question, endDate, outcomes: [{ name: 'Yes', price: 0.5 }]
+    });
+
+    const markets = [
+      market('poly-1', 'polymarket', 'Will Bitcoin reach $150,000 by December 2025?'),
+      market('poly-2', 'polymarket', 'Will Ethereum reach $10,000 by December 2025?'),
+      market('kalshi-1', 'kalshi', 'Will Bitcoin reach $150,000 by December 2025?'),
+      market('kalshi-2', 'kalshi', 'Will the Lakers win the NBA Championship?'),
+      market('kalshi-3', 'kalshi', 'Will Bitcoin reach $150,000 by December 2025?', '2027-06-30T00:00:00Z')
+    ];
+
+    test('should only return cross-platform candidates that share tokens', () => {
+      const prepared = markets.map(m => engine.prepareMarket(m));
+      const index = engine.buildCandidateIndex(prepared);
+
+      const candidates = engine.getCandidates(0, prepared, index);
+      expect(candidates).toContain(2);
+      expect(candidates).not.toContain(1); // Same platform
+      expect(candidates).not.toContain(3); // No shared tokens
+    });
+
+    test('should exclude candidates outside the end-date window', () => {
+      const prepared = markets.map(m => engine.prepareMarket(m));
+      const index = engine.buildCandidateIndex(prepared);
+
+      expect(engine.getCandidates(0, prepared, index)).not.toContain(4);
+    });
+
+    test('should treat a shared name entity as a candidate on its own', () => {
+      const prepared = [
+        market('poly-1', 'polymarket', 'Gavin Newsom presidential run?'),
+        market('kalshi-1', 'kalshi', 'Will Gavin Newsom announce?')
+      ].map(m => engine.prepareMarket(m));
+      const index = engine.buildCandidateIndex(prepared);
+
+      expect(engine.getCandidates(0, prepared, index)).toEqual([1]);
+    });
+
+    test('should produce the same unified markets as brute force', () => {
+      const bruteForce = new MarketMatchingEngine({ blocking: false });
+
+      const blockedIds = engine.findMatches(markets).map(m => m.unified_id).sort();
+      const bruteIds = bruteForce.findMatches(markets).map(m => m.unified_id).sort();
+
+      expect(blockedIds).toEqual(bruteIds);
+    });
+
+    test('should find every brute-force match on the benchmark fixture', () => {
+      const { generateMarkets, matchedPairs } = require('./benchmark-matching');
+      const sample = generateMarkets(400, 7);
+      // A low cap drops the shared year/event words as the full-size benchmark does
+      const blocked = new MarketMatchingEngine({ minTokenFrequencyCap: 5 });
+
+      const blockedPairs = matchedPairs(blocked.findMatches(sample));
+      const brutePairs = matchedPairs(new MarketMatchingEngine({ blocking: false }).findMatches(sample));
+
+      expect(brutePairs.size).toBeGreaterThan(0);
+      expect([...brutePairs].filter(pair => !blockedPairs.has(pair))).toEqual([]);
+    });
+
+    test('should pair numbers with tokens too common to index', () => {
+      // "win", "2025", "nba" and "championship" all exceed the token cap
+      const markets = [market('kalshi-1', 'kalshi', 'Celtics to win 2025 NBA Championship')];
+      for (let n = 0; n < 60; n++) {
+        markets.push(market(`poly-${n}`, 'polymarket', `Will the Team${n} win the ${2025 + (n % 2)} NBA Championship?`));
+      }
+      markets.push(market('poly-x', 'polymarket', 'Will the Lakers win the 2025 NBA Championship?'));
+
+      const prepared = markets.map(m => engine.prepareMarket(m));
+      const index = engine.buildCandidateIndex(prepared);
+
+      expect(index.polymarket.tokens.has('nba')).toBe(false);
+      expect(engine.getCandidates(0, prepared, index)).toContain(61);
+      expect(engine.getCandidates(0, prepared, index)).not.toContain(2); // 2026
+    });
+
+    test('should score fewer pairs than brute force', () => {
+      engine.findMatches(markets);
+      expect(engine.lastMatchStats.scoredPairs).toBeLessThan(4);
+      expect(engine.lastMatchStats.matchedPairs).toBe(1);
+    });
+
+    test('should look up candidate markets in both directions', () => {
+      const candidates = engine.findCandidateMarkets(markets, m => m.platform === 'kalshi');
+
+      expect(candidates.get(markets[2])).toContain(markets[0]);
+      expect(candidates.get(markets[3])).toEqual([]);
+      expect(candidates.has(markets[0])).toBe(false);
+    });
+
+    test('should only log matches in debug mode', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const matchLogs = () => log.mock.calls.filter(args => String(args[0]).includes('Match found')).length;
+
+      engine.findMatches(markets);
+      expect(matchLogs()).toBe(0);
+
+      new MarketMatchingEngine({ debug: true }).findMatches(markets);
+      expect(matchLogs()).toBe(1);
+
+      log.mockRestore();
+    });
+  });
+
+  describe('Multi-outcome Events', () => {
+    const event = (id, platform, question, names) => ({
+      id,
+      platform,
+      question,
+      endDate: '2028-11-07T00:00:00Z',
+      isMultiOutcome: true,
+      allOutcomes: names.map(name => ({ name, price: 1 / names.length }))
+    });
+
+    const kalshi = event('kalshi-PRES-2028', 'kalshi', '2028 U.S. Presidential Election winner?',
+      ['J.D. Vance', 'Gavin Newsom', 'Josh Shapiro', 'Marco Rubio', 'Pete Buttigieg']);
+    const polymarket = event('poly-1', 'polymarket', 'Who will win the 2028 presidential election?',
+      ['JD Vance', 'Gavin Newsom', 'Josh Shapiro', 'Marco Rubio']);
+
+    test('should compare outcome sets against the smaller set', () => {
+      const [k, p] = [kalshi, polymarket].map(m => engine.prepareMarket(m));
+
+      expect(k.outcomes).toContain('jdvance');
+      expect(engine.compareOutcomeSets(k.outcomes, p.outcomes)).toBe(1);
+    });
+
+    test('should match events with the same candidates despite different titles', () => {
+      expect(engine.calculateMatchConfidence(kalshi, polymarket)).toBeGreaterThanOrEqual(engine.similarityThreshold);
+
+      const unified = engine.findMatches([polymarket, kalshi]);
+      expect(unified).toHaveLength(1);
+      expect(Object.keys(unified[0].platforms).sort()).toEqual(['kalshi', 'polymarket']);
+    });
+
+    test('should make events sharing outcomes candidates', () => {
+      const prepared = [
+        event('poly-1', 'polymarket', 'Fed decision in December?', ['Cut 25bps', 'No change', 'Hike']),
+        event('kalshi-1', 'kalshi', 'FOMC rate path', ['No change', 'Cut 25bps', 'Cut 50bps'])
+      ].map(m => engine.prepareMarket(m));
+      const index = engine.buildCandidateIndex(prepared);
+
+      expect(engine.getCandidates(0, prepared, index)).toEqual([1]);
+    });
+
+    test('should not match events with different candidates', () => {
+      const nominee = event('kalshi-DEM-2028', 'kalshi', 'Who will win the 2028 presidential election?',
+        ['Alexandria Ocasio-Cortez', 'Wes Moore', 'Gretchen Whitmer']);
+
+      expect(engine.calculateMatchConfidence(nominee, polymarket)).toBeLessThan(engine.similarityThreshold);
+    });
+
+    test('should leave binary markets on the text-based weights', () => {
+      expect(engine.prepareMarket({ question: 'Will it rain?', outcomes: [{ name: 'Yes' }, { name: 'No' }] }).outcomes).toEqual([]);
+    });
+  });
 });
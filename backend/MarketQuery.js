@@ -0,0 +1,312 @@
+/**
+ * MarketQuery - Server-side sorting, filtering and pagination for market listings
+ *
+ * Listing endpoints accept:
+ *
+ *   ?sort=volume|liquidity|closing|probability|trending   sort key
+ *   ?order=asc|desc                  default desc (asc for closing)
+ *   ?minVolume=1000                  24h volume >= 1000 (USD)
+ *   ?maxSpread=0.05                  bid/ask spread <= 0.05
+ *   ?endsBefore=2026-12-31           closes before the date (ISO or ms)
+ *   ?limit=50&cursor=...             page size (max 200) and continuation
+ *
+ * Cursors are keyset cursors: they encode the sort, the order and the
+ * (value, id) of the last market on the page, so the next page starts right
+ * after that market even if markets were added or dropped in between. Ties
+ * are broken by id and markets without a value sort last in either order.
+ * Works for normalized and unified markets (values are aggregated over the
+ * platform markets).
+ */
+
+const SORTS = ['volume', 'liquidity', 'closing', 'probability', 'trending'];
+
+const DEFAULT_SORT = 'volume';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class MarketQuery {
+  /**
+   * @param {Object} options Query options
+   * @param {Function} options.trendingScore Normalized market -> trending score
+   * @param {number} options.defaultLimit Page size without ?limit (default 50)
+   * @param {number} options.maxLimit Largest accepted ?limit (default 200)
+   */
+  constructor(options = {}) {
+    this.trendingScore = options.trendingScore || (market => market.volume_24h || 0);
+    this.defaultLimit = options.defaultLimit || DEFAULT_LIMIT;
+    this.maxLimit = options.maxLimit || MAX_LIMIT;
+  }
+
+  // ====================================================================
+  // QUERY PARSING
+  // ====================================================================
+
+  /**
+   * Parse listing query parameters
+   * @param {Object} query Express query
+   * @returns {Object} { sort, order, minVolume, maxSpread, endsBefore, limit, cursor, paginated }
+   * @throws {Error} If a parameter is invalid
+   */
+  parse(query = {}) {
+    const number = (name, min = 0) => {
+      if (query[name] === undefined || query[name] === '') return undefined;
+      const value = Number(query[name]);
+      if (!Number.isFinite(value) || value < min) {
+        throw new Error(`Invalid ${name}: expected a number >= ${min}`);
+      }
+      return value;
+    };
+
+    const sort = query.sort ? String(query.sort).toLowerCase() : null;
+    if (sort && !SORTS.includes(sort)) {
+      throw new Error(`Invalid sort: expected one of ${SORTS.join(', ')}`);
+    }
+
+    const order = query.order ? String(query.order).toLowerCase() : null;
+    if (order && order !== 'asc' && order !== 'desc') {
+      throw new Error('Invalid order: expected asc or desc');
+    }
+
+    let endsBefore;
+    if (query.endsBefore) {
+      endsBefore = /^\d+$/.test(query.endsBefore) ? Number(query.endsBefore) : Date.parse(query.endsBefore);
+      if (isNaN(endsBefore)) {
+        throw new Error('Invalid endsBefore: expected an ISO date or a timestamp in ms');
+      }
+    }
+
+    const cursor = query.cursor ? this.decodeCursor(query.cursor) : null;
+    const limit = number('limit', 1);
+    const paginated = Boolean(cursor) || limit !== undefined;
+
+    // A cursor carries its own sort; an explicit one must agree with it
+    const effectiveSort = sort || (cursor ? cursor.sort : paginated ? DEFAULT_SORT : null);
+    const effectiveOrder = effectiveSort ? order || (cursor && cursor.sort === effectiveSort ? cursor.order : this.defaultOrder(effectiveSort)) : null;
+
+    if (cursor && (cursor.sort !== effectiveSort || cursor.order !== effectiveOrder)) {
+      throw new Error(`Invalid cursor: it continues sort=${cursor.sort}&order=${cursor.order}`);
+    }
+
+    return {
+      sort: effectiveSort,
+      order: effectiveOrder,
+      minVolume: number('minVolume'),
+      maxSpread: number('maxSpread'),
+      endsBefore,
+      limit: paginated ? Math.min(Math.floor(limit || this.defaultLimit), this.maxLimit) : null,
+      cursor,
+      paginated
+    };
+  }
+
+  /**
+   * Default order of a sort (soonest first for closing, largest first otherwise)
+   * @param {string} sort Sort key
+   * @returns {string} 'asc' or 'desc'
+   */
+  defaultOrder(sort) {
+    return sort === 'closing' ? 'asc' : 'desc';
+  }
+
+  // ====================================================================
+  // MARKET VALUES
+  // ====================================================================
+
+  /**
+   * Platform markets behind a listing entry (itself for normalized markets)
+   * @param {Object} market Normalized or unified market
+   * @returns {Array} Normalized markets
+   */
+  platformMarketsOf(market) {
+    return market.platforms ? Object.values(market.platforms).filter(Boolean) : [market];
+  }
+
+  /**
+   * Sort or filter value of a market
+   * @param {Object} market Normalized or unified market
+   * @param {string} key Sort key, or 'spread'
+   * @returns {number|null} Value, null if the market has none
+   */
+  valueOf(market, key) {
+    const platformMarkets = this.platformMarketsOf(market);
+    const numbers = field => platformMarkets.map(platformMarket => platformMarket[field]).filter(Number.isFinite);
+
+    switch (key) {
+      case 'volume':
+      case 'liquidity': {
+        const values = numbers(key === 'volume' ? 'volume_24h' : 'liquidity');
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+      }
+      case 'spread': {
+        const values = numbers('spread');
+        return values.length > 0 ? Math.min(...values) : null;
+      }
+      case 'closing': {
+        // Earliest of the unified resolution date and the platform end dates
+        const dates = [market.resolution_date, ...platformMarkets.map(platformMarket => platformMarket.endDate)]
+          .map(date => (date ? new Date(date).getTime() : NaN))
+          .filter(time => !isNaN(time));
+        return dates.length > 0 ? Math.min(...dates) : null;
+      }
+      case 'probability': {
+        const prices = platformMarkets
+          .flatMap(platformMarket => platformMarket.outcomes || [])
+          .map(outcome => outcome.price)
+          .filter(Number.isFinite);
+        return prices.length > 0 ? Math.max(...prices) : null;
+      }
+      case 'trending': {
+        const scores = platformMarkets.map(platformMarket => this.trendingScore(platformMarket)).filter(Number.isFinite);
+        return scores.length > 0 ? Math.max(...scores) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Stable id of a market (tie-breaker)
+   * @param {Object} market Normalized or unified market
+   * @returns {string} ID
+   */
+  idOf(market) {
+    return String(market.unified_id || market.id || '');
+  }
+
+  // ====================================================================
+  // FILTERING, SORTING, PAGINATION
+  // ====================================================================
+
+  /**
+   * Markets passing the minVolume, maxSpread and endsBefore filters
+   * @param {Array} markets Markets
+   * @param {Object} options Parsed query
+   * @returns {Array} Matching markets
+   */
+  filter(markets, options) {
+    return markets.filter((market) => {
+      if (options.minVolume !== undefined && !((this.valueOf(market, 'volume') || 0) >= options.minVolume)) return false;
+
+      if (options.maxSpread !== undefined) {
+        const spread = this.valueOf(market, 'spread');
+        if (spread === null || spread > options.maxSpread) return false;
+      }
+
+      if (options.endsBefore !== undefined) {
+        const closing = this.valueOf(market, 'closing');
+        if (closing === null || closing >= options.endsBefore) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Compare two sort keys (missing values last, ties by id)
+   * @param {Object} a { value, id }
+   * @param {Object} b { value, id }
+   * @param {string} order 'asc' or 'desc'
+   * @returns {number} Negative if a comes first
+   */
+  compareKeys(a, b, order) {
+    if (a.value !== b.value) {
+      if (a.value === null) return 1;
+      if (b.value === null) return -1;
+      return order === 'asc' ? a.value - b.value : b.value - a.value;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  }
+
+  /**
+   * Sort and page a listing
+   * @param {Array} markets Filtered markets
+   * @param {Object} options Parsed query
+   * @returns {Object} { markets, pagination: { sort, order, limit, total, returned, nextCursor, hasMore } }
+   */
+  page(markets, options) {
+    let keyed = markets.map(market => ({ market, key: { value: null, id: this.idOf(market) } }));
+
+    if (options.sort) {
+      for (const entry of keyed) {
+        entry.key.value = this.valueOf(entry.market, options.sort);
+      }
+      keyed.sort((a, b) => this.compareKeys(a.key, b.key, options.order));
+    }
+
+    if (options.cursor) {
+      keyed = keyed.filter(entry => this.compareKeys(entry.key, options.cursor, options.order) > 0);
+    }
+
+    const page = options.limit ? keyed.slice(0, options.limit) : keyed;
+    const hasMore = page.length < keyed.length;
+    const last = page[page.length - 1];
+
+    return {
+      markets: page.map(entry => entry.market),
+      pagination: {
+        sort: options.sort,
+        order: options.order,
+        limit: options.limit,
+        total: markets.length,
+        returned: page.length,
+        nextCursor: hasMore ? this.encodeCursor({ sort: options.sort, order: options.order, ...last.key }) : null,
+        hasMore
+      }
+    };
+  }
+
+  /**
+   * Filter, sort and page a listing
+   * @param {Array} markets Markets
+   * @param {Object} options Parsed query
+   * @returns {Object} { markets, pagination }
+   */
+  apply(markets, options) {
+    return this.page(this.filter(markets, options), options);
+  }
+
+  // ====================================================================
+  // CURSORS
+  // ====================================================================
+
+  /**
+   * Opaque cursor for a position in a sorted listing
+   * @param {Object} position { sort, order, value, id }
+   * @returns {string} base64url cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify([position.sort, position.order, position.value, position.id])).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor
+   * @param {string} cursor base64url cursor
+   * @returns {Object} { sort, order, value, id }
+   * @throws {Error} If the cursor is malformed
+   */
+  decodeCursor(cursor) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!Array.isArray(decoded) || decoded.length !== 4 || !SORTS.includes(decoded[0]) ||
+        !['asc', 'desc'].includes(decoded[1]) || !(decoded[2] === null || Number.isFinite(decoded[2])) ||
+        typeof decoded[3] !== 'string') {
+      throw new Error('Invalid cursor');
+    }
+
+    const [sort, order, value, id] = decoded;
+    return { sort, order, value, id };
+  }
+}
+
+MarketQuery.SORTS = SORTS;
+MarketQuery.DEFAULT_SORT = DEFAULT_SORT;
+MarketQuery.DEFAULT_LIMIT = DEFAULT_LIMIT;
+MarketQuery.MAX_LIMIT = MAX_LIMIT;
+
+// Export for use in server
+module.exports = MarketQuery;
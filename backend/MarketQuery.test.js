@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for MarketQuery
+ * Tests parameter parsing, filters, sort values and keyset cursors
+ */
+
+const MarketQuery = require('./MarketQuery');
+
+describe('MarketQuery', () => {
+  let query;
+
+  const market = (id, fields = {}) => ({
+    id,
+    volume_24h: 0,
+    liquidity: 0,
+    spread: 0.02,
+    endDate: '2030-01-01T00:00:00Z',
+    outcomes: [{ name: 'Yes', price: 0.5 }, { name: 'No', price: 0.5 }],
+    ...fields
+  });
+
+  const MARKETS = [
+    market('a', { volume_24h: 500, endDate: '2026-03-01T00:00:00Z' }),
+    market('b', { volume_24h: 900, spread: 0.2 }),
+    market('c', { volume_24h: 500, endDate: null }),
+    market('d', { volume_24h: 100, endDate: '2026-01-01T00:00:00Z' }),
+    market('e', { volume_24h: 700 })
+  ];
+
+  const ids = markets => markets.map(m => m.unified_id || m.id);
+
+  beforeEach(() => {
+    query = new MarketQuery();
+  });
+
+  describe('Parsing', () => {
+    test('should leave unpaginated listings unsorted by default', () => {
+      expect(query.parse({})).toMatchObject({ sort: null, order: null, limit: null, paginated: false });
+    });
+
+    test('should default the sort, order and limit of pages', () => {
+      expect(query.parse({ limit: '10' })).toMatchObject({ sort: 'volume', order: 'desc', limit: 10, paginated: true });
+      expect(query.parse({ sort: 'closing' })).toMatchObject({ order: 'asc', limit: null });
+      expect(query.parse({ limit: '1000' }).limit).toBe(MarketQuery.MAX_LIMIT);
+    });
+
+    test('should reject invalid parameters', () => {
+      expect(() => query.parse({ sort: 'random' })).toThrow('Invalid sort');
+      expect(() => query.parse({ order: 'up' })).toThrow('Invalid order');
+      expect(() => query.parse({ minVolume: '-1' })).toThrow('Invalid minVolume');
+      expect(() => query.parse({ endsBefore: 'soon' })).toThrow('Invalid endsBefore');
+      expect(() => query.parse({ cursor: 'bm90IGEgY3Vyc29y' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('Filters', () => {
+    test('should filter by volume, spread and closing date', () => {
+      expect(ids(query.filter(MARKETS, query.parse({ minVolume: '500' })))).toEqual(['a', 'b', 'c', 'e']);
+      expect(ids(query.filter(MARKETS, query.parse({ maxSpread: '0.05' })))).toEqual(['a', 'c', 'd', 'e']);
+      expect(ids(query.filter(MARKETS, query.parse({ endsBefore: '2026-02-01' })))).toEqual(['d']);
+    });
+  });
+
+  describe('Sorting', () => {
+    test('should sort with id tie-breaks and missing values last', () => {
+      expect(ids(query.apply(MARKETS, query.parse({ sort: 'volume' })).markets)).toEqual(['b', 'e', 'a', 'c', 'd']);
+      expect(ids(query.apply(MARKETS, query.parse({ sort: 'volume', order: 'asc' })).markets)).toEqual(['d', 'a', 'c', 'e', 'b']);
+      expect(ids(query.apply(MARKETS, query.parse({ sort: 'closing', order: 'desc' })).markets)).toEqual(['b', 'e', 'a', 'd', 'c']);
+    });
+
+    test('should aggregate unified markets over their platforms', () => {
+      const unified = {
+        unified_id: 'u',
+        resolution_date: '2026-06-01T00:00:00Z',
+        platforms: {
+          polymarket: market('p', { volume_24h: 100, liquidity: 10, spread: 0.04, outcomes: [{ name: 'Yes', price: 0.62 }] }),
+          kalshi: market('k', { volume_24h: 50, liquidity: 5, spread: 0.01, outcomes: [{ name: 'Yes', price: 0.6 }] })
+        }
+      };
+
+      expect(query.valueOf(unified, 'volume')).toBe(150);
+      expect(query.valueOf(unified, 'liquidity')).toBe(15);
+      expect(query.valueOf(unified, 'spread')).toBe(0.01);
+      expect(query.valueOf(unified, 'probability')).toBe(0.62);
+      expect(query.valueOf(unified, 'closing')).toBe(Date.parse('2026-06-01T00:00:00Z'));
+    });
+
+    test('should close unified markets at their earliest platform end date', () => {
+      const unified = {
+        unified_id: 'u',
+        resolution_date: '2026-06-01T00:00:00Z',
+        platforms: {
+          polymarket: market('p', { endDate: '2026-07-01T00:00:00Z' }),
+          kalshi: market('k', { endDate: '2026-05-15T00:00:00Z' })
+        }
+      };
+
+      expect(query.valueOf(unified, 'closing')).toBe(Date.parse('2026-05-15T00:00:00Z'));
+      expect(query.valueOf({ ...unified, resolution_date: null }, 'closing')).toBe(Date.parse('2026-05-15T00:00:00Z'));
+    });
+
+    test('should rank trending with the configured score', () => {
+      const trending = new MarketQuery({ trendingScore: m => (m.id === 'd' ? 10 : 1) });
+
+      expect(ids(trending.apply(MARKETS, trending.parse({ sort: 'trending' })).markets)[0]).toBe('d');
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should walk every market exactly once with cursors', () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = query.apply(MARKETS, query.parse({ limit: '2', cursor }));
+        seen.push(...ids(page.markets));
+        expect(page.pagination.total).toBe(5);
+        cursor = page.pagination.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['b', 'e', 'a', 'c', 'd']);
+    });
+
+    test('should keep cursors stable when markets are added or removed', () => {
+      const first = query.apply(MARKETS, query.parse({ limit: '2' }));
+      const changed = [market('z', { volume_24h: 5000 }), ...MARKETS.filter(m => m.id !== 'e')];
+
+      const next = query.apply(changed, query.parse({ limit: '2', cursor: first.pagination.nextCursor }));
+
+      expect(ids(first.markets)).toEqual(['b', 'e']);
+      expect(ids(next.markets)).toEqual(['a', 'c']);
+      expect(next.pagination.hasMore).toBe(true);
+    });
+
+    test('should reject a cursor for a different sort', () => {
+      const { nextCursor } = query.apply(MARKETS, query.parse({ limit: '2' })).pagination;
+
+      expect(query.parse({ cursor: nextCursor })).toMatchObject({ sort: 'volume', order: 'desc' });
+      expect(() => query.parse({ cursor: nextCursor, sort: 'liquidity' })).toThrow('Invalid cursor');
+      expect(() => query.parse({ cursor: nextCursor, order: 'asc' })).toThrow('Invalid cursor');
+    });
+  });
+});
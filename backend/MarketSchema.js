@@ -0,0 +1,341 @@
+/**
+ * MarketSchema - Versioned normalized-market schema
+ *
+ * Every platform adapter builds its normalized markets through buildMarket()
+ * so routes, MarketAggregator and the frontend all receive the same shape,
+ * and validate() checks a market against that shape (used by the aggregator,
+ * the server routes and the fetcher contract tests).
+ *
+ * Schema version 4:
+ * {
+ *   schemaVersion: 4,
+ *   id: '<platform>-<venue id>',     platform: 'polymarket' | 'kalshi' | ...,
+ *   platformName: 'Polymarket',      question, title, shortTitle,
+ *   category, subcategory            (see CategoryTaxonomy; subcategory may be null)
+ *   tags: []                         facet tags below the subcategory (see MarketTagger)
+ *   allOutcomes: [{ name, price, volume, color, image, rank, tokenId }]  by price, highest first
+ *   outcomes:    top CARD_OUTCOME_LIMIT of allOutcomes (for market cards)
+ *   outcomeCount, isMultiOutcome, marketType: 'binary' | 'multi-outcome',
+ *   volume_24h, liquidity, spread,
+ *   startDate, endDate, image, url,
+ *   tokenIds: [],                    orderbook: null (fetched on demand),
+ *   status, settlement, closed, resolved   (see MarketLifecycle)
+ *   lastUpdate
+ * }
+ * Prices are 0.00-1.00, volumes and liquidity are USD.
+ *
+ * Bump SCHEMA_VERSION whenever a field is added, removed or changes meaning.
+ * v2: outcomes carry their venue token ID (tokenId, null when the venue has none)
+ * v3: subcategory from the category taxonomy
+ * v4: tags from taxonomy keywords, entities, venue tags and price brackets
+ */
+
+const MarketLifecycle = require('./MarketLifecycle');
+const CategoryTaxonomy = require('./CategoryTaxonomy');
+const MarketTagger = require('./MarketTagger');
+
+const SCHEMA_VERSION = 4;
+
+// Outcomes shown on a market card
+const CARD_OUTCOME_LIMIT = 3;
+
+// Short titles are truncated to this many characters
+const SHORT_TITLE_LENGTH = 50;
+
+const OUTCOME_COLORS = ['#3B82F6', '#EF4444', '#F59E0B', '#10B981', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+const BINARY_COLORS = { yes: '#10B981', no: '#EF4444' };
+
+class MarketSchema {
+  /**
+   * @param {Object} options Schema options
+   * @param {MarketLifecycle} options.lifecycle Lifecycle model (default: real clock)
+   * @param {CategoryTaxonomy} options.taxonomy Category taxonomy (default: category-taxonomy.json)
+   * @param {MarketTagger} options.tagger Facet tagger (default: one over the taxonomy)
+   */
+  constructor(options = {}) {
+    this.lifecycle = options.lifecycle || new MarketLifecycle();
+    this.taxonomy = options.taxonomy || new CategoryTaxonomy();
+    this.tagger = options.tagger || new MarketTagger({ taxonomy: this.taxonomy });
+    this.version = SCHEMA_VERSION;
+  }
+
+  // ====================================================================
+  // TITLES & CATEGORIES
+  // ====================================================================
+
+  /**
+   * Clean a raw title by removing redundant "yes/no" prefixes
+   * @param {string} title The raw market title from API
+   * @returns {string} Cleaned title
+   */
+  cleanTitle(title) {
+    if (!title) return '';
+
+    let cleaned = title;
+    // Remove leading "yes " or "no " patterns (case-insensitive)
+    cleaned = cleaned.replace(/^(yes|no)\s+/gi, '');
+    // Remove multiple consecutive "yes " or "no " in the middle
+    cleaned = cleaned.replace(/,\s*(yes|no)\s+/gi, ', ');
+    // Clean up extra spaces
+    cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+    return cleaned;
+  }
+
+  /**
+   * Create a shortened title for a market card
+   * @param {string} title The full market title
+   * @returns {string} A truncated title, if necessary
+   */
+  shortenTitle(title) {
+    const cleaned = this.cleanTitle(title);
+
+    if (cleaned.length > SHORT_TITLE_LENGTH) {
+      return cleaned.substring(0, SHORT_TITLE_LENGTH - 3) + '...';
+    }
+    return cleaned;
+  }
+
+  /**
+   * Assign a category, subcategory and facet tags from the venue's category/tags and the title
+   * @param {string} title The market title
+   * @param {string} nativeCategory Optional native category from API
+   * @param {Array<string>} nativeTags Optional venue tags, most relevant first
+   * @returns {Object} { category, subcategory, tags }
+   */
+  categorize(title, nativeCategory = null, nativeTags = []) {
+    const classification = this.taxonomy.classify(title, { category: nativeCategory, tags: nativeTags });
+
+    return {
+      category: classification.category,
+      subcategory: classification.subcategory,
+      tags: this.tagger.tag(title, classification, nativeTags || [])
+    };
+  }
+
+  // ====================================================================
+  // BUILDING
+  // ====================================================================
+
+  /**
+   * Build a normalized market from venue fields
+   *
+   * @param {Object} fields Venue fields
+   * @param {string} fields.id Prefixed market ID ('poly-123', 'kalshi-FED-25DEC')
+   * @param {string} fields.platform Lowercase platform key
+   * @param {string} fields.platformName Display name
+   * @param {string} fields.question Raw question/title
+   * @param {Array} fields.outcomes [{ name, price, volume?, image?, tokenId? }] in venue order
+   * @param {string} fields.nativeCategory Venue category, if any
+   * @param {Array<string>} fields.nativeTags Venue tags / event categories, if any
+   * @param {string} fields.status Lifecycle status
+   * @param {Object} fields.settlement Settlement for resolved/voided markets
+   * @returns {Object} Market in the current schema version
+   */
+  buildMarket(fields) {
+    const allOutcomes = this.buildOutcomes(fields.outcomes || []);
+    const isMultiOutcome = allOutcomes.length > 2;
+    const title = this.cleanTitle(fields.question);
+    const { category, subcategory, tags } = this.categorize(title, fields.nativeCategory, fields.nativeTags);
+
+    const market = {
+      schemaVersion: SCHEMA_VERSION,
+      id: fields.id,
+      platform: fields.platform,
+      platformName: fields.platformName,
+      question: fields.question,
+      title,
+      shortTitle: this.shortenTitle(fields.question),
+      category,
+      subcategory,
+      tags,
+      outcomes: allOutcomes.slice(0, CARD_OUTCOME_LIMIT),
+      allOutcomes,
+      outcomeCount: allOutcomes.length,
+      isMultiOutcome,
+      marketType: isMultiOutcome ? 'multi-outcome' : 'binary',
+      volume_24h: this.toAmount(fields.volume_24h),
+      liquidity: this.toAmount(fields.liquidity),
+      spread: this.calculateSpread(allOutcomes),
+      startDate: fields.startDate || null,
+      endDate: fields.endDate || null,
+      image: fields.image || null,
+      url: fields.url || null,
+      tokenIds: fields.tokenIds || [],
+      orderbook: null, // Depth is fetched on demand by OrderbookService
+      lastUpdate: Date.now()
+    };
+
+    return this.lifecycle.withStatus(market, fields.status || 'open', fields.settlement || null);
+  }
+
+  /**
+   * Rank outcomes by price and assign display colors
+   * Colors follow venue order so an outcome keeps its color as prices move
+   *
+   * @param {Array} outcomes [{ name, price, volume?, image?, tokenId? }]
+   * @returns {Array} Outcomes sorted by price, highest first
+   */
+  buildOutcomes(outcomes) {
+    return outcomes
+      .map((outcome, index) => {
+        const name = String(outcome.name);
+        const binaryColor = outcomes.length === 2 ? BINARY_COLORS[name.toLowerCase()] : null;
+
+        return {
+          name,
+          price: outcome.price,
+          volume: this.toAmount(outcome.volume),
+          color: binaryColor || OUTCOME_COLORS[index % OUTCOME_COLORS.length],
+          image: outcome.image || null,
+          rank: 0,
+          tokenId: outcome.tokenId ? String(outcome.tokenId) : null
+        };
+      })
+      .sort((a, b) => b.price - a.price)
+      .map((outcome, index) => ({ ...outcome, rank: index + 1 }));
+  }
+
+  /**
+   * Spread of a market's prices
+   * Binary: how far Yes + No is from 1.0
+   * Multi-outcome: average deviation from the fair price
+   *
+   * @param {Array} outcomes Outcomes
+   * @returns {number} Spread value
+   */
+  calculateSpread(outcomes) {
+    if (!outcomes || outcomes.length === 0) {
+      return 0.1; // Default 10% spread
+    }
+
+    if (outcomes.length === 2) {
+      return Math.abs(1 - (outcomes[0].price + outcomes[1].price));
+    }
+
+    const fairPrice = 1 / outcomes.length;
+    return outcomes.reduce((sum, outcome) => sum + Math.abs(outcome.price - fairPrice), 0) / outcomes.length;
+  }
+
+  /**
+   * Parse a USD amount, treating missing or invalid values as 0
+   * @param {*} value Raw amount
+   * @returns {number} Amount
+   */
+  toAmount(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+  }
+
+  // ====================================================================
+  // VALIDATION
+  // ====================================================================
+
+  /**
+   * Validate a market against the current schema version
+   *
+   * @param {Object} market Normalized market
+   * @returns {Object} { valid, errors } errors are 'field: problem' strings
+   */
+  validate(market) {
+    const errors = [];
+
+    if (!market || typeof market !== 'object') {
+      return { valid: false, errors: ['market: not an object'] };
+    }
+
+    const check = (field, ok, problem) => {
+      if (!ok) errors.push(`${field}: ${problem}`);
+    };
+    const isString = value => typeof value === 'string' && value.length > 0;
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isNullableString = value => value === null || typeof value === 'string';
+
+    check('schemaVersion', market.schemaVersion === SCHEMA_VERSION, `expected ${SCHEMA_VERSION}, got ${market.schemaVersion}`);
+    check('platform', isString(market.platform) && market.platform === market.platform.toLowerCase(), 'must be a lowercase platform key');
+    check('id', isString(market.id) && /^[a-z]+-.+/.test(market.id), "must be '<prefix>-<venue id>'");
+    check('platformName', isString(market.platformName), 'must be a non-empty string');
+    check('question', isString(market.question), 'must be a non-empty string');
+    check('title', isString(market.title), 'must be a non-empty string');
+    check('shortTitle', isString(market.shortTitle), 'must be a non-empty string');
+    check('category', isString(market.category), 'must be a non-empty string');
+    check('subcategory', isNullableString(market.subcategory), 'must be a string or null');
+    check('tags', Array.isArray(market.tags) && market.tags.every(isString), 'must be an array of strings');
+    check('volume_24h', isAmount(market.volume_24h), 'must be a non-negative number');
+    check('liquidity', isAmount(market.liquidity), 'must be a non-negative number');
+    check('spread', isAmount(market.spread), 'must be a non-negative number');
+    check('startDate', isNullableString(market.startDate), 'must be a string or null');
+    check('endDate', isNullableString(market.endDate), 'must be a string or null');
+    check('image', isNullableString(market.image), 'must be a string or null');
+    check('url', isNullableString(market.url), 'must be a string or null');
+    check('tokenIds', Array.isArray(market.tokenIds) && market.tokenIds.every(isString), 'must be an array of strings');
+    check('status', this.lifecycle.isValidStatus(market.status), `unknown status ${market.status}`);
+    check('settlement', market.settlement === null || typeof market.settlement === 'object', 'must be an object or null');
+    check('closed', typeof market.closed === 'boolean', 'must be a boolean');
+    check('resolved', typeof market.resolved === 'boolean', 'must be a boolean');
+    check('lastUpdate', typeof market.lastUpdate === 'number', 'must be a timestamp');
+
+    const allOutcomes = market.allOutcomes;
+    if (!Array.isArray(allOutcomes) || allOutcomes.length < 2) {
+      errors.push('allOutcomes: must list at least two outcomes');
+    } else {
+      allOutcomes.forEach((outcome, index) => {
+        const field = `allOutcomes[${index}]`;
+        check(`${field}.name`, isString(outcome.name), 'must be a non-empty string');
+        check(`${field}.price`, typeof outcome.price === 'number' && outcome.price >= 0 && outcome.price <= 1, 'must be within 0.00-1.00');
+        check(`${field}.volume`, isAmount(outcome.volume), 'must be a non-negative number');
+        check(`${field}.color`, isString(outcome.color), 'must be a non-empty string');
+        check(`${field}.image`, isNullableString(outcome.image), 'must be a string or null');
+        check(`${field}.rank`, outcome.rank === index + 1, `must be ${index + 1}`);
+        check(`${field}.tokenId`, isNullableString(outcome.tokenId), 'must be a string or null');
+      });
+
+      check('outcomes', Array.isArray(market.outcomes) &&
+        market.outcomes.length === Math.min(allOutcomes.length, CARD_OUTCOME_LIMIT) &&
+        market.outcomes.every((outcome, index) => outcome.name === allOutcomes[index].name),
+        `must be the first ${CARD_OUTCOME_LIMIT} of allOutcomes`);
+      check('outcomeCount', market.outcomeCount === allOutcomes.length, 'must equal allOutcomes.length');
+      check('isMultiOutcome', market.isMultiOutcome === allOutcomes.length > 2, 'must be true for more than two outcomes');
+      check('marketType', market.marketType === (allOutcomes.length > 2 ? 'multi-outcome' : 'binary'), 'must match the outcome count');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Keep only markets that satisfy the schema, logging what was dropped
+   *
+   * @param {Array} markets Normalized markets (nulls are dropped silently)
+   * @param {string} source Label for the log line
+   * @returns {Array} Valid markets
+   */
+  filterValid(markets, source = 'unknown') {
+    const valid = [];
+    let dropped = 0;
+    let firstError = null;
+
+    for (const market of markets || []) {
+      if (!market) continue;
+
+      const result = this.validate(market);
+      if (result.valid) {
+        valid.push(market);
+      } else {
+        dropped++;
+        firstError = firstError || `${market.id}: ${result.errors[0]}`;
+      }
+    }
+
+    if (dropped > 0) {
+      console.warn(`[MarketSchema] Dropped ${dropped} ${source} markets failing schema v${SCHEMA_VERSION} (e.g. ${firstError})`);
+    }
+
+    return valid;
+  }
+}
+
+MarketSchema.SCHEMA_VERSION = SCHEMA_VERSION;
+MarketSchema.CARD_OUTCOME_LIMIT = CARD_OUTCOME_LIMIT;
+
+// Export for use in platform adapters, aggregator and server
+module.exports = MarketSchema;
@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for MarketSchema
+ * Tests the shared market builder, the validator and the fetcher contracts
+ */
+
+const MarketSchema = require('./MarketSchema');
+const MarketAggregator = require('./MarketAggregator');
+const PlatformRegistry = require('./PlatformRegistry');
+const PolymarketFetcher = require('./PolymarketFetcher');
+const KalshiFetcher = require('./KalshiFetcher');
+
+describe('MarketSchema', () => {
+  let schema;
+
+  const fields = {
+    id: 'poly-1',
+    platform: 'polymarket',
+    platformName: 'Polymarket',
+    question: 'Yes Who will win the 2028 presidential election?',
+    outcomes: [
+      { name: 'Alice', price: 0.2 },
+      { name: 'Bob', price: 0.45 },
+      { name: 'Carol', price: 0.3 },
+      { name: 'Dave', price: 0.05 }
+    ],
+    volume_24h: '1200.5',
+    liquidity: null
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    schema = new MarketSchema();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Building', () => {
+    test('should rank outcomes and keep venue-order colors', () => {
+      const market = schema.buildMarket(fields);
+
+      expect(market.allOutcomes.map(o => [o.name, o.rank])).toEqual([['Bob', 1], ['Carol', 2], ['Alice', 3], ['Dave', 4]]);
+      expect(market.allOutcomes[0].color).toBe('#EF4444');
+      expect(market.outcomes.map(o => o.name)).toEqual(['Bob', 'Carol', 'Alice']);
+      expect(market).toMatchObject({
+        schemaVersion: MarketSchema.SCHEMA_VERSION,
+        title: 'Who will win the 2028 presidential election?',
+        category: 'Politics',
+        outcomeCount: 4,
+        marketType: 'multi-outcome',
+        volume_24h: 1200.5,
+        liquidity: 0,
+        status: 'open',
+        closed: false
+      });
+    });
+
+    test('should color binary outcomes by name', () => {
+      const market = schema.buildMarket({ ...fields, outcomes: [{ name: 'Yes', price: 0.3 }, { name: 'No', price: 0.7 }] });
+
+      expect(market.allOutcomes.map(o => [o.name, o.color])).toEqual([['No', '#EF4444'], ['Yes', '#10B981']]);
+      expect(market.spread).toBeCloseTo(0);
+    });
+
+    test('should classify category and subcategory through the taxonomy', () => {
+      expect(schema.buildMarket(fields)).toMatchObject({ category: 'Politics', subcategory: 'US Elections' });
+      expect(schema.buildMarket({ ...fields, question: 'Kansas City vs Buffalo', nativeTags: ['sports', 'nfl'] }))
+        .toMatchObject({ category: 'Sports', subcategory: 'NFL' });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept built markets', () => {
+      expect(schema.validate(schema.buildMarket(fields))).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report each broken field', () => {
+      const market = {
+        ...schema.buildMarket(fields),
+        schemaVersion: 0,
+        platform: 'Polymarket',
+        status: 'live'
+      };
+      market.allOutcomes = market.allOutcomes.map((o, i) => (i === 0 ? { ...o, price: 45 } : o));
+
+      const { valid, errors } = schema.validate(market);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        `schemaVersion: expected ${MarketSchema.SCHEMA_VERSION}, got 0`,
+        'platform: must be a lowercase platform key',
+        'status: unknown status live',
+        'allOutcomes[0].price: must be within 0.00-1.00'
+      ]));
+    });
+
+    test('should reject markets whose card outcomes drift from allOutcomes', () => {
+      const market = schema.buildMarket(fields);
+      market.outcomes = market.outcomes.slice(0, 2);
+
+      expect(schema.validate(market).errors).toEqual(['outcomes: must be the first 3 of allOutcomes']);
+    });
+
+    test('should drop invalid markets from batches', () => {
+      const valid = schema.buildMarket(fields);
+      const result = schema.filterValid([valid, null, { id: 'poly-2' }], 'polymarket');
+
+      expect(result).toEqual([valid]);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Dropped 1 polymarket markets'));
+    });
+  });
+
+  describe('Fetcher contracts', () => {
+    const expectValid = (market) => {
+      expect(market).not.toBeNull();
+      expect(schema.validate(market).errors).toEqual([]);
+    };
+
+    test('PolymarketFetcher output satisfies the schema', () => {
+      const fetcher = new PolymarketFetcher();
+
+      // Gamma binary market
+      expectValid(fetcher.normalizeMarket({
+        id: '501',
+        question: 'Will the Fed cut rates in December?',
+        slug: 'fed-december',
+        lastTradePrice: 0.62,
+        volume: '12000',
+        liquidity: '3400',
+        endDate: '2026-12-10T00:00:00Z',
+        clobTokenIds: '["111", "222"]'
+      }));
+
+      // CLOB multi-outcome market
+      expectValid(fetcher.normalizeMarket({
+        condition_id: '0xabc',
+        question: 'Who will win the 2028 presidential election?',
+        tokens: [
+          { token_id: '1', outcome: 'Alice', price: 0.4, volume: 500 },
+          { token_id: '2', outcome: 'Bob', price: 0.35 },
+          { token_id: '3', outcome: 'Carol', price: 0.25 }
+        ],
+        tags: [{ label: 'Politics' }]
+      }));
+
+      // Event categories and tags
+      const tagged = fetcher.normalizeMarket({
+        id: '503',
+        question: 'Kansas City vs Buffalo',
+        lastTradePrice: 0.55,
+        events: [{ category: 'Sports', tags: [{ label: 'NFL', slug: 'nfl' }] }]
+      });
+      expectValid(tagged);
+      expect(tagged).toMatchObject({ category: 'Sports', subcategory: 'NFL' });
+
+      // Resolved market
+      const resolved = fetcher.normalizeMarket({
+        id: '502',
+        question: 'Will it snow in Miami?',
+        closed: true,
+        umaResolutionStatus: 'resolved',
+        tokens: [{ outcome: 'Yes', price: 0, winner: false }, { outcome: 'No', price: 1, winner: true }]
+      });
+      expectValid(resolved);
+      expect(resolved.settlement.outcome).toBe('No');
+    });
+
+    test('KalshiFetcher output satisfies the schema', () => {
+      const fetcher = new KalshiFetcher();
+
+      const market = fetcher.normalizeMarket({
+        ticker: 'FED-25DEC-T4.00',
+        title: 'Fed funds rate above 4.00% after December meeting?',
+        category: 'Economics',
+        status: 'active',
+        yes_ask: 38,
+        no_ask: 63,
+        volume: 5400,
+        open_interest: 1200,
+        open_time: '2025-01-01T00:00:00Z',
+        close_time: '2026-12-18T00:00:00Z'
+      });
+
+      expectValid(market);
+      expect(market).toMatchObject({ platform: 'kalshi', platformName: 'Kalshi', category: 'Economics' });
+    });
+
+    test('MarketAggregator drops adapter output that breaks the schema', async () => {
+      const registry = new PlatformRegistry();
+      registry.register({
+        name: 'polymarket',
+        fetchMarkets: async () => [{ id: 'good' }, { id: 'bad' }],
+        fetchMarketDetails: async () => null,
+        normalizeMarket: raw => (raw.id === 'good'
+          ? schema.buildMarket({ ...fields, id: 'poly-good' })
+          : { id: 'poly-bad', platform: 'polymarket', outcomes: [] }),
+        getHealthStatus: () => ({ status: 'healthy' })
+      });
+
+      const aggregator = new MarketAggregator(registry, {});
+      const markets = await aggregator.fetchPlatformMarkets('polymarket');
+
+      expect(markets.map(m => m.id)).toEqual(['poly-good']);
+    });
+  });
+});
@@ -0,0 +1,625 @@
+/**
+ * MarketStore - Embedded SQLite store for markets, matches and snapshots
+ *
+ * Everything the server keeps in memory (SmartCacheManager, PriceHistoryStore)
+ * is lost on restart, and a cold FULL fetch takes minutes. MarketStore keeps a
+ * durable copy so the caches can be warmed on boot:
+ *
+ * - markets                normalized platform markets (MarketSchema shape)
+ * - unified_markets        unified markets, without their platform markets
+ * - unified_market_links   unified market -> platform market, per platform
+ * - price_snapshots        per-outcome price points recorded by PriceHistoryStore
+ * - volume_snapshots       per-market 24h volume and liquidity samples (PriceHistoryStore)
+ * - arbitrage_events       arbitrage appeared / updated / disappeared events
+ * - platform_health        last known health per platform
+ *
+ * The schema is versioned by MIGRATIONS; pending migrations run in order,
+ * each in its own transaction, when the store is opened. Price points and
+ * volume samples are buffered and written in one transaction by flush().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in version order. Never edit a released
+// migration - add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE markets (
+        id TEXT PRIMARY KEY,
+        platform TEXT NOT NULL,
+        question TEXT,
+        category TEXT,
+        status TEXT,
+        end_date TEXT,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_markets_platform ON markets (platform, updated_at);
+
+      CREATE TABLE unified_markets (
+        unified_id TEXT PRIMARY KEY,
+        question TEXT,
+        category TEXT,
+        match_confidence REAL,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_unified_markets_updated ON unified_markets (updated_at);
+
+      CREATE TABLE unified_market_links (
+        unified_id TEXT NOT NULL REFERENCES unified_markets (unified_id) ON DELETE CASCADE,
+        platform TEXT NOT NULL,
+        market_id TEXT NOT NULL REFERENCES markets (id),
+        PRIMARY KEY (unified_id, platform)
+      );
+      CREATE INDEX idx_unified_market_links_market ON unified_market_links (market_id);
+
+      CREATE TABLE price_snapshots (
+        market_id TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        price REAL NOT NULL,
+        PRIMARY KEY (market_id, outcome, time)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_price_snapshots_time ON price_snapshots (time);
+
+      CREATE TABLE arbitrage_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        unified_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        profit_pct REAL,
+        data TEXT,
+        occurred_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_arbitrage_events_market ON arbitrage_events (unified_id, occurred_at);
+      CREATE INDEX idx_arbitrage_events_time ON arbitrage_events (occurred_at);
+
+      CREATE TABLE platform_health (
+        platform TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        last_successful_fetch INTEGER,
+        last_error TEXT,
+        updated_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'volume snapshots',
+    up: `
+      CREATE TABLE volume_snapshots (
+        market_id TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        volume_24h REAL NOT NULL,
+        liquidity REAL,
+        PRIMARY KEY (market_id, time)
+      ) WITHOUT ROWID;
+      CREATE INDEX idx_volume_snapshots_time ON volume_snapshots (time);
+    `
+  }
+];
+
+// Default retention per table (ms)
+const RETENTION = {
+  priceSnapshots: 30 * 24 * 60 * 60 * 1000,  // Same as PriceHistoryStore
+  volumeSnapshots: 30 * 24 * 60 * 60 * 1000,
+  arbitrageEvents: 30 * 24 * 60 * 60 * 1000,
+  markets: 7 * 24 * 60 * 60 * 1000            // Not seen in any unified market for a week
+};
+
+class MarketStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string|null} options.filePath SQLite file (default data/market-store.db, null = in memory)
+   * @param {Array} options.migrations Schema migrations (default MIGRATIONS)
+   * @param {Object} options.retention Retention overrides { priceSnapshots, volumeSnapshots, arbitrageEvents, markets } in ms
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined
+      ? path.join(__dirname, 'data', 'market-store.db')
+      : options.filePath;
+    this.migrations = options.migrations || MIGRATIONS;
+    this.retention = { ...RETENTION, ...(options.retention || {}) };
+    this.clock = options.clock || (() => Date.now());
+
+    // Price points waiting for flush() [{ marketId, outcome, time, value }]
+    this.pendingPoints = [];
+
+    // Volume samples waiting for flush() [{ marketId, time, volume, liquidity }]
+    this.pendingVolumes = [];
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath || ':memory:');
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+    this.prepareStatements();
+
+    console.log(`[MarketStore] Initialized at ${this.filePath || ':memory:'} (schema v${this.getSchemaVersion()})`);
+  }
+
+  // ====================================================================
+  // MIGRATIONS
+  // ====================================================================
+
+  /**
+   * Apply pending migrations in version order
+   * @returns {number} Number of migrations applied
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL
+      )
+    `);
+
+    const current = this.getSchemaVersion();
+    const pending = this.migrations
+      .filter(migration => migration.version > current)
+      .sort((a, b) => a.version - b.version);
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        record.run(migration.version, migration.name, this.clock());
+      })();
+
+      console.log(`[MarketStore] Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Highest applied migration version
+   * @returns {number} Schema version (0 for an empty database)
+   */
+  getSchemaVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  /**
+   * Prepare the statements used on hot paths
+   */
+  prepareStatements() {
+    this.statements = {
+      upsertMarket: this.db.prepare(`
+        INSERT INTO markets (id, platform, question, category, status, end_date, data, updated_at)
+        VALUES (@id, @platform, @question, @category, @status, @end_date, @data, @updated_at)
+        ON CONFLICT (id) DO UPDATE SET
+          platform = excluded.platform, question = excluded.question, category = excluded.category,
+          status = excluded.status, end_date = excluded.end_date, data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      upsertUnified: this.db.prepare(`
+        INSERT INTO unified_markets (unified_id, question, category, match_confidence, data, updated_at)
+        VALUES (@unified_id, @question, @category, @match_confidence, @data, @updated_at)
+        ON CONFLICT (unified_id) DO UPDATE SET
+          question = excluded.question, category = excluded.category,
+          match_confidence = excluded.match_confidence, data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      deleteLinks: this.db.prepare('DELETE FROM unified_market_links WHERE unified_id = ?'),
+      insertLink: this.db.prepare('INSERT INTO unified_market_links (unified_id, platform, market_id) VALUES (?, ?, ?)'),
+      insertPoint: this.db.prepare('INSERT OR REPLACE INTO price_snapshots (market_id, outcome, time, price) VALUES (?, ?, ?, ?)'),
+      insertVolume: this.db.prepare('INSERT OR REPLACE INTO volume_snapshots (market_id, time, volume_24h, liquidity) VALUES (?, ?, ?, ?)'),
+      insertArbitrage: this.db.prepare(`
+        INSERT INTO arbitrage_events (unified_id, type, profit_pct, data, occurred_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      upsertHealth: this.db.prepare(`
+        INSERT INTO platform_health (platform, status, last_successful_fetch, last_error, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (platform) DO UPDATE SET
+          status = excluded.status, last_successful_fetch = excluded.last_successful_fetch,
+          last_error = excluded.last_error, updated_at = excluded.updated_at
+      `)
+    };
+  }
+
+  // ====================================================================
+  // MARKETS
+  // ====================================================================
+
+  /**
+   * Insert or update one normalized market (call inside a transaction)
+   * @param {Object} market Normalized market ({ id, platform, ... })
+   * @param {number} now Write time in ms
+   */
+  writeMarket(market, now) {
+    this.statements.upsertMarket.run({
+      id: market.id,
+      platform: market.platform || String(market.id).split('-')[0],
+      question: market.question || null,
+      category: market.category || null,
+      status: market.status || null,
+      end_date: market.endDate || null,
+      data: JSON.stringify(market),
+      updated_at: now
+    });
+  }
+
+  /**
+   * Load the saved markets of a platform
+   *
+   * @param {string} platform Platform name
+   * @param {Object} options Load options
+   * @param {number} options.maxAgeMs Only markets saved within this window (default: all)
+   * @returns {Array} Normalized markets
+   */
+  loadMarkets(platform, options = {}) {
+    const since = options.maxAgeMs ? this.clock() - options.maxAgeMs : 0;
+
+    return this.db.prepare('SELECT data FROM markets WHERE platform = ? AND updated_at >= ?')
+      .all(platform, since)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Load one normalized market
+   * @param {string} marketId Normalized market ID
+   * @returns {Object|null} Market or null
+   */
+  getMarket(marketId) {
+    const row = this.db.prepare('SELECT data FROM markets WHERE id = ?').get(marketId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // ====================================================================
+  // UNIFIED MARKETS
+  // ====================================================================
+
+  /**
+   * Save unified markets with their platform markets and links
+   * A unified market's links are replaced, so re-matched markets do not keep
+   * stale platform legs.
+   *
+   * @param {Array} unifiedMarkets Unified markets (SmartCacheManager shape)
+   * @returns {number} Unified markets written
+   */
+  saveUnifiedMarkets(unifiedMarkets) {
+    const now = this.clock();
+    const valid = (unifiedMarkets || []).filter(market => market && market.unified_id);
+
+    this.db.transaction(() => {
+      for (const unified of valid) {
+        const { platforms = {}, ...rest } = unified;
+
+        // Read-time flags are recomputed after loading
+        delete rest.stale;
+        delete rest.stalePlatforms;
+        delete rest.dataAgeMs;
+
+        this.statements.upsertUnified.run({
+          unified_id: unified.unified_id,
+          question: unified.question || null,
+          category: unified.category || null,
+          match_confidence: typeof unified.match_confidence === 'number' ? unified.match_confidence : null,
+          data: JSON.stringify(rest),
+          updated_at: now
+        });
+
+        this.statements.deleteLinks.run(unified.unified_id);
+
+        for (const [platform, market] of Object.entries(platforms)) {
+          if (!market || !market.id) continue;
+
+          this.writeMarket({ platform, ...market }, now);
+          this.statements.insertLink.run(unified.unified_id, platform, market.id);
+        }
+      }
+    })();
+
+    return valid.length;
+  }
+
+  /**
+   * Load unified markets, reassembled with their platform markets
+   *
+   * @param {Object} options Load options
+   * @param {number} options.maxAgeMs Only markets saved within this window (default: all)
+   * @returns {Array} Unified markets, most recently saved first
+   */
+  loadUnifiedMarkets(options = {}) {
+    const since = options.maxAgeMs ? this.clock() - options.maxAgeMs : 0;
+
+    const rows = this.db.prepare(`
+      SELECT unified_id, data FROM unified_markets
+      WHERE updated_at >= ?
+      ORDER BY updated_at DESC
+    `).all(since);
+
+    const links = this.db.prepare(`
+      SELECT l.unified_id, l.platform, m.data
+      FROM unified_market_links l
+      JOIN unified_markets u ON u.unified_id = l.unified_id
+      JOIN markets m ON m.id = l.market_id
+      WHERE u.updated_at >= ?
+    `).all(since);
+
+    const platformsById = {};
+    for (const link of links) {
+      const platforms = platformsById[link.unified_id] || (platformsById[link.unified_id] = {});
+      platforms[link.platform] = JSON.parse(link.data);
+    }
+
+    return rows.map(row => ({
+      ...JSON.parse(row.data),
+      platforms: platformsById[row.unified_id] || {}
+    }));
+  }
+
+  // ====================================================================
+  // PRICE SNAPSHOTS
+  // ====================================================================
+
+  /**
+   * Buffer a price point until the next flush()
+   * Signature matches PriceHistoryStore's onAppend hook.
+   *
+   * @param {string} marketId Normalized market ID
+   * @param {string} outcome Outcome name
+   * @param {Object} point { time: unix seconds, value: price }
+   */
+  queuePricePoint(marketId, outcome, point) {
+    this.pendingPoints.push({ marketId, outcome, time: point.time, value: point.value });
+  }
+
+  /**
+   * Buffer a volume sample until the next flush()
+   * Signature matches PriceHistoryStore's onVolume hook.
+   *
+   * @param {string} marketId Normalized market ID
+   * @param {Object} point { time: unix seconds, volume, liquidity }
+   */
+  queueVolumePoint(marketId, point) {
+    this.pendingVolumes.push({ marketId, time: point.time, volume: point.volume, liquidity: point.liquidity });
+  }
+
+  /**
+   * Write buffered price points and volume samples in one transaction
+   * @returns {number} Points and samples written
+   */
+  flush() {
+    if (this.pendingPoints.length === 0 && this.pendingVolumes.length === 0) {
+      return 0;
+    }
+
+    const points = this.pendingPoints;
+    const volumes = this.pendingVolumes;
+    this.pendingPoints = [];
+    this.pendingVolumes = [];
+
+    this.db.transaction(() => {
+      for (const point of points) {
+        this.statements.insertPoint.run(point.marketId, point.outcome, point.time, point.value);
+      }
+      for (const sample of volumes) {
+        this.statements.insertVolume.run(sample.marketId, sample.time, sample.volume, sample.liquidity);
+      }
+    })();
+
+    return points.length + volumes.length;
+  }
+
+  /**
+   * Load price points recorded since a time (for PriceHistoryStore.restore)
+   * @param {number} sinceMs Oldest observation time in ms
+   * @returns {Array} [{ marketId, outcome, time, value }] ordered by series and time
+   */
+  loadPriceHistory(sinceMs = 0) {
+    return this.db.prepare(`
+      SELECT market_id AS marketId, outcome, time, price AS value
+      FROM price_snapshots
+      WHERE time >= ?
+      ORDER BY market_id, outcome, time
+    `).all(Math.floor(sinceMs / 1000));
+  }
+
+  /**
+   * Load volume samples recorded since a time (for PriceHistoryStore.restoreVolume)
+   * @param {number} sinceMs Oldest observation time in ms
+   * @returns {Array} [{ marketId, time, volume, liquidity }] ordered by market and time
+   */
+  loadVolumeHistory(sinceMs = 0) {
+    return this.db.prepare(`
+      SELECT market_id AS marketId, time, volume_24h AS volume, liquidity
+      FROM volume_snapshots
+      WHERE time >= ?
+      ORDER BY market_id, time
+    `).all(Math.floor(sinceMs / 1000));
+  }
+
+  // ====================================================================
+  // ARBITRAGE EVENTS
+  // ====================================================================
+
+  /**
+   * Record an arbitrage event (PollingService 'arbitrage' event shape)
+   * @param {Object} event { type, unified_id, arbitrage, question, category, timestamp }
+   * @returns {number} Event row ID
+   */
+  recordArbitrageEvent(event) {
+    const arbitrage = event.arbitrage || null;
+    const result = this.statements.insertArbitrage.run(
+      event.unified_id,
+      event.type,
+      arbitrage && typeof arbitrage.profitPct === 'number' ? arbitrage.profitPct : null,
+      JSON.stringify({ question: event.question || null, category: event.category || null, arbitrage }),
+      event.timestamp || this.clock()
+    );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Query recorded arbitrage events, newest first
+   *
+   * @param {Object} options Query options
+   * @param {string} options.unifiedId Only events for this unified market
+   * @param {number} options.since Only events at or after this time (ms)
+   * @param {number} options.limit Maximum events (default 100)
+   * @returns {Array} [{ id, type, unified_id, profitPct, question, category, arbitrage, timestamp }]
+   */
+  getArbitrageEvents(options = {}) {
+    const conditions = ['occurred_at >= @since'];
+    if (options.unifiedId) conditions.push('unified_id = @unifiedId');
+
+    const rows = this.db.prepare(`
+      SELECT id, unified_id, type, profit_pct, data, occurred_at
+      FROM arbitrage_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT @limit
+    `).all({
+      since: options.since || 0,
+      unifiedId: options.unifiedId || null,
+      limit: options.limit || 100
+    });
+
+    return rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      unified_id: row.unified_id,
+      profitPct: row.profit_pct,
+      ...JSON.parse(row.data || '{}'),
+      timestamp: row.occurred_at
+    }));
+  }
+
+  // ====================================================================
+  // PLATFORM HEALTH
+  // ====================================================================
+
+  /**
+   * Save platform health (SmartCacheManager.platformHealth shape)
+   * @param {Object} health { platform: { status, lastSuccessfulFetch, lastError } }
+   */
+  savePlatformHealth(health) {
+    const now = this.clock();
+
+    this.db.transaction(() => {
+      for (const [platform, entry] of Object.entries(health || {})) {
+        if (!entry) continue;
+        this.statements.upsertHealth.run(
+          platform,
+          entry.status || 'unknown',
+          entry.lastSuccessfulFetch || null,
+          entry.lastError || null,
+          now
+        );
+      }
+    })();
+  }
+
+  /**
+   * Load saved platform health
+   * @returns {Object} { platform: { status, lastSuccessfulFetch, lastError, savedAt } }
+   */
+  loadPlatformHealth() {
+    const health = {};
+
+    for (const row of this.db.prepare('SELECT * FROM platform_health').all()) {
+      health[row.platform] = {
+        status: row.status,
+        lastSuccessfulFetch: row.last_successful_fetch,
+        lastError: row.last_error,
+        savedAt: row.updated_at
+      };
+    }
+
+    return health;
+  }
+
+  // ====================================================================
+  // MAINTENANCE
+  // ====================================================================
+
+  /**
+   * Delete rows older than their retention window
+   * Markets are kept while any unified market links to them.
+   *
+   * @returns {Object} Rows removed per table
+   */
+  prune() {
+    const now = this.clock();
+
+    const removed = this.db.transaction(() => ({
+      priceSnapshots: this.db.prepare('DELETE FROM price_snapshots WHERE time < ?')
+        .run(Math.floor((now - this.retention.priceSnapshots) / 1000)).changes,
+      volumeSnapshots: this.db.prepare('DELETE FROM volume_snapshots WHERE time < ?')
+        .run(Math.floor((now - this.retention.volumeSnapshots) / 1000)).changes,
+      arbitrageEvents: this.db.prepare('DELETE FROM arbitrage_events WHERE occurred_at < ?')
+        .run(now - this.retention.arbitrageEvents).changes,
+      unifiedMarkets: this.db.prepare('DELETE FROM unified_markets WHERE updated_at < ?')
+        .run(now - this.retention.markets).changes,
+      markets: this.db.prepare(`
+        DELETE FROM markets
+        WHERE updated_at < ?
+          AND id NOT IN (SELECT market_id FROM unified_market_links)
+      `).run(now - this.retention.markets).changes
+    }))();
+
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log('[MarketStore] Pruned rows past retention:', removed);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Row counts and schema version
+   * @returns {Object} Store statistics
+   */
+  getStats() {
+    const count = table => this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+
+    return {
+      filePath: this.filePath,
+      schemaVersion: this.getSchemaVersion(),
+      markets: count('markets'),
+      unifiedMarkets: count('unified_markets'),
+      links: count('unified_market_links'),
+      priceSnapshots: count('price_snapshots'),
+      volumeSnapshots: count('volume_snapshots'),
+      arbitrageEvents: count('arbitrage_events'),
+      pendingPoints: this.pendingPoints.length + this.pendingVolumes.length
+    };
+  }
+
+  /**
+   * Flush buffered points and close the database
+   */
+  close() {
+    if (!this.db.open) {
+      return;
+    }
+
+    this.flush();
+    this.db.close();
+    console.log('[MarketStore] Closed');
+  }
+}
+
+MarketStore.MIGRATIONS = MIGRATIONS;
+MarketStore.RETENTION = RETENTION;
+
+// Export for use in server
+module.exports = MarketStore;
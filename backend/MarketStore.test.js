@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for MarketStore
+ * Runs against in-memory SQLite: migrations, unified market round trips,
+ * price snapshots, arbitrage events, platform health and retention
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketStore = require('./MarketStore');
+
+describe('MarketStore', () => {
+  let store;
+  let now;
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const polyMarket = (id, yes) => ({
+    id: `poly-${id}`,
+    platform: 'polymarket',
+    question: `Question ${id}?`,
+    category: 'Politics',
+    outcomes: [{ name: 'Yes', price: yes }, { name: 'No', price: 1 - yes }]
+  });
+
+  const unified = (id, platforms) => ({
+    unified_id: id,
+    question: 'Question?',
+    category: 'Politics',
+    match_confidence: 0.92,
+    combined_volume: 1000,
+    platforms
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = Date.parse('2026-06-01T00:00:00Z');
+    store = new MarketStore({ filePath: null, clock: () => now });
+  });
+
+  afterEach(() => {
+    store.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('Migrations', () => {
+    test('should apply pending migrations once, in order', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-store-'));
+      const filePath = path.join(dir, 'store.db');
+
+      new MarketStore({ filePath }).close();
+
+      const upgraded = new MarketStore({
+        filePath,
+        migrations: [
+          ...MarketStore.MIGRATIONS,
+          { version: 3, name: 'add market slug', up: 'ALTER TABLE markets ADD COLUMN slug TEXT' }
+        ]
+      });
+
+      expect(upgraded.getSchemaVersion()).toBe(3);
+      expect(upgraded.migrate()).toBe(0);
+      expect(upgraded.db.prepare('SELECT name FROM schema_migrations ORDER BY version').all().map(row => row.name))
+        .toEqual(['initial schema', 'volume snapshots', 'add market slug']);
+
+      upgraded.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should roll back a failing migration', () => {
+      expect(() => new MarketStore({
+        filePath: null,
+        migrations: [{ version: 1, name: 'broken', up: 'CREATE TABLE a (id TEXT); CREATE TABLE a (id TEXT);' }]
+      })).toThrow();
+    });
+  });
+
+  describe('Unified markets', () => {
+    test('should round-trip unified markets with their platform legs', () => {
+      store.saveUnifiedMarkets([
+        { ...unified('unified-1', { polymarket: polyMarket('1', 0.6), kalshi: { id: 'kalshi-A', platform: 'kalshi', outcomes: [] } }), stale: true, dataAgeMs: 5000 },
+        unified('unified-2', { polymarket: polyMarket('2', 0.3) })
+      ]);
+
+      const loaded = store.loadUnifiedMarkets();
+      const first = loaded.find(market => market.unified_id === 'unified-1');
+
+      expect(loaded).toHaveLength(2);
+      expect(first).toMatchObject({ match_confidence: 0.92, combined_volume: 1000 });
+      expect(first.stale).toBeUndefined();
+      expect(Object.keys(first.platforms).sort()).toEqual(['kalshi', 'polymarket']);
+      expect(first.platforms.polymarket.outcomes[0]).toEqual({ name: 'Yes', price: 0.6 });
+      expect(store.loadMarkets('polymarket').map(market => market.id).sort()).toEqual(['poly-1', 'poly-2']);
+    });
+
+    test('should replace links when a market is re-matched', () => {
+      store.saveUnifiedMarkets([unified('unified-1', { polymarket: polyMarket('1', 0.6), kalshi: { id: 'kalshi-A', outcomes: [] } })]);
+      store.saveUnifiedMarkets([unified('unified-1', { polymarket: polyMarket('1', 0.65) })]);
+
+      const [market] = store.loadUnifiedMarkets();
+      expect(Object.keys(market.platforms)).toEqual(['polymarket']);
+      expect(market.platforms.polymarket.outcomes[0].price).toBe(0.65);
+      expect(store.getMarket('kalshi-A')).toMatchObject({ platform: 'kalshi' });
+    });
+
+    test('should only warm markets saved within maxAgeMs', () => {
+      store.saveUnifiedMarkets([unified('unified-old', { polymarket: polyMarket('1', 0.6) })]);
+      now += 2 * DAY;
+      store.saveUnifiedMarkets([unified('unified-new', { polymarket: polyMarket('2', 0.4) })]);
+
+      expect(store.loadUnifiedMarkets({ maxAgeMs: DAY }).map(market => market.unified_id)).toEqual(['unified-new']);
+    });
+  });
+
+  describe('Snapshots and events', () => {
+    test('should buffer price points until flushed', () => {
+      const time = Math.floor(now / 1000);
+      store.queuePricePoint('poly-1', 'Yes', { time, value: 0.6 });
+      store.queuePricePoint('poly-1', 'Yes', { time: time + 60, value: 0.62 });
+
+      expect(store.loadPriceHistory(0)).toEqual([]);
+      expect(store.flush()).toBe(2);
+      expect(store.loadPriceHistory(now + 30000)).toEqual([{ marketId: 'poly-1', outcome: 'Yes', time: time + 60, value: 0.62 }]);
+    });
+
+    test('should buffer volume samples until flushed', () => {
+      const time = Math.floor(now / 1000);
+      store.queueVolumePoint('kalshi-1', { time, volume: 1200, liquidity: null });
+      store.queueVolumePoint('kalshi-1', { time: time + 60, volume: 1500, liquidity: 300 });
+
+      expect(store.loadVolumeHistory(0)).toEqual([]);
+      expect(store.flush()).toBe(2);
+      expect(store.loadVolumeHistory(0)).toEqual([
+        { marketId: 'kalshi-1', time, volume: 1200, liquidity: null },
+        { marketId: 'kalshi-1', time: time + 60, volume: 1500, liquidity: 300 }
+      ]);
+    });
+
+    test('should record and query arbitrage events', () => {
+      const arbitrage = { profitPct: 2.5, buy_yes_platform: 'polymarket' };
+      store.recordArbitrageEvent({ type: 'appeared', unified_id: 'unified-1', question: 'Q?', arbitrage, timestamp: now });
+      store.recordArbitrageEvent({ type: 'disappeared', unified_id: 'unified-1', arbitrage: null, timestamp: now + 1000 });
+      store.recordArbitrageEvent({ type: 'appeared', unified_id: 'unified-2', arbitrage, timestamp: now + 2000 });
+
+      const events = store.getArbitrageEvents({ unifiedId: 'unified-1' });
+
+      expect(events.map(event => event.type)).toEqual(['disappeared', 'appeared']);
+      expect(events[1]).toMatchObject({ profitPct: 2.5, question: 'Q?', arbitrage, timestamp: now });
+      expect(store.getArbitrageEvents({ since: now + 1500 })).toHaveLength(1);
+    });
+
+    test('should save and load platform health', () => {
+      store.savePlatformHealth({ kalshi: { status: 'degraded', lastSuccessfulFetch: now - 5000, lastError: 'timeout' } });
+
+      expect(store.loadPlatformHealth()).toEqual({
+        kalshi: { status: 'degraded', lastSuccessfulFetch: now - 5000, lastError: 'timeout', savedAt: now }
+      });
+    });
+  });
+
+  describe('Retention', () => {
+    test('should prune expired rows but keep linked markets', () => {
+      store.saveUnifiedMarkets([unified('unified-1', { polymarket: polyMarket('1', 0.6) })]);
+      store.queuePricePoint('poly-1', 'Yes', { time: Math.floor(now / 1000), value: 0.6 });
+      store.flush();
+      store.recordArbitrageEvent({ type: 'appeared', unified_id: 'unified-1', arbitrage: null, timestamp: now });
+
+      now += 8 * DAY;
+      store.saveUnifiedMarkets([unified('unified-2', { polymarket: polyMarket('2', 0.4) })]);
+      expect(store.prune()).toEqual({ priceSnapshots: 0, volumeSnapshots: 0, arbitrageEvents: 0, unifiedMarkets: 1, markets: 1 });
+
+      now += 30 * DAY;
+      expect(store.prune()).toMatchObject({ priceSnapshots: 1, arbitrageEvents: 1 });
+      expect(store.getStats()).toMatchObject({ schemaVersion: 2, unifiedMarkets: 0, markets: 0, links: 0 });
+    });
+  });
+});
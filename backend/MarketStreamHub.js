@@ -0,0 +1,249 @@
+/**
+ * MarketStreamHub - Server-Sent Events push stream for unified markets
+ *
+ * Fans out PollingService events to connected browsers so the frontend
+ * no longer has to re-poll to learn about price changes.
+ *
+ * Event types sent to clients:
+ * - 'connected'      Subscription acknowledgement { clientId, subscriptions }
+ * - 'market-update'  Per-market outcome price diffs
+ * - 'arbitrage'      Arbitrage opportunity appeared / updated / disappeared
+ * - 'staleness'      Platform data became stale or fresh again
+ *
+ * Clients subscribe via query string:
+ *   GET /api/stream                         -> everything
+ *   GET /api/stream?ids=unified-1,unified-2 -> only those unified markets
+ *   GET /api/stream?categories=Politics     -> only markets in those categories
+ * Staleness events are platform-wide and always delivered.
+ */
+
+const STREAM_EVENTS = ['market-update', 'arbitrage', 'staleness'];
+
+class MarketStreamHub {
+  constructor(options = {}) {
+    // Comment line sent periodically to keep proxies from closing the connection
+    this.heartbeatMs = options.heartbeatMs || 15000;
+
+    // Client reconnect delay advertised via the SSE "retry" field
+    this.retryMs = options.retryMs || 5000;
+
+    // Connected clients { clientId: { res, ids: Set, categories: Set, connectedAt } }
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.heartbeatInterval = null;
+
+    this.stats = {
+      totalConnections: 0,
+      eventsPublished: 0,
+      messagesSent: 0
+    };
+
+    console.log('[MarketStreamHub] Initialized');
+  }
+
+  // ====================================================================
+  // EVENT SOURCES
+  // ====================================================================
+
+  /**
+   * Forward stream events from an EventEmitter (e.g. PollingService)
+   *
+   * @param {EventEmitter} source Event source
+   */
+  attach(source) {
+    for (const eventName of STREAM_EVENTS) {
+      source.on(eventName, payload => this.publish(eventName, payload));
+    }
+  }
+
+  // ====================================================================
+  // CLIENT MANAGEMENT
+  // ====================================================================
+
+  /**
+   * Parse a comma-separated query value into a Set
+   *
+   * @param {string|Array} value Query parameter value
+   * @returns {Set} Set of non-empty values
+   */
+  parseList(value) {
+    if (!value) {
+      return new Set();
+    }
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return new Set(items.map(item => item.trim()).filter(Boolean));
+  }
+
+  /**
+   * Open an SSE stream for an HTTP request
+   *
+   * @param {Object} req Express request (query: ids, categories)
+   * @param {Object} res Express response
+   * @returns {number} Client ID
+   */
+  connect(req, res) {
+    const clientId = this.nextClientId++;
+    const client = {
+      res,
+      ids: this.parseList(req.query.ids),
+      categories: this.parseList(req.query.categories),
+      connectedAt: Date.now()
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    this.clients.set(clientId, client);
+    this.stats.totalConnections++;
+    this.startHeartbeat();
+
+    this.send(client, 'connected', {
+      clientId,
+      subscriptions: {
+        ids: Array.from(client.ids),
+        categories: Array.from(client.categories)
+      },
+      timestamp: Date.now()
+    });
+
+    req.on('close', () => this.disconnect(clientId));
+
+    console.log(`[MarketStreamHub] Client ${clientId} connected (${this.clients.size} active)`);
+    return clientId;
+  }
+
+  /**
+   * Remove a client
+   *
+   * @param {number} clientId Client ID
+   */
+  disconnect(clientId) {
+    if (!this.clients.delete(clientId)) {
+      return;
+    }
+
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+
+    console.log(`[MarketStreamHub] Client ${clientId} disconnected (${this.clients.size} active)`);
+  }
+
+  /**
+   * Close every client connection (server shutdown)
+   */
+  close() {
+    for (const client of this.clients.values()) {
+      client.res.end();
+    }
+
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+
+  /**
+   * Start the keep-alive heartbeat (runs only while clients are connected)
+   */
+  startHeartbeat() {
+    if (this.heartbeatInterval) {
+      return;
+    }
+
+    this.heartbeatInterval = setInterval(() => {
+      for (const client of this.clients.values()) {
+        client.res.write(': ping\n\n');
+      }
+    }, this.heartbeatMs);
+  }
+
+  /**
+   * Stop the keep-alive heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  // ====================================================================
+  // PUBLISHING
+  // ====================================================================
+
+  /**
+   * Check whether a client subscribed to an event payload
+   *
+   * @param {Object} client Client record
+   * @param {Object} payload Event payload
+   * @returns {boolean} True if the client should receive the event
+   */
+  matches(client, payload) {
+    // Platform-wide events (no market attached) go to everyone
+    if (!payload || !payload.unified_id) {
+      return true;
+    }
+
+    // No filters means subscribe to everything
+    if (client.ids.size === 0 && client.categories.size === 0) {
+      return true;
+    }
+
+    return client.ids.has(payload.unified_id) || client.categories.has(payload.category);
+  }
+
+  /**
+   * Write one SSE message to a client
+   *
+   * @param {Object} client Client record
+   * @param {string} eventName Event type
+   * @param {Object} payload Event data
+   */
+  send(client, eventName, payload) {
+    client.res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+    this.stats.messagesSent++;
+  }
+
+  /**
+   * Publish an event to every subscribed client
+   *
+   * @param {string} eventName Event type
+   * @param {Object} payload Event data
+   * @returns {number} Number of clients the event was sent to
+   */
+  publish(eventName, payload) {
+    this.stats.eventsPublished++;
+    let delivered = 0;
+
+    for (const client of this.clients.values()) {
+      if (this.matches(client, payload)) {
+        this.send(client, eventName, payload);
+        delivered++;
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Get stream statistics
+   *
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      activeClients: this.clients.size,
+      ...this.stats
+    };
+  }
+}
+
+MarketStreamHub.STREAM_EVENTS = STREAM_EVENTS;
+
+// Export for use in server
+module.exports = MarketStreamHub;
@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for MarketStreamHub
+ * Tests SSE framing, subscription filtering and PollingService change events
+ */
+
+const EventEmitter = require('events');
+const MarketStreamHub = require('./MarketStreamHub');
+const PollingService = require('./PollingService');
+
+// Minimal Express req/res doubles
+function createClient(query = {}) {
+  const req = new EventEmitter();
+  req.query = query;
+
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead: jest.fn(),
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; }
+  };
+
+  return { req, res };
+}
+
+// Parse "event: x\ndata: {...}" frames written to a response
+function eventsOf(res) {
+  return res.chunks
+    .filter(chunk => chunk.startsWith('event:'))
+    .map(chunk => {
+      const [eventLine, dataLine] = chunk.trim().split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+describe('MarketStreamHub', () => {
+  let hub;
+
+  beforeEach(() => {
+    hub = new MarketStreamHub({ heartbeatMs: 60000 });
+  });
+
+  afterEach(() => {
+    hub.close();
+  });
+
+  describe('Connections', () => {
+    test('should open an event stream and acknowledge subscriptions', () => {
+      const { req, res } = createClient({ ids: 'unified-1, unified-2' });
+      hub.connect(req, res);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+        'Content-Type': 'text/event-stream'
+      }));
+
+      const [connected] = eventsOf(res);
+      expect(connected.event).toBe('connected');
+      expect(connected.data.subscriptions.ids).toEqual(['unified-1', 'unified-2']);
+    });
+
+    test('should drop clients when the request closes', () => {
+      const { req, res } = createClient();
+      hub.connect(req, res);
+      expect(hub.getStats().activeClients).toBe(1);
+
+      req.emit('close');
+      expect(hub.getStats().activeClients).toBe(0);
+      expect(hub.heartbeatInterval).toBeNull();
+    });
+  });
+
+  describe('Filtering', () => {
+    test('should deliver market events by unified_id or category', () => {
+      const byId = createClient({ ids: 'unified-1' });
+      const byCategory = createClient({ categories: 'Crypto' });
+      const everything = createClient();
+      hub.connect(byId.req, byId.res);
+      hub.connect(byCategory.req, byCategory.res);
+      hub.connect(everything.req, everything.res);
+
+      const delivered = hub.publish('market-update', { unified_id: 'unified-1', category: 'Politics' });
+
+      expect(delivered).toBe(2);
+      expect(eventsOf(byId.res).map(e => e.event)).toContain('market-update');
+      expect(eventsOf(byCategory.res).map(e => e.event)).not.toContain('market-update');
+      expect(eventsOf(everything.res).map(e => e.event)).toContain('market-update');
+    });
+
+    test('should deliver platform-wide staleness events to every client', () => {
+      const byId = createClient({ ids: 'unified-1' });
+      hub.connect(byId.req, byId.res);
+
+      expect(hub.publish('staleness', { platform: 'kalshi', isStale: true })).toBe(1);
+    });
+  });
+
+  describe('PollingService events', () => {
+    const market = (yes, arbitrage = null) => ({
+      unified_id: 'unified-1',
+      category: 'Politics',
+      question: 'Test market',
+      arbitrage,
+      platforms: {
+        polymarket: {
+          id: 'poly-1',
+          outcomes: [{ name: 'Yes', price: yes }, { name: 'No', price: 1 - yes }],
+          volume_24h: 100
+        }
+      }
+    });
+
+    function createPollingService(cached, arbitrage) {
+      const aggregator = {
+        registry: { list: () => [{ name: 'polymarket', polling: { interval: 5000, enabled: true } }] },
+        enhanceUnifiedMarket: m => ({ ...m, arbitrage })
+      };
+      const cache = {
+        getAllUnifiedMarkets: () => [cached],
+        setUnifiedMarket: jest.fn()
+      };
+      const service = new PollingService(aggregator, cache);
+      hub.attach(service);
+      return service;
+    }
+
+    test('should publish price diffs for changed markets', async () => {
+      const service = createPollingService(market(0.5), null);
+      const { req, res } = createClient({ categories: 'Politics' });
+      hub.connect(req, res);
+
+      await service.updateCachedMarkets('polymarket', [market(0.55).platforms.polymarket]);
+
+      const update = eventsOf(res).find(e => e.event === 'market-update');
+      expect(update.data.unified_id).toBe('unified-1');
+      expect(update.data.changes[0]).toMatchObject({ outcome: 'Yes', oldPrice: 0.5, newPrice: 0.55 });
+    });
+
+    test('should publish arbitrage appearance and disappearance', async () => {
+      const opportunity = { exists: true, profitPct: 3.2 };
+
+      let service = createPollingService(market(0.5), opportunity);
+      const { req, res } = createClient();
+      hub.connect(req, res);
+      await service.updateCachedMarkets('polymarket', [market(0.4).platforms.polymarket]);
+
+      service = createPollingService(market(0.4, opportunity), null);
+      await service.updateCachedMarkets('polymarket', [market(0.5).platforms.polymarket]);
+
+      const types = eventsOf(res).filter(e => e.event === 'arbitrage').map(e => e.data.type);
+      expect(types).toEqual(['appeared', 'disappeared']);
+    });
+
+    test('should publish staleness only on transitions', () => {
+      const service = createPollingService(market(0.5), null);
+      const { req, res } = createClient();
+      hub.connect(req, res);
+
+      service.checkStaleness();
+      service.checkStaleness();
+      service.lastFetch.polymarket = Date.now();
+      service.checkStaleness();
+
+      const staleness = eventsOf(res).filter(e => e.event === 'staleness').map(e => e.data.isStale);
+      expect(staleness).toEqual([true, false]);
+    });
+  });
+});
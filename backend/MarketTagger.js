@@ -0,0 +1,151 @@
+/**
+ * MarketTagger - Facet tags for normalized markets
+ *
+ * Tags are the third facet level below category and subcategory
+ * (Sports -> NFL -> Chiefs, Crypto -> Bitcoin -> $100k-$200k). Sources, in
+ * order:
+ *
+ *   1. Title text matched by the category taxonomy's keyword rules ("Chiefs", "Super Bowl")
+ *   2. Names from MarketMatchingEngine.extractEntities ("Josh Allen")
+ *   3. Venue tags (Polymarket tags and event categories, Kalshi series tags)
+ *   4. A price bracket for dollar thresholds in Crypto/Economics titles ("$100k-$200k")
+ *
+ * Labels repeating the market's category path (aliases such as "NFL" or
+ * "sports") are dropped, duplicates are merged case-insensitively and at
+ * most MAX_TAGS are kept.
+ */
+
+const MarketMatchingEngine = require('./MarketMatchingEngine');
+
+const MAX_TAGS = 8;
+
+// Categories whose dollar thresholds get a price bracket tag
+const BRACKET_CATEGORIES = ['Crypto', 'Economics'];
+
+// Bracket boundaries per power of ten (1-2-5 series)
+const BRACKET_STEPS = [1, 2, 5, 10];
+
+// Capitalized question words extractEntities picks up as part of a name
+const LEADING_WORDS = new Set(['will', 'who', 'what', 'when', 'which', 'how', 'does', 'do', 'is', 'are', 'can', 'the']);
+
+class MarketTagger {
+  /**
+   * @param {Object} options Tagger options
+   * @param {CategoryTaxonomy} options.taxonomy Taxonomy used to drop category aliases
+   * @param {Function} options.extractEntities question -> { names } (default: MarketMatchingEngine)
+   * @param {number} options.maxTags Most tags per market (default 8)
+   */
+  constructor(options = {}) {
+    this.taxonomy = options.taxonomy || null;
+    this.maxTags = options.maxTags || MAX_TAGS;
+
+    if (options.extractEntities) {
+      this.extractEntities = options.extractEntities;
+    } else {
+      const engine = new MarketMatchingEngine();
+      this.extractEntities = question => engine.extractEntities(question);
+    }
+  }
+
+  /**
+   * Tags of a market
+   *
+   * @param {string} title Market title
+   * @param {Object} classification CategoryTaxonomy.classify() result { category, terms }
+   * @param {Array} nativeTags Venue tags (strings or { label, slug })
+   * @returns {Array<string>} Tag labels
+   */
+  tag(title, classification = {}, nativeTags = []) {
+    const labels = [
+      ...(classification.terms || []),
+      ...this.entityNames(title),
+      ...nativeTags.map(tag => (tag && typeof tag === 'object' ? tag.label || tag.slug : tag)),
+      BRACKET_CATEGORIES.includes(classification.category) ? this.priceBracket(title) : null
+    ];
+
+    const tags = [];
+    const seen = new Set();
+
+    for (const raw of labels) {
+      if (typeof raw !== 'string' || !raw.trim()) continue;
+
+      const label = this.displayLabel(raw);
+      const key = label.toLowerCase();
+      if (seen.has(key)) continue;
+      if (this.taxonomy && classification.category && this.taxonomy.isCategoryAlias(label, classification.category)) continue;
+
+      seen.add(key);
+      tags.push(label);
+      if (tags.length >= this.maxTags) break;
+    }
+
+    return tags;
+  }
+
+  /**
+   * Person and proper names in a title, without leading question words
+   * @param {string} title Market title
+   * @returns {Array<string>} Names
+   */
+  entityNames(title) {
+    if (!title) return [];
+
+    return (this.extractEntities(title).names || [])
+      .map((name) => {
+        const words = name.split(/\s+/);
+        while (words.length > 0 && LEADING_WORDS.has(words[0].toLowerCase())) words.shift();
+        return words.join(' ');
+      })
+      .filter(name => name.length >= 3);
+  }
+
+  /**
+   * Bracket of the first dollar amount in a title ('$150,000' -> '$100k-$200k')
+   * @param {string} title Market title
+   * @returns {string|null} Bracket label, or null without an amount
+   */
+  priceBracket(title) {
+    const match = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m|b|t|thousand|million|billion|trillion)?\b/i.exec(title || '');
+    if (!match) return null;
+
+    const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+    const value = parseFloat(match[1].replace(/,/g, '')) * (multipliers[(match[2] || '').toLowerCase()] || 1);
+    if (!(value > 0)) return null;
+
+    const base = Math.pow(10, Math.floor(Math.log10(value)));
+    let index = 0;
+    while (BRACKET_STEPS[index + 1] * base <= value) index++;
+
+    return `${this.formatAmount(BRACKET_STEPS[index] * base)}-${this.formatAmount(BRACKET_STEPS[index + 1] * base)}`;
+  }
+
+  /**
+   * Compact dollar amount ('$100k', '$2M')
+   * @param {number} amount Amount in USD
+   * @returns {string} Label
+   */
+  formatAmount(amount) {
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'k']];
+    for (const [size, suffix] of units) {
+      if (amount >= size) return `$${Number((amount / size).toPrecision(3))}${suffix}`;
+    }
+    return `$${Number(amount.toPrecision(3))}`;
+  }
+
+  /**
+   * Title-case lowercase labels ('super bowl' -> 'Super Bowl'), keep others as written
+   * @param {string} label Raw label
+   * @returns {string} Display label
+   */
+  displayLabel(label) {
+    const trimmed = label.trim().replace(/\s+/g, ' ');
+    return trimmed === trimmed.toLowerCase()
+      ? trimmed.replace(/(^|\s)(\p{L})/gu, (_, space, letter) => space + letter.toUpperCase())
+      : trimmed;
+  }
+}
+
+MarketTagger.MAX_TAGS = MAX_TAGS;
+
+// Export for use in MarketSchema
+module.exports = MarketTagger;
@@ -0,0 +1,55 @@
+/**
+ * Unit Tests for MarketTagger
+ * Tests tag sources, category alias filtering and price brackets
+ */
+
+const CategoryTaxonomy = require('./CategoryTaxonomy');
+const MarketTagger = require('./MarketTagger');
+
+describe('MarketTagger', () => {
+  let taxonomy;
+  let tagger;
+
+  const tagsOf = (title, native = {}) =>
+    tagger.tag(title, taxonomy.classify(title, native), native.tags || []);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    taxonomy = new CategoryTaxonomy();
+    tagger = new MarketTagger({ taxonomy });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should tag matched terms and names below the subcategory', () => {
+    expect(tagsOf('Will the Chiefs win the Super Bowl?')).toEqual(['Chiefs']);
+    expect(tagsOf('Will Donald Trump win the 2028 presidential election?')).toContain('Donald Trump');
+  });
+
+  test('should merge venue tags without repeating the category path', () => {
+    const tags = tagsOf('Kansas City vs Buffalo', { tags: ['Sports', 'NFL', 'kansas city chiefs'] });
+
+    expect(tags).toContain('Kansas City Chiefs');
+    expect(tags).not.toContain('NFL');
+    expect(tags).not.toContain('Sports');
+  });
+
+  test('should bracket dollar thresholds in crypto and economics titles', () => {
+    expect(tagsOf('Will Bitcoin reach $150,000 by December 31?')).toContain('$100k-$200k');
+    expect(tagsOf('BTC above $100k on Friday?')).toContain('$100k-$200k');
+    expect(tagsOf('Will the new Marvel movie gross $1B at the box office?')).not.toContain('$1B-$2B');
+
+    expect(tagger.priceBracket('ETH above $4,500?')).toBe('$2k-$5k');
+    expect(tagger.priceBracket('Debt above $40 trillion?')).toBe('$20T-$50T');
+    expect(tagger.priceBracket('No amount')).toBeNull();
+  });
+
+  test('should dedupe case-insensitively and cap the tag count', () => {
+    const capped = new MarketTagger({ taxonomy, maxTags: 2, extractEntities: () => ({ names: [] }) });
+
+    expect(capped.tag('Title', { category: 'Other' }, ['alpha', 'ALPHA', { label: 'Beta' }, 'gamma']))
+      .toEqual(['Alpha', 'Beta']);
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * MatchOverrideStore - Persisted manual overrides for cross-platform matching
+ *
+ * Lets operators correct the heuristic MarketMatchingEngine:
+ * - link:   force two platform markets into the same unified market
+ *           (confirm a heuristic match or pin a pair it would miss)
+ * - reject: never match two platform markets (blacklist a false positive)
+ *
+ * Overrides are keyed by the unordered pair of platform market IDs
+ * (e.g. 'poly-12345' + 'kalshi-PRES-2024'), written to a JSON file on
+ * every change, and every change is appended to an audit log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDE_TYPES = ['link', 'reject'];
+
+class MatchOverrideStore {
+  /**
+   * @param {Object} options Store options
+   * @param {string|null} options.filePath JSON file to persist to (null = memory only)
+   * @param {number} options.maxAuditEntries Audit log entries to keep
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined
+      ? path.join(__dirname, 'data', 'match-overrides.json')
+      : options.filePath;
+    this.maxAuditEntries = options.maxAuditEntries || 1000;
+
+    // { 'kalshi-X|poly-Y': { id, type, marketIds, reason, author, createdAt } }
+    this.overrides = {};
+
+    // [{ action, overrideId, type, marketIds, reason, author, timestamp }]
+    this.auditLog = [];
+
+    this.nextId = 1;
+
+    this.load();
+
+    console.log(`[MatchOverrideStore] Initialized with ${Object.keys(this.overrides).length} overrides`);
+  }
+
+  // ====================================================================
+  // PERSISTENCE
+  // ====================================================================
+
+  /**
+   * Load overrides and audit log from disk
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.overrides = data.overrides || {};
+      this.auditLog = data.auditLog || [];
+      this.nextId = data.nextId || Object.keys(this.overrides).length + 1;
+    } catch (error) {
+      console.error('[MatchOverrideStore] Error loading overrides:', error.message);
+    }
+  }
+
+  /**
+   * Write overrides and audit log to disk (atomic rename)
+   * @throws {Error} code SAVE_FAILED if the file cannot be written
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        overrides: this.overrides,
+        auditLog: this.auditLog,
+        nextId: this.nextId
+      }, null, 2));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('[MatchOverrideStore] Error saving overrides:', error.message);
+      const saveError = new Error(`Failed to save overrides: ${error.message}`);
+      saveError.code = 'SAVE_FAILED';
+      throw saveError;
+    }
+  }
+
+  /**
+   * Save a change, undoing it in memory if it cannot be written
+   * (a change is only visible once it is on disk)
+   *
+   * @param {Function} change Applies the change
+   * @throws {Error} code SAVE_FAILED if the file cannot be written
+   */
+  commit(change) {
+    const snapshot = {
+      overrides: { ...this.overrides },
+      auditLog: this.auditLog.slice(),
+      nextId: this.nextId
+    };
+
+    change();
+
+    try {
+      this.save();
+    } catch (error) {
+      Object.assign(this, snapshot);
+      throw error;
+    }
+  }
+
+  // ====================================================================
+  // OVERRIDE MANAGEMENT
+  // ====================================================================
+
+  /**
+   * Build the order-independent key for a pair of market IDs
+   *
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @returns {string} Pair key
+   */
+  pairKey(marketId1, marketId2) {
+    return [marketId1, marketId2].sort().join('|');
+  }
+
+  /**
+   * Create or replace the override for a pair
+   *
+   * @param {string} type 'link' or 'reject'
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @param {Object} meta { reason, author }
+   * @returns {Object} The stored override
+   * @throws {Error} On invalid type or IDs, or code SAVE_FAILED if it cannot be written
+   */
+  setOverride(type, marketId1, marketId2, meta = {}) {
+    if (!OVERRIDE_TYPES.includes(type)) {
+      throw new Error(`Invalid override type: ${type}`);
+    }
+
+    if (!marketId1 || !marketId2 || typeof marketId1 !== 'string' || typeof marketId2 !== 'string') {
+      throw new Error('Two market IDs are required');
+    }
+
+    if (marketId1 === marketId2) {
+      throw new Error('Cannot override a market against itself');
+    }
+
+    const key = this.pairKey(marketId1, marketId2);
+    let override;
+
+    this.commit(() => {
+      override = {
+        id: `override-${this.nextId++}`,
+        type,
+        marketIds: key.split('|'),
+        reason: meta.reason || null,
+        author: meta.author || 'unknown',
+        createdAt: Date.now()
+      };
+
+      const previous = this.overrides[key];
+      this.overrides[key] = override;
+
+      this.audit(previous ? 'replace' : 'create', override, meta);
+    });
+
+    console.log(`[MatchOverrideStore] ${type} ${override.marketIds.join(' <-> ')} by ${override.author}`);
+    return override;
+  }
+
+  /**
+   * Force two markets into the same unified market
+   *
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @param {Object} meta { reason, author }
+   * @returns {Object} The stored override
+   */
+  link(marketId1, marketId2, meta = {}) {
+    return this.setOverride('link', marketId1, marketId2, meta);
+  }
+
+  /**
+   * Prevent two markets from ever being matched
+   *
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @param {Object} meta { reason, author }
+   * @returns {Object} The stored override
+   */
+  reject(marketId1, marketId2, meta = {}) {
+    return this.setOverride('reject', marketId1, marketId2, meta);
+  }
+
+  /**
+   * Remove an override by ID
+   *
+   * @param {string} overrideId Override ID
+   * @param {Object} meta { reason, author }
+   * @returns {Object|null} Removed override or null if not found
+   * @throws {Error} code SAVE_FAILED if the removal cannot be written
+   */
+  remove(overrideId, meta = {}) {
+    const entry = Object.entries(this.overrides).find(([, override]) => override.id === overrideId);
+    if (!entry) {
+      return null;
+    }
+
+    const [key, override] = entry;
+
+    this.commit(() => {
+      delete this.overrides[key];
+      this.audit('remove', override, meta);
+    });
+
+    console.log(`[MatchOverrideStore] Removed ${override.type} ${override.marketIds.join(' <-> ')}`);
+    return override;
+  }
+
+  /**
+   * Append an entry to the audit log
+   *
+   * @param {string} action 'create', 'replace' or 'remove'
+   * @param {Object} override Override affected
+   * @param {Object} meta { reason, author }
+   */
+  audit(action, override, meta = {}) {
+    this.auditLog.push({
+      action,
+      overrideId: override.id,
+      type: override.type,
+      marketIds: override.marketIds,
+      reason: meta.reason || override.reason || null,
+      author: meta.author || 'unknown',
+      timestamp: Date.now()
+    });
+
+    if (this.auditLog.length > this.maxAuditEntries) {
+      this.auditLog.splice(0, this.auditLog.length - this.maxAuditEntries);
+    }
+  }
+
+  // ====================================================================
+  // QUERIES
+  // ====================================================================
+
+  /**
+   * List overrides, newest first
+   *
+   * @param {string|null} type Optional type filter ('link' or 'reject')
+   * @returns {Array} Overrides
+   */
+  list(type = null) {
+    return Object.values(this.overrides)
+      .filter(override => !type || override.type === type)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get the audit log, newest first
+   *
+   * @param {number} limit Maximum entries to return
+   * @returns {Array} Audit entries
+   */
+  getAuditLog(limit = 100) {
+    return this.auditLog.slice(-limit).reverse();
+  }
+
+  /**
+   * Get the override for a pair
+   *
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @returns {Object|null} Override or null
+   */
+  get(marketId1, marketId2) {
+    return this.overrides[this.pairKey(marketId1, marketId2)] || null;
+  }
+
+  /**
+   * Check whether a pair has been rejected
+   *
+   * @param {string} marketId1 First platform market ID
+   * @param {string} marketId2 Second platform market ID
+   * @returns {boolean} True if the pair must never be matched
+   */
+  isRejected(marketId1, marketId2) {
+    const override = this.get(marketId1, marketId2);
+    return !!override && override.type === 'reject';
+  }
+
+  /**
+   * Get all linked pairs
+   *
+   * @returns {Array<Array<string>>} [[marketId1, marketId2], ...]
+   */
+  getLinkedPairs() {
+    return this.list('link').map(override => override.marketIds);
+  }
+
+  /**
+   * Get store statistics
+   *
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      links: this.list('link').length,
+      rejects: this.list('reject').length,
+      auditEntries: this.auditLog.length
+    };
+  }
+}
+
+MatchOverrideStore.OVERRIDE_TYPES = OVERRIDE_TYPES;
+
+// Export for use in server
+module.exports = MatchOverrideStore;
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for MatchOverrideStore
+ * Tests link/reject overrides, persistence, auditing and findMatches integration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MatchOverrideStore = require('./MatchOverrideStore');
+const MarketMatchingEngine = require('./MarketMatchingEngine');
+
+describe('MatchOverrideStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MatchOverrideStore({ filePath: null });
+  });
+
+  describe('Overrides', () => {
+    test('should store pairs independent of order', () => {
+      store.link('poly-1', 'kalshi-A', { author: 'ops' });
+
+      expect(store.get('kalshi-A', 'poly-1').type).toBe('link');
+      expect(store.getLinkedPairs()).toEqual([['kalshi-A', 'poly-1']]);
+    });
+
+    test('should replace the previous override for a pair', () => {
+      store.link('poly-1', 'kalshi-A');
+      store.reject('kalshi-A', 'poly-1', { reason: 'different strike' });
+
+      expect(store.list()).toHaveLength(1);
+      expect(store.isRejected('poly-1', 'kalshi-A')).toBe(true);
+      expect(store.getAuditLog().map(e => e.action)).toEqual(['replace', 'create']);
+    });
+
+    test('should validate input', () => {
+      expect(() => store.setOverride('merge', 'a', 'b')).toThrow('Invalid override type');
+      expect(() => store.link('poly-1')).toThrow('Two market IDs');
+      expect(() => store.reject('poly-1', 'poly-1')).toThrow('itself');
+    });
+
+    test('should remove overrides by ID and audit the removal', () => {
+      const override = store.reject('poly-1', 'kalshi-A');
+
+      expect(store.remove(override.id, { author: 'ops' })).toEqual(override);
+      expect(store.remove(override.id)).toBeNull();
+      expect(store.isRejected('poly-1', 'kalshi-A')).toBe(false);
+      expect(store.getAuditLog()[0]).toMatchObject({ action: 'remove', author: 'ops' });
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should reload overrides and audit log from disk', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+      const filePath = path.join(dir, 'match-overrides.json');
+
+      try {
+        store = new MatchOverrideStore({ filePath });
+        store.link('poly-1', 'kalshi-A');
+        store.reject('poly-2', 'kalshi-B');
+
+        const reloaded = new MatchOverrideStore({ filePath });
+        expect(reloaded.getStats()).toEqual({ links: 1, rejects: 1, auditEntries: 2 });
+
+        // IDs keep increasing after a reload
+        expect(reloaded.link('poly-3', 'kalshi-C').id).toBe('override-3');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should throw and keep nothing when a change cannot be written', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+      // A directory where the file should go makes every write fail
+      const filePath = path.join(dir, 'match-overrides.json');
+      fs.mkdirSync(`${filePath}.tmp`);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        store = new MatchOverrideStore({ filePath });
+
+        expect(() => store.link('poly-1', 'kalshi-A')).toThrow(expect.objectContaining({ code: 'SAVE_FAILED' }));
+        expect(store.getStats()).toEqual({ links: 0, rejects: 0, auditEntries: 0 });
+        expect(store.nextId).toBe(1);
+      } finally {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('findMatches integration', () => {
+    const market = (id, platform, question) => ({
+      id, platform, question, endDate: '2025-12-31T00:00:00Z', outcomes: [{ name: 'Yes', price: 0.5 }]
+    });
+
+    test('should merge linked markets without heuristic scoring', () => {
+      const engine = new MarketMatchingEngine({ overrides: store });
+      store.link('poly-1', 'kalshi-A');
+
+      const unified = engine.findMatches([
+        market('poly-1', 'polymarket', 'Fed cuts rates in December?'),
+        market('kalshi-A', 'kalshi', 'FOMC December decision: cut')
+      ]);
+
+      expect(unified).toHaveLength(1);
+      expect(unified[0].match_source).toBe('manual');
+      expect(unified[0].match_confidence).toBe(1.0);
+      expect(engine.lastMatchStats.scoredPairs).toBe(0);
+    });
+
+    test('should apply links transitively', () => {
+      const engine = new MarketMatchingEngine({ overrides: store });
+      store.link('poly-1', 'kalshi-A');
+      store.link('kalshi-A', 'limitless-X');
+
+      const unified = engine.findMatches([
+        market('poly-1', 'polymarket', 'Question one?'),
+        market('kalshi-A', 'kalshi', 'Question two?'),
+        market('limitless-X', 'limitless', 'Question three?')
+      ]);
+
+      expect(unified).toHaveLength(1);
+      expect(Object.keys(unified[0].platforms).sort()).toEqual(['kalshi', 'limitless', 'polymarket']);
+    });
+
+    test('should keep linked markets out of earlier heuristic groups', () => {
+      const engine = new MarketMatchingEngine({ overrides: store });
+      store.link('poly-2', 'kalshi-1');
+
+      const unified = engine.findMatches([
+        market('poly-1', 'polymarket', 'Will Bitcoin reach $150,000 by December 2025?'),
+        market('poly-2', 'polymarket', 'Will Bitcoin reach $150,000 by December 2025?'),
+        market('kalshi-1', 'kalshi', 'Will Bitcoin reach $150,000 by December 2025?')
+      ]);
+
+      expect(unified.map(u => [u.match_source, Object.values(u.platforms).map(m => m.id)])).toEqual([
+        ['heuristic', ['poly-1']],
+        ['manual', ['poly-2', 'kalshi-1']]
+      ]);
+    });
+
+    test('should check rejections against every market of a group', () => {
+      const engine = new MarketMatchingEngine({ overrides: store });
+      store.reject('kalshi-A', 'limitless-X');
+
+      const unified = engine.findMatches([
+        market('poly-1', 'polymarket', 'Will Bitcoin reach $150,000 by December 2025?'),
+        market('kalshi-A', 'kalshi', 'Will Bitcoin reach $150,000 by December 2025?'),
+        market('limitless-X', 'limitless', 'Will Bitcoin reach $150,000 by December 2025?')
+      ]);
+
+      expect(unified.map(u => Object.keys(u.platforms))).toEqual([['polymarket', 'kalshi'], ['limitless']]);
+    });
+
+    test('should never match rejected pairs', () => {
+      const engine = new MarketMatchingEngine({ overrides: store });
+      const markets = [
+        market('poly-1', 'polymarket', 'Will Bitcoin reach $150,000 by December 2025?'),
+        market('kalshi-A', 'kalshi', 'Will Bitcoin reach $150,000 by December 2025?')
+      ];
+
+      expect(engine.findMatches(markets)).toHaveLength(1);
+
+      store.reject('poly-1', 'kalshi-A');
+      expect(engine.findMatches(markets)).toHaveLength(2);
+      expect(engine.lastMatchStats.overrideRejects).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * OrderbookService - Normalized orderbook depth per unified market
+ *
+ * Pulls bids/asks from each venue through its adapter's fetchOrderbook()
+ * and serves them in one schema so depth can be compared across platforms.
+ *
+ * Key responsibilities:
+ * 1. Normalize venue levels (sorted, aggregated, 0.00-1.00 prices)
+ * 2. Cache each platform market's book with a short TTL
+ * 3. Merge books of all platforms in a unified market into combined depth
+ *
+ * Books describe the YES outcome (for multi-outcome markets, the first
+ * outcome in venue order, which differs between venues):
+ * {
+ *   platform, marketId,
+ *   bids: [{ price, size, total }]  best (highest) first
+ *   asks: [{ price, size, total }]  best (lowest) first
+ *   bestBid, bestAsk, spread, midpoint,
+ *   depth: { bidSize, askSize, bidNotional, askNotional },
+ *   timestamp
+ * }
+ * size is in contracts/shares, total is price * size in USD.
+ */
+
+class OrderbookService {
+  /**
+   * @param {PlatformRegistry} platformRegistry Registry of platform adapters
+   * @param {Object} options Service options
+   * @param {number} options.ttlMs How long a fetched book is served from cache
+   * @param {number} options.maxLevels Price levels kept per side
+   */
+  constructor(platformRegistry, options = {}) {
+    this.registry = platformRegistry;
+
+    // Depth moves quickly, keep it only briefly
+    this.ttlMs = options.ttlMs || 5000;
+    this.maxLevels = options.maxLevels || 50;
+
+    // { 'polymarket:poly-12345': { book, expiresAt } }
+    this.cache = new Map();
+
+    // Concurrent requests for the same book share one fetch
+    this.inFlight = new Map();
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      fetchErrors: 0
+    };
+
+    console.log('[OrderbookService] Initialized with TTL:', `${this.ttlMs}ms`);
+  }
+
+  // ====================================================================
+  // NORMALIZATION
+  // ====================================================================
+
+  /**
+   * Clean, aggregate and sort one side of a book
+   * Drops levels outside (0, 1) or with no size and merges equal prices
+   *
+   * @param {Array} levels Raw levels [{ price, size }] in 0.00-1.00 prices
+   * @param {string} side 'bids' or 'asks'
+   * @returns {Array} Levels [{ price, size, total }], best first
+   */
+  normalizeLevels(levels, side) {
+    const byPrice = new Map();
+
+    for (const level of levels || []) {
+      const price = Math.round(Number(level.price) * 10000) / 10000;
+      const size = Number(level.size);
+
+      if (!(price > 0 && price < 1) || !(size > 0)) {
+        continue;
+      }
+
+      byPrice.set(price, (byPrice.get(price) || 0) + size);
+    }
+
+    return [...byPrice.entries()]
+      .sort((a, b) => (side === 'bids' ? b[0] - a[0] : a[0] - b[0]))
+      .slice(0, this.maxLevels)
+      .map(([price, size]) => ({
+        price,
+        size,
+        total: Math.round(price * size * 100) / 100
+      }));
+  }
+
+  /**
+   * Build a normalized book from venue levels
+   *
+   * @param {string} platform Platform key
+   * @param {string} marketId Platform market ID
+   * @param {Object} levels { bids, asks } as returned by an adapter
+   * @param {number} timestamp Fetch time in ms
+   * @returns {Object} Normalized book
+   */
+  normalizeOrderbook(platform, marketId, levels = {}, timestamp = Date.now()) {
+    const bids = this.normalizeLevels(levels.bids, 'bids');
+    const asks = this.normalizeLevels(levels.asks, 'asks');
+
+    const bestBid = bids.length > 0 ? bids[0].price : null;
+    const bestAsk = asks.length > 0 ? asks[0].price : null;
+    const hasBoth = bestBid !== null && bestAsk !== null;
+
+    const sum = (side, field) => Math.round(side.reduce((acc, level) => acc + level[field], 0) * 100) / 100;
+
+    return {
+      platform,
+      marketId,
+      bids,
+      asks,
+      bestBid,
+      bestAsk,
+      spread: hasBoth ? Math.round((bestAsk - bestBid) * 10000) / 10000 : null,
+      midpoint: hasBoth ? Math.round(((bestAsk + bestBid) / 2) * 10000) / 10000 : null,
+      depth: {
+        bidSize: sum(bids, 'size'),
+        askSize: sum(asks, 'size'),
+        bidNotional: sum(bids, 'total'),
+        askNotional: sum(asks, 'total')
+      },
+      timestamp
+    };
+  }
+
+  // ====================================================================
+  // FETCHING & CACHING
+  // ====================================================================
+
+  /**
+   * Get the normalized book for one platform market
+   *
+   * @param {string} platform Platform key
+   * @param {Object} market Normalized platform market
+   * @returns {Promise<Object|null>} Normalized book, or null if the venue has no depth
+   */
+  async getOrderbook(platform, market) {
+    const key = `${platform}:${market.id}`;
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return cached.book;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    this.stats.misses++;
+    this.prune();
+
+    const adapter = this.registry.get(platform);
+    if (!adapter || typeof adapter.fetchOrderbook !== 'function') {
+      return null;
+    }
+
+    const request = (async () => {
+      try {
+        const levels = await adapter.fetchOrderbook(market);
+        const book = levels ? this.normalizeOrderbook(platform, market.id, levels) : null;
+
+        this.cache.set(key, { book, expiresAt: Date.now() + this.ttlMs });
+        return book;
+      } catch (error) {
+        this.stats.fetchErrors++;
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Get books for every platform in a unified market plus merged depth
+   * A failing venue is reported in errors and does not fail the others.
+   * Books of multi-outcome platform markets are returned (Dutch-book sizing
+   * reads them) but left out of merged depth: they hold one outcome, and the
+   * venues order outcomes differently.
+   *
+   * @param {Object} unifiedMarket Unified market ({ unified_id, platforms })
+   * @returns {Promise<Object>} { unified_id, platforms, merged, errors, timestamp }
+   */
+  async getUnifiedOrderbook(unifiedMarket) {
+    const platforms = {};
+    const errors = {};
+    const mergeable = [];
+
+    await Promise.all(Object.entries(unifiedMarket.platforms || {}).map(async ([platform, market]) => {
+      try {
+        platforms[platform] = await this.getOrderbook(platform, market);
+
+        if (platforms[platform] && market.marketType !== 'multi-outcome') {
+          mergeable.push(platforms[platform]);
+        }
+      } catch (error) {
+        console.error(`[OrderbookService] Failed to fetch ${platform} orderbook for ${market.id}:`, error.message);
+        platforms[platform] = null;
+        errors[platform] = error.message;
+      }
+    }));
+
+    return {
+      unified_id: unifiedMarket.unified_id,
+      platforms,
+      merged: this.mergeOrderbooks(mergeable),
+      errors,
+      timestamp: Date.now()
+    };
+  }
+
+  // ====================================================================
+  // MERGING
+  // ====================================================================
+
+  /**
+   * Combine books from several platforms into one depth ladder
+   * Levels at the same price are summed; each level keeps the
+   * per-platform breakdown so the UI can show where liquidity sits.
+   *
+   * @param {Array} books Normalized books
+   * @returns {Object} { bids, asks, bestBid, bestAsk, spread } with
+   *   levels [{ price, size, total, cumulative, platforms: { name: size } }]
+   */
+  mergeOrderbooks(books) {
+    const mergeSide = (side) => {
+      const byPrice = new Map();
+
+      for (const book of books) {
+        for (const level of book[side]) {
+          const merged = byPrice.get(level.price) || { price: level.price, size: 0, platforms: {} };
+          merged.size += level.size;
+          merged.platforms[book.platform] = (merged.platforms[book.platform] || 0) + level.size;
+          byPrice.set(level.price, merged);
+        }
+      }
+
+      let cumulative = 0;
+      return [...byPrice.values()]
+        .sort((a, b) => (side === 'bids' ? b.price - a.price : a.price - b.price))
+        .slice(0, this.maxLevels)
+        .map(level => {
+          cumulative += level.size;
+          return {
+            ...level,
+            total: Math.round(level.price * level.size * 100) / 100,
+            cumulative
+          };
+        });
+    };
+
+    const bids = mergeSide('bids');
+    const asks = mergeSide('asks');
+    const bestBid = bids.length > 0 ? bids[0].price : null;
+    const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+    return {
+      bids,
+      asks,
+      bestBid,
+      bestAsk,
+      spread: bestBid !== null && bestAsk !== null ? Math.round((bestAsk - bestBid) * 10000) / 10000 : null
+    };
+  }
+
+  // ====================================================================
+  // MAINTENANCE
+  // ====================================================================
+
+  /**
+   * Drop expired cache entries
+   * @returns {number} Entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get service statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    this.prune();
+
+    return {
+      ...this.stats,
+      cachedBooks: this.cache.size,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+// Export for use in server
+module.exports = OrderbookService;
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for OrderbookService
+ * Tests venue normalization, TTL caching and merged depth
+ */
+
+const OrderbookService = require('./OrderbookService');
+const PlatformRegistry = require('./PlatformRegistry');
+const PolymarketFetcher = require('./PolymarketFetcher');
+const KalshiFetcher = require('./KalshiFetcher');
+
+describe('OrderbookService', () => {
+  let registry;
+  let polymarket;
+  let kalshi;
+  let service;
+
+  // Raw venue payloads
+  const clobBook = {
+    bids: [{ price: '0.45', size: '100' }, { price: '0.47', size: '50' }, { price: '0.47', size: '25' }],
+    asks: [{ price: '0.55', size: '80' }, { price: '0.52', size: '40' }]
+  };
+  const kalshiBook = {
+    yes: [[44, 200], [46, 10]],
+    no: [[50, 30], [45, 60]]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    polymarket = new PolymarketFetcher();
+    kalshi = new KalshiFetcher();
+    polymarket.fetchWithRetry = jest.fn().mockResolvedValue(clobBook);
+    kalshi.fetchWithRetry = jest.fn().mockResolvedValue({ orderbook: kalshiBook });
+
+    registry = new PlatformRegistry();
+    registry.register(polymarket);
+    registry.register(kalshi);
+
+    service = new OrderbookService(registry, { ttlMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Normalization', () => {
+    test('should aggregate and sort Polymarket CLOB levels', async () => {
+      const book = await service.getOrderbook('polymarket', { id: 'poly-1', tokenIds: ['123', '456'] });
+
+      expect(polymarket.fetchWithRetry.mock.calls[0][0]).toBe('https://clob.polymarket.com/book?token_id=123');
+      expect(book.bids).toEqual([
+        { price: 0.47, size: 75, total: 35.25 },
+        { price: 0.45, size: 100, total: 45 }
+      ]);
+      expect(book.asks.map(level => level.price)).toEqual([0.52, 0.55]);
+      expect(book).toMatchObject({ bestBid: 0.47, bestAsk: 0.52, spread: 0.05, midpoint: 0.495 });
+    });
+
+    test('should derive Kalshi YES asks from NO bids on the same price scale', async () => {
+      const book = await service.getOrderbook('kalshi', { id: 'kalshi-FED-25DEC' });
+
+      expect(kalshi.fetchWithRetry.mock.calls[0][0]).toContain('/markets/FED-25DEC/orderbook');
+      expect(book.bids.map(level => [level.price, level.size])).toEqual([[0.46, 10], [0.44, 200]]);
+      expect(book.asks.map(level => [level.price, level.size])).toEqual([[0.5, 30], [0.55, 60]]);
+      expect(book.depth).toMatchObject({ bidSize: 210, askSize: 90 });
+    });
+
+    test('should accept Kalshi dollar-denominated levels', () => {
+      const levels = kalshi.normalizeOrderbook({ yes_dollars: [['0.4400', 5]], no_dollars: [['0.5000', 7]] });
+
+      expect(levels).toEqual({ bids: [{ price: 0.44, size: 5 }], asks: [{ price: 0.5, size: 7 }] });
+    });
+
+    test('should drop invalid levels', () => {
+      const book = service.normalizeOrderbook('polymarket', 'poly-1', {
+        bids: [{ price: 0, size: 10 }, { price: 0.4, size: 0 }, { price: 'abc', size: 5 }, { price: 0.3, size: 5 }],
+        asks: []
+      });
+
+      expect(book.bids).toEqual([{ price: 0.3, size: 5, total: 1.5 }]);
+      expect(book).toMatchObject({ bestAsk: null, spread: null, midpoint: null });
+    });
+
+    test('should return null for markets without depth data', async () => {
+      expect(await service.getOrderbook('polymarket', { id: 'poly-2', tokenIds: [] })).toBeNull();
+      expect(await service.getOrderbook('limitless', { id: 'limitless-1' })).toBeNull();
+      expect(polymarket.fetchWithRetry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Caching', () => {
+    test('should serve books from cache until the TTL expires', async () => {
+      const market = { id: 'poly-1', tokenIds: ['123'] };
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await service.getOrderbook('polymarket', market);
+      await service.getOrderbook('polymarket', market);
+      expect(polymarket.fetchWithRetry).toHaveBeenCalledTimes(1);
+
+      Date.now.mockReturnValue(now + 1001);
+      await service.getOrderbook('polymarket', market);
+      expect(polymarket.fetchWithRetry).toHaveBeenCalledTimes(2);
+      expect(service.getStats()).toMatchObject({ hits: 1, misses: 2 });
+    });
+
+    test('should share one fetch between concurrent requests', async () => {
+      const market = { id: 'poly-1', tokenIds: ['123'] };
+
+      await Promise.all([service.getOrderbook('polymarket', market), service.getOrderbook('polymarket', market)]);
+      expect(polymarket.fetchWithRetry).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Unified orderbook', () => {
+    test('should merge depth across platforms and report failing venues', async () => {
+      const result = await service.getUnifiedOrderbook({
+        unified_id: 'unified-1',
+        platforms: {
+          polymarket: { id: 'poly-1', tokenIds: ['123'] },
+          kalshi: { id: 'kalshi-FED-25DEC' }
+        }
+      });
+
+      expect(Object.keys(result.platforms).sort()).toEqual(['kalshi', 'polymarket']);
+      expect(result.merged.bestBid).toBe(0.47);
+      expect(result.merged.bestAsk).toBe(0.5);
+      expect(result.merged.asks[0]).toMatchObject({ price: 0.5, size: 30, cumulative: 30, platforms: { kalshi: 30 } });
+      expect(result.merged.asks[1]).toMatchObject({ price: 0.52, cumulative: 70, platforms: { polymarket: 40 } });
+
+      kalshi.fetchWithRetry.mockRejectedValue(new Error('HTTP Error Status: 503'));
+      service.cache.clear();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const degraded = await service.getUnifiedOrderbook({
+        unified_id: 'unified-1',
+        platforms: { polymarket: { id: 'poly-1', tokenIds: ['123'] }, kalshi: { id: 'kalshi-FED-25DEC' } }
+      });
+
+      expect(degraded.platforms.kalshi).toBeNull();
+      expect(degraded.errors.kalshi).toContain('503');
+      expect(degraded.merged.bestAsk).toBe(0.52);
+    });
+
+    test('should keep first-outcome books of multi-outcome markets out of merged depth', async () => {
+      const result = await service.getUnifiedOrderbook({
+        unified_id: 'unified-2',
+        platforms: {
+          polymarket: { id: 'poly-1', tokenIds: ['123'], marketType: 'binary' },
+          kalshi: { id: 'kalshi-PRES-28', tokenIds: ['PRES-28-A', 'PRES-28-B'], marketType: 'multi-outcome' }
+        }
+      });
+
+      expect(result.platforms.kalshi).toMatchObject({ marketId: 'kalshi-PRES-28', bestAsk: 0.5 });
+      expect(result.merged.bestAsk).toBe(0.52);
+      expect(result.merged.asks.every(level => Object.keys(level.platforms).join() === 'polymarket')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * PlatformAdapter - Base interface for prediction market venue integrations
+ *
+ * Every venue (Polymarket, Kalshi, ...) is exposed to the rest of the backend
+ * through this interface. MarketAggregator, PollingService and SmartCacheManager
+ * only talk to adapters via PlatformRegistry, so adding a venue means writing
+ * one adapter module and registering it.
+ *
+ * Adapters must provide:
+ * - name                      Lowercase platform key ('polymarket', 'kalshi')
+ * - displayName               Human-readable venue name
+ * - polling                   { interval: ms, enabled: boolean }; interval is the
+ *                             fastest per-market refresh (see PollingScheduler)
+ * - fetchMarkets(options)     Raw markets from the venue API
+ * - fetchMarketDetails(id)    Raw details for one market
+ * - normalizeMarket(raw)      Raw market -> MarketSchema market (or null)
+ * - getHealthStatus()         { status, lastAttempt, lastError, lastSuccessfulFetch, ... }
+ *
+ * Optional:
+ * - fetchOrderbook(market)    YES-side depth { bids, asks } for a normalized market,
+ *                             prices in 0.00-1.00 (used by OrderbookService)
+ * - refreshMarket(market)     Raw item behind a normalized market, for markets
+ *                             fetchMarketDetails(id) cannot re-read (used by PollingService)
+ * - idPrefix                  Prefix normalized ids put before the venue ID
+ *                             (default '<name>-'; Polymarket uses 'poly-')
+ * - rateLimit                 Requests per minute; PollingService spends up to half
+ *                             of it on per-market refreshes
+ */
+
+const REQUIRED_METHODS = ['fetchMarkets', 'fetchMarketDetails', 'normalizeMarket', 'getHealthStatus'];
+
+class PlatformAdapter {
+  /**
+   * @param {Object} descriptor Adapter descriptor
+   * @param {string} descriptor.name Lowercase platform key
+   * @param {string} descriptor.displayName Human-readable venue name
+   * @param {Object} descriptor.polling Polling configuration { interval, enabled }
+   */
+  constructor(descriptor = {}) {
+    this.name = descriptor.name;
+    this.displayName = descriptor.displayName || descriptor.name;
+    this.polling = {
+      interval: 10000,
+      enabled: true,
+      ...(descriptor.polling || {})
+    };
+  }
+
+  // ====================================================================
+  // INTERFACE METHODS (override in subclasses)
+  // ====================================================================
+
+  /**
+   * Fetch raw markets from the venue
+   * @param {Object} options Fetch options
+   * @returns {Promise<Array>} Array of raw markets
+   */
+  async fetchMarkets(options = {}) {
+    throw new Error(`${this.constructor.name}.fetchMarkets() not implemented`);
+  }
+
+  /**
+   * Fetch raw details for a single market
+   * @param {string} marketId Venue-native market ID
+   * @returns {Promise<Object>} Raw market details
+   */
+  async fetchMarketDetails(marketId) {
+    throw new Error(`${this.constructor.name}.fetchMarketDetails() not implemented`);
+  }
+
+  /**
+   * Normalize a raw market to the unified schema
+   * @param {Object} rawMarket Raw market object
+   * @returns {Object|null} Normalized market or null if invalid
+   */
+  normalizeMarket(rawMarket) {
+    throw new Error(`${this.constructor.name}.normalizeMarket() not implemented`);
+  }
+
+  /**
+   * Fetch orderbook depth for a normalized market
+   * Venues without depth data keep this default
+   * @param {Object} market Normalized market
+   * @returns {Promise<Object|null>} { bids: [{ price, size }], asks: [{ price, size }] } or null
+   */
+  async fetchOrderbook(market) {
+    return null;
+  }
+
+  /**
+   * Get adapter health status
+   * @returns {Object} Health status object
+   */
+  getHealthStatus() {
+    return { status: 'unknown', lastAttempt: null, lastError: null, lastSuccessfulFetch: null };
+  }
+
+  // ====================================================================
+  // INTERFACE VALIDATION
+  // ====================================================================
+
+  /**
+   * Check that an object satisfies the adapter interface
+   * Allows duck-typed adapters that do not extend this class
+   *
+   * @param {Object} adapter Candidate adapter
+   * @throws {Error} If a required field or method is missing
+   */
+  static assertImplements(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+      throw new Error('Platform adapter must be an object');
+    }
+
+    if (!adapter.name || typeof adapter.name !== 'string') {
+      throw new Error('Platform adapter is missing a string "name"');
+    }
+
+    for (const method of REQUIRED_METHODS) {
+      if (typeof adapter[method] !== 'function') {
+        throw new Error(`Platform adapter "${adapter.name}" is missing method ${method}()`);
+      }
+    }
+  }
+}
+
+PlatformAdapter.REQUIRED_METHODS = REQUIRED_METHODS;
+
+// Export for use in fetchers and registry
+module.exports = PlatformAdapter;
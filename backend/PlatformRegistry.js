@@ -0,0 +1,114 @@
+/**
+ * PlatformRegistry - Registry of prediction market venue adapters
+ *
+ * Holds one PlatformAdapter per venue, keyed by its lowercase name.
+ * Consumers (MarketAggregator, PollingService, SmartCacheManager) iterate
+ * the registry instead of hardcoding venues.
+ *
+ * Adding a venue:
+ *   const LimitlessFetcher = require('./LimitlessFetcher'); // extends PlatformAdapter
+ *   platformRegistry.register(new LimitlessFetcher(API_ENDPOINTS.LIMITLESS, cacheManager));
+ */
+
+const PlatformAdapter = require('./PlatformAdapter');
+
+class PlatformRegistry {
+  constructor(cacheManager = null) {
+    this.cache = cacheManager;
+    this.adapters = new Map(); // { 'polymarket': PolymarketFetcher, ... }
+
+    console.log('[PlatformRegistry] Initialized');
+  }
+
+  /**
+   * Register a platform adapter
+   * @param {PlatformAdapter} adapter Adapter implementing the PlatformAdapter interface
+   * @returns {PlatformAdapter} The registered adapter
+   */
+  register(adapter) {
+    PlatformAdapter.assertImplements(adapter);
+
+    // Names are lowercase keys everywhere (get(), health, polling state)
+    adapter.name = adapter.name.toLowerCase();
+
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Platform already registered: ${adapter.name}`);
+    }
+
+    // Fill in defaults for duck-typed adapters
+    if (!adapter.polling) {
+      adapter.polling = { interval: 10000, enabled: true };
+    }
+
+    this.adapters.set(adapter.name, adapter);
+
+    // Start tracking health for the new platform
+    if (this.cache && this.cache.registerPlatform) {
+      this.cache.registerPlatform(adapter.name);
+    }
+
+    console.log(`[PlatformRegistry] Registered platform: ${adapter.name} (poll every ${adapter.polling.interval / 1000}s)`);
+    return adapter;
+  }
+
+  /**
+   * Remove a platform adapter
+   * @param {string} name Platform name
+   * @returns {boolean} True if an adapter was removed
+   */
+  unregister(name) {
+    const removed = !!name && this.adapters.delete(name.toLowerCase());
+
+    if (removed) {
+      console.log(`[PlatformRegistry] Unregistered platform: ${name}`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get adapter by platform name
+   * @param {string} name Platform name
+   * @returns {PlatformAdapter|null} Adapter or null if not registered
+   */
+  get(name) {
+    if (!name) return null;
+    return this.adapters.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * Check whether a platform is registered
+   * @param {string} name Platform name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return !!this.get(name);
+  }
+
+  /**
+   * Get all registered adapters
+   * @returns {Array<PlatformAdapter>} Adapters in registration order
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Get all registered platform names
+   * @returns {Array<string>} Platform names in registration order
+   */
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * Get adapters whose polling is enabled
+   * @returns {Array<PlatformAdapter>} Enabled adapters
+   */
+  enabled() {
+    return this.list().filter(adapter => adapter.polling.enabled);
+  }
+}
+
+// Export for use in server
+module.exports = PlatformRegistry;
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for PlatformRegistry
+ * Tests adapter registration, interface validation and lookups
+ */
+
+const PlatformRegistry = require('./PlatformRegistry');
+const PlatformAdapter = require('./PlatformAdapter');
+
+describe('PlatformRegistry', () => {
+  let registry;
+
+  class StubAdapter extends PlatformAdapter {
+    constructor(name, polling) {
+      super({ name, displayName: name.toUpperCase(), polling });
+    }
+
+    async fetchMarkets() {
+      return [];
+    }
+
+    async fetchMarketDetails() {
+      return null;
+    }
+
+    normalizeMarket(raw) {
+      return raw;
+    }
+  }
+
+  beforeEach(() => {
+    registry = new PlatformRegistry();
+  });
+
+  describe('Registration', () => {
+    test('should register adapters in order', () => {
+      registry.register(new StubAdapter('polymarket'));
+      registry.register(new StubAdapter('kalshi'));
+
+      expect(registry.names()).toEqual(['polymarket', 'kalshi']);
+      expect(registry.list()).toHaveLength(2);
+    });
+
+    test('should reject duplicate platform names', () => {
+      registry.register(new StubAdapter('kalshi'));
+      expect(() => registry.register(new StubAdapter('kalshi'))).toThrow('already registered');
+    });
+
+    test('should reject adapters missing interface methods', () => {
+      expect(() => registry.register({ name: 'limitless', fetchMarkets: async () => [] }))
+        .toThrow('fetchMarketDetails');
+      expect(() => registry.register(new PlatformAdapter({}))).toThrow('name');
+    });
+
+    test('should accept duck-typed adapters and default polling config', () => {
+      const adapter = registry.register({
+        name: 'limitless',
+        fetchMarkets: async () => [],
+        fetchMarketDetails: async () => null,
+        normalizeMarket: raw => raw,
+        getHealthStatus: () => ({ status: 'healthy' })
+      });
+
+      expect(adapter.polling).toEqual({ interval: 10000, enabled: true });
+    });
+
+    test('should start health tracking in the cache manager', () => {
+      const cache = { registerPlatform: jest.fn() };
+      registry = new PlatformRegistry(cache);
+
+      registry.register(new StubAdapter('polymarket'));
+      expect(cache.registerPlatform).toHaveBeenCalledWith('polymarket');
+    });
+  });
+
+  describe('Lookup', () => {
+    test('should look up adapters case-insensitively', () => {
+      const adapter = registry.register(new StubAdapter('kalshi'));
+
+      expect(registry.get('Kalshi')).toBe(adapter);
+      expect(registry.has('kalshi')).toBe(true);
+      expect(registry.get('unknown')).toBeNull();
+    });
+
+    test('should key mixed-case names by their lowercase form', () => {
+      const cache = { registerPlatform: jest.fn() };
+      registry = new PlatformRegistry(cache);
+      const adapter = registry.register(new StubAdapter('Limitless'));
+
+      expect(adapter.name).toBe('limitless');
+      expect(registry.get('Limitless')).toBe(adapter);
+      expect(registry.names()).toEqual(['limitless']);
+      expect(cache.registerPlatform).toHaveBeenCalledWith('limitless');
+      expect(() => registry.register(new StubAdapter('LIMITLESS'))).toThrow('already registered');
+    });
+
+    test('should list only enabled adapters', () => {
+      registry.register(new StubAdapter('polymarket'));
+      registry.register(new StubAdapter('kalshi', { enabled: false }));
+
+      expect(registry.enabled().map(a => a.name)).toEqual(['polymarket']);
+    });
+
+    test('should unregister adapters', () => {
+      registry.register(new StubAdapter('kalshi'));
+
+      expect(registry.unregister('kalshi')).toBe(true);
+      expect(registry.has('kalshi')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * PollingScheduler - Priority queue of per-market refreshes
+ *
+ * Used by PollingService to decide which platform markets to re-fetch
+ * individually between full platform sweeps. Each market gets a priority in
+ * 0..1 from three signals, combined as a noisy-OR so that any one strong
+ * signal is enough to make a market hot:
+ *
+ *   priority = 1 - (1 - wI * interest) * (1 - wV * volatility) * (1 - wR * resolution)
+ *
+ *   interest    viewer interest (SmartCacheManager.getViewerInterest)
+ *   volatility  decaying average of observed price moves (a 5-point move = 1)
+ *   resolution  closeness to the end date (1 at the end, ~0.37 a day before)
+ *
+ * The refresh interval moves geometrically from maxIntervalMs (priority 0)
+ * down to the platform's minimum interval (priority 1). Markets idle enough
+ * to sit at maxIntervalMs are simply refreshed by the next sweep.
+ */
+
+// Default signal weights
+const DEFAULT_WEIGHTS = {
+  interest: 1.0,
+  volatility: 0.8,
+  resolution: 0.6
+};
+
+// Price move (0.00-1.00 scale) treated as maximal volatility
+const FULL_VOLATILITY_MOVE = 0.05;
+
+// Weight of the newest observation in the volatility average
+const VOLATILITY_ALPHA = 0.3;
+
+// Resolution signal decays by 1/e per this much time to the end date
+const RESOLUTION_DECAY_MS = 24 * 60 * 60 * 1000;
+
+// Interval tiers reported by getStats()
+const TIERS = {
+  hot: 30000,
+  warm: 120000
+};
+
+class PollingScheduler {
+  /**
+   * @param {Object} options Scheduler options
+   * @param {number} options.minIntervalMs Fastest refresh when a platform sets none (default 5 seconds)
+   * @param {number} options.maxIntervalMs Slowest refresh, normally the sweep interval (default 5 minutes)
+   * @param {Object} options.weights Signal weights { interest, volatility, resolution }
+   */
+  constructor(options = {}) {
+    this.minIntervalMs = options.minIntervalMs || 5000;
+    this.maxIntervalMs = options.maxIntervalMs || 5 * 60 * 1000;
+    this.weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+
+    // Fastest refresh per platform { 'kalshi': 10000 }
+    this.platformMinIntervals = {};
+
+    // Queue entries { 'kalshi:kalshi-FED-25DEC': { platform, marketId, unifiedId, ... } }
+    this.entries = new Map();
+  }
+
+  /**
+   * Set the fastest refresh interval for a platform
+   * @param {string} platform Platform name
+   * @param {number} intervalMs Minimum interval in ms
+   */
+  setPlatformInterval(platform, intervalMs) {
+    this.platformMinIntervals[platform] = intervalMs;
+  }
+
+  // ====================================================================
+  // PRIORITY
+  // ====================================================================
+
+  /**
+   * Closeness-to-resolution signal
+   * @param {string|null} endDate ISO end date
+   * @param {number} now Current time in ms
+   * @returns {number} 0..1 (0 when unknown or already past)
+   */
+  resolutionSignal(endDate, now) {
+    const end = endDate ? new Date(endDate).getTime() : NaN;
+
+    if (isNaN(end) || end < now) {
+      return 0;
+    }
+
+    return Math.exp(-(end - now) / RESOLUTION_DECAY_MS);
+  }
+
+  /**
+   * Combine signals into a priority
+   * @param {Object} signals { interest, volatility, resolution }, each 0..1
+   * @returns {number} Priority 0..1
+   */
+  priority(signals) {
+    let quiet = 1;
+
+    for (const [signal, weight] of Object.entries(this.weights)) {
+      const value = Math.min(1, Math.max(0, signals[signal] || 0));
+      quiet *= 1 - weight * value;
+    }
+
+    return 1 - quiet;
+  }
+
+  /**
+   * Refresh interval for a priority
+   * @param {number} priority Priority 0..1
+   * @param {string} platform Platform name
+   * @returns {number} Interval in ms
+   */
+  intervalFor(priority, platform) {
+    const min = this.platformMinIntervals[platform] || this.minIntervalMs;
+    const max = Math.max(min, this.maxIntervalMs);
+
+    return Math.round(max * Math.pow(min / max, priority));
+  }
+
+  /**
+   * Recompute an entry's priority and interval
+   * @param {Object} entry Queue entry
+   * @param {number} now Current time in ms
+   */
+  reprioritize(entry, now) {
+    entry.signals.resolution = this.resolutionSignal(entry.endDate, now);
+    entry.priority = this.priority(entry.signals);
+    entry.interval = this.intervalFor(entry.priority, entry.platform);
+    entry.nextDueAt = entry.lastPolledAt !== null ? entry.lastPolledAt + entry.interval : now;
+  }
+
+  // ====================================================================
+  // QUEUE
+  // ====================================================================
+
+  /**
+   * Sync the queue with the cached unified markets
+   * Adds new platform markets, refreshes interest and drops markets that are
+   * no longer cached.
+   *
+   * @param {Array} unifiedMarkets Cached unified markets
+   * @param {Function} interestFn unifiedMarket -> viewer interest 0..1
+   * @param {number} now Current time in ms
+   */
+  sync(unifiedMarkets, interestFn, now = Date.now()) {
+    const seen = new Set();
+
+    for (const unified of unifiedMarkets) {
+      const interest = interestFn(unified);
+
+      for (const [platform, market] of Object.entries(unified.platforms || {})) {
+        if (!market || !market.id) continue;
+
+        const key = `${platform}:${market.id}`;
+        seen.add(key);
+
+        let entry = this.entries.get(key);
+        if (!entry) {
+          // Fresh from a sweep, so not due until its interval has passed
+          entry = {
+            platform,
+            marketId: market.id,
+            unifiedId: unified.unified_id,
+            signals: { interest: 0, volatility: 0, resolution: 0 },
+            lastPolledAt: now,
+            priority: 0,
+            interval: this.maxIntervalMs,
+            nextDueAt: now
+          };
+          this.entries.set(key, entry);
+        }
+
+        entry.unifiedId = unified.unified_id;
+        entry.endDate = market.endDate || null;
+        entry.signals.interest = interest;
+        this.reprioritize(entry, now);
+      }
+    }
+
+    for (const key of this.entries.keys()) {
+      if (!seen.has(key)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record a fresh observation of a market (per-market refresh or sweep)
+   * Updates the volatility average and schedules the next refresh.
+   *
+   * @param {string} platform Platform name
+   * @param {string} marketId Platform market ID
+   * @param {Array} changes Outcome price changes (PollingService.diffMarket)
+   * @param {number} now Current time in ms
+   */
+  observe(platform, marketId, changes = [], now = Date.now()) {
+    const entry = this.entries.get(`${platform}:${marketId}`);
+    if (!entry) return;
+
+    const move = Math.max(0, ...changes.map(change => Math.abs(change.change || 0)));
+    const volatility = Math.min(1, move / FULL_VOLATILITY_MOVE);
+
+    entry.signals.volatility = VOLATILITY_ALPHA * volatility + (1 - VOLATILITY_ALPHA) * entry.signals.volatility;
+    entry.lastPolledAt = now;
+    this.reprioritize(entry, now);
+  }
+
+  /**
+   * Push back a market whose refresh failed or was skipped
+   * It becomes due again one interval from now.
+   *
+   * @param {Object} entry Queue entry
+   * @param {number} now Current time in ms
+   */
+  postpone(entry, now = Date.now()) {
+    entry.lastPolledAt = now;
+    this.reprioritize(entry, now);
+  }
+
+  /**
+   * Take the markets of a platform that are due for a refresh
+   * Highest priority first, then the most overdue. Markets whose interval has
+   * reached maxIntervalMs are left to the platform sweep.
+   *
+   * @param {string} platform Platform name
+   * @param {number} limit Maximum number of markets
+   * @param {number} now Current time in ms
+   * @returns {Array} Queue entries
+   */
+  takeDue(platform, limit, now = Date.now()) {
+    if (limit <= 0) {
+      return [];
+    }
+
+    return this.dueEntries(platform, now)
+      .sort((a, b) => b.priority - a.priority || a.nextDueAt - b.nextDueAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Due entries of a platform (unsorted)
+   * @param {string} platform Platform name
+   * @param {number} now Current time in ms
+   * @returns {Array} Queue entries
+   */
+  dueEntries(platform, now) {
+    const due = [];
+
+    for (const entry of this.entries.values()) {
+      if (entry.platform === platform && entry.nextDueAt <= now && entry.interval < this.maxIntervalMs) {
+        due.push(entry);
+      }
+    }
+
+    return due;
+  }
+
+  // ====================================================================
+  // STATISTICS
+  // ====================================================================
+
+  /**
+   * Queue state per platform
+   * @param {number} now Current time in ms
+   * @returns {Object} { platform: { queued, due, tiers: { hot, warm, idle }, nextDueAt, top } }
+   */
+  getStats(now = Date.now()) {
+    const stats = {};
+
+    for (const entry of this.entries.values()) {
+      const platform = stats[entry.platform] || (stats[entry.platform] = {
+        queued: 0,
+        due: 0,
+        tiers: { hot: 0, warm: 0, idle: 0 },
+        nextDueAt: null,
+        top: []
+      });
+
+      platform.queued++;
+      if (entry.nextDueAt <= now && entry.interval < this.maxIntervalMs) platform.due++;
+
+      const tier = entry.interval <= TIERS.hot ? 'hot' : entry.interval <= TIERS.warm ? 'warm' : 'idle';
+      platform.tiers[tier]++;
+
+      if (entry.interval < this.maxIntervalMs && (platform.nextDueAt === null || entry.nextDueAt < platform.nextDueAt)) {
+        platform.nextDueAt = entry.nextDueAt;
+      }
+
+      platform.top.push(entry);
+    }
+
+    // Five highest-priority markets per platform, with their signals
+    for (const platform of Object.values(stats)) {
+      platform.top = platform.top
+        .sort((a, b) => b.priority - a.priority)
+        .slice(0, 5)
+        .map(entry => ({
+          marketId: entry.marketId,
+          unifiedId: entry.unifiedId,
+          priority: Number(entry.priority.toFixed(3)),
+          interval: entry.interval,
+          nextDueAt: entry.nextDueAt,
+          signals: {
+            interest: Number(entry.signals.interest.toFixed(3)),
+            volatility: Number(entry.signals.volatility.toFixed(3)),
+            resolution: Number(entry.signals.resolution.toFixed(3))
+          }
+        }));
+    }
+
+    return stats;
+  }
+}
+
+PollingScheduler.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+// Export for use in PollingService
+module.exports = PollingScheduler;
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for PollingScheduler
+ * Tests signal combination, refresh intervals and the due queue
+ */
+
+const PollingScheduler = require('./PollingScheduler');
+
+describe('PollingScheduler', () => {
+  let scheduler;
+
+  const NOW = Date.parse('2026-06-01T00:00:00Z');
+  const HOUR = 60 * 60 * 1000;
+
+  const unified = (id, platforms) => ({ unified_id: id, platforms });
+
+  beforeEach(() => {
+    scheduler = new PollingScheduler({ maxIntervalMs: 300000 });
+    scheduler.setPlatformInterval('polymarket', 5000);
+    scheduler.setPlatformInterval('kalshi', 10000);
+  });
+
+  describe('Priority', () => {
+    test('should let any strong signal make a market hot', () => {
+      expect(scheduler.priority({})).toBe(0);
+      expect(scheduler.priority({ interest: 1 })).toBe(1);
+      expect(scheduler.priority({ volatility: 1 })).toBeCloseTo(0.8);
+      expect(scheduler.priority({ volatility: 0.5, resolution: 0.5 })).toBeCloseTo(1 - 0.6 * 0.7);
+    });
+
+    test('should map priority to intervals between the platform floor and the sweep', () => {
+      expect(scheduler.intervalFor(1, 'polymarket')).toBe(5000);
+      expect(scheduler.intervalFor(1, 'kalshi')).toBe(10000);
+      expect(scheduler.intervalFor(0, 'kalshi')).toBe(300000);
+      expect(scheduler.intervalFor(0.5, 'polymarket')).toBe(Math.round(Math.sqrt(5000 * 300000)));
+    });
+
+    test('should raise priority as the end date approaches', () => {
+      expect(scheduler.resolutionSignal(new Date(NOW + HOUR).toISOString(), NOW)).toBeCloseTo(Math.exp(-1 / 24));
+      expect(scheduler.resolutionSignal(new Date(NOW + 7 * 24 * HOUR).toISOString(), NOW)).toBeLessThan(0.001);
+      expect(scheduler.resolutionSignal(new Date(NOW - HOUR).toISOString(), NOW)).toBe(0);
+      expect(scheduler.resolutionSignal(null, NOW)).toBe(0);
+    });
+  });
+
+  describe('Queue', () => {
+    beforeEach(() => {
+      scheduler.sync([
+        unified('u-1', { polymarket: { id: 'poly-1' }, kalshi: { id: 'kalshi-A' } }),
+        unified('u-2', { polymarket: { id: 'poly-2', endDate: new Date(NOW + HOUR).toISOString() } }),
+        unified('u-3', { polymarket: { id: 'poly-3' } })
+      ], market => (market.unified_id === 'u-1' ? 1 : 0), NOW);
+    });
+
+    test('should hand out due markets by priority and leave idle ones to the sweep', () => {
+      expect(scheduler.takeDue('polymarket', 10, NOW)).toEqual([]);
+
+      const due = scheduler.takeDue('polymarket', 10, NOW + 60000);
+      expect(due.map(entry => entry.marketId)).toEqual(['poly-1', 'poly-2']);
+      expect(scheduler.takeDue('polymarket', 1, NOW + 60000).map(entry => entry.marketId)).toEqual(['poly-1']);
+      expect(scheduler.takeDue('kalshi', 10, NOW + 10000).map(entry => entry.marketId)).toEqual(['kalshi-A']);
+    });
+
+    test('should speed up markets whose prices move', () => {
+      scheduler.observe('polymarket', 'poly-3', [{ outcome: 'Yes', change: 0.05 }], NOW);
+      const after = scheduler.entries.get('polymarket:poly-3');
+
+      expect(after.signals.volatility).toBeCloseTo(0.3);
+      expect(after.interval).toBeLessThan(300000);
+      expect(after.nextDueAt).toBe(NOW + after.interval);
+
+      scheduler.observe('polymarket', 'poly-3', [], NOW + after.interval);
+      expect(after.signals.volatility).toBeCloseTo(0.21);
+    });
+
+    test('should drop markets that leave the cache and report tiers', () => {
+      scheduler.sync([unified('u-1', { polymarket: { id: 'poly-1' } })], () => 1, NOW);
+
+      expect([...scheduler.entries.keys()]).toEqual(['polymarket:poly-1']);
+      expect(scheduler.getStats(NOW + 5000).polymarket).toMatchObject({
+        queued: 1,
+        due: 1,
+        tiers: { hot: 1, warm: 0, idle: 0 },
+        top: [{ marketId: 'poly-1', unifiedId: 'u-1', priority: 1, interval: 5000 }]
+      });
+    });
+  });
+});
@@ -1,60 +1,140 @@
 /**
  * PollingService - Real-time data synchronization service
  * 
- * This service manages polling intervals for different platforms:
- * - Polymarket: 5 seconds (fast updates)
- * - Kalshi: 10 seconds (respects rate limits)
+ * Each registered platform is kept fresh in two ways:
+ * - Sweeps: the full market list is fetched every sweepIntervalMs (default
+ *   5 minutes), which also refreshes idle markets and picks up new ones
+ * - Refreshes: between sweeps, PollingScheduler re-fetches single markets by
+ *   priority (viewer interest, volatility, closeness to resolution). Hot
+ *   markets refresh at the adapter's polling interval (Polymarket 5 seconds,
+ *   Kalshi 10 seconds), idle ones at the sweep interval. Refreshes spend at
+ *   most a per-platform budget of requests per minute (half the adapter's
+ *   rateLimit unless polling.requestsPerMinute is set).
  * 
- * Automatically updates unified markets when platform data changes
+ * Automatically updates unified markets when platform data changes,
+ * records observed prices into the price history store,
  * and tracks platform health for staleness warnings.
  * 
+ * A failing platform's sweep is retried with exponential back-off
+ * (sweep interval x 2^failures, capped at maxBackoffMs) and its refreshes pause.
+ * When its circuit breaker is open (CircuitOpenError), the next sweep is
+ * scheduled for the breaker's retryAt so that it doubles as the recovery
+ * probe. The first successful sweep restores the normal schedule.
+ * 
+ * Emits events consumed by MarketStreamHub (push stream to clients):
+ * - 'market-update'  { unified_id, category, platform, market_id, changes, volume_24h, timestamp }
+ * - 'arbitrage'      { type: 'appeared' | 'updated' | 'disappeared', unified_id, category, arbitrage, timestamp }
+ * - 'staleness'      { platform, isStale, lastFetch, timestamp }
+ * 
  * Requirements: 11.1, 11.2, 11.3, 11.4, 11.5
  */
 
-class PollingService {
-  constructor(marketAggregator, cacheManager) {
+const EventEmitter = require('events');
+const PollingScheduler = require('./PollingScheduler');
+
+class PollingService extends EventEmitter {
+  /**
+   * @param {MarketAggregator} marketAggregator Aggregator used to fetch platforms
+   * @param {SmartCacheManager} cacheManager Cache holding unified markets and health
+   * @param {PriceHistoryStore} historyStore Optional price history store
+   * @param {Object} options Polling options
+   * @param {number} options.maxBackoffMs Longest delay between polls of a failing platform (default 30 minutes)
+   * @param {number} options.sweepIntervalMs Delay between full platform sweeps (default 5 minutes)
+   * @param {number} options.tickMs How often due market refreshes are started (default 1 second)
+   * @param {PollingScheduler} options.scheduler Refresh scheduler (default: one bounded by the sweep interval)
+   * @param {SearchIndex} options.searchIndex Optional search index kept in sync with the cache
+   * @param {boolean} options.debug Log per-poll price history counts (default false)
+   */
+  constructor(marketAggregator, cacheManager, historyStore = null, options = {}) {
+    super();
+    
     this.marketAggregator = marketAggregator;
     this.cache = cacheManager;
+    this.historyStore = historyStore;
+    this.maxBackoffMs = options.maxBackoffMs || PollingService.MAX_BACKOFF_MS;
+    this.sweepIntervalMs = options.sweepIntervalMs || PollingService.SWEEP_INTERVAL_MS;
+    this.tickMs = options.tickMs || PollingService.TICK_MS;
+    this.scheduler = options.scheduler || new PollingScheduler({ maxIntervalMs: this.sweepIntervalMs });
+    this.searchIndex = options.searchIndex || null;
     
-    // Polling intervals
-    this.polymarketInterval = null;
-    this.kalshiInterval = null;
-    
-    // Polling configuration
-    this.config = {
-      polymarket: {
-        interval: 5000,  // 5 seconds
-        enabled: true
-      },
-      kalshi: {
-        interval: 10000, // 10 seconds
-        enabled: true
-      }
-    };
+    // Log the price points recorded by every sweep and refresh (noisy)
+    this.debug = options.debug || false;
     
-    // Track last fetch times
-    this.lastFetch = {
-      polymarket: null,
-      kalshi: null
-    };
+    // Pending sweep timers { 'polymarket': Timeout }
+    this.timers = {};
     
-    // Track polling statistics
-    this.stats = {
-      polymarket: {
-        totalPolls: 0,
-        successfulPolls: 0,
-        failedPolls: 0,
-        lastError: null
-      },
-      kalshi: {
+    // Refresh tick (one for all platforms)
+    this.tickTimer = null;
+    this.lastSync = 0;
+    
+    // Refresh request times in the last minute { 'polymarket': [timestamp] }
+    this.refreshLog = {};
+    
+    // Platforms with refreshes in flight { 'polymarket': true }
+    this.refreshing = {};
+    
+    // Back-off state { 'polymarket': { consecutiveFailures, delay, nextPollAt } }
+    this.backoff = {};
+    
+    // Polling configuration { 'polymarket': { interval, sweepInterval, budget, enabled } }
+    this.config = {};
+    
+    // Track last fetch times { 'polymarket': timestamp }
+    this.lastFetch = {};
+    
+    // Track polling statistics { 'polymarket': { totalPolls, ... } }
+    this.stats = {};
+    
+    // Last reported staleness per platform (for change events)
+    this.staleState = {};
+    
+    this.addRegisteredPlatforms();
+    
+    const intervalSummary = Object.entries(this.config)
+      .map(([platform, config]) => `${platform}=${config.interval / 1000}s-${config.sweepInterval / 1000}s (${config.budget}/min)`)
+      .join(', ');
+    console.log(`[PollingService] Initialized with refresh intervals: ${intervalSummary}`);
+  }
+  
+  /**
+   * Seed per-platform state for registered adapters not tracked yet
+   * Called again by start() so adapters registered after construction are polled.
+   * 
+   * @returns {Array<string>} Names of the newly tracked platforms
+   */
+  addRegisteredPlatforms() {
+    const added = [];
+    
+    for (const adapter of this.marketAggregator.registry.list()) {
+      if (this.config[adapter.name]) continue;
+      
+      this.config[adapter.name] = {
+        interval: adapter.polling.interval,
+        sweepInterval: Math.max(adapter.polling.interval, this.sweepIntervalMs),
+        budget: adapter.polling.requestsPerMinute ||
+          Math.floor((adapter.rateLimit || 60) * PollingService.REFRESH_BUDGET_SHARE),
+        enabled: adapter.polling.enabled
+      };
+      this.scheduler.setPlatformInterval(adapter.name, adapter.polling.interval);
+      this.lastFetch[adapter.name] = null;
+      this.refreshLog[adapter.name] = [];
+      this.backoff[adapter.name] = {
+        consecutiveFailures: 0,
+        delay: this.config[adapter.name].sweepInterval,
+        nextPollAt: null
+      };
+      this.stats[adapter.name] = {
         totalPolls: 0,
         successfulPolls: 0,
         failedPolls: 0,
+        refreshes: 0,
+        failedRefreshes: 0,
         lastError: null
-      }
-    };
+      };
+      added.push(adapter.name);
+    }
     
-    console.log('[PollingService] Initialized with intervals: Polymarket=5s, Kalshi=10s');
+    return added;
   }
   
   // ====================================================================
@@ -62,19 +142,25 @@ class PollingService {
   // ====================================================================
   
   /**
-   * Start polling for all platforms
+   * Start polling for all enabled platforms, including adapters registered
+   * since the service was created
    */
   start() {
     console.log('[PollingService] Starting polling service...');
     
-    // Start Polymarket polling (5 seconds)
-    if (this.config.polymarket.enabled) {
-      this.startPolymarketPolling();
+    const added = this.addRegisteredPlatforms();
+    if (added.length > 0) {
+      console.log(`[PollingService] Tracking newly registered platforms: ${added.join(', ')}`);
     }
     
-    // Start Kalshi polling (10 seconds)
-    if (this.config.kalshi.enabled) {
-      this.startKalshiPolling();
+    for (const [platform, config] of Object.entries(this.config)) {
+      if (config.enabled) {
+        this.startPlatformPolling(platform);
+      }
+    }
+    
+    if (!this.tickTimer) {
+      this.tickTimer = setInterval(() => this.tick(), this.tickMs);
     }
     
     console.log('[PollingService] Polling service started');
@@ -87,136 +173,353 @@ class PollingService {
   stop() {
     console.log('[PollingService] Stopping polling service...');
     
-    // Clear Polymarket interval
-    if (this.polymarketInterval) {
-      clearInterval(this.polymarketInterval);
-      this.polymarketInterval = null;
-      console.log('[PollingService] Polymarket polling stopped');
+    for (const platform of Object.keys(this.timers)) {
+      this.stopPlatformPolling(platform);
     }
     
-    // Clear Kalshi interval
-    if (this.kalshiInterval) {
-      clearInterval(this.kalshiInterval);
-      this.kalshiInterval = null;
-      console.log('[PollingService] Kalshi polling stopped');
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
     }
     
     console.log('[PollingService] Polling service stopped');
   }
   
   /**
-   * Start Polymarket polling (5 second interval)
+   * Start sweeping a single platform (and refreshing its due markets)
+   * 
+   * @param {string} platform Platform name
+   */
+  startPlatformPolling(platform) {
+    const config = this.config[platform];
+    
+    // Avoid stacking timers if already running
+    if (this.timers[platform]) {
+      return;
+    }
+    
+    console.log(`[PollingService] Starting ${platform} polling (sweep every ${config.sweepInterval / 1000}s, hot markets every ${config.interval / 1000}s)`);
+    
+    // Initial fetch, then each poll schedules the next one
+    this.schedulePoll(platform, 0);
+  }
+  
+  /**
+   * Stop polling a single platform
+   * 
+   * @param {string} platform Platform name
+   */
+  stopPlatformPolling(platform) {
+    if (this.timers[platform]) {
+      clearTimeout(this.timers[platform]);
+      delete this.timers[platform];
+      this.backoff[platform].nextPollAt = null;
+      console.log(`[PollingService] ${platform} polling stopped`);
+    }
+  }
+  
+  /**
+   * Schedule the next poll of a platform
+   * Polls are chained with setTimeout (rather than setInterval) so a slow or
+   * backed-off platform never has overlapping polls.
+   * 
+   * @param {string} platform Platform name
+   * @param {number} delay Delay before the poll in ms
+   */
+  schedulePoll(platform, delay) {
+    this.backoff[platform].nextPollAt = Date.now() + delay;
+    
+    this.timers[platform] = setTimeout(async () => {
+      await this.pollPlatform(platform);
+      
+      // Stopped while the poll was in flight
+      if (!this.timers[platform]) {
+        return;
+      }
+      
+      this.schedulePoll(platform, this.backoff[platform].delay);
+    }, delay);
+  }
+  
+  // ====================================================================
+  // HEALTH-DRIVEN BACK-OFF
+  // ====================================================================
+  
+  /**
+   * Update back-off state after a poll
+   * Success restores the sweep interval. Each consecutive failure doubles
+   * the sweep interval, never polling a failing platform more often than a
+   * healthy one, up to maxBackoffMs; an open circuit breaker pushes the next poll
+   * out to its retryAt, when the poll is let through as the recovery probe.
+   * 
+   * @param {string} platform Platform name
+   * @param {Error|null} error Poll failure, or null on success
    */
-  startPolymarketPolling() {
-    console.log('[PollingService] Starting Polymarket polling (5s interval)');
+  updateBackoff(platform, error = null) {
+    const state = this.backoff[platform];
+    const sweepInterval = this.config[platform].sweepInterval;
     
-    // Initial fetch
-    this.pollPolymarket();
+    if (!error) {
+      if (state.consecutiveFailures > 0) {
+        console.log(`[PollingService] ${platform} recovered after ${state.consecutiveFailures} failed poll(s)`);
+      }
+      state.consecutiveFailures = 0;
+      state.delay = sweepInterval;
+      return;
+    }
+    
+    state.consecutiveFailures++;
+    state.delay = Math.min(sweepInterval * 2 ** state.consecutiveFailures, Math.max(this.maxBackoffMs, sweepInterval));
     
-    // Set up interval
-    this.polymarketInterval = setInterval(() => {
-      this.pollPolymarket();
-    }, this.config.polymarket.interval);
+    if (error.retryAt) {
+      state.delay = Math.max(state.delay, error.retryAt - Date.now());
+    }
+    
+    console.warn(`[PollingService] ${platform} backing off: next poll in ${Math.round(state.delay / 1000)}s (${state.consecutiveFailures} consecutive failures)`);
   }
   
   /**
-   * Start Kalshi polling (10 second interval)
+   * Get back-off state for all platforms
+   * 
+   * @returns {Object} { platform: { consecutiveFailures, delay, nextPollAt, backingOff } }
    */
-  startKalshiPolling() {
-    console.log('[PollingService] Starting Kalshi polling (10s interval)');
+  getBackoffStatus() {
+    const status = {};
     
-    // Initial fetch
-    this.pollKalshi();
+    for (const [platform, state] of Object.entries(this.backoff)) {
+      status[platform] = {
+        ...state,
+        backingOff: state.consecutiveFailures > 0
+      };
+    }
     
-    // Set up interval
-    this.kalshiInterval = setInterval(() => {
-      this.pollKalshi();
-    }, this.config.kalshi.interval);
+    return status;
   }
   
   // ====================================================================
-  // POLLING EXECUTION (Task 12.2 - Requirements 11.3)
+  // ADAPTIVE MARKET REFRESHES
   // ====================================================================
   
   /**
-   * Poll Polymarket for updated market data
+   * Start the due market refreshes of every running platform
+   * The scheduler queue and search index are re-synced with the unified
+   * market cache at most every SYNC_INTERVAL_MS.
    */
-  async pollPolymarket() {
-    const startTime = Date.now();
-    this.stats.polymarket.totalPolls++;
+  async tick() {
+    const now = Date.now();
+    
+    if (now - this.lastSync >= PollingService.SYNC_INTERVAL_MS) {
+      const cachedMarkets = this.cache.getAllUnifiedMarkets();
+      this.scheduler.sync(cachedMarkets, market => this.getViewerInterest(market), now);
+      if (this.searchIndex) {
+        this.searchIndex.sync(cachedMarkets);
+      }
+      this.lastSync = now;
+    }
+    
+    await Promise.all(Object.keys(this.timers).map(platform => this.refreshDueMarkets(platform, now)));
+  }
+  
+  /**
+   * Refresh the due markets of a platform, highest priority first, within
+   * its remaining budget. Skipped while the platform is backing off (its
+   * sweep is the recovery probe) or a previous batch is still running.
+   * 
+   * @param {string} platform Platform name
+   * @param {number} now Current time in ms
+   * @returns {Promise<number>} Number of markets refreshed
+   */
+  async refreshDueMarkets(platform, now = Date.now()) {
+    if (this.refreshing[platform] || this.backoff[platform].consecutiveFailures > 0) {
+      return 0;
+    }
+    
+    const due = this.scheduler.takeDue(platform, this.getRefreshBudget(platform, now).remaining, now);
+    if (due.length === 0) {
+      return 0;
+    }
+    
+    this.refreshing[platform] = true;
     
     try {
-      console.log('[PollingService] Polling Polymarket...');
-      
-      // Fetch markets from Polymarket
-      const markets = await this.marketAggregator.fetchPolymarketMarkets();
-      
-      // Update last fetch time
-      this.lastFetch.polymarket = Date.now();
-      
-      // Update platform health
-      this.cache.updatePlatformHealth('polymarket', 'healthy');
-      
-      // Update statistics
-      this.stats.polymarket.successfulPolls++;
-      this.stats.polymarket.lastError = null;
+      for (const entry of due) {
+        await this.refreshMarket(platform, entry);
+      }
+    } finally {
+      this.refreshing[platform] = false;
+    }
+    
+    return due.length;
+  }
+  
+  /**
+   * Re-fetch one platform market and apply it to the unified market cache
+   * 
+   * @param {string} platform Platform name
+   * @param {Object} entry PollingScheduler queue entry
+   */
+  async refreshMarket(platform, entry) {
+    const unified = this.cache.getUnifiedMarket(entry.unifiedId);
+    const current = unified && unified.platforms ? unified.platforms[platform] : null;
+    
+    if (!current) {
+      this.scheduler.postpone(entry);
+      return;
+    }
+    
+    this.refreshLog[platform].push(Date.now());
+    this.stats[platform].refreshes++;
+    
+    try {
+      const market = await this.marketAggregator.fetchPlatformMarket(platform, current);
       
-      // Compare with cached data and update if changed
-      await this.updateCachedMarkets('polymarket', markets);
+      if (!market) {
+        this.scheduler.postpone(entry);
+        return;
+      }
       
-      const duration = Date.now() - startTime;
-      console.log(`[PollingService] Polymarket poll complete in ${duration}ms (${markets.length} markets)`);
+      this.recordPriceHistory(platform, [market]);
+      await this.updateCachedMarkets(platform, [market]);
       
     } catch (error) {
-      console.error('[PollingService] Polymarket poll failed:', error.message);
-      
-      // Update platform health
-      this.cache.updatePlatformHealth('polymarket', 'degraded', error);
-      
-      // Update statistics
-      this.stats.polymarket.failedPolls++;
-      this.stats.polymarket.lastError = error.message;
+      console.error(`[PollingService] ${platform} refresh of ${entry.marketId} failed:`, error.message);
+      this.stats[platform].failedRefreshes++;
+      this.scheduler.postpone(entry);
     }
   }
   
   /**
-   * Poll Kalshi for updated market data
+   * Refresh requests a platform may still send this minute
+   * 
+   * @param {string} platform Platform name
+   * @param {number} now Current time in ms
+   * @returns {Object} { perMinute, used, remaining }
    */
-  async pollKalshi() {
+  getRefreshBudget(platform, now = Date.now()) {
+    const log = this.refreshLog[platform].filter(time => now - time < 60000);
+    this.refreshLog[platform] = log;
+    
+    const perMinute = this.config[platform].budget;
+    
+    return {
+      perMinute,
+      used: log.length,
+      remaining: Math.max(0, perMinute - log.length)
+    };
+  }
+  
+  /**
+   * Viewer interest in a unified market (0..1)
+   * 
+   * @param {Object} market Unified market
+   * @returns {number} Interest from the cache manager's access tracking, 0 if unavailable
+   */
+  getViewerInterest(market) {
+    return typeof this.cache.getViewerInterest === 'function'
+      ? this.cache.getViewerInterest(market)
+      : 0;
+  }
+  
+  /**
+   * Get refresh queue state for all platforms
+   * 
+   * @returns {Object} { platform: { queued, due, tiers, nextDueAt, top, budget, paused, nextSweepAt } }
+   */
+  getQueueStats() {
+    const now = Date.now();
+    const queues = this.scheduler.getStats(now);
+    const stats = {};
+    
+    for (const platform of Object.keys(this.config)) {
+      stats[platform] = {
+        queued: 0,
+        due: 0,
+        tiers: { hot: 0, warm: 0, idle: 0 },
+        nextDueAt: null,
+        top: [],
+        ...queues[platform],
+        budget: this.getRefreshBudget(platform, now),
+        paused: this.backoff[platform].consecutiveFailures > 0,
+        nextSweepAt: this.backoff[platform].nextPollAt
+      };
+    }
+    
+    return stats;
+  }
+  
+  // ====================================================================
+  // POLLING EXECUTION (Task 12.2 - Requirements 11.3)
+  // ====================================================================
+  
+  /**
+   * Poll a platform for updated market data
+   * 
+   * @param {string} platform Platform name
+   */
+  async pollPlatform(platform) {
     const startTime = Date.now();
-    this.stats.kalshi.totalPolls++;
+    this.stats[platform].totalPolls++;
     
     try {
-      console.log('[PollingService] Polling Kalshi...');
+      console.log(`[PollingService] Polling ${platform}...`);
       
-      // Fetch markets from Kalshi
-      const markets = await this.marketAggregator.fetchKalshiMarkets();
+      // Fetch markets from the platform
+      const markets = await this.marketAggregator.fetchPlatformMarkets(platform);
       
       // Update last fetch time
-      this.lastFetch.kalshi = Date.now();
+      this.lastFetch[platform] = Date.now();
       
       // Update platform health
-      this.cache.updatePlatformHealth('kalshi', 'healthy');
+      this.cache.updatePlatformHealth(platform, 'healthy');
       
       // Update statistics
-      this.stats.kalshi.successfulPolls++;
-      this.stats.kalshi.lastError = null;
+      this.stats[platform].successfulPolls++;
+      this.stats[platform].lastError = null;
+      this.updateBackoff(platform);
+      
+      // Record observed prices for history charts
+      this.recordPriceHistory(platform, markets);
       
       // Compare with cached data and update if changed
-      await this.updateCachedMarkets('kalshi', markets);
+      await this.updateCachedMarkets(platform, markets);
       
       const duration = Date.now() - startTime;
-      console.log(`[PollingService] Kalshi poll complete in ${duration}ms (${markets.length} markets)`);
+      console.log(`[PollingService] ${platform} poll complete in ${duration}ms (${markets.length} markets)`);
       
     } catch (error) {
-      console.error('[PollingService] Kalshi poll failed:', error.message);
+      console.error(`[PollingService] ${platform} poll failed:`, error.message);
       
       // Update platform health
-      this.cache.updatePlatformHealth('kalshi', 'degraded', error);
+      this.cache.updatePlatformHealth(platform, 'degraded', error);
       
       // Update statistics
-      this.stats.kalshi.failedPolls++;
-      this.stats.kalshi.lastError = error.message;
+      this.stats[platform].failedPolls++;
+      this.stats[platform].lastError = error.message;
+      this.updateBackoff(platform, error);
+    }
+    
+    // Report staleness transitions after every attempt
+    this.checkStaleness();
+  }
+  
+  /**
+   * Record observed outcome prices into the price history store
+   * 
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
+   * @param {Array} markets Array of normalized market data
+   */
+  recordPriceHistory(platform, markets) {
+    if (!this.historyStore) {
+      return;
+    }
+    
+    try {
+      const appended = this.historyStore.recordMarkets(markets);
+      if (this.debug) {
+        console.log(`[PollingService] Recorded ${appended} price points for ${platform}`);
+      }
+    } catch (error) {
+      console.error(`[PollingService] Error recording price history for ${platform}:`, error.message);
     }
   }
   
@@ -225,7 +528,7 @@ class PollingService {
    * Compares new data with cached data and updates only changed markets
    * Triggers re-render on price changes
    * 
-   * @param {string} platform Platform name ('polymarket' or 'kalshi')
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @param {Array} newMarkets Array of new market data
    */
   async updateCachedMarkets(platform, newMarkets) {
@@ -259,12 +562,16 @@ class PollingService {
         }
         
         // Compare prices to detect changes
-        const hasChanged = this.hasMarketChanged(
-          unifiedMarket.platforms[platform],
-          newMarket
-        );
+        const oldMarket = unifiedMarket.platforms[platform];
+        const hasChanged = this.hasMarketChanged(oldMarket, newMarket);
+        const changes = hasChanged ? this.diffMarket(oldMarket, newMarket) : [];
+        
+        // Fresh observation: feeds volatility and reschedules the market
+        this.scheduler.observe(platform, newMarket.id, changes);
         
         if (hasChanged) {
+          const previousArbitrage = unifiedMarket.arbitrage || null;
+          
           // Update the platform data in the unified market
           unifiedMarket.platforms[platform] = newMarket;
           
@@ -274,9 +581,27 @@ class PollingService {
           // Update cache
           this.cache.setUnifiedMarket(unifiedMarket.unified_id, enhancedMarket);
           
+          // Keep search results and filters current
+          if (this.searchIndex) {
+            this.searchIndex.upsert(enhancedMarket);
+          }
+          
           updatedCount++;
           
           console.log(`[PollingService] Updated unified market ${unifiedMarket.unified_id}`);
+          
+          // Notify stream subscribers
+          this.emit('market-update', {
+            unified_id: enhancedMarket.unified_id,
+            category: enhancedMarket.category,
+            platform,
+            market_id: newMarket.id,
+            changes,
+            volume_24h: newMarket.volume_24h,
+            timestamp: Date.now()
+          });
+          
+          this.emitArbitrageChange(previousArbitrage, enhancedMarket);
         }
       }
       
@@ -326,14 +651,98 @@ class PollingService {
     return false;
   }
   
+  /**
+   * Compute per-outcome price diffs between two snapshots of a market
+   * 
+   * @param {Object} oldMarket Old market data
+   * @param {Object} newMarket New market data
+   * @returns {Array} [{ outcome, oldPrice, newPrice, change }] for changed outcomes
+   */
+  diffMarket(oldMarket, newMarket) {
+    const changes = [];
+    
+    if (!oldMarket || !Array.isArray(newMarket.outcomes)) {
+      return changes;
+    }
+    
+    const oldOutcomes = oldMarket.outcomes || [];
+    
+    for (const newOutcome of newMarket.outcomes) {
+      const oldOutcome = oldOutcomes.find(o => o.name === newOutcome.name);
+      const oldPrice = oldOutcome ? oldOutcome.price : null;
+      
+      if (oldPrice !== null && Math.abs(oldPrice - newOutcome.price) <= 0.0001) {
+        continue;
+      }
+      
+      changes.push({
+        outcome: newOutcome.name,
+        oldPrice,
+        newPrice: newOutcome.price,
+        change: oldPrice !== null ? newOutcome.price - oldPrice : null
+      });
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Emit an arbitrage event when an opportunity appears, changes or disappears
+   * Indicative opportunities (priced without quoted asks/bids) count as none.
+   * 
+   * @param {Object|null} previous Arbitrage data before the update
+   * @param {Object} unifiedMarket Enhanced unified market after the update
+   */
+  emitArbitrageChange(previous, unifiedMarket) {
+    const firm = arbitrage => (arbitrage && !arbitrage.indicative ? arbitrage : null);
+    const current = firm(unifiedMarket.arbitrage);
+    previous = firm(previous);
+    let type = null;
+    
+    if (!previous && current) {
+      type = 'appeared';
+    } else if (previous && !current) {
+      type = 'disappeared';
+    } else if (previous && current && previous.profitPct !== current.profitPct) {
+      type = 'updated';
+    }
+    
+    if (!type) {
+      return;
+    }
+    
+    console.log(`[PollingService] Arbitrage ${type} for ${unifiedMarket.unified_id}`);
+    
+    this.emit('arbitrage', {
+      type,
+      unified_id: unifiedMarket.unified_id,
+      category: unifiedMarket.category,
+      question: unifiedMarket.question,
+      arbitrage: current,
+      timestamp: Date.now()
+    });
+  }
+  
   // ====================================================================
   // STALENESS DETECTION (Task 12.3 - Requirements 11.5, 12.4)
   // ====================================================================
   
   /**
-   * Check if platform data is stale (> 60 seconds since last successful fetch)
+   * Time since the last successful sweep after which platform data is stale
+   * (one sweep interval plus STALE_GRACE_MS, so a platform only goes stale
+   * once a sweep is missed)
+   * 
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
+   * @returns {number} Threshold in ms
+   */
+  getStaleAfter(platform) {
+    return this.config[platform].sweepInterval + PollingService.STALE_GRACE_MS;
+  }
+  
+  /**
+   * Check if platform data is stale (no successful sweep within getStaleAfter)
    * 
-   * @param {string} platform Platform name ('polymarket' or 'kalshi')
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @returns {boolean} True if data is stale
    */
   isDataStale(platform) {
@@ -344,7 +753,7 @@ class PollingService {
     }
     
     const timeSinceLastFetch = Date.now() - lastFetchTime;
-    const isStale = timeSinceLastFetch > 60000; // 60 seconds
+    const isStale = timeSinceLastFetch > this.getStaleAfter(platform);
     
     if (isStale) {
       console.warn(`[PollingService] ${platform} data is stale (${Math.round(timeSinceLastFetch / 1000)}s since last fetch)`);
@@ -353,28 +762,48 @@ class PollingService {
     return isStale;
   }
   
+  /**
+   * Emit a 'staleness' event for every platform whose staleness changed
+   * since the last check
+   */
+  checkStaleness() {
+    for (const platform of Object.keys(this.config)) {
+      const isStale = this.isDataStale(platform);
+      
+      if (this.staleState[platform] === isStale) {
+        continue;
+      }
+      
+      this.staleState[platform] = isStale;
+      
+      this.emit('staleness', {
+        platform,
+        isStale,
+        lastFetch: this.lastFetch[platform],
+        timestamp: Date.now()
+      });
+    }
+  }
+  
   /**
    * Get staleness status for all platforms
    * 
    * @returns {Object} Staleness status for each platform
    */
   getStalenessStatus() {
-    return {
-      polymarket: {
-        isStale: this.isDataStale('polymarket'),
-        lastFetch: this.lastFetch.polymarket,
-        timeSinceLastFetch: this.lastFetch.polymarket 
-          ? Date.now() - this.lastFetch.polymarket 
-          : null
-      },
-      kalshi: {
-        isStale: this.isDataStale('kalshi'),
-        lastFetch: this.lastFetch.kalshi,
-        timeSinceLastFetch: this.lastFetch.kalshi 
-          ? Date.now() - this.lastFetch.kalshi 
+    const status = {};
+    
+    for (const platform of Object.keys(this.config)) {
+      status[platform] = {
+        isStale: this.isDataStale(platform),
+        lastFetch: this.lastFetch[platform],
+        timeSinceLastFetch: this.lastFetch[platform] 
+          ? Date.now() - this.lastFetch[platform] 
           : null
-      }
-    };
+      };
+    }
+    
+    return status;
   }
   
   /**
@@ -383,30 +812,29 @@ class PollingService {
    * @returns {Object} Polling statistics for all platforms
    */
   getStats() {
-    return {
-      polymarket: {
-        ...this.stats.polymarket,
-        lastFetch: this.lastFetch.polymarket,
-        isStale: this.isDataStale('polymarket'),
-        successRate: this.stats.polymarket.totalPolls > 0
-          ? ((this.stats.polymarket.successfulPolls / this.stats.polymarket.totalPolls) * 100).toFixed(2)
-          : 0
-      },
-      kalshi: {
-        ...this.stats.kalshi,
-        lastFetch: this.lastFetch.kalshi,
-        isStale: this.isDataStale('kalshi'),
-        successRate: this.stats.kalshi.totalPolls > 0
-          ? ((this.stats.kalshi.successfulPolls / this.stats.kalshi.totalPolls) * 100).toFixed(2)
+    const stats = {};
+    
+    for (const platform of Object.keys(this.config)) {
+      const platformStats = this.stats[platform];
+      stats[platform] = {
+        ...platformStats,
+        lastFetch: this.lastFetch[platform],
+        isStale: this.isDataStale(platform),
+        consecutiveFailures: this.backoff[platform].consecutiveFailures,
+        nextPollAt: this.backoff[platform].nextPollAt,
+        successRate: platformStats.totalPolls > 0
+          ? ((platformStats.successfulPolls / platformStats.totalPolls) * 100).toFixed(2)
           : 0
-      }
-    };
+      };
+    }
+    
+    return stats;
   }
   
   /**
    * Enable or disable polling for a specific platform
    * 
-   * @param {string} platform Platform name ('polymarket' or 'kalshi')
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @param {boolean} enabled Whether to enable polling
    */
   setPlatformEnabled(platform, enabled) {
@@ -419,23 +847,29 @@ class PollingService {
     
     if (enabled) {
       console.log(`[PollingService] Enabling polling for ${platform}`);
-      if (platform === 'polymarket') {
-        this.startPolymarketPolling();
-      } else if (platform === 'kalshi') {
-        this.startKalshiPolling();
-      }
+      this.startPlatformPolling(platform);
     } else {
       console.log(`[PollingService] Disabling polling for ${platform}`);
-      if (platform === 'polymarket' && this.polymarketInterval) {
-        clearInterval(this.polymarketInterval);
-        this.polymarketInterval = null;
-      } else if (platform === 'kalshi' && this.kalshiInterval) {
-        clearInterval(this.kalshiInterval);
-        this.kalshiInterval = null;
-      }
+      this.stopPlatformPolling(platform);
     }
   }
 }
 
+// Longest delay between polls of a failing platform
+PollingService.MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Delay between full platform sweeps
+PollingService.SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Slack after a due sweep before platform data counts as stale
+PollingService.STALE_GRACE_MS = 60 * 1000;
+
+// How often due market refreshes are started, and the queue re-synced
+PollingService.TICK_MS = 1000;
+PollingService.SYNC_INTERVAL_MS = 5000;
+
+// Share of an adapter's rateLimit spent on per-market refreshes
+PollingService.REFRESH_BUDGET_SHARE = 0.5;
+
 // Export for use in server
 module.exports = PollingService;
@@ -0,0 +1,302 @@
+/**
+ * Unit Tests for PollingService
+ * Tests health-driven back-off, breaker-timed recovery probes, sweep scheduling
+ * budgeted per-market refreshes and search index updates
+ */
+
+const PollingService = require('./PollingService');
+const HttpClient = require('./HttpClient');
+const SearchIndex = require('./SearchIndex');
+
+describe('PollingService', () => {
+  let aggregator;
+  let cache;
+  let service;
+
+  const START = Date.parse('2026-06-01T00:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    aggregator = {
+      registry: { list: () => [{ name: 'kalshi', rateLimit: 50, polling: { interval: 10000, enabled: true } }] },
+      fetchPlatformMarkets: jest.fn().mockResolvedValue([]),
+      fetchPlatformMarket: jest.fn(),
+      enhanceUnifiedMarket: market => market
+    };
+    cache = {
+      unified: {},
+      interest: {},
+      updatePlatformHealth: jest.fn(),
+      getAllUnifiedMarkets() { return Object.values(this.unified); },
+      getUnifiedMarket(id) { return this.unified[id] || null; },
+      setUnifiedMarket(id, market) { this.unified[id] = market; },
+      getViewerInterest(market) { return this.interest[market.unified_id] || 0; }
+    };
+
+    service = new PollingService(aggregator, cache, null, { maxBackoffMs: 600000, sweepIntervalMs: 120000 });
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('Back-off', () => {
+    test('should double the delay per consecutive failure up to the cap', async () => {
+      aggregator.fetchPlatformMarkets.mockRejectedValue(new Error('HTTP Error Status: 503'));
+
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        await service.pollPlatform('kalshi');
+        delays.push(service.backoff.kalshi.delay);
+      }
+
+      expect(delays).toEqual([240000, 480000, 600000, 600000]);
+      delays.forEach(delay => expect(delay).toBeGreaterThanOrEqual(120000));
+      expect(service.getBackoffStatus().kalshi).toMatchObject({ consecutiveFailures: 4, backingOff: true });
+      expect(cache.updatePlatformHealth).toHaveBeenLastCalledWith('kalshi', 'degraded', expect.any(Error));
+    });
+
+    test('should restore the sweep interval after a successful poll', async () => {
+      aggregator.fetchPlatformMarkets.mockRejectedValueOnce(new Error('timeout'));
+
+      await service.pollPlatform('kalshi');
+      expect(service.backoff.kalshi.delay).toBe(240000);
+
+      await service.pollPlatform('kalshi');
+
+      expect(service.getBackoffStatus().kalshi).toMatchObject({ consecutiveFailures: 0, delay: 120000, backingOff: false });
+      expect(service.getStats().kalshi).toMatchObject({ successfulPolls: 1, failedPolls: 1, consecutiveFailures: 0 });
+    });
+
+    test('should wait for an open breaker before probing', async () => {
+      aggregator.fetchPlatformMarkets.mockRejectedValue(new HttpClient.CircuitOpenError('kalshi', START + 900000));
+
+      await service.pollPlatform('kalshi');
+
+      expect(service.backoff.kalshi.delay).toBe(900000);
+    });
+  });
+
+  describe('Staleness', () => {
+    test('should keep a platform fresh and healthy between sweeps', async () => {
+      const events = [];
+      service.on('staleness', event => events.push(event.isStale));
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(service.getStaleAfter('kalshi')).toBe(120000 + PollingService.STALE_GRACE_MS);
+
+      // Just before each following sweep the last one is still fresh
+      for (let sweep = 1; sweep <= 3; sweep++) {
+        await jest.advanceTimersByTimeAsync(119999);
+        expect(service.isDataStale('kalshi')).toBe(false);
+        await jest.advanceTimersByTimeAsync(1);
+      }
+
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(4);
+      expect(events).toEqual([false]);
+      expect(cache.updatePlatformHealth.mock.calls.every(call => call[1] === 'healthy')).toBe(true);
+    });
+
+    test('should go stale once a sweep is missed', async () => {
+      await service.pollPlatform('kalshi');
+      aggregator.fetchPlatformMarkets.mockRejectedValue(new Error('down'));
+
+      jest.setSystemTime(START + 120000);
+      await service.pollPlatform('kalshi');
+      expect(service.isDataStale('kalshi')).toBe(false);
+
+      jest.setSystemTime(START + 180001);
+      await service.pollPlatform('kalshi');
+      expect(service.isDataStale('kalshi')).toBe(true);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should poll on the backed-off schedule and recover', async () => {
+      aggregator.fetchPlatformMarkets
+        .mockRejectedValueOnce(new Error('down'))
+        .mockRejectedValueOnce(new Error('down'));
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(1);
+      expect(service.backoff.kalshi.nextPollAt).toBe(START + 240000);
+
+      // Nothing is sent during the back-off window
+      await jest.advanceTimersByTimeAsync(239999);
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(2);
+
+      // Third poll (after 480s) succeeds and the sweep interval resumes
+      await jest.advanceTimersByTimeAsync(480000);
+      await jest.advanceTimersByTimeAsync(120000);
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(4);
+      expect(service.backoff.kalshi.consecutiveFailures).toBe(0);
+    });
+
+    test('should not schedule again once stopped', async () => {
+      service.start();
+      await jest.advanceTimersByTimeAsync(0);
+      service.stop();
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(aggregator.fetchPlatformMarkets).toHaveBeenCalledTimes(1);
+      expect(service.backoff.kalshi.nextPollAt).toBeNull();
+    });
+
+    test('should poll adapters registered after construction', async () => {
+      const adapters = aggregator.registry.list();
+      aggregator.registry.list = () => [...adapters, { name: 'limitless', polling: { interval: 5000, enabled: true } }];
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(aggregator.fetchPlatformMarkets.mock.calls.map(([platform]) => platform)).toEqual(['kalshi', 'limitless']);
+      expect(service.getStats().limitless.totalPolls).toBe(1);
+    });
+  });
+
+  describe('Adaptive refreshes', () => {
+    // Unified market with one Kalshi leg at the given Yes price
+    const addMarket = (id, price) => {
+      cache.unified[id] = {
+        unified_id: id,
+        platforms: { kalshi: { id: `kalshi-${id}`, outcomes: [{ name: 'Yes', price }, { name: 'No', price: 1 - price }] } }
+      };
+    };
+
+    beforeEach(() => {
+      addMarket('watched', 0.4);
+      addMarket('idle', 0.7);
+      cache.interest.watched = 1;
+      aggregator.fetchPlatformMarket.mockImplementation(async (platform, market) => ({
+        ...market,
+        outcomes: [{ name: 'Yes', price: 0.45 }, { name: 'No', price: 0.55 }]
+      }));
+    });
+
+    test('should refresh watched markets at the platform interval and leave idle ones to the sweep', async () => {
+      service.start();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(aggregator.fetchPlatformMarket).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(aggregator.fetchPlatformMarket).toHaveBeenCalledTimes(1);
+      expect(aggregator.fetchPlatformMarket.mock.calls[0][1].id).toBe('kalshi-watched');
+      expect(cache.unified.watched.platforms.kalshi.outcomes[0].price).toBe(0.45);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      const refreshed = aggregator.fetchPlatformMarket.mock.calls.map(call => call[1].id);
+      expect(refreshed).not.toContain('kalshi-idle');
+      expect(refreshed.length).toBeGreaterThanOrEqual(6);
+    });
+
+    test('should stay within the per-minute budget', async () => {
+      for (let i = 0; i < 40; i++) {
+        addMarket(`hot-${i}`, 0.5);
+        cache.interest[`hot-${i}`] = 1;
+      }
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(service.config.kalshi.budget).toBe(25);
+      expect(aggregator.fetchPlatformMarket).toHaveBeenCalledTimes(25);
+      expect(service.getQueueStats().kalshi).toMatchObject({
+        queued: 42,
+        budget: { perMinute: 25, used: 25, remaining: 0 },
+        paused: false
+      });
+    });
+
+    test('should pause refreshes while the platform is backing off', async () => {
+      aggregator.fetchPlatformMarkets.mockRejectedValue(new Error('down'));
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(30000);
+
+      expect(aggregator.fetchPlatformMarket).not.toHaveBeenCalled();
+      expect(service.getQueueStats().kalshi.paused).toBe(true);
+    });
+
+    test('should postpone markets whose refresh fails', async () => {
+      aggregator.fetchPlatformMarket.mockRejectedValue(new Error('HTTP Error Status: 404'));
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(11000);
+
+      expect(service.getStats().kalshi).toMatchObject({ refreshes: 1, failedRefreshes: 1 });
+      expect(service.getQueueStats().kalshi.top[0]).toMatchObject({ unifiedId: 'watched', nextDueAt: START + 21000 });
+    });
+  });
+
+  describe('Search index', () => {
+    test('should keep the search index in sync with the cache', async () => {
+      const searchIndex = new SearchIndex();
+      service = new PollingService(aggregator, cache, null, { sweepIntervalMs: 120000, searchIndex });
+
+      cache.unified.fed = {
+        unified_id: 'fed',
+        question: 'Will the Fed cut rates in December?',
+        platforms: { kalshi: { id: 'kalshi-fed', outcomes: [{ name: 'Yes', price: 0.4 }, { name: 'No', price: 0.6 }] } }
+      };
+      cache.interest.fed = 1;
+      aggregator.fetchPlatformMarket.mockImplementation(async (platform, market) => ({
+        ...market,
+        outcomes: [{ name: 'Yes', price: 0.45 }, { name: 'No', price: 0.55 }]
+      }));
+
+      service.start();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(searchIndex.search('fed rates').total).toBe(1);
+
+      // Refreshed prices are visible to search results without waiting for a sync
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(searchIndex.search('fed').results[0].market.platforms.kalshi.outcomes[0].price).toBe(0.45);
+
+      delete cache.unified.fed;
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(searchIndex.search('fed').total).toBe(0);
+    });
+  });
+
+  describe('Price history', () => {
+    test('should only log recorded price points in debug mode', () => {
+      const historyStore = { recordMarkets: jest.fn(markets => markets.length * 2) };
+      const recordLogs = () => console.log.mock.calls.filter(args => String(args[0]).includes('price points')).length;
+      const markets = [{ id: 'kalshi-fed', outcomes: [{ name: 'Yes', price: 0.4 }, { name: 'No', price: 0.6 }] }];
+
+      new PollingService(aggregator, cache, historyStore).recordPriceHistory('kalshi', markets);
+      expect(historyStore.recordMarkets).toHaveBeenCalledTimes(1);
+      expect(recordLogs()).toBe(0);
+
+      new PollingService(aggregator, cache, historyStore, { debug: true }).recordPriceHistory('kalshi', markets);
+      expect(recordLogs()).toBe(1);
+    });
+  });
+
+  describe('Arbitrage events', () => {
+    test('should treat indicative opportunities as no opportunity', () => {
+      const events = [];
+      service.on('arbitrage', event => events.push(event.type));
+
+      const firm = { type: 'dutch-book', profitPct: 5, indicative: false };
+      const indicative = { type: 'dutch-book', profitPct: 8, indicative: true };
+
+      service.emitArbitrageChange(null, { unified_id: 'mayor', arbitrage: indicative });
+      service.emitArbitrageChange(null, { unified_id: 'mayor', arbitrage: firm });
+      service.emitArbitrageChange(firm, { unified_id: 'mayor', arbitrage: indicative });
+
+      expect(events).toEqual(['appeared', 'disappeared']);
+    });
+  });
+});
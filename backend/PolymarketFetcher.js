@@ -7,19 +7,46 @@
  * 1. Fetch markets from Polymarket with pagination support
  * 2. Rate limiting (100 requests per minute)
  * 3. Error handling with exponential backoff retry
- * 4. Data normalization to unified schema
+ * 4. Data normalization to the versioned MarketSchema
+ * 5. Orderbook depth from the CLOB API
+ * 
+ * Registered with PlatformRegistry as the 'polymarket' PlatformAdapter.
  * 
  * Requirements: 1.1, 1.2, 1.3, 1.4, 1.5, 2.1, 2.2, 2.3, 2.4, 2.5
  */
 
-const https = require('https');
+const HttpClient = require('./HttpClient');
+const PlatformAdapter = require('./PlatformAdapter');
+const MarketLifecycle = require('./MarketLifecycle');
+const MarketSchema = require('./MarketSchema');
 
-class PolymarketFetcher {
-  constructor(apiEndpoint, cacheManager) {
+class PolymarketFetcher extends PlatformAdapter {
+  /**
+   * @param {string} apiEndpoint Gamma API base URL
+   * @param {Object} cacheManager Cache manager for platform health
+   * @param {string} clobEndpoint CLOB API base URL
+   * @param {HttpClient} httpClient Shared HTTP client (default: a new client)
+   */
+  constructor(apiEndpoint, cacheManager, clobEndpoint, httpClient) {
+    super({
+      name: 'polymarket',
+      displayName: 'Polymarket',
+      polling: { interval: 5000, enabled: true } // 5 seconds (fast updates)
+    });
+    
     this.apiEndpoint = apiEndpoint || 'https://gamma-api.polymarket.com';
+    this.clobEndpoint = clobEndpoint || 'https://clob.polymarket.com';
     this.cache = cacheManager;
-    this.rateLimit = 100; // requests per minute
-    this.requestQueue = [];
+    this.http = httpClient || new HttpClient();
+    this.lifecycle = new MarketLifecycle();
+    this.schema = new MarketSchema({ lifecycle: this.lifecycle });
+    this.rateLimit = 100; // requests per minute, per host
+    this.idPrefix = 'poly-'; // normalized ids are 'poly-<Gamma id>'
+
+    // Shared per-host budget: also covers server routes hitting the same APIs
+    this.http.setHostBudget(this.apiEndpoint, { perMinute: this.rateLimit });
+    this.http.setHostBudget(this.clobEndpoint, { perMinute: this.rateLimit });
+
     this.healthStatus = {
       status: 'healthy',
       lastAttempt: null,
@@ -51,9 +78,6 @@ class PolymarketFetcher {
       
       // Fetch pages up to maxPages limit
       while (pagesFetched < maxPages) {
-        // Apply rate limiting
-        await this.throttle();
-        
         // Build URL with query parameters
         const params = new URLSearchParams({
           active: options.active !== undefined ? options.active : true,
@@ -116,9 +140,6 @@ class PolymarketFetcher {
     try {
       console.log(`[PolymarketFetcher] Fetching details for market: ${marketId}`);
       
-      // Apply rate limiting
-      await this.throttle();
-      
       const url = `${this.apiEndpoint}/markets/${marketId}`;
       
       // Fetch with retry logic
@@ -149,135 +170,42 @@ class PolymarketFetcher {
   // ====================================================================
   
   /**
-   * Fetch with exponential backoff retry
+   * Fetch JSON through the shared HTTP client
+   * Retries with backoff and jitter (and the platform circuit breaker) are
+   * handled by HttpClient.
+   * 
    * @param {string} url URL to fetch
-   * @param {number} maxRetries Maximum number of retry attempts
+   * @param {number} maxRetries Maximum number of attempts
    * @returns {Promise<any>} Parsed JSON response
+   * @throws {HttpClientError} Structured error once attempts are exhausted
    */
   async fetchWithRetry(url, maxRetries = 3) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const data = await this.nativeFetch(url);
-        this.updateHealthStatus('healthy');
-        return data;
-        
-      } catch (error) {
-        lastError = error;
-        console.error(`[PolymarketFetcher] Fetch attempt ${attempt}/${maxRetries} failed:`, error.message);
-        
-        if (attempt < maxRetries) {
-          // Exponential backoff: 2^attempt * 1000ms
-          const delay = Math.pow(2, attempt) * 1000;
-          console.log(`[PolymarketFetcher] Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
-    
-    // All retries failed
-    this.updateHealthStatus('degraded', lastError);
-    throw new Error(`Failed to fetch from Polymarket after ${maxRetries} attempts: ${lastError.message}`);
-  }
-  
-  /**
-   * Native fetch using Node's https module
-   * @param {string} url URL to fetch
-   * @returns {Promise<any>} Parsed JSON response
-   */
-  async nativeFetch(url) {
-    return new Promise((resolve, reject) => {
-      const urlObj = new URL(url);
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || 443,
-        path: urlObj.pathname + urlObj.search,
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-          'User-Agent': 'Tanner.xyz-Aggregator/1.0'
-        }
-      };
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              console.error(`[PolymarketFetcher] JSON Parse Error: ${e.message}. Raw data: ${data.substring(0, 500)}...`);
-              reject(new Error(`Failed to parse JSON response. Status: ${res.statusCode}`));
-            }
-          } else {
-            console.error(`[PolymarketFetcher] HTTP Error: Status ${res.statusCode}. Raw data: ${data.substring(0, 500)}...`);
-            reject(new Error(`HTTP Error Status: ${res.statusCode} for ${url}`));
-          }
-        });
-      });
-      
-      req.on('error', (err) => {
-        reject(new Error(`Polymarket Fetch Error: ${err.message}`));
-      });
-      
-      req.end();
-    });
-  }
-  
-  // ====================================================================
-  // RATE LIMITING (Task 19.1 - Requirements 1.5)
-  // ====================================================================
-  
-  /**
-   * Rate limiting throttle (100 requests per minute)
-   * @returns {Promise<void>}
-   */
-  async throttle() {
-    const now = Date.now();
-    const oneMinute = 60 * 1000;
-    
-    // Remove requests older than 1 minute
-    this.requestQueue = this.requestQueue.filter(time => now - time < oneMinute);
-    
-    // Check if we've hit the rate limit
-    if (this.requestQueue.length >= this.rateLimit) {
-      // Calculate wait time until oldest request expires
-      const oldestRequest = this.requestQueue[0];
-      const waitTime = oneMinute - (now - oldestRequest);
-      
-      console.log(`[PolymarketFetcher] Rate limit reached (${this.rateLimit}/min), waiting ${waitTime}ms...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    try {
+      const data = await this.http.getJson(url, { platform: this.name, retries: maxRetries - 1 });
+      this.updateHealthStatus('healthy');
+      return data;
       
-      // Remove the oldest request after waiting
-      this.requestQueue.shift();
+    } catch (error) {
+      console.error(`[PolymarketFetcher] Fetch failed after ${maxRetries} attempt(s):`, error.message);
+      this.updateHealthStatus('degraded', error);
+      throw error;
     }
-    
-    // Add current request to queue
-    this.requestQueue.push(now);
   }
-
   
   // ====================================================================
   // DATA NORMALIZATION (Task 19.3 - Requirements 2.1-2.5)
   // ====================================================================
   
   /**
-   * Normalize Polymarket market to unified schema
-   * Converts Polymarket format to standardized format with:
+   * Normalize Polymarket market to the versioned schema (see MarketSchema)
+   * Used by MarketAggregator and by every server route that serves Polymarket markets:
    * - question, outcomes, volume, liquidity
    * - prices in 0.00-1.00 decimal format
-   * - category extraction
+   * - category and subcategory from the native category, tags and event categories, or the title
    * - multi-outcome market support
    * 
-   * @param {Object} rawMarket Raw Polymarket market object
-   * @returns {Object} Normalized market object
+   * @param {Object} rawMarket Raw Polymarket market object (Gamma or CLOB)
+   * @returns {Object|null} Normalized market object
    */
   normalizeMarket(rawMarket) {
     try {
@@ -289,15 +217,6 @@ class PolymarketFetcher {
         return null;
       }
       
-      // Extract category from Polymarket metadata
-      const category = this.extractCategory(rawMarket);
-      
-      // Extract volume and convert to USD
-      const volume = this.extractVolume(rawMarket);
-      
-      // Extract liquidity
-      const liquidity = this.extractLiquidity(rawMarket);
-      
       // Extract and normalize outcomes
       const outcomes = this.extractOutcomes(rawMarket);
       
@@ -306,32 +225,27 @@ class PolymarketFetcher {
         return null;
       }
       
-      // Determine if multi-outcome market
-      const isMultiOutcome = outcomes.length > 2;
+      // Lifecycle status and settlement outcome
+      const { status, settlement } = this.lifecycle.fromPolymarket(rawMarket);
       
-      // Build normalized market object
-      const normalized = {
-        id: `poly-${rawMarket.id || rawMarket.condition_id}`,
+      return this.schema.buildMarket({
+        id: `${this.idPrefix}${rawMarket.id || rawMarket.condition_id}`,
         platform: 'polymarket',
+        platformName: 'Polymarket',
         question: question,
         outcomes: outcomes,
-        volume_24h: volume,
-        liquidity: liquidity,
+        nativeCategory: typeof rawMarket.category === 'string' ? rawMarket.category : null,
+        nativeTags: this.extractTags(rawMarket),
+        volume_24h: this.extractVolume(rawMarket),
+        liquidity: this.extractLiquidity(rawMarket),
+        startDate: rawMarket.start_date_iso || rawMarket.startDate || rawMarket.created_at || null,
         endDate: rawMarket.end_date_iso || rawMarket.endDate || null,
-        category: category,
         image: rawMarket.image || rawMarket.icon || null,
-        orderbook: null, // Orderbook data would be fetched separately if needed
-        spread: this.calculateSpread(outcomes),
-        lastUpdate: Date.now(),
-        // Additional metadata
-        closed: rawMarket.closed || false,
-        resolved: rawMarket.resolved || false,
-        isMultiOutcome: isMultiOutcome,
-        outcomeCount: outcomes.length,
-        marketType: isMultiOutcome ? 'multi-outcome' : 'binary'
-      };
-      
-      return normalized;
+        url: `https://polymarket.com/event/${rawMarket.slug || rawMarket.id || rawMarket.condition_id}`,
+        tokenIds: this.extractTokenIds(rawMarket),
+        status,
+        settlement
+      });
       
     } catch (error) {
       console.error('[PolymarketFetcher] Error normalizing market:', error.message, rawMarket);
@@ -339,40 +253,6 @@ class PolymarketFetcher {
     }
   }
   
-  /**
-   * Extract category from Polymarket market data
-   * @param {Object} rawMarket Raw market object
-   * @returns {string} Category name
-   */
-  extractCategory(rawMarket) {
-    // Try to get category from various fields
-    if (rawMarket.category) {
-      return rawMarket.category;
-    }
-    
-    if (rawMarket.tags && Array.isArray(rawMarket.tags) && rawMarket.tags.length > 0) {
-      return rawMarket.tags[0];
-    }
-    
-    // Try to infer category from question
-    const question = (rawMarket.question || '').toLowerCase();
-    
-    if (question.includes('election') || question.includes('president') || question.includes('senate')) {
-      return 'Politics';
-    }
-    if (question.includes('crypto') || question.includes('bitcoin') || question.includes('ethereum')) {
-      return 'Crypto';
-    }
-    if (question.includes('sports') || question.includes('nfl') || question.includes('nba')) {
-      return 'Sports';
-    }
-    if (question.includes('economy') || question.includes('gdp') || question.includes('inflation')) {
-      return 'Economics';
-    }
-    
-    return 'Other';
-  }
-  
   /**
    * Extract volume from Polymarket market data
    * @param {Object} rawMarket Raw market object
@@ -386,9 +266,14 @@ class PolymarketFetcher {
       rawMarket.volume_24h ||
       rawMarket.volumeNum ||
       0
-    );
+    ) || 0;
     
-    return volume;
+    // Multi-outcome markets may only report volume per token
+    const tokenVolume = Array.isArray(rawMarket.tokens)
+      ? rawMarket.tokens.reduce((sum, token) => sum + (parseFloat(token.volume || token.volume24hr || token.volume_24h || 0) || 0), 0)
+      : 0;
+    
+    return Math.max(volume, tokenVolume);
   }
   
   /**
@@ -412,61 +297,161 @@ class PolymarketFetcher {
    * Handles both binary and multi-outcome markets
    * Converts prices to 0.00-1.00 decimal format
    * 
+   * Sources, in order of preference:
+   * 1. CLOB tokens[] ({ token_id, outcome, price })
+   * 2. Gamma outcomes/outcomePrices/clobTokenIds (often JSON-encoded strings)
+   * 3. Legacy outcome_prices, then lastTradePrice or the bid/ask midpoint for Yes/No
+   * 
    * @param {Object} rawMarket Raw market object
-   * @returns {Array} Array of normalized outcome objects
+   * @returns {Array} Outcomes [{ name, price, volume, image, tokenId }]
    */
   extractOutcomes(rawMarket) {
-    const outcomes = [];
+    // CLOB payloads carry one token per outcome
+    if (Array.isArray(rawMarket.tokens) && rawMarket.tokens.length > 0) {
+      return rawMarket.tokens.map((token, index) => ({
+        name: token.outcome || token.token_id || `Outcome ${index + 1}`,
+        price: this.normalizePrice(token.price),
+        volume: parseFloat(token.volume || 0),
+        image: token.image || null,
+        tokenId: token.token_id ? String(token.token_id) : null
+      }));
+    }
     
-    // Check if this is a multi-outcome market (has tokens array)
-    if (rawMarket.tokens && Array.isArray(rawMarket.tokens) && rawMarket.tokens.length > 0) {
-      // Multi-outcome market
-      rawMarket.tokens.forEach((token, index) => {
-        const price = this.normalizePrice(token.price);
-        
-        outcomes.push({
-          name: token.outcome || token.token_id || `Outcome ${index + 1}`,
-          price: price,
-          volume: parseFloat(token.volume || 0),
-          image: token.image || null,
-          rank: index + 1
-        });
-      });
-    } else {
-      // Binary market - create Yes/No outcomes
-      // Polymarket typically provides outcome_prices array or individual price fields
-      const yesPrice = this.normalizePrice(
-        rawMarket.outcome_prices?.[0] || 
-        rawMarket.yes_price || 
-        rawMarket.price ||
-        0.5
-      );
-      
-      const noPrice = this.normalizePrice(
-        rawMarket.outcome_prices?.[1] || 
-        rawMarket.no_price ||
-        (1 - yesPrice)
-      );
+    const tokenIds = this.extractTokenIds(rawMarket);
+    
+    // Gamma payloads list names and prices in parallel arrays
+    const names = this.decodeListField(rawMarket.outcomes);
+    const prices = this.decodeListField(rawMarket.outcomePrices || rawMarket.outcome_prices);
+    
+    if (names.length >= 2 && prices.length === names.length && prices.every(price => this.isPrice(price))) {
+      const volume = this.extractVolume(rawMarket) / names.length; // Split volume between outcomes
+      
+      return names.map((name, index) => ({
+        name: String(name),
+        price: this.normalizePrice(prices[index]),
+        volume: volume,
+        image: null,
+        tokenId: tokenIds[index] || null
+      }));
+    }
+    
+    // Binary market - create Yes/No outcomes from whatever price is available
+    const yesPrice = this.normalizePrice(
+      [prices[0], rawMarket.yes_price, rawMarket.lastTradePrice, this.midpoint(rawMarket), rawMarket.price]
+        .find(price => this.isPrice(price))
+    );
+    
+    const noPrice = this.isPrice(prices[1]) || this.isPrice(rawMarket.no_price)
+      ? this.normalizePrice(this.isPrice(prices[1]) ? prices[1] : rawMarket.no_price)
+      : 1 - yesPrice;
+    
+    const yesName = names.length === 2 ? String(names[0]) : 'Yes';
+    const noName = names.length === 2 ? String(names[1]) : 'No';
+    
+    return [
+      {
+        name: yesName,
+        price: yesPrice,
+        volume: this.extractVolume(rawMarket) / 2, // Split volume between outcomes
+        image: null,
+        tokenId: tokenIds[0] || null
+      },
+      {
+        name: noName,
+        price: noPrice,
+        volume: this.extractVolume(rawMarket) / 2,
+        image: null,
+        tokenId: tokenIds[1] || null
+      }
+    ];
+  }
+  
+  /**
+   * Decode a Gamma list field
+   * Gamma returns outcomes, outcomePrices and clobTokenIds as JSON-encoded
+   * strings ('["Yes", "No"]'), sometimes encoded twice, sometimes as real
+   * arrays, and occasionally as a plain comma-separated string.
+   * 
+   * @param {*} value Raw field value
+   * @returns {Array} Decoded list (empty if missing or unreadable)
+   */
+  decodeListField(value) {
+    let decoded = value;
+    
+    // Unwrap up to two levels of JSON encoding
+    for (let depth = 0; depth < 2 && typeof decoded === 'string'; depth++) {
+      const text = decoded.trim();
+      if (!text) return [];
       
-      outcomes.push(
-        {
-          name: 'Yes',
-          price: yesPrice,
-          volume: this.extractVolume(rawMarket) / 2, // Split volume between outcomes
-          image: null,
-          rank: 1
-        },
-        {
-          name: 'No',
-          price: noPrice,
-          volume: this.extractVolume(rawMarket) / 2,
-          image: null,
-          rank: 2
-        }
-      );
+      try {
+        decoded = JSON.parse(text);
+      } catch (e) {
+        // Not JSON: 'Yes, No' or '0.62,0.38'
+        return text.replace(/^\[|\]$/g, '').split(',').map(item => item.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+      }
     }
     
-    return outcomes;
+    return Array.isArray(decoded) ? decoded.filter(item => item !== null && item !== undefined && item !== '') : [];
+  }
+  
+  /**
+   * Whether a raw value is a usable price
+   * @param {*} value Raw price
+   * @returns {boolean} True for finite non-negative numbers (or numeric strings)
+   */
+  isPrice(value) {
+    if (value === null || value === undefined || value === '') return false;
+    const price = parseFloat(value);
+    return Number.isFinite(price) && price >= 0;
+  }
+  
+  /**
+   * Midpoint of Gamma's bestBid/bestAsk when both are present
+   * @param {Object} rawMarket Raw market object
+   * @returns {number|null} Midpoint or null
+   */
+  midpoint(rawMarket) {
+    if (!this.isPrice(rawMarket.bestBid) || !this.isPrice(rawMarket.bestAsk)) {
+      return null;
+    }
+    return (parseFloat(rawMarket.bestBid) + parseFloat(rawMarket.bestAsk)) / 2;
+  }
+  
+  /**
+   * Extract CLOB token IDs (one per outcome, in outcome order)
+   * Gamma returns clobTokenIds as a JSON-encoded string, older payloads use tokens[]
+   * 
+   * @param {Object} rawMarket Raw market object
+   * @returns {Array<string>} Token IDs (empty if unknown)
+   */
+  extractTokenIds(rawMarket) {
+    let tokenIds = this.decodeListField(rawMarket.clobTokenIds || rawMarket.clob_token_ids);
+    
+    if (tokenIds.length === 0 && Array.isArray(rawMarket.tokens)) {
+      tokenIds = rawMarket.tokens.map(token => token.token_id);
+    }
+    
+    return tokenIds.filter(Boolean).map(String);
+  }
+  
+  /**
+   * Extract tag labels for categorization: market tags, then the category
+   * and tags of its events (Gamma nests events[] in markets)
+   * Tags are strings or { label, slug } objects.
+   * 
+   * @param {Object} rawMarket Raw market object
+   * @returns {Array<string>} Tag labels/slugs, most specific first
+   */
+  extractTags(rawMarket) {
+    const label = tag => (tag && typeof tag === 'object' ? tag.slug || tag.label : tag);
+    const tags = [...(Array.isArray(rawMarket.tags) ? rawMarket.tags : [])];
+    
+    for (const event of Array.isArray(rawMarket.events) ? rawMarket.events : []) {
+      if (event.category) tags.push(event.category);
+      if (Array.isArray(event.tags)) tags.push(...event.tags);
+    }
+    
+    return [...new Set(tags.map(label).filter(tag => typeof tag === 'string' && tag.trim()))];
   }
   
   /**
@@ -496,36 +481,50 @@ class PolymarketFetcher {
     return Math.max(0, Math.min(1, numPrice));
   }
   
+  // ====================================================================
+  // ORDERBOOK DEPTH
+  // ====================================================================
+  
   /**
-   * Calculate spread from outcomes
-   * For binary markets, spread is the difference between Yes and No prices
-   * For multi-outcome markets, use average spread across outcomes
+   * Fetch the YES-token orderbook for a normalized market from the CLOB API
    * 
-   * @param {Array} outcomes Array of outcome objects
-   * @returns {number} Spread value
+   * @param {Object} market Normalized market (needs tokenIds)
+   * @returns {Promise<Object|null>} { bids, asks } in 0.00-1.00 prices, or null if the market has no token
    */
-  calculateSpread(outcomes) {
-    if (!outcomes || outcomes.length === 0) {
-      return 0.1; // Default 10% spread
-    }
+  async fetchOrderbook(market) {
+    const tokenId = market && market.tokenIds && market.tokenIds[0];
     
-    if (outcomes.length === 2) {
-      // Binary market - simple spread calculation
-      const yesPrice = outcomes[0].price;
-      const noPrice = outcomes[1].price;
-      
-      // Spread is how far the sum is from 1.0
-      const sum = yesPrice + noPrice;
-      return Math.abs(1 - sum);
-    } else {
-      // Multi-outcome market - use average deviation from fair price
-      const fairPrice = 1 / outcomes.length;
-      const avgDeviation = outcomes.reduce((sum, outcome) => {
-        return sum + Math.abs(outcome.price - fairPrice);
-      }, 0) / outcomes.length;
-      
-      return avgDeviation;
+    if (!tokenId) {
+      return null;
     }
+    
+    const url = `${this.clobEndpoint}/book?token_id=${encodeURIComponent(tokenId)}`;
+    
+    // Single attempt: depth goes stale faster than the retry backoff
+    const data = await this.fetchWithRetry(url, 1);
+    
+    this.logRequest('fetchOrderbook', (data.bids || []).length + (data.asks || []).length);
+    
+    return this.normalizeOrderbook(data);
+  }
+  
+  /**
+   * Convert a CLOB book payload to price levels
+   * CLOB levels are { price: '0.48', size: '1200' } with prices already in 0-1
+   * 
+   * @param {Object} rawBook Raw CLOB /book response
+   * @returns {Object} { bids: [{ price, size }], asks: [{ price, size }] }
+   */
+  normalizeOrderbook(rawBook) {
+    const toLevels = (levels) => (Array.isArray(levels) ? levels : []).map(level => ({
+      price: parseFloat(level.price),
+      size: parseFloat(level.size)
+    }));
+    
+    return {
+      bids: toLevels(rawBook && rawBook.bids),
+      asks: toLevels(rawBook && rawBook.asks)
+    };
   }
   
   // ====================================================================
@@ -547,7 +546,7 @@ class PolymarketFetcher {
     
     // Update cache manager's platform health if available
     if (this.cache && this.cache.updatePlatformHealth) {
-      this.cache.updatePlatformHealth('polymarket', status, error);
+      this.cache.updatePlatformHealth(this.name, status, error);
     }
   }
   
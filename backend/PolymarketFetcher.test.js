@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for PolymarketFetcher
+ * Runs recorded Gamma/CLOB payload variants through the normalizer
+ */
+
+const PolymarketFetcher = require('./PolymarketFetcher');
+const MarketSchema = require('./MarketSchema');
+const fixtures = require('./fixtures/polymarket-gamma-markets.json');
+
+describe('PolymarketFetcher', () => {
+  let fetcher;
+  let schema;
+
+  const normalize = (name) => {
+    const market = fetcher.normalizeMarket(fixtures[name]);
+    expect(schema.validate(market).errors).toEqual([]);
+    return market;
+  };
+
+  // Outcomes in venue order (allOutcomes is sorted by price)
+  const byName = (market) => Object.fromEntries(
+    market.allOutcomes.map(outcome => [outcome.name, [outcome.price, outcome.tokenId]])
+  );
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fetcher = new PolymarketFetcher();
+    schema = new MarketSchema();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('decodeListField', () => {
+    test('should decode every encoding Gamma uses', () => {
+      expect(fetcher.decodeListField('["Yes", "No"]')).toEqual(['Yes', 'No']);
+      expect(fetcher.decodeListField(['0.5', '0.5'])).toEqual(['0.5', '0.5']);
+      expect(fetcher.decodeListField(fixtures.doubleEncoded.outcomes)).toEqual(['Yes', 'No']);
+      expect(fetcher.decodeListField('Yes, No')).toEqual(['Yes', 'No']);
+      expect(fetcher.decodeListField('[Yes, No]')).toEqual(['Yes', 'No']);
+    });
+
+    test('should return an empty list for missing or empty fields', () => {
+      expect(fetcher.decodeListField(undefined)).toEqual([]);
+      expect(fetcher.decodeListField(null)).toEqual([]);
+      expect(fetcher.decodeListField('')).toEqual([]);
+      expect(fetcher.decodeListField('[]')).toEqual([]);
+      expect(fetcher.decodeListField('{"a": 1}')).toEqual([]);
+    });
+  });
+
+  describe('Recorded Gamma variants', () => {
+    test('should read stringified outcomes, prices and token ids', () => {
+      const market = normalize('stringifiedBinary');
+
+      expect(byName(market)).toEqual({
+        Yes: [0.615, '71321045679252212594626385532706912750332728571942532289631379312455583992563'],
+        No: [0.385, '52114319501245915516055106046884209969926127482827954674443846427813813222426']
+      });
+      expect(market.tokenIds).toHaveLength(2);
+    });
+
+    test('should read fields that are already arrays', () => {
+      expect(byName(normalize('arrayFields'))).toEqual({ Yes: [0.22, '1001'], No: [0.78, '1002'] });
+    });
+
+    test('should keep custom two-outcome names', () => {
+      const market = normalize('customOutcomeNames');
+
+      expect(byName(market)).toEqual({ Lakers: [0.44, '2001'], Celtics: [0.56, '2002'] });
+      expect(market.marketType).toBe('binary');
+    });
+
+    test('should unwrap double-encoded fields', () => {
+      expect(byName(normalize('doubleEncoded'))).toEqual({ Yes: [0.31, '3001'], No: [0.69, '3002'] });
+    });
+
+    test('should fall back to last trade price, then the book midpoint', () => {
+      expect(byName(normalize('missingPricesLastTrade'))).toEqual({ Yes: [0.08, '4001'], No: [0.92, '4002'] });
+
+      const book = byName(normalize('missingPricesBook'));
+      expect(book.Yes[0]).toBeCloseTo(0.42);
+      expect(book.No[0]).toBeCloseTo(0.58);
+      expect(book.Yes[1]).toBeNull();
+    });
+
+    test('should build a neutral Yes/No market from empty fields', () => {
+      const market = normalize('emptyFields');
+
+      expect(byName(market)).toEqual({ Yes: [0.5, null], No: [0.5, null] });
+      expect(market.tokenIds).toEqual([]);
+    });
+
+    test('should not pair prices with the wrong outcomes when lengths differ', () => {
+      expect(byName(normalize('mismatchedLengths'))).toEqual({ Yes: [0.27, '5001'], No: [0.73, null] });
+    });
+
+    test('should keep token ids on multi-outcome markets', () => {
+      const market = normalize('multiOutcome');
+
+      expect(market.marketType).toBe('multi-outcome');
+      expect(market.allOutcomes.map(o => [o.name, o.tokenId])).toEqual([['Alice', '6001'], ['Bob', '6002'], ['Carol', '6003']]);
+      expect(market.allOutcomes[0].volume).toBeCloseTo(100);
+    });
+
+    test('should prefer CLOB tokens when present', () => {
+      expect(byName(normalize('clobTokens'))).toEqual({ Yes: [0.04, '7001'], No: [0.96, '7002'] });
+    });
+
+    test('should settle resolved markets from stringified prices', () => {
+      const market = normalize('resolved');
+
+      expect(byName(market)).toEqual({ Yes: [1, '8001'], No: [0, '8002'] });
+      expect(market).toMatchObject({ status: 'resolved', settlement: { outcome: 'Yes' } });
+    });
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * PriceHistoryStore - In-memory time-series store for per-outcome prices
+ *
+ * Records real outcome prices observed on every PollingService tick and
+ * serves them back downsampled for the chart timeframes (1H/6H/1D/1W/ALL).
+ *
+ * Key responsibilities:
+ * 1. Append price points per market outcome (skipping unchanged samples)
+ * 2. Enforce retention window and per-series size limits
+ * 3. Downsample series into fixed-width buckets for each timeframe
+ *
+ * Points use the same shape the charts already consume:
+ * { time: <unix seconds>, value: <price 0.00-1.00> }
+ *
+ * Each market also gets a volume series of { time, volume, liquidity }
+ * samples (rolling 24h volume and liquidity in USD), which TrendingEngine
+ * uses for volume acceleration.
+ */
+
+// Timeframe windows and bucket widths (seconds)
+const TIMEFRAMES = {
+  '1H': { window: 60 * 60, bucket: 60 },                 // 1 minute buckets
+  '6H': { window: 6 * 60 * 60, bucket: 5 * 60 },         // 5 minute buckets
+  '1D': { window: 24 * 60 * 60, bucket: 15 * 60 },       // 15 minute buckets
+  '1W': { window: 7 * 24 * 60 * 60, bucket: 60 * 60 },   // 1 hour buckets
+  'ALL': { window: null, bucket: null }                  // Bucket sized to fit maxPointsPerQuery
+};
+
+class PriceHistoryStore {
+  constructor(options = {}) {
+    // Keep 30 days of data by default
+    this.retentionMs = options.retentionMs || 30 * 24 * 60 * 60 * 1000;
+
+    // Hard cap on raw points per outcome series
+    this.maxPointsPerSeries = options.maxPointsPerSeries || 10000;
+
+    // Maximum points returned by a single query (ALL timeframe)
+    this.maxPointsPerQuery = options.maxPointsPerQuery || 200;
+
+    // Record an unchanged price at most once per heartbeat interval
+    this.heartbeatMs = options.heartbeatMs || 5 * 60 * 1000;
+
+    // Minimum price movement that counts as a change
+    this.priceEpsilon = options.priceEpsilon || 0.0001;
+
+    // Minimum 24h volume change (USD) that counts as a change
+    this.volumeEpsilon = options.volumeEpsilon || 1;
+
+    // Called with (marketId, outcomeName, point) for every appended point (persistence)
+    this.onAppend = options.onAppend || null;
+
+    // Called with (marketId, { time, volume, liquidity }) for every appended volume sample
+    this.onVolume = options.onVolume || null;
+
+    // { 'poly-12345': { outcomes: { 'Yes': [{ time, value }] }, volume: [{ time, volume, liquidity }], lastUpdate } }
+    this.series = {};
+
+    this.stats = {
+      pointsRecorded: 0,
+      pointsSkipped: 0,
+      pointsPruned: 0,
+      volumePointsRecorded: 0
+    };
+
+    console.log('[PriceHistoryStore] Initialized with retention:', `${Math.round(this.retentionMs / 3600000)}h`);
+  }
+
+  // ====================================================================
+  // RECORDING
+  // ====================================================================
+
+  /**
+   * Record the current outcome prices for a single market
+   *
+   * @param {Object} market Normalized market object ({ id, outcomes })
+   * @param {number} timestamp Observation time in ms (default: now)
+   * @returns {number} Number of points appended
+   */
+  recordMarket(market, timestamp = Date.now()) {
+    if (!market || !market.id || !Array.isArray(market.outcomes)) {
+      return 0;
+    }
+
+    const entry = this.getEntry(market.id);
+    const time = Math.floor(timestamp / 1000);
+    let appended = 0;
+
+    for (const outcome of market.outcomes) {
+      if (!outcome || !outcome.name || typeof outcome.price !== 'number' || isNaN(outcome.price)) {
+        continue;
+      }
+
+      if (!entry.outcomes[outcome.name]) {
+        entry.outcomes[outcome.name] = [];
+      }
+
+      const points = entry.outcomes[outcome.name];
+      const last = points[points.length - 1];
+
+      if (last) {
+        // Out-of-order samples are ignored
+        if (time < last.time) {
+          this.stats.pointsSkipped++;
+          continue;
+        }
+
+        const unchanged = Math.abs(last.value - outcome.price) <= this.priceEpsilon;
+        const withinHeartbeat = (time - last.time) * 1000 < this.heartbeatMs;
+
+        if (unchanged && withinHeartbeat) {
+          this.stats.pointsSkipped++;
+          continue;
+        }
+      }
+
+      const point = { time, value: outcome.price };
+      points.push(point);
+      appended++;
+
+      if (this.onAppend) {
+        this.onAppend(market.id, outcome.name, point);
+      }
+
+      // Enforce per-series size limit (drop oldest)
+      if (points.length > this.maxPointsPerSeries) {
+        const overflow = points.length - this.maxPointsPerSeries;
+        points.splice(0, overflow);
+        this.stats.pointsPruned += overflow;
+      }
+    }
+
+    this.recordVolume(entry, market, time);
+
+    entry.lastUpdate = timestamp;
+    this.stats.pointsRecorded += appended;
+
+    return appended;
+  }
+
+  /**
+   * Append a volume sample for a market (skipping unchanged samples)
+   *
+   * @param {Object} entry Series entry of the market
+   * @param {Object} market Normalized market ({ id, volume_24h, liquidity })
+   * @param {number} time Observation time in unix seconds
+   * @returns {boolean} True if a sample was appended
+   */
+  recordVolume(entry, market, time) {
+    if (typeof market.volume_24h !== 'number' || isNaN(market.volume_24h)) {
+      return false;
+    }
+
+    const points = entry.volume;
+    const last = points[points.length - 1];
+
+    if (last) {
+      if (time < last.time) {
+        return false;
+      }
+
+      const unchanged = Math.abs(last.volume - market.volume_24h) < this.volumeEpsilon;
+      if (unchanged && (time - last.time) * 1000 < this.heartbeatMs) {
+        return false;
+      }
+    }
+
+    const point = {
+      time,
+      volume: market.volume_24h,
+      liquidity: typeof market.liquidity === 'number' && !isNaN(market.liquidity) ? market.liquidity : null
+    };
+    points.push(point);
+    this.stats.volumePointsRecorded++;
+
+    if (this.onVolume) {
+      this.onVolume(market.id, point);
+    }
+
+    if (points.length > this.maxPointsPerSeries) {
+      points.splice(0, points.length - this.maxPointsPerSeries);
+    }
+
+    return true;
+  }
+
+  /**
+   * Series entry of a market, created on first use
+   *
+   * @param {string} marketId Normalized market ID
+   * @returns {Object} { outcomes, volume, lastUpdate }
+   */
+  getEntry(marketId) {
+    if (!this.series[marketId]) {
+      this.series[marketId] = { outcomes: {}, volume: [], lastUpdate: null };
+    }
+
+    return this.series[marketId];
+  }
+
+  /**
+   * Load previously persisted points (e.g. MarketStore.loadPriceHistory on boot)
+   * Points must be ordered by time within each series; points older than a
+   * series' last point are skipped. Does not call onAppend.
+   *
+   * @param {Array} rows [{ marketId, outcome, time, value }]
+   * @returns {number} Number of points restored
+   */
+  restore(rows) {
+    let restored = 0;
+
+    for (const row of rows || []) {
+      const entry = this.getEntry(row.marketId);
+      const points = entry.outcomes[row.outcome] || (entry.outcomes[row.outcome] = []);
+      const last = points[points.length - 1];
+
+      if (last && row.time <= last.time) {
+        continue;
+      }
+
+      points.push({ time: row.time, value: row.value });
+      entry.lastUpdate = Math.max(entry.lastUpdate || 0, row.time * 1000);
+      restored++;
+    }
+
+    for (const entry of Object.values(this.series)) {
+      for (const points of Object.values(entry.outcomes)) {
+        if (points.length > this.maxPointsPerSeries) {
+          points.splice(0, points.length - this.maxPointsPerSeries);
+        }
+      }
+    }
+
+    console.log(`[PriceHistoryStore] Restored ${restored} points`);
+    return restored;
+  }
+
+  /**
+   * Load previously persisted volume samples (MarketStore.loadVolumeHistory)
+   * Samples must be ordered by time within each market; samples older than a
+   * market's last sample are skipped. Does not call onVolume.
+   *
+   * @param {Array} rows [{ marketId, time, volume, liquidity }]
+   * @returns {number} Number of samples restored
+   */
+  restoreVolume(rows) {
+    let restored = 0;
+
+    for (const row of rows || []) {
+      const points = this.getEntry(row.marketId).volume;
+      const last = points[points.length - 1];
+
+      if (last && row.time <= last.time) {
+        continue;
+      }
+
+      points.push({ time: row.time, volume: row.volume, liquidity: row.liquidity });
+      restored++;
+    }
+
+    console.log(`[PriceHistoryStore] Restored ${restored} volume samples`);
+    return restored;
+  }
+
+  /**
+   * Record outcome prices for a batch of markets (one polling tick)
+   *
+   * @param {Array} markets Array of normalized markets
+   * @param {number} timestamp Observation time in ms (default: now)
+   * @returns {number} Number of points appended
+   */
+  recordMarkets(markets, timestamp = Date.now()) {
+    if (!Array.isArray(markets)) {
+      return 0;
+    }
+
+    let appended = 0;
+    for (const market of markets) {
+      appended += this.recordMarket(market, timestamp);
+    }
+
+    return appended;
+  }
+
+  // ====================================================================
+  // QUERYING & DOWNSAMPLING
+  // ====================================================================
+
+  /**
+   * Check whether a timeframe is supported
+   *
+   * @param {string} timeframe Timeframe key
+   * @returns {boolean} True if supported
+   */
+  isValidTimeframe(timeframe) {
+    return Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+  }
+
+  /**
+   * Get downsampled history for every outcome of a market
+   *
+   * @param {string} marketId Normalized market ID
+   * @param {string} timeframe '1H', '6H', '1D', '1W' or 'ALL'
+   * @param {number} now Reference time in ms (default: now)
+   * @returns {Object|null} { outcomeName: [{ time, value }] } or null if unknown market
+   */
+  getHistory(marketId, timeframe = 'ALL', now = Date.now()) {
+    const entry = this.series[marketId];
+    if (!entry) {
+      return null;
+    }
+
+    const result = {};
+    for (const [name, points] of Object.entries(entry.outcomes)) {
+      result[name] = this.downsample(points, timeframe, now);
+    }
+
+    return result;
+  }
+
+  /**
+   * Raw (not downsampled) price and volume series of a market
+   * The arrays are the store's own and must not be modified.
+   *
+   * @param {string} marketId Normalized market ID
+   * @returns {Object|null} { outcomes: { name: [{ time, value }] }, volume: [{ time, volume, liquidity }] }
+   */
+  getRawSeries(marketId) {
+    const entry = this.series[marketId];
+    if (!entry) {
+      return null;
+    }
+
+    return { outcomes: entry.outcomes, volume: entry.volume };
+  }
+
+  /**
+   * Downsample a series into fixed-width buckets, keeping the last
+   * (closing) price in each bucket
+   *
+   * @param {Array} points Raw points sorted by time
+   * @param {string} timeframe Timeframe key
+   * @param {number} now Reference time in ms
+   * @returns {Array} Downsampled points
+   */
+  downsample(points, timeframe, now = Date.now()) {
+    if (!Array.isArray(points) || points.length === 0) {
+      return [];
+    }
+
+    const config = TIMEFRAMES[timeframe] || TIMEFRAMES.ALL;
+    const nowSeconds = Math.floor(now / 1000);
+
+    const cutoff = config.window ? nowSeconds - config.window : -Infinity;
+    const windowed = points.filter(p => p.time >= cutoff);
+
+    if (windowed.length === 0) {
+      return [];
+    }
+
+    // ALL: choose a bucket width that keeps the result under maxPointsPerQuery
+    let bucket = config.bucket;
+    if (!bucket) {
+      const span = windowed[windowed.length - 1].time - windowed[0].time;
+      bucket = Math.max(1, Math.ceil(span / this.maxPointsPerQuery));
+    }
+
+    const result = [];
+    for (const point of windowed) {
+      const bucketTime = Math.floor(point.time / bucket) * bucket;
+      const last = result[result.length - 1];
+
+      if (last && last.time === bucketTime) {
+        last.value = point.value;
+      } else {
+        result.push({ time: bucketTime, value: point.value });
+      }
+    }
+
+    // Anchor the final point at its real observation time
+    result[result.length - 1].time = windowed[windowed.length - 1].time;
+
+    return result;
+  }
+
+  // ====================================================================
+  // MAINTENANCE
+  // ====================================================================
+
+  /**
+   * Drop points older than the retention window and remove empty series
+   *
+   * @param {number} now Reference time in ms (default: now)
+   * @returns {number} Number of points removed
+   */
+  prune(now = Date.now()) {
+    const cutoff = Math.floor((now - this.retentionMs) / 1000);
+    let removed = 0;
+
+    for (const [marketId, entry] of Object.entries(this.series)) {
+      for (const [name, points] of Object.entries(entry.outcomes)) {
+        const firstKept = points.findIndex(p => p.time >= cutoff);
+        const dropCount = firstKept === -1 ? points.length : firstKept;
+
+        if (dropCount > 0) {
+          points.splice(0, dropCount);
+          removed += dropCount;
+        }
+
+        if (points.length === 0) {
+          delete entry.outcomes[name];
+        }
+      }
+
+      const firstVolumeKept = entry.volume.findIndex(p => p.time >= cutoff);
+      entry.volume.splice(0, firstVolumeKept === -1 ? entry.volume.length : firstVolumeKept);
+
+      if (Object.keys(entry.outcomes).length === 0 && entry.volume.length === 0) {
+        delete this.series[marketId];
+      }
+    }
+
+    this.stats.pointsPruned += removed;
+
+    if (removed > 0) {
+      console.log(`[PriceHistoryStore] Pruned ${removed} points older than retention window`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get store statistics
+   *
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let seriesCount = 0;
+    let pointCount = 0;
+    let volumePointCount = 0;
+
+    for (const entry of Object.values(this.series)) {
+      for (const points of Object.values(entry.outcomes)) {
+        seriesCount++;
+        pointCount += points.length;
+      }
+      volumePointCount += entry.volume.length;
+    }
+
+    return {
+      marketCount: Object.keys(this.series).length,
+      seriesCount,
+      pointCount,
+      volumePointCount,
+      ...this.stats
+    };
+  }
+}
+
+PriceHistoryStore.TIMEFRAMES = TIMEFRAMES;
+
+// Export for use in server
+module.exports = PriceHistoryStore;
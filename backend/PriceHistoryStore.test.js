@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for PriceHistoryStore
+ * Tests recording, change detection, retention, downsampling and persistence hooks
+ */
+
+const PriceHistoryStore = require('./PriceHistoryStore');
+
+describe('PriceHistoryStore', () => {
+  let store;
+  const base = Date.UTC(2025, 10, 1, 12, 0, 0); // Fixed reference time
+
+  const market = (yes, no = 1 - yes) => ({
+    id: 'poly-123',
+    outcomes: [
+      { name: 'Yes', price: yes },
+      { name: 'No', price: no }
+    ]
+  });
+
+  beforeEach(() => {
+    store = new PriceHistoryStore({ heartbeatMs: 60000 });
+  });
+
+  describe('Recording', () => {
+    test('should record a point per outcome', () => {
+      const appended = store.recordMarket(market(0.6), base);
+      expect(appended).toBe(2);
+
+      const history = store.getHistory('poly-123', 'ALL', base);
+      expect(history.Yes).toEqual([{ time: base / 1000, value: 0.6 }]);
+      expect(history.No[0].value).toBeCloseTo(0.4);
+    });
+
+    test('should skip unchanged prices within the heartbeat interval', () => {
+      store.recordMarket(market(0.6), base);
+      const appended = store.recordMarket(market(0.6), base + 5000);
+      expect(appended).toBe(0);
+      expect(store.getStats().pointsSkipped).toBe(2);
+    });
+
+    test('should record unchanged prices once the heartbeat elapses', () => {
+      store.recordMarket(market(0.6), base);
+      expect(store.recordMarket(market(0.6), base + 61000)).toBe(2);
+    });
+
+    test('should record price changes immediately', () => {
+      store.recordMarket(market(0.6), base);
+      expect(store.recordMarket(market(0.62), base + 5000)).toBe(2);
+    });
+
+    test('should ignore invalid markets and outcomes', () => {
+      expect(store.recordMarket(null)).toBe(0);
+      expect(store.recordMarket({ id: 'x' })).toBe(0);
+      expect(store.recordMarket({ id: 'x', outcomes: [{ name: 'Yes', price: 'n/a' }] })).toBe(0);
+    });
+
+    test('should return null for unknown markets', () => {
+      expect(store.getHistory('poly-unknown')).toBeNull();
+    });
+
+    test('should cap series length', () => {
+      store = new PriceHistoryStore({ maxPointsPerSeries: 3 });
+      for (let i = 0; i < 5; i++) {
+        store.recordMarket(market(0.5 + i / 100), base + i * 1000);
+      }
+      expect(store.series['poly-123'].outcomes.Yes).toHaveLength(3);
+    });
+  });
+
+  describe('Downsampling', () => {
+    test('should restrict points to the timeframe window', () => {
+      store.recordMarket(market(0.5), base - 2 * 3600 * 1000);
+      store.recordMarket(market(0.7), base - 10 * 60 * 1000);
+
+      const history = store.getHistory('poly-123', '1H', base);
+      expect(history.Yes).toHaveLength(1);
+      expect(history.Yes[0].value).toBe(0.7);
+    });
+
+    test('should keep the closing price of each bucket', () => {
+      // Three changes inside the same 1-minute bucket
+      store.recordMarket(market(0.50), base);
+      store.recordMarket(market(0.52), base + 10000);
+      store.recordMarket(market(0.55), base + 20000);
+
+      const history = store.getHistory('poly-123', '1H', base + 30000);
+      expect(history.Yes).toHaveLength(1);
+      expect(history.Yes[0].value).toBe(0.55);
+    });
+
+    test('should bound ALL timeframe results by maxPointsPerQuery', () => {
+      store = new PriceHistoryStore({ maxPointsPerQuery: 10 });
+      for (let i = 0; i < 100; i++) {
+        store.recordMarket(market(0.3 + (i % 2) / 10), base + i * 60000);
+      }
+      const history = store.getHistory('poly-123', 'ALL', base + 100 * 60000);
+      expect(history.Yes.length).toBeLessThanOrEqual(11);
+    });
+
+    test('should validate timeframes', () => {
+      expect(store.isValidTimeframe('1D')).toBe(true);
+      expect(store.isValidTimeframe('5Y')).toBe(false);
+    });
+  });
+
+  describe('Retention', () => {
+    test('should prune points older than the retention window', () => {
+      store = new PriceHistoryStore({ retentionMs: 3600 * 1000 });
+      store.recordMarket(market(0.5), base - 2 * 3600 * 1000);
+      store.recordMarket(market(0.6), base);
+
+      const removed = store.prune(base);
+      expect(removed).toBe(2);
+      expect(store.getHistory('poly-123', 'ALL', base).Yes).toHaveLength(1);
+    });
+
+    test('should drop markets with no remaining points', () => {
+      store = new PriceHistoryStore({ retentionMs: 1000 });
+      store.recordMarket(market(0.5), base - 10000);
+      store.prune(base);
+      expect(store.getHistory('poly-123')).toBeNull();
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should report appended points but not skipped ones', () => {
+      const onAppend = jest.fn();
+      store = new PriceHistoryStore({ heartbeatMs: 60000, onAppend });
+
+      store.recordMarket(market(0.6), base);
+      store.recordMarket(market(0.6), base + 1000);
+
+      expect(onAppend).toHaveBeenCalledTimes(2);
+      expect(onAppend).toHaveBeenCalledWith('poly-123', 'Yes', { time: base / 1000, value: 0.6 });
+    });
+
+    test('should restore persisted points and keep recording after them', () => {
+      const t = base / 1000;
+      const restored = store.restore([
+        { marketId: 'poly-123', outcome: 'Yes', time: t, value: 0.5 },
+        { marketId: 'poly-123', outcome: 'Yes', time: t + 60, value: 0.55 },
+        { marketId: 'poly-123', outcome: 'Yes', time: t + 60, value: 0.55 }
+      ]);
+
+      expect(restored).toBe(2);
+      store.recordMarket(market(0.7), base + 120000);
+      expect(store.getHistory('poly-123', 'ALL', base + 120000).Yes.map(p => p.value)).toEqual([0.5, 0.55, 0.7]);
+    });
+  });
+
+  describe('Volume', () => {
+    test('should record volume samples and skip unchanged ones within the heartbeat', () => {
+      const onVolume = jest.fn();
+      store = new PriceHistoryStore({ heartbeatMs: 60000, onVolume });
+
+      store.recordMarket({ ...market(0.6), volume_24h: 1000, liquidity: 50 }, base);
+      store.recordMarket({ ...market(0.6), volume_24h: 1000, liquidity: 50 }, base + 5000);
+      store.recordMarket({ ...market(0.6), volume_24h: 1500 }, base + 10000);
+
+      expect(store.getRawSeries('poly-123').volume).toEqual([
+        { time: base / 1000, volume: 1000, liquidity: 50 },
+        { time: base / 1000 + 10, volume: 1500, liquidity: null }
+      ]);
+      expect(onVolume).toHaveBeenCalledTimes(2);
+      expect(store.getStats().volumePointCount).toBe(2);
+    });
+
+    test('should restore and prune volume samples', () => {
+      const t = base / 1000;
+      expect(store.restoreVolume([
+        { marketId: 'kalshi-1', time: t, volume: 100, liquidity: null },
+        { marketId: 'kalshi-1', time: t, volume: 100, liquidity: null }
+      ])).toBe(1);
+
+      store.prune(base + store.retentionMs + 1000);
+      expect(store.getRawSeries('kalshi-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * RateBudget - Token-bucket request budget per upstream host
+ *
+ * HttpClient takes a token here before every request it sends (each retry
+ * and redirect included), so fetchers, polling and server routes all share
+ * one budget per host instead of keeping their own counters.
+ *
+ * Each host has a bucket refilled at perMinute / 60 tokens per second and
+ * holding at most `burst` tokens. Requests carry a priority:
+ *
+ *   interactive  a user is waiting (server routes); served first
+ *   background   polling and warm-up; may not spend the last
+ *                `reserve` tokens, which are kept for interactive requests
+ *
+ * Requests that cannot be served wait in a FIFO queue per priority. Usage,
+ * throttled requests and time spent waiting are reported by getStats().
+ */
+
+const PRIORITIES = ['interactive', 'background'];
+
+// Burst size as seconds of refill
+const BURST_SECONDS = 10;
+
+// Share of the burst kept for interactive requests
+const INTERACTIVE_RESERVE = 0.2;
+
+// Budget for hosts nobody configured (requests per minute)
+const DEFAULT_PER_MINUTE = 60;
+
+class RateBudget {
+  /**
+   * @param {Object} options Budget options
+   * @param {number} options.defaultPerMinute Budget for unconfigured hosts (default 60)
+   * @param {Object} options.hosts Initial budgets { 'api.example.com': { perMinute, burst, reserve } }
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.defaultPerMinute = options.defaultPerMinute || DEFAULT_PER_MINUTE;
+    this.clock = options.clock || (() => Date.now());
+
+    // host -> bucket { perMinute, burst, reserve, tokens, refilledAt, queues, timer, stats }
+    this.buckets = new Map();
+
+    for (const [host, config] of Object.entries(options.hosts || {})) {
+      this.configure(host, config);
+    }
+  }
+
+  /**
+   * Set the budget of a host
+   * Keeps the current tokens (capped to the new burst) and queued requests.
+   *
+   * @param {string} host Host (with port if not default)
+   * @param {Object} config Budget
+   * @param {number} config.perMinute Sustained requests per minute
+   * @param {number} config.burst Bucket size (default 10 seconds of refill)
+   * @param {number} config.reserve Tokens only interactive requests may use (default 20% of burst)
+   */
+  configure(host, config = {}) {
+    const fresh = !this.buckets.has(host);
+    const bucket = this.getBucket(host);
+    const now = this.clock();
+    this.refill(bucket, now);
+
+    bucket.perMinute = config.perMinute || this.defaultPerMinute;
+    bucket.burst = config.burst || Math.max(1, Math.ceil(bucket.perMinute * BURST_SECONDS / 60));
+    bucket.reserve = config.reserve !== undefined
+      ? Math.min(config.reserve, bucket.burst - 1)
+      : Math.floor(bucket.burst * INTERACTIVE_RESERVE);
+    bucket.tokens = fresh ? bucket.burst : Math.min(bucket.tokens, bucket.burst);
+
+    this.drain(host);
+  }
+
+  /**
+   * Bucket for a host (created with the default budget on first use)
+   * @param {string} host Host
+   * @returns {Object} Bucket
+   */
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      const burst = Math.max(1, Math.ceil(this.defaultPerMinute * BURST_SECONDS / 60));
+
+      this.buckets.set(host, {
+        perMinute: this.defaultPerMinute,
+        burst,
+        reserve: Math.floor(burst * INTERACTIVE_RESERVE),
+        tokens: burst,
+        refilledAt: this.clock(),
+        queues: { interactive: [], background: [] },
+        timer: null,
+        granted: [], // Grant times within the last minute
+        stats: {
+          granted: { interactive: 0, background: 0 },
+          throttled: { interactive: 0, background: 0 },
+          totalWaitMs: 0,
+          maxWaitMs: 0
+        }
+      });
+    }
+
+    return this.buckets.get(host);
+  }
+
+  // ====================================================================
+  // ACQUIRING TOKENS
+  // ====================================================================
+
+  /**
+   * Take one token for a request to a host, waiting if the budget is spent
+   *
+   * @param {string} host Host
+   * @param {string} priority 'interactive' or 'background' (default)
+   * @returns {Promise<number>} Time spent waiting in ms
+   */
+  acquire(host, priority = 'background') {
+    const bucket = this.getBucket(host);
+    const level = PRIORITIES.includes(priority) ? priority : 'background';
+    const now = this.clock();
+
+    this.refill(bucket, now);
+
+    // Only jump ahead of no-one: earlier requests of the same or higher priority go first
+    const ahead = level === 'interactive'
+      ? bucket.queues.interactive.length
+      : bucket.queues.interactive.length + bucket.queues.background.length;
+
+    if (ahead === 0 && this.available(bucket, level) >= 1) {
+      this.grant(bucket, level, 0, now);
+      return Promise.resolve(0);
+    }
+
+    bucket.stats.throttled[level]++;
+
+    return new Promise((resolve) => {
+      bucket.queues[level].push({ enqueuedAt: now, resolve });
+      this.drain(host);
+    });
+  }
+
+  /**
+   * Tokens a request of the given priority may spend
+   * @param {Object} bucket Bucket
+   * @param {string} priority Priority
+   * @returns {number} Spendable tokens
+   */
+  available(bucket, priority) {
+    return priority === 'interactive' ? bucket.tokens : bucket.tokens - bucket.reserve;
+  }
+
+  /**
+   * Spend a token and record the grant
+   * @param {Object} bucket Bucket
+   * @param {string} priority Priority
+   * @param {number} waitMs Time the request waited
+   * @param {number} now Current time in ms
+   */
+  grant(bucket, priority, waitMs, now) {
+    bucket.tokens -= 1;
+    bucket.granted.push(now);
+    while (now - bucket.granted[0] >= 60000) bucket.granted.shift();
+    bucket.stats.granted[priority]++;
+    bucket.stats.totalWaitMs += waitMs;
+    bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waitMs);
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @param {Object} bucket Bucket
+   * @param {number} now Current time in ms
+   */
+  refill(bucket, now) {
+    const elapsed = Math.max(0, now - bucket.refilledAt);
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + elapsed * bucket.perMinute / 60000);
+    bucket.refilledAt = now;
+  }
+
+  /**
+   * Serve queued requests (interactive first) and schedule the next drain
+   * @param {string} host Host
+   */
+  drain(host) {
+    const bucket = this.buckets.get(host);
+    const now = this.clock();
+
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+
+    this.refill(bucket, now);
+
+    for (const priority of PRIORITIES) {
+      const queue = bucket.queues[priority];
+
+      while (queue.length > 0 && this.available(bucket, priority) >= 1) {
+        const waiter = queue.shift();
+        const waitMs = now - waiter.enqueuedAt;
+        this.grant(bucket, priority, waitMs, now);
+        waiter.resolve(waitMs);
+      }
+
+      // Lower priorities wait while a higher one is still queued
+      if (queue.length > 0) {
+        const missing = 1 - this.available(bucket, priority);
+        const delay = Math.max(1, Math.ceil(missing * 60000 / bucket.perMinute));
+
+        bucket.timer = setTimeout(() => this.drain(host), delay);
+        return;
+      }
+    }
+  }
+
+  // ====================================================================
+  // STATISTICS
+  // ====================================================================
+
+  /**
+   * Budget usage per host
+   * @returns {Object} { host: { perMinute, burst, reserve, tokens, usedLastMinute, utilization, queued, granted, throttled, wait } }
+   */
+  getStats() {
+    const now = this.clock();
+    const stats = {};
+
+    for (const [host, bucket] of this.buckets) {
+      this.refill(bucket, now);
+      bucket.granted = bucket.granted.filter(time => now - time < 60000);
+
+      const throttled = bucket.stats.throttled.interactive + bucket.stats.throttled.background;
+
+      stats[host] = {
+        perMinute: bucket.perMinute,
+        burst: bucket.burst,
+        reserve: bucket.reserve,
+        tokens: Math.floor(bucket.tokens),
+        usedLastMinute: bucket.granted.length,
+        utilization: Number((bucket.granted.length / bucket.perMinute).toFixed(3)),
+        queued: {
+          interactive: bucket.queues.interactive.length,
+          background: bucket.queues.background.length
+        },
+        granted: { ...bucket.stats.granted },
+        throttled: { ...bucket.stats.throttled },
+        wait: {
+          totalMs: bucket.stats.totalWaitMs,
+          maxMs: bucket.stats.maxWaitMs,
+          avgThrottledMs: throttled > 0 ? Math.round(bucket.stats.totalWaitMs / throttled) : 0
+        }
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * Stop drain timers (shutdown and tests); queued requests stay pending
+   */
+  destroy() {
+    for (const bucket of this.buckets.values()) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+  }
+}
+
+RateBudget.PRIORITIES = PRIORITIES;
+RateBudget.DEFAULT_PER_MINUTE = DEFAULT_PER_MINUTE;
+
+// Export for use in HttpClient
+module.exports = RateBudget;
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for RateBudget
+ * Tests token refill, the interactive reserve, priority queueing and metrics
+ */
+
+const RateBudget = require('./RateBudget');
+
+describe('RateBudget', () => {
+  let budget;
+
+  const HOST = 'api.elections.kalshi.com';
+  const START = Date.parse('2026-06-01T00:00:00Z');
+
+  // Acquire without awaiting; records the order grants resolve in
+  const track = (order, label, priority) => budget.acquire(HOST, priority).then((waitMs) => {
+    order.push(label);
+    return waitMs;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    budget = new RateBudget({ hosts: { [HOST]: { perMinute: 60, burst: 5, reserve: 2 } } });
+  });
+
+  afterEach(() => {
+    budget.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should derive burst and reserve from the per-minute budget', () => {
+    budget.configure('gamma-api.polymarket.com', { perMinute: 100 });
+
+    expect(budget.getStats()['gamma-api.polymarket.com']).toMatchObject({ perMinute: 100, burst: 17, reserve: 3, tokens: 17 });
+    expect(budget.getBucket('unknown.example.com')).toMatchObject({ perMinute: 60, burst: 10, reserve: 2 });
+  });
+
+  test('should keep the reserve for interactive requests', async () => {
+    const order = [];
+    for (let i = 0; i < 4; i++) track(order, `bg-${i}`);
+    await Promise.resolve();
+
+    // 5 tokens, 2 reserved: three background grants, the fourth waits
+    expect(order).toEqual(['bg-0', 'bg-1', 'bg-2']);
+
+    await expect(budget.acquire(HOST, 'interactive')).resolves.toBe(0);
+    await expect(budget.acquire(HOST, 'interactive')).resolves.toBe(0);
+    expect(order).toHaveLength(3);
+  });
+
+  test('should serve queued interactive requests before background ones', async () => {
+    const order = [];
+    for (let i = 0; i < 5; i++) budget.acquire(HOST, 'interactive');
+
+    track(order, 'bg-1', 'background');
+    track(order, 'bg-2', 'background');
+    track(order, 'ui-1', 'interactive');
+
+    // One token per second: the interactive request goes first
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order).toEqual(['ui-1']);
+
+    // Background waits until the reserve is refilled too
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(order).toEqual(['ui-1']);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order).toEqual(['ui-1', 'bg-1']);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order).toEqual(['ui-1', 'bg-1', 'bg-2']);
+  });
+
+  test('should report usage and throttling delays', async () => {
+    for (let i = 0; i < 5; i++) budget.acquire(HOST, 'interactive');
+    const waited = budget.acquire(HOST, 'interactive');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(waited).resolves.toBe(1000);
+
+    expect(budget.getStats()[HOST]).toMatchObject({
+      tokens: 0,
+      usedLastMinute: 6,
+      utilization: 0.1,
+      queued: { interactive: 0, background: 0 },
+      granted: { interactive: 6, background: 0 },
+      throttled: { interactive: 1, background: 0 },
+      wait: { totalMs: 1000, maxMs: 1000, avgThrottledMs: 1000 }
+    });
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(budget.getStats()[HOST]).toMatchObject({ tokens: 5, usedLastMinute: 0 });
+  });
+});
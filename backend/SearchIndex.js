@@ -0,0 +1,579 @@
+/**
+ * SearchIndex - In-process full-text index over unified markets
+ *
+ * Backs /api/search. Each unified market is one document with four fields:
+ *
+ *   question  market question (platform questions included when they differ)
+ *   outcomes  outcome names across platforms
+ *   category  market category
+ *   entities  names, dates and events from MarketMatchingEngine.extractEntities
+ *
+ * Ranking is BM25F: per-field term frequencies are length-normalized, weighted
+ * by FIELD_WEIGHTS and combined before the BM25 saturation. Every query term
+ * must match (AND). A query term matches index terms exactly, by prefix
+ * (search-as-you-type) or within a small edit distance (typos); prefix and
+ * fuzzy matches score less than exact ones.
+ *
+ * The index keeps a reference to each market, so filters (platform,
+ * category, status, volume, end date) always see current data. PollingService
+ * keeps it in sync with the unified market cache: changed markets are
+ * re-indexed as they are updated and sync() adds and drops markets.
+ */
+
+// Relative importance of each field
+const FIELD_WEIGHTS = {
+  question: 3.0,
+  outcomes: 1.5,
+  category: 1.0,
+  entities: 2.0
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for non-exact term matches
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTOR = 0.6; // Per edit: 0.6 for one edit, 0.36 for two
+
+// Most expansions considered per query term
+const MAX_EXPANSIONS = 30;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'by', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'will', 'with'
+]);
+
+class SearchIndex {
+  /**
+   * @param {Object} options Index options
+   * @param {Function} options.extractEntities question -> { names, dates, events } (default: none)
+   * @param {Function} options.statusOf market -> lifecycle status (default: market.status)
+   * @param {Object} options.fieldWeights Field weight overrides
+   */
+  constructor(options = {}) {
+    this.extractEntities = options.extractEntities || null;
+    this.statusOf = options.statusOf || (market => market.status);
+    this.fieldWeights = { ...FIELD_WEIGHTS, ...(options.fieldWeights || {}) };
+
+    // unified_id -> { market, signature, fields: { field: { terms: Map, length } } }
+    this.docs = new Map();
+
+    // term -> Set of unified_ids
+    this.postings = new Map();
+
+    // Sum of field lengths over all documents (for average lengths)
+    this.fieldLengthTotals = {};
+    for (const field of Object.keys(this.fieldWeights)) {
+      this.fieldLengthTotals[field] = 0;
+    }
+
+    // Sorted vocabulary for prefix lookups (rebuilt lazily)
+    this.sortedTerms = null;
+  }
+
+  // ====================================================================
+  // TEXT PROCESSING
+  // ====================================================================
+
+  /**
+   * Normalize a word: lowercase, strip accents
+   * @param {string} word Word
+   * @returns {string} Normalized word
+   */
+  normalizeWord(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split text into index terms (stop words removed)
+   * @param {string} text Text
+   * @returns {Array<string>} Terms in order
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    return (String(text).match(/[\p{L}\p{N}]+/gu) || [])
+      .map(word => this.normalizeWord(word))
+      .filter(term => term && !STOP_WORDS.has(term));
+  }
+
+  /**
+   * Searchable text of a unified market, per field
+   * @param {Object} market Unified market
+   * @returns {Object} { question, outcomes, category, entities } strings
+   */
+  fieldTexts(market) {
+    const platformMarkets = Object.values(market.platforms || {}).filter(Boolean);
+
+    const questions = new Set([market.question, ...platformMarkets.map(m => m.question)].filter(Boolean));
+    const outcomes = new Set();
+    for (const platformMarket of platformMarkets) {
+      for (const outcome of platformMarket.allOutcomes || platformMarket.outcomes || []) {
+        if (outcome && outcome.name && !['yes', 'no'].includes(outcome.name.toLowerCase())) {
+          outcomes.add(outcome.name);
+        }
+      }
+    }
+
+    let entities = '';
+    if (this.extractEntities && market.question) {
+      const extracted = this.extractEntities(market.question) || {};
+      entities = [...(extracted.names || []), ...(extracted.dates || []), ...(extracted.events || [])].join(' ');
+    }
+
+    return {
+      question: [...questions].join(' '),
+      outcomes: [...outcomes].join(' '),
+      category: market.category || '',
+      entities
+    };
+  }
+
+  // ====================================================================
+  // INDEXING
+  // ====================================================================
+
+  /**
+   * Add or update a unified market
+   * Only re-tokenizes when its text changed; otherwise just swaps the market
+   * reference used for filters and results.
+   *
+   * @param {Object} market Unified market
+   * @returns {boolean} True if the market was (re-)indexed
+   */
+  upsert(market) {
+    if (!market || !market.unified_id) return false;
+
+    const texts = this.fieldTexts(market);
+    const signature = JSON.stringify(texts);
+    const existing = this.docs.get(market.unified_id);
+
+    if (existing && existing.signature === signature) {
+      existing.market = market;
+      return false;
+    }
+
+    if (existing) this.remove(market.unified_id);
+
+    const fields = {};
+    for (const field of Object.keys(this.fieldWeights)) {
+      const terms = new Map();
+      const tokens = this.tokenize(texts[field]);
+
+      for (const term of tokens) {
+        terms.set(term, (terms.get(term) || 0) + 1);
+
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Set());
+          this.sortedTerms = null;
+        }
+        this.postings.get(term).add(market.unified_id);
+      }
+
+      fields[field] = { terms, length: tokens.length };
+      this.fieldLengthTotals[field] += tokens.length;
+    }
+
+    this.docs.set(market.unified_id, { market, signature, fields });
+    return true;
+  }
+
+  /**
+   * Remove a unified market
+   * @param {string} unifiedId Unified market ID
+   * @returns {boolean} True if it was indexed
+   */
+  remove(unifiedId) {
+    const doc = this.docs.get(unifiedId);
+    if (!doc) return false;
+
+    for (const [field, { terms, length }] of Object.entries(doc.fields)) {
+      this.fieldLengthTotals[field] -= length;
+
+      for (const term of terms.keys()) {
+        const ids = this.postings.get(term);
+        if (!ids) continue;
+        ids.delete(unifiedId);
+        if (ids.size === 0) {
+          this.postings.delete(term);
+          this.sortedTerms = null;
+        }
+      }
+    }
+
+    this.docs.delete(unifiedId);
+    return true;
+  }
+
+  /**
+   * Mirror a full set of unified markets (the cache contents)
+   * Markets whose object is unchanged are skipped; missing ones are dropped.
+   *
+   * @param {Array} markets Unified markets
+   * @returns {Object} { indexed, removed }
+   */
+  sync(markets) {
+    const seen = new Set();
+    let indexed = 0;
+    let removed = 0;
+
+    for (const market of markets || []) {
+      if (!market || !market.unified_id) continue;
+      seen.add(market.unified_id);
+
+      const doc = this.docs.get(market.unified_id);
+      if (doc && doc.market === market) continue;
+      if (this.upsert(market)) indexed++;
+    }
+
+    for (const unifiedId of [...this.docs.keys()]) {
+      if (!seen.has(unifiedId)) {
+        this.remove(unifiedId);
+        removed++;
+      }
+    }
+
+    if (indexed > 0 || removed > 0) {
+      console.log(`[SearchIndex] Synced: ${indexed} indexed, ${removed} removed (${this.docs.size} markets)`);
+    }
+
+    return { indexed, removed };
+  }
+
+  // ====================================================================
+  // TERM MATCHING
+  // ====================================================================
+
+  /**
+   * Edit distance, giving up once it exceeds maxEdits
+   * @param {string} a First term
+   * @param {string} b Second term
+   * @param {number} maxEdits Largest distance of interest
+   * @returns {number} Distance, or maxEdits + 1 when larger
+   */
+  boundedDistance(a, b, maxEdits) {
+    if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > maxEdits) return maxEdits + 1;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Index terms a query term matches, with score multipliers
+   * Exact 1.0; prefix PREFIX_FACTOR (terms of 2+ characters); fuzzy
+   * FUZZY_FACTOR per edit (1 edit from 4 characters, 2 from 8).
+   *
+   * @param {string} queryTerm Normalized query term
+   * @returns {Map<string, number>} term -> factor
+   */
+  expandTerm(queryTerm) {
+    const expansions = new Map();
+
+    if (this.postings.has(queryTerm)) {
+      expansions.set(queryTerm, 1);
+    }
+
+    if (queryTerm.length >= 2) {
+      const terms = this.getSortedTerms();
+      let low = 0;
+      let high = terms.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (terms[mid] < queryTerm) low = mid + 1; else high = mid;
+      }
+
+      for (let i = low; i < terms.length && terms[i].startsWith(queryTerm) && expansions.size < MAX_EXPANSIONS; i++) {
+        if (!expansions.has(terms[i])) expansions.set(terms[i], PREFIX_FACTOR);
+      }
+    }
+
+    const maxEdits = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+    if (maxEdits > 0) {
+      const fuzzy = [];
+
+      for (const term of this.postings.keys()) {
+        if (expansions.has(term)) continue;
+        const distance = this.boundedDistance(queryTerm, term, maxEdits);
+        if (distance <= maxEdits) fuzzy.push([term, Math.pow(FUZZY_FACTOR, distance)]);
+      }
+
+      fuzzy
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, Math.max(0, MAX_EXPANSIONS - expansions.size))
+        .forEach(([term, factor]) => expansions.set(term, factor));
+    }
+
+    return expansions;
+  }
+
+  /**
+   * Vocabulary in sorted order
+   * @returns {Array<string>} Terms
+   */
+  getSortedTerms() {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+    return this.sortedTerms;
+  }
+
+  /**
+   * BM25F score of one term in one document
+   * @param {string} term Index term
+   * @param {Object} doc Indexed document
+   * @param {number} idf Inverse document frequency of the term
+   * @returns {number} Score
+   */
+  scoreTerm(term, doc, idf) {
+    let weightedTf = 0;
+
+    for (const [field, weight] of Object.entries(this.fieldWeights)) {
+      const { terms, length } = doc.fields[field];
+      const tf = terms.get(term);
+      if (!tf) continue;
+
+      const avgLength = this.fieldLengthTotals[field] / this.docs.size || 1;
+      weightedTf += weight * tf / (1 - B + B * length / avgLength);
+    }
+
+    return idf * weightedTf * (K1 + 1) / (weightedTf + K1);
+  }
+
+  // ====================================================================
+  // SEARCH
+  // ====================================================================
+
+  /**
+   * Search unified markets
+   *
+   * @param {string} query Free text
+   * @param {Object} options Search options
+   * @param {Object} options.filters { platforms: [], categories: [], statuses: [], minVolume, maxVolume, endAfter, endBefore }
+   * @param {number} options.offset Results to skip (default 0)
+   * @param {number} options.limit Page size (default 20)
+   * @returns {Object} { total, results: [{ market, score, matchedTerms, highlights }] }
+   */
+  search(query, options = {}) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const offset = options.offset || 0;
+    const limit = options.limit || 20;
+
+    if (queryTerms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    let candidates = null;
+    const perTerm = [];
+
+    for (const queryTerm of queryTerms) {
+      const expansions = this.expandTerm(queryTerm);
+      const matching = new Set();
+
+      for (const term of expansions.keys()) {
+        for (const id of this.postings.get(term)) matching.add(id);
+      }
+
+      candidates = candidates === null
+        ? matching
+        : new Set([...candidates].filter(id => matching.has(id)));
+      perTerm.push(expansions);
+
+      if (candidates.size === 0) {
+        return { total: 0, results: [] };
+      }
+    }
+
+    const docCount = this.docs.size;
+    const idf = (term) => {
+      const df = this.postings.get(term).size;
+      return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    };
+
+    const hits = [];
+    for (const id of candidates) {
+      const doc = this.docs.get(id);
+      if (!this.matchesFilters(doc.market, options.filters || {})) continue;
+
+      let score = 0;
+      const matchedTerms = new Set();
+
+      for (const expansions of perTerm) {
+        let best = 0;
+        let bestTerm = null;
+
+        for (const [term, factor] of expansions) {
+          if (!this.postings.get(term).has(id)) continue;
+          const termScore = factor * this.scoreTerm(term, doc, idf(term));
+          if (termScore > best) {
+            best = termScore;
+            bestTerm = term;
+          }
+        }
+
+        score += best;
+        if (bestTerm) matchedTerms.add(bestTerm);
+      }
+
+      hits.push({ doc, score, matchedTerms });
+    }
+
+    hits.sort((a, b) => b.score - a.score ||
+      (b.doc.market.combined_volume || 0) - (a.doc.market.combined_volume || 0));
+
+    return {
+      total: hits.length,
+      results: hits.slice(offset, offset + limit).map(({ doc, score, matchedTerms }) => ({
+        market: doc.market,
+        score: Number(score.toFixed(4)),
+        matchedTerms: [...matchedTerms],
+        highlights: this.highlight(doc.market, matchedTerms)
+      }))
+    };
+  }
+
+  /**
+   * Whether a market passes the search filters
+   * @param {Object} market Unified market
+   * @param {Object} filters See search()
+   * @returns {boolean} True if it passes
+   */
+  matchesFilters(market, filters) {
+    const platforms = Object.keys(market.platforms || {});
+
+    if (filters.platforms && filters.platforms.length > 0 &&
+        !filters.platforms.some(platform => platforms.includes(platform))) {
+      return false;
+    }
+
+    if (filters.categories && filters.categories.length > 0 &&
+        !filters.categories.includes(String(market.category || '').toLowerCase())) {
+      return false;
+    }
+
+    if (filters.statuses && filters.statuses.length > 0 && !filters.statuses.includes(this.statusOf(market))) {
+      return false;
+    }
+
+    const volume = market.combined_volume || 0;
+    if (filters.minVolume !== undefined && filters.minVolume !== null && volume < filters.minVolume) return false;
+    if (filters.maxVolume !== undefined && filters.maxVolume !== null && volume > filters.maxVolume) return false;
+
+    if (filters.endAfter || filters.endBefore) {
+      const end = this.endTime(market);
+      if (end === null) return false;
+      if (filters.endAfter && end < filters.endAfter) return false;
+      if (filters.endBefore && end > filters.endBefore) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolution time of a unified market
+   * @param {Object} market Unified market
+   * @returns {number|null} Earliest end date in ms, or null when unknown
+   */
+  endTime(market) {
+    const dates = [market.resolution_date, ...Object.values(market.platforms || {}).map(m => m && m.endDate)]
+      .map(date => (date ? new Date(date).getTime() : NaN))
+      .filter(time => !isNaN(time));
+
+    return dates.length > 0 ? Math.min(...dates) : null;
+  }
+
+  // ====================================================================
+  // HIGHLIGHTING
+  // ====================================================================
+
+  /**
+   * Escape text for HTML
+   * @param {string} text Text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+  }
+
+  /**
+   * Wrap matched words in <mark> (the rest is HTML-escaped)
+   * @param {string} text Original text
+   * @param {Set<string>} terms Matched index terms
+   * @returns {string|null} Highlighted HTML, or null when nothing matched
+   */
+  markText(text, terms) {
+    let html = '';
+    let last = 0;
+    let marked = false;
+
+    for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (!terms.has(this.normalizeWord(match[0]))) continue;
+
+      html += `${this.escapeHtml(text.slice(last, match.index))}<mark>${this.escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+      marked = true;
+    }
+
+    return marked ? html + this.escapeHtml(text.slice(last)) : null;
+  }
+
+  /**
+   * Highlighted snippets of the fields a result matched in
+   * @param {Object} market Unified market
+   * @param {Set<string>} terms Matched index terms
+   * @returns {Object} { question, outcomes: [], category } (matched fields only)
+   */
+  highlight(market, terms) {
+    const highlights = {};
+
+    const question = this.markText(market.question || '', terms);
+    if (question) highlights.question = question;
+
+    const outcomes = new Set(
+      Object.values(market.platforms || {})
+        .flatMap(m => (m && (m.allOutcomes || m.outcomes)) || [])
+        .map(outcome => outcome && outcome.name)
+        .filter(name => name && !['yes', 'no'].includes(name.toLowerCase()))
+    );
+    const markedOutcomes = [...outcomes].map(name => this.markText(name, terms)).filter(Boolean);
+    if (markedOutcomes.length > 0) highlights.outcomes = markedOutcomes;
+
+    const category = this.markText(market.category || '', terms);
+    if (category) highlights.category = category;
+
+    return highlights;
+  }
+
+  /**
+   * Index statistics
+   * @returns {Object} { markets, terms }
+   */
+  getStats() {
+    return {
+      markets: this.docs.size,
+      terms: this.postings.size
+    };
+  }
+}
+
+SearchIndex.FIELD_WEIGHTS = FIELD_WEIGHTS;
+SearchIndex.STOP_WORDS = STOP_WORDS;
+
+// Export for use in PollingService and server
+module.exports = SearchIndex;
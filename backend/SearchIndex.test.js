@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for SearchIndex
+ * Tests BM25F ranking, prefix and fuzzy matching, filters, pagination,
+ * highlighting and incremental updates
+ */
+
+const SearchIndex = require('./SearchIndex');
+const MarketMatchingEngine = require('./MarketMatchingEngine');
+
+describe('SearchIndex', () => {
+  let index;
+
+  const market = (id, question, overrides = {}) => ({
+    unified_id: id,
+    question,
+    category: 'Politics',
+    combined_volume: 1000,
+    resolution_date: '2026-11-03T00:00:00Z',
+    platforms: { polymarket: { id: `polymarket-${id}`, question, outcomes: [{ name: 'Yes', price: 0.5 }, { name: 'No', price: 0.5 }] } },
+    ...overrides
+  });
+
+  const ids = result => result.results.map(hit => hit.market.unified_id);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const matchingEngine = new MarketMatchingEngine();
+    index = new SearchIndex({ extractEntities: question => matchingEngine.extractEntities(question) });
+
+    index.sync([
+      market('trump-2028', 'Will Donald Trump win the 2028 presidential election?', { combined_volume: 50000 }),
+      market('trump-tweet', 'Will Trump tweet about the election today?', { category: 'Culture' }),
+      market('fed-dec', 'Will the Fed cut interest rates in December?', {
+        category: 'Economics',
+        combined_volume: 20000,
+        resolution_date: '2026-12-18T00:00:00Z',
+        platforms: { kalshi: { id: 'kalshi-FED', outcomes: [] } }
+      }),
+      market('nominee', 'Who will be the Democratic nominee?', {
+        platforms: {
+          polymarket: {
+            id: 'polymarket-nominee',
+            outcomes: [],
+            allOutcomes: [{ name: 'Gavin Newsom', price: 0.3 }, { name: 'Kamala Harris', price: 0.2 }]
+          }
+        }
+      })
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Ranking', () => {
+    test('should rank by relevance and require every query term', () => {
+      const result = index.search('trump election 2028');
+
+      expect(ids(result)).toEqual(['trump-2028']);
+      expect(ids(index.search('trump election')).sort()).toEqual(['trump-2028', 'trump-tweet']);
+      expect(index.search('trump rates').total).toBe(0);
+    });
+
+    test('should match outcomes, prefixes and typos', () => {
+      expect(ids(index.search('newsom'))).toEqual(['nominee']);
+      expect(ids(index.search('presid'))).toEqual(['trump-2028']);
+      expect(ids(index.search('intrest rates'))).toEqual(['fed-dec']);
+      expect(index.search('the will').total).toBe(0);
+    });
+
+    test('should score exact matches above prefix and fuzzy ones', () => {
+      index.upsert(market('fuzzy', 'Bitcoun above 100k?'));
+      index.upsert(market('prefix', 'Bitcoins above 100k?'));
+      index.upsert(market('exact', 'Bitcoin above 100k?'));
+
+      const result = index.search('bitcoin');
+      expect(ids(result)).toEqual(['exact', 'prefix', 'fuzzy']);
+      expect(result.results[1].matchedTerms).toEqual(['bitcoins']);
+    });
+  });
+
+  describe('Filters and pagination', () => {
+    test('should filter by platform, category, volume and end date', () => {
+      expect(ids(index.search('election', { filters: { categories: ['culture'] } }))).toEqual(['trump-tweet']);
+      expect(ids(index.search('fed', { filters: { platforms: ['polymarket'] } }))).toEqual([]);
+      expect(ids(index.search('election', { filters: { minVolume: 10000 } }))).toEqual(['trump-2028']);
+      expect(ids(index.search('rates', { filters: { endBefore: Date.parse('2026-12-01T00:00:00Z') } }))).toEqual([]);
+    });
+
+    test('should page through results', () => {
+      const all = ids(index.search('trump'));
+      const page = index.search('trump', { limit: 1, offset: 1 });
+
+      expect(page.total).toBe(2);
+      expect(ids(page)).toEqual([all[1]]);
+    });
+  });
+
+  describe('Highlighting', () => {
+    test('should mark matched words and escape HTML', () => {
+      index.upsert(market('html', 'Will <b>Bitcoin</b> hit $100k?'));
+
+      expect(index.search('bitcoin').results[0].highlights).toEqual({
+        question: 'Will &lt;b&gt;<mark>Bitcoin</mark>&lt;/b&gt; hit $100k?'
+      });
+      expect(index.search('harris').results[0].highlights).toEqual({ outcomes: ['Kamala <mark>Harris</mark>'] });
+    });
+  });
+
+  describe('Incremental updates', () => {
+    test('should re-index changed text and drop removed markets', () => {
+      const updated = market('fed-dec', 'Will the Fed hike interest rates in December?');
+      expect(index.upsert(updated)).toBe(true);
+      expect(index.search('cut').total).toBe(0);
+      expect(ids(index.search('hike'))).toEqual(['fed-dec']);
+
+      // Same text: only the market reference is swapped
+      expect(index.upsert({ ...updated, combined_volume: 1 })).toBe(false);
+      expect(index.search('hike').results[0].market.combined_volume).toBe(1);
+
+      expect(index.sync([updated])).toEqual({ indexed: 0, removed: 3 });
+      expect(index.getStats().markets).toBe(1);
+      expect(index.search('trump').total).toBe(0);
+    });
+  });
+});
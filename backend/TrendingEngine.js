@@ -0,0 +1,338 @@
+/**
+ * TrendingEngine - Explainable trending scores from price and volume snapshots
+ *
+ * Every signal is normalized to 0-1 before weighting, so the weights are the
+ * real share of each signal in the score (0-100):
+ *
+ *   volumeAcceleration  growth of the rolling 24h volume over the last window,
+ *                       from PriceHistoryStore volume samples (per hour)
+ *   priceMomentum       largest outcome price move over the last window
+ *   volume              24h volume (log scale, saturates at $10M)
+ *   liquidity           liquidity (log scale, saturates at $1M)
+ *   competitiveness     closeness of the two leading outcomes
+ *   recency             markets opened in the last 48h / week
+ *
+ * Weights come from options.weights or TRENDING_WEIGHTS
+ * ('priceMomentum:0.4,volume:0.1'); signals left out keep their default
+ * weight and the result is rescaled to sum to 1. Markets without enough
+ * history score 0 on the two momentum signals and say so in the breakdown.
+ */
+
+const SIGNALS = ['volumeAcceleration', 'priceMomentum', 'volume', 'liquidity', 'competitiveness', 'recency'];
+
+const DEFAULT_WEIGHTS = {
+  volumeAcceleration: 0.25,
+  priceMomentum: 0.25,
+  volume: 0.2,
+  liquidity: 0.1,
+  competitiveness: 0.1,
+  recency: 0.1
+};
+
+// Lookback for acceleration and momentum
+const WINDOW_MS = 60 * 60 * 1000;
+
+// Shortest history a momentum signal is computed from
+const MIN_SPAN_MS = 15 * 60 * 1000;
+
+// Normalization scales
+const VOLUME_SCALE = 1e7;        // $10M 24h volume = 1
+const LIQUIDITY_SCALE = 1e6;     // $1M liquidity = 1
+const VOLUME_FLOOR = 1000;       // Growth is measured against at least $1k
+const ACCELERATION_HALF = 0.1;   // +10% 24h volume per hour = 0.5
+const MOMENTUM_SCALE = 0.1;      // 10 point price move = 1
+
+class TrendingEngine {
+  /**
+   * @param {Object} options Engine options
+   * @param {PriceHistoryStore} options.historyStore Price and volume snapshots
+   * @param {Object|string} options.weights Signal weights (default: TRENDING_WEIGHTS or DEFAULT_WEIGHTS)
+   * @param {number} options.windowMs Lookback for momentum signals (default 1 hour)
+   * @param {Function} options.clock Returns the current time in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.historyStore = options.historyStore || null;
+    this.windowMs = options.windowMs || WINDOW_MS;
+    this.clock = options.clock || (() => Date.now());
+    this.weights = this.parseWeights(options.weights || process.env.TRENDING_WEIGHTS || null, DEFAULT_WEIGHTS);
+
+    console.log('[TrendingEngine] Weights:', this.formatWeights(this.weights));
+  }
+
+  // ====================================================================
+  // WEIGHTS
+  // ====================================================================
+
+  /**
+   * Merge weight overrides into a base set and rescale to sum to 1
+   *
+   * @param {Object|string|null} spec { signal: weight } or 'signal:weight,...'
+   * @param {Object} base Weights the overrides apply to (default: the engine's)
+   * @returns {Object} { signal: weight } summing to 1
+   * @throws {Error} On an unknown signal or a negative weight
+   */
+  parseWeights(spec, base = this.weights) {
+    let overrides = spec || {};
+
+    if (typeof overrides === 'string') {
+      overrides = Object.fromEntries(overrides.split(',')
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+          const [name, value] = pair.split(':').map(part => part.trim());
+          return [name, value === undefined || value === '' ? NaN : Number(value)];
+        }));
+    }
+
+    const weights = { ...base };
+    for (const [name, value] of Object.entries(overrides)) {
+      if (!SIGNALS.includes(name)) {
+        throw new Error(`Unknown trending signal: ${name} (expected one of ${SIGNALS.join(', ')})`);
+      }
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid weight for ${name}: expected a number >= 0`);
+      }
+      weights[name] = value;
+    }
+
+    const total = SIGNALS.reduce((sum, name) => sum + weights[name], 0);
+    if (total <= 0) {
+      throw new Error('Trending weights must not all be 0');
+    }
+
+    return Object.fromEntries(SIGNALS.map(name => [name, weights[name] / total]));
+  }
+
+  /**
+   * Compact weight summary ('volumeAcceleration:0.25,...')
+   * @param {Object} weights Weights
+   * @returns {string} Summary
+   */
+  formatWeights(weights) {
+    return SIGNALS.map(name => `${name}:${Number(weights[name].toFixed(3))}`).join(',');
+  }
+
+  // ====================================================================
+  // SCORING
+  // ====================================================================
+
+  /**
+   * Trending score of a normalized market with its breakdown
+   *
+   * @param {Object} market Normalized market
+   * @param {Object} options { weights, now }
+   * @returns {Object} { score, signals: { name: { raw, normalized, weight, contribution } }, history, windowMs }
+   */
+  score(market, options = {}) {
+    const weights = options.weights || this.weights;
+    const now = options.now || this.clock();
+    const series = this.historyStore ? this.historyStore.getRawSeries(market.id) : null;
+
+    const acceleration = this.volumeAcceleration(market, series, now);
+    const momentum = this.priceMomentum(market, series, now);
+
+    const values = {
+      volumeAcceleration: acceleration,
+      priceMomentum: momentum,
+      volume: this.logSignal(market.volume_24h, VOLUME_SCALE),
+      liquidity: this.logSignal(market.liquidity, LIQUIDITY_SCALE),
+      competitiveness: this.competitiveness(market),
+      recency: this.recency(market, now)
+    };
+
+    const signals = {};
+    let total = 0;
+
+    for (const name of SIGNALS) {
+      const contribution = weights[name] * values[name].normalized * 100;
+      signals[name] = { ...values[name], weight: this.round(weights[name], 4), contribution: this.round(contribution) };
+      total += contribution;
+    }
+
+    return {
+      score: this.round(total),
+      signals,
+      history: {
+        volumeSamples: series ? series.volume.length : 0,
+        priceSamples: series ? Object.values(series.outcomes).reduce((sum, points) => sum + points.length, 0) : 0,
+        momentum: acceleration.raw !== null || momentum.raw !== null
+      },
+      windowMs: this.windowMs
+    };
+  }
+
+  /**
+   * Score and sort markets, highest first (ties by id)
+   *
+   * @param {Array} markets Normalized markets
+   * @param {Object} options { weights, limit, now }
+   * @returns {Array} Markets with trendingScore and trending (breakdown)
+   */
+  rank(markets, options = {}) {
+    const now = options.now || this.clock();
+
+    const ranked = markets
+      .map((market) => {
+        const trending = this.score(market, { weights: options.weights, now });
+        return { ...market, trendingScore: trending.score, trending };
+      })
+      .sort((a, b) => b.trendingScore - a.trendingScore || String(a.id).localeCompare(String(b.id)));
+
+    return options.limit ? ranked.slice(0, options.limit) : ranked;
+  }
+
+  // ====================================================================
+  // SIGNALS
+  // ====================================================================
+
+  /**
+   * Last sample at or before a time, or the oldest one if it is at least
+   * MIN_SPAN_MS old (young series)
+   *
+   * @param {Array} points Samples sorted by time (unix seconds)
+   * @param {number} now Reference time in ms
+   * @returns {Object|null} Sample, or null without enough history
+   */
+  baseline(points, now) {
+    if (!points || points.length === 0) return null;
+
+    const cutoff = Math.floor((now - this.windowMs) / 1000);
+    let low = 0;
+    let high = points.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (points[mid].time <= cutoff) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (found !== -1) return points[found];
+    return (now / 1000 - points[0].time) * 1000 >= MIN_SPAN_MS ? points[0] : null;
+  }
+
+  /**
+   * Hourly growth of the rolling 24h volume
+   * @param {Object} market Normalized market
+   * @param {Object|null} series Raw series
+   * @param {number} now Reference time in ms
+   * @returns {Object} { raw: growth per hour (0.1 = +10%) or null, normalized }
+   */
+  volumeAcceleration(market, series, now) {
+    const base = series ? this.baseline(series.volume, now) : null;
+    if (!base || typeof market.volume_24h !== 'number') {
+      return { raw: null, normalized: 0 };
+    }
+
+    const hours = Math.max(now / 1000 - base.time, 1) / 3600;
+    const growth = (market.volume_24h - base.volume) / Math.max(base.volume, VOLUME_FLOOR) / hours;
+
+    return {
+      raw: this.round(growth, 4),
+      normalized: growth > 0 ? this.round(growth / (growth + ACCELERATION_HALF), 4) : 0
+    };
+  }
+
+  /**
+   * Largest outcome price move over the window
+   * @param {Object} market Normalized market
+   * @param {Object|null} series Raw series
+   * @param {number} now Reference time in ms
+   * @returns {Object} { raw: signed move (0.05 = +5 points) or null, outcome, normalized }
+   */
+  priceMomentum(market, series, now) {
+    let best = null;
+
+    for (const outcome of market.outcomes || []) {
+      const base = series ? this.baseline(series.outcomes[outcome.name], now) : null;
+      if (!base || typeof outcome.price !== 'number') continue;
+
+      const move = outcome.price - base.value;
+      // First outcome wins ties (binary markets move both sides equally)
+      if (!best || Math.abs(move) > Math.abs(best.move) + 1e-9) {
+        best = { move, outcome: outcome.name };
+      }
+    }
+
+    if (!best) {
+      return { raw: null, outcome: null, normalized: 0 };
+    }
+
+    return {
+      raw: this.round(best.move, 4),
+      outcome: best.outcome,
+      normalized: this.round(Math.min(1, Math.abs(best.move) / MOMENTUM_SCALE), 4)
+    };
+  }
+
+  /**
+   * Log-scaled amount
+   * @param {number} amount Amount in USD
+   * @param {number} scale Amount that normalizes to 1
+   * @returns {Object} { raw, normalized }
+   */
+  logSignal(amount, scale) {
+    const value = typeof amount === 'number' && amount > 0 ? amount : 0;
+    return {
+      raw: value,
+      normalized: this.round(Math.min(1, Math.log10(value + 1) / Math.log10(scale)), 4)
+    };
+  }
+
+  /**
+   * Closeness of the two leading outcomes (1 = dead heat)
+   * @param {Object} market Normalized market
+   * @returns {Object} { raw: price gap or null, normalized }
+   */
+  competitiveness(market) {
+    const prices = (market.outcomes || [])
+      .map(outcome => outcome.price)
+      .filter(price => typeof price === 'number')
+      .sort((a, b) => b - a);
+
+    if (prices.length < 2) {
+      return { raw: null, normalized: 0 };
+    }
+
+    const gap = Math.abs(prices[0] - prices[1]);
+    return { raw: this.round(gap, 4), normalized: this.round(Math.max(0, 1 - gap), 4) };
+  }
+
+  /**
+   * Newness of a market
+   * @param {Object} market Normalized market
+   * @param {number} now Reference time in ms
+   * @returns {Object} { raw: hours since start or null, normalized }
+   */
+  recency(market, now) {
+    const start = market.startDate ? new Date(market.startDate).getTime() : NaN;
+    if (isNaN(start)) {
+      return { raw: null, normalized: 0 };
+    }
+
+    const hours = Math.max(0, (now - start) / 3600000);
+    return { raw: this.round(hours, 1), normalized: hours < 48 ? 1 : hours < 168 ? 0.5 : 0 };
+  }
+
+  /**
+   * Round for display
+   * @param {number} value Value
+   * @param {number} digits Decimal places (default 2)
+   * @returns {number} Rounded value
+   */
+  round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+TrendingEngine.SIGNALS = SIGNALS;
+TrendingEngine.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+TrendingEngine.WINDOW_MS = WINDOW_MS;
+
+// Export for use in server
+module.exports = TrendingEngine;
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for TrendingEngine
+ * Tests weight parsing, momentum signals from snapshots and score breakdowns
+ */
+
+const PriceHistoryStore = require('./PriceHistoryStore');
+const TrendingEngine = require('./TrendingEngine');
+
+describe('TrendingEngine', () => {
+  const now = Date.UTC(2026, 0, 15, 12, 0, 0);
+  const HOUR = 60 * 60 * 1000;
+
+  let history;
+  let engine;
+
+  const market = (id, fields = {}) => ({
+    id,
+    platform: id.startsWith('kalshi') ? 'kalshi' : 'polymarket',
+    volume_24h: 10000,
+    liquidity: 5000,
+    startDate: '2025-01-01T00:00:00Z',
+    outcomes: [{ name: 'Yes', price: 0.5 }, { name: 'No', price: 0.5 }],
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    history = new PriceHistoryStore({ heartbeatMs: 60000 });
+    engine = new TrendingEngine({ historyStore: history, clock: () => now });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Weights', () => {
+    test('should merge overrides into the defaults and rescale them', () => {
+      const weights = engine.parseWeights('priceMomentum:0.75, volumeAcceleration:0');
+      const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+      expect(total).toBeCloseTo(1);
+      expect(weights.volumeAcceleration).toBe(0);
+      expect(weights.priceMomentum).toBeCloseTo(0.75 / 1.25);
+      expect(weights.volume).toBeCloseTo(0.2 / 1.25);
+    });
+
+    test('should reject unknown signals and invalid weights', () => {
+      expect(() => engine.parseWeights('hype:1')).toThrow('Unknown trending signal');
+      expect(() => engine.parseWeights('volume:-1')).toThrow('Invalid weight');
+      expect(() => engine.parseWeights('volume')).toThrow('Invalid weight');
+      expect(() => engine.parseWeights(Object.fromEntries(TrendingEngine.SIGNALS.map(name => [name, 0])))).toThrow('must not all be 0');
+    });
+  });
+
+  describe('Signals', () => {
+    test('should measure volume acceleration and price momentum over the window', () => {
+      history.recordMarket(market('poly-1', { volume_24h: 10000 }), now - 2 * HOUR);
+      history.recordMarket(market('poly-1', { volume_24h: 10000 }), now - HOUR);
+
+      const { signals } = engine.score(market('poly-1', {
+        volume_24h: 12000,
+        outcomes: [{ name: 'Yes', price: 0.58 }, { name: 'No', price: 0.42 }]
+      }));
+
+      expect(signals.volumeAcceleration.raw).toBeCloseTo(0.2);
+      expect(signals.volumeAcceleration.normalized).toBeCloseTo(0.2 / 0.3, 3);
+      expect(signals.priceMomentum).toMatchObject({ raw: 0.08, outcome: 'Yes', normalized: 0.8 });
+    });
+
+    test('should not compute momentum without enough history', () => {
+      history.recordMarket(market('poly-1'), now - 5 * 60 * 1000);
+
+      const breakdown = engine.score(market('poly-1', { volume_24h: 50000 }));
+
+      expect(breakdown.signals.volumeAcceleration).toMatchObject({ raw: null, normalized: 0, contribution: 0 });
+      expect(breakdown.signals.priceMomentum).toMatchObject({ raw: null, normalized: 0 });
+      expect(breakdown.history).toMatchObject({ volumeSamples: 1, priceSamples: 2, momentum: false });
+    });
+
+    test('should explain the score as the sum of weighted contributions', () => {
+      const breakdown = engine.score(market('kalshi-1', { startDate: new Date(now - HOUR).toISOString() }));
+      const contributions = Object.values(breakdown.signals).reduce((sum, signal) => sum + signal.contribution, 0);
+
+      expect(breakdown.score).toBeCloseTo(contributions, 1);
+      expect(breakdown.signals.recency).toMatchObject({ raw: 1, normalized: 1, weight: 0.1, contribution: 10 });
+      expect(breakdown.signals.competitiveness).toMatchObject({ raw: 0, normalized: 1 });
+      expect(breakdown.score).toBeLessThanOrEqual(100);
+    });
+  });
+
+  describe('Ranking', () => {
+    test('should rank markets from both platforms by momentum, not raw volume', () => {
+      history.recordMarket(market('kalshi-1', { volume_24h: 2000 }), now - HOUR);
+
+      const ranked = engine.rank([
+        market('poly-big', { volume_24h: 900000, liquidity: 100000, outcomes: [{ name: 'Yes', price: 0.95 }, { name: 'No', price: 0.05 }] }),
+        market('kalshi-1', { volume_24h: 6000, outcomes: [{ name: 'Yes', price: 0.62 }, { name: 'No', price: 0.38 }] })
+      ]);
+
+      expect(ranked.map(m => m.id)).toEqual(['kalshi-1', 'poly-big']);
+      expect(ranked[0].trendingScore).toBe(ranked[0].trending.score);
+    });
+
+    test('should re-rank with custom weights', () => {
+      const markets = [
+        market('poly-liquid', { liquidity: 900000 }),
+        market('poly-volume', { volume_24h: 5000000, liquidity: 10 })
+      ];
+
+      expect(engine.rank(markets, { weights: engine.parseWeights('liquidity:10') })[0].id).toBe('poly-liquid');
+      expect(engine.rank(markets, { weights: engine.parseWeights('volume:10') })[0].id).toBe('poly-volume');
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Benchmark script for MarketMatchingEngine.findMatches
+ *
+ * Generates a deterministic synthetic market set (Polymarket-style questions
+ * plus reworded Kalshi duplicates and unrelated noise), then measures:
+ * - Matching time with blocking enabled on the full set
+ * - Candidate / scored pair counts
+ * - Recall against brute-force matching on a smaller sample
+ *
+ * Usage:
+ *   node benchmark-matching.js [marketCount] [--sample N] [--out results.jsonl]
+ *
+ * --out appends one JSON line per run so results can be tracked over time.
+ */
+
+const fs = require('fs');
+const MarketMatchingEngine = require('./MarketMatchingEngine');
+
+// ====================================================================
+// SYNTHETIC DATA
+// ====================================================================
+
+// Small deterministic PRNG (mulberry32) so runs are comparable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const PEOPLE = ['Donald Trump', 'Joe Biden', 'Kamala Harris', 'Gavin Newsom', 'Ron DeSantis', 'Elon Musk',
+  'Taylor Swift', 'Jerome Powell', 'Keir Starmer', 'Emmanuel Macron', 'Javier Milei', 'Sam Altman'];
+const ASSETS = ['Bitcoin', 'Ethereum', 'Solana', 'Dogecoin', 'Tesla stock', 'Nvidia stock', 'Gold', 'Oil'];
+const TEAMS = ['Lakers', 'Celtics', 'Warriors', 'Chiefs', 'Eagles', 'Yankees', 'Dodgers', 'Real Madrid', 'Arsenal'];
+const EVENTS = ['NBA Championship', 'Super Bowl', 'World Series', 'Champions League', 'Premier League'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December'];
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+/**
+ * Generate one question template with a Polymarket and a Kalshi wording
+ */
+function generateQuestionPair(random, n) {
+  const year = 2025 + Math.floor(random() * 3);
+  const month = pick(random, MONTHS);
+  const kind = random();
+
+  if (kind < 0.35) {
+    const asset = pick(random, ASSETS);
+    const target = (Math.floor(random() * 200) + 1) * 500;
+    return {
+      poly: `Will ${asset} reach $${target.toLocaleString('en-US')} by ${month} ${year}?`,
+      kalshi: `${asset} above $${target.toLocaleString('en-US')} by ${month} ${year}?`
+    };
+  }
+
+  if (kind < 0.65) {
+    const person = pick(random, PEOPLE);
+    const action = pick(random, ['announce a run for office', 'resign', 'be indicted', 'visit China', 'launch a new company']);
+    return {
+      poly: `Will ${person} ${action} before ${month} ${year}?`,
+      kalshi: `Will ${person} ${action} by ${month} ${year}?`
+    };
+  }
+
+  const team = pick(random, TEAMS);
+  const event = pick(random, EVENTS);
+  return {
+    poly: `Will the ${team} win the ${year} ${event}? (#${n})`,
+    kalshi: `${team} to win ${year} ${event} (#${n})`
+  };
+}
+
+/**
+ * Build a market list with duplicatesShare of Polymarket questions
+ * mirrored on Kalshi
+ *
+ * @param {number} count Total number of markets
+ * @param {number} seed PRNG seed
+ * @returns {Array} Normalized markets
+ */
+function generateMarkets(count, seed = 42, duplicatesShare = 0.1) {
+  const random = createRandom(seed);
+  const markets = [];
+  let n = 0;
+
+  while (markets.length < count) {
+    const pair = generateQuestionPair(random, n++);
+    const endDate = new Date(Date.UTC(2025, 0, 1) + Math.floor(random() * 900) * 86400000).toISOString();
+    const price = Math.round(random() * 100) / 100;
+
+    markets.push({
+      id: `poly-${n}`,
+      platform: 'polymarket',
+      question: pair.poly,
+      endDate,
+      volume_24h: Math.round(random() * 100000),
+      outcomes: [{ name: 'Yes', price }, { name: 'No', price: 1 - price }]
+    });
+
+    const isDuplicate = random() < duplicatesShare;
+    if (markets.length < count) {
+      markets.push({
+        id: `kalshi-${n}`,
+        platform: 'kalshi',
+        question: isDuplicate ? pair.kalshi : generateQuestionPair(random, n++).kalshi,
+        endDate,
+        volume_24h: Math.round(random() * 100000),
+        outcomes: [{ name: 'Yes', price }, { name: 'No', price: 1 - price }]
+      });
+    }
+  }
+
+  return markets;
+}
+
+// ====================================================================
+// BENCHMARK
+// ====================================================================
+
+/**
+ * Run findMatches with console.log silenced
+ */
+function runMatching(markets, options) {
+  const engine = new MarketMatchingEngine(options);
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const start = process.hrtime.bigint();
+    const unified = engine.findMatches(markets);
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    return { unified, durationMs, stats: engine.lastMatchStats };
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Collect matched pairs as "id|id" keys
+ */
+function matchedPairs(unified) {
+  const pairs = new Set();
+
+  for (const market of unified) {
+    const ids = Object.values(market.platforms).map(m => m.id).sort();
+    for (let i = 0; i < ids.length - 1; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        pairs.add(`${ids[i]}|${ids[j]}`);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+function parseArgs(argv) {
+  const args = { count: 20000, sample: 2000, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--sample') args.sample = parseInt(argv[++i], 10);
+    else if (argv[i] === '--out') args.out = argv[++i];
+    else if (/^\d+$/.test(argv[i])) args.count = parseInt(argv[i], 10);
+  }
+
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  console.log('='.repeat(70));
+  console.log('MARKET MATCHING BENCHMARK');
+  console.log('='.repeat(70));
+
+  // Full-size run with blocking
+  const markets = generateMarkets(args.count);
+  const full = runMatching(markets, { blocking: true });
+
+  console.log(`\nMarkets:          ${markets.length}`);
+  console.log(`Duration:         ${full.durationMs.toFixed(0)}ms`);
+  console.log(`Candidate pairs:  ${full.stats.candidatePairs}`);
+  console.log(`Scored pairs:     ${full.stats.scoredPairs}`);
+  console.log(`Matched pairs:    ${full.stats.matchedPairs}`);
+  console.log(`Unified markets:  ${full.stats.unifiedMarkets}`);
+
+  // Recall vs brute force on a sample (brute force is O(n²))
+  const sample = generateMarkets(args.sample, 7);
+  const blocked = runMatching(sample, { blocking: true });
+  const brute = runMatching(sample, { blocking: false });
+
+  const blockedPairs = matchedPairs(blocked.unified);
+  const brutePairs = matchedPairs(brute.unified);
+  const found = [...brutePairs].filter(pair => blockedPairs.has(pair)).length;
+  const recall = brutePairs.size > 0 ? found / brutePairs.size : 1;
+
+  console.log(`\nSample (${sample.length} markets) vs brute force:`);
+  console.log(`  Blocking:    ${blocked.durationMs.toFixed(0)}ms, ${blocked.stats.scoredPairs} pairs scored`);
+  console.log(`  Brute force: ${brute.durationMs.toFixed(0)}ms, ${brute.stats.scoredPairs} pairs scored`);
+  console.log(`  Recall:      ${(recall * 100).toFixed(1)}% (${found}/${brutePairs.size} brute-force matches)`);
+
+  const result = {
+    timestamp: new Date().toISOString(),
+    markets: markets.length,
+    durationMs: Math.round(full.durationMs),
+    candidatePairs: full.stats.candidatePairs,
+    scoredPairs: full.stats.scoredPairs,
+    matchedPairs: full.stats.matchedPairs,
+    sampleSize: sample.length,
+    sampleRecall: Number(recall.toFixed(4)),
+    sampleSpeedup: Number((brute.durationMs / Math.max(blocked.durationMs, 1)).toFixed(1))
+  };
+
+  if (args.out) {
+    fs.appendFileSync(args.out, JSON.stringify(result) + '\n');
+    console.log(`\nAppended results to ${args.out}`);
+  }
+
+  console.log('\n' + JSON.stringify(result));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generateMarkets, matchedPairs };
@@ -11,8 +11,6 @@
  */
 
 const express = require('express');
-const https = require('https');
-const http = require('http');
 const cors = require('cors');
 const path = require('path');
 
@@ -23,6 +21,20 @@ const MarketMatchingEngine = require('./MarketMatchingEngine');
 const MarketAggregator = require('./MarketAggregator');
 const ArbitrageDetector = require('./ArbitrageDetector');
 const PollingService = require('./PollingService');
+const PlatformRegistry = require('./PlatformRegistry');
+const MarketStreamHub = require('./MarketStreamHub');
+const MatchOverrideStore = require('./MatchOverrideStore');
+const PriceHistoryStore = require('./PriceHistoryStore');
+const TrendingEngine = require('./TrendingEngine');
+const OrderbookService = require('./OrderbookService');
+const MarketLifecycle = require('./MarketLifecycle');
+const MarketSchema = require('./MarketSchema');
+const CategoryTaxonomy = require('./CategoryTaxonomy');
+const HttpClient = require('./HttpClient');
+const MarketStore = require('./MarketStore');
+const SearchIndex = require('./SearchIndex');
+const MarketFacets = require('./MarketFacets');
+const MarketQuery = require('./MarketQuery');
 
 const app = express();
 const PORT = 3001;
@@ -30,6 +42,9 @@ const PORT = 3001;
 // Enable CORS for your frontend
 app.use(cors());
 
+// Parse JSON request bodies (match override endpoints)
+app.use(express.json());
+
 // --- Configuration ---
 const CONFIG = {
   // Pagination settings
@@ -39,6 +54,8 @@ const CONFIG = {
     FULL: 50,    // Fetch up to 50,000 markets (50 pages) - COMPLETE DATA (all active markets)
     MINIMAL: 1   // Fetch 1000 markets (1 page) - FAST but incomplete
   },
+  // Kalshi follows the same strategies with its own page budgets (see KalshiFetcher.FETCH_STRATEGIES)
+  KALSHI_FETCH_STRATEGY: process.env.KALSHI_FETCH_STRATEGY || 'SMART',
   
   // Cache settings (TWO-TIER: Browse vs Trade)
   CACHE_TTL: {
@@ -50,7 +67,11 @@ const CONFIG = {
   
   // Performance settings
   CLEANUP_INTERVAL: 120000, // 2 minutes
-  MAX_CACHE_SIZE: 500       // Maximum markets in full data cache
+  MAX_CACHE_SIZE: 500,      // Maximum markets in full data cache
+  
+  // Persistence settings (SQLite MarketStore)
+  STORE_CHECKPOINT_INTERVAL: 60000,       // 1 minute - write cached markets and health to disk
+  STORE_WARM_MAX_AGE: 24 * 60 * 60 * 1000 // Restore unified markets saved within the last day
 };
 
 // --- API Endpoints ---
@@ -65,7 +86,7 @@ const API_ENDPOINTS = {
   KALSHI_EVENTS: 'https://api.elections.kalshi.com/trade-api/v2/events?status=open&limit=200',
   KALSHI_SERIES: 'https://api.elections.kalshi.com/trade-api/v2/series',
   
-  // Limitless: Temporarily disabled
+  // Limitless: Temporarily disabled (enable by registering an adapter with platformRegistry)
   LIMITLESS: 'https://api.limitless.exchange/api-v1/markets' 
 };
 
@@ -79,12 +100,17 @@ const API_ENDPOINTS = {
  * Automatically manages memory with TTL-based expiration and LRU eviction
  */
 class SmartCacheManager {
-  constructor() {
+  /**
+   * @param {Object} options Cache options
+   * @param {number} options.healthTimeoutMs Time without a successful fetch before a healthy platform turns degraded (default 60 seconds)
+   */
+  constructor(options = {}) {
     // Metadata Cache (Lightweight - ~200 bytes per market)
     this.metadataCache = {
       timestamp: Date.now(),
       ttl: 600000, // 10 minutes
-      data: {} // { 'Politics': [...markets], 'Sports': [...markets] }
+      data: {}, // { 'Politics': [...markets], 'Sports': [...markets] }
+      updatedAt: {} // { 'Politics': timestamp }
     };
     
     // Full Data Cache (Heavy - ~10KB per market)
@@ -109,27 +135,16 @@ class SmartCacheManager {
       data: {} // { 'poly-id:kalshi-id': confidence_score }
     };
     
-    // Platform Health Tracking
-    this.platformHealth = {
-      polymarket: {
-        status: 'unknown', // 'healthy', 'degraded', 'unknown'
-        lastSuccessfulFetch: null,
-        lastError: null,
-        requestsPerMinute: 0,
-        lastAttempt: null
-      },
-      kalshi: {
-        status: 'unknown',
-        lastSuccessfulFetch: null,
-        lastError: null,
-        requestsPerMinute: 0,
-        lastAttempt: null
-      }
-    };
+    // Platform Health Tracking (populated by PlatformRegistry.register)
+    this.platformHealth = {}; // { 'polymarket': { status, lastSuccessfulFetch, ... } }
+    this.healthTimeoutMs = options.healthTimeoutMs || 60000;
     
     // Access Frequency Tracker
     this.accessTracker = {}; // { 'Politics': { lastAccess: timestamp, hitCount: 15, extended: false } }
     
+    // Per-market viewer interest (drives PollingService refresh priority)
+    this.marketAccessTracker = {}; // { 'unified-id': { lastAccess: timestamp, hitCount: 3 } }
+    
     // Performance tracking
     this.performanceStats = {
       cacheHits: 0,
@@ -175,6 +190,21 @@ class SmartCacheManager {
     }
   }
   
+  /**
+   * Get metadata for a category even after it expired (last-known-good fallback)
+   * @param {string} category The category to retrieve
+   * @returns {Object|null} { markets, ageMs } or null if never cached
+   */
+  peekMetadata(category) {
+    const cached = this.metadataCache.data[category];
+    if (!Array.isArray(cached)) {
+      return null;
+    }
+    
+    const updatedAt = this.metadataCache.updatedAt[category] || this.metadataCache.timestamp;
+    return { markets: cached, ageMs: Date.now() - updatedAt };
+  }
+  
   /**
    * Get full data for specific markets
    * @param {Array<string>} marketIds Array of market IDs
@@ -216,6 +246,7 @@ class SmartCacheManager {
     
     this.metadataCache.data[category] = markets;
     this.metadataCache.timestamp = Date.now();
+    this.metadataCache.updatedAt[category] = this.metadataCache.timestamp;
     
     console.log(`[Cache] Stored ${markets.length} markets in metadata cache for ${category}`);
   }
@@ -268,6 +299,49 @@ class SmartCacheManager {
     }
   }
   
+  /**
+   * Track a view of a single unified market
+   * @param {string} unified_id The unified market ID
+   */
+  trackMarketAccess(unified_id) {
+    const tracker = this.marketAccessTracker[unified_id];
+    
+    if (!tracker) {
+      this.marketAccessTracker[unified_id] = { lastAccess: Date.now(), hitCount: 1 };
+    } else {
+      tracker.lastAccess = Date.now();
+      tracker.hitCount++;
+    }
+  }
+  
+  /**
+   * Viewer interest in a unified market (0..1)
+   * A market viewed directly is fully hot and cools off over ~5 minutes;
+   * markets in a frequently browsed category get up to half that interest,
+   * cooling off over ~15 minutes.
+   * @param {Object} market Unified market
+   * @returns {number} Interest score
+   */
+  getViewerInterest(market) {
+    const now = Date.now();
+    let interest = 0;
+    
+    const viewed = this.marketAccessTracker[market.unified_id];
+    if (viewed) {
+      interest = Math.exp(-(now - viewed.lastAccess) / 300000);
+    }
+    
+    const category = market.category && Object.keys(this.accessTracker)
+      .find(key => key.toLowerCase() === market.category.toLowerCase());
+    if (category) {
+      const tracker = this.accessTracker[category];
+      const browsing = 0.5 * Math.min(1, tracker.hitCount / 10) * Math.exp(-(now - tracker.lastAccess) / 900000);
+      interest = Math.max(interest, browsing);
+    }
+    
+    return interest;
+  }
+  
   /**
    * Extend TTL for a frequently accessed category
    * @param {string} category The category to extend
@@ -396,6 +470,13 @@ class SmartCacheManager {
         console.log(`[Cache] Marked ${category} as inactive (${Math.round(timeSinceAccess / 1000)}s since last access)`);
       }
     }
+    
+    // Forget market views that no longer add interest
+    for (const [unified_id, tracker] of Object.entries(this.marketAccessTracker)) {
+      if (now - tracker.lastAccess > inactiveThreshold) {
+        delete this.marketAccessTracker[unified_id];
+      }
+    }
   }
   
   /**
@@ -520,9 +601,27 @@ class SmartCacheManager {
     console.log(`[Cache] Stored match confidence ${cacheKey}: ${confidence}`);
   }
   
+  /**
+   * Start tracking health for a platform
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
+   */
+  registerPlatform(platform) {
+    if (this.platformHealth[platform]) {
+      return;
+    }
+    
+    this.platformHealth[platform] = {
+      status: 'unknown', // 'healthy', 'degraded', 'unknown'
+      lastSuccessfulFetch: null,
+      lastError: null,
+      requestsPerMinute: 0,
+      lastAttempt: null
+    };
+  }
+  
   /**
    * Update platform health status
-   * @param {string} platform Platform name ('polymarket' or 'kalshi')
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @param {string} status Status ('healthy', 'degraded', 'unknown')
    * @param {Error|null} error Error object if failed
    */
@@ -546,9 +645,27 @@ class SmartCacheManager {
     console.log(`[Cache] Platform health updated: ${platform} = ${status}`);
   }
   
+  /**
+   * Restore platform health saved before a restart (MarketStore)
+   * Only registered platforms are restored; a saved 'healthy' status turns
+   * 'degraded' on read once the last success is older than healthTimeoutMs.
+   * @param {Object} saved { platform: { status, lastSuccessfulFetch, lastError } }
+   */
+  restorePlatformHealth(saved) {
+    for (const [platform, health] of Object.entries(saved || {})) {
+      if (!this.platformHealth[platform]) {
+        continue;
+      }
+      
+      this.platformHealth[platform].status = health.status;
+      this.platformHealth[platform].lastSuccessfulFetch = health.lastSuccessfulFetch;
+      this.platformHealth[platform].lastError = health.lastError;
+    }
+  }
+  
   /**
    * Get platform health status
-   * @param {string} platform Platform name ('polymarket' or 'kalshi')
+   * @param {string} platform Platform name ('polymarket', 'kalshi', ...)
    * @returns {Object|null} Platform health object or null if unknown platform
    */
   getPlatformHealth(platform) {
@@ -564,8 +681,8 @@ class SmartCacheManager {
     if (health.lastSuccessfulFetch) {
       const timeSinceSuccess = now - health.lastSuccessfulFetch;
       
-      // Mark as degraded if no successful fetch in last 60 seconds
-      if (timeSinceSuccess > 60000 && health.status === 'healthy') {
+      // Mark as degraded if no successful fetch within the health timeout
+      if (timeSinceSuccess > this.healthTimeoutMs && health.status === 'healthy') {
         health.status = 'degraded';
         console.log(`[Cache] Platform ${platform} marked as degraded (${Math.round(timeSinceSuccess / 1000)}s since last success)`);
       }
@@ -582,10 +699,13 @@ class SmartCacheManager {
    * @returns {Object} Object with health status for all platforms
    */
   getAllPlatformHealth() {
-    return {
-      polymarket: this.getPlatformHealth('polymarket'),
-      kalshi: this.getPlatformHealth('kalshi')
-    };
+    const health = {};
+    
+    for (const platform of Object.keys(this.platformHealth)) {
+      health[platform] = this.getPlatformHealth(platform);
+    }
+    
+    return health;
   }
   
   /**
@@ -639,9 +759,19 @@ class SmartCacheManager {
     this.matchCache.data = {};
     this.matchCache.timestamp = Date.now();
     this.accessTracker = {};
+    this.marketAccessTracker = {};
     console.log('[Cache] All caches cleared (including unified markets and match confidence)');
   }
   
+  /**
+   * Clear cached unified markets so they are re-matched on next request
+   */
+  clearUnifiedMarkets() {
+    this.unifiedMarketCache.data = {};
+    this.unifiedMarketCache.timestamp = Date.now();
+    console.log('[Cache] Unified market cache cleared');
+  }
+  
   /**
    * Get all metadata (for fallback scenarios)
    * @returns {Array} All cached markets
@@ -658,11 +788,48 @@ class SmartCacheManager {
 }
 
 // Initialize the Smart Cache Manager
-const cacheManager = new SmartCacheManager();
+// Platforms are swept every SWEEP_INTERVAL_MS; only a missed sweep degrades them
+const cacheManager = new SmartCacheManager({
+  healthTimeoutMs: PollingService.SWEEP_INTERVAL_MS + PollingService.STALE_GRACE_MS
+});
+
+// Initialize the durable SQLite store (markets, links, price/volume snapshots, arbitrage events)
+const marketStore = new MarketStore({ filePath: process.env.MARKET_STORE_PATH });
+
+// Initialize the Price History Store (fed by PollingService ticks, persisted to the market store)
+const priceHistoryStore = new PriceHistoryStore({
+  onAppend: (marketId, outcome, point) => marketStore.queuePricePoint(marketId, outcome, point),
+  onVolume: (marketId, point) => marketStore.queueVolumePoint(marketId, point)
+});
+
+// Trending scores from price/volume snapshots (weights: TRENDING_WEIGHTS)
+const trendingEngine = new TrendingEngine({ historyStore: priceHistoryStore });
+
+// Market lifecycle state machine (status, settlement, ?status= filtering)
+const marketLifecycle = new MarketLifecycle();
+
+// Category taxonomy (category-taxonomy.json, or CATEGORY_TAXONOMY_PATH)
+const categoryTaxonomy = new CategoryTaxonomy();
+
+// Normalized-market schema every route serves (validated before caching)
+const marketSchema = new MarketSchema({ lifecycle: marketLifecycle, taxonomy: categoryTaxonomy });
+
+// Subcategory/tag facets on listing endpoints
+const marketFacets = new MarketFacets();
+
+// Server-side sort/filter/pagination on listing endpoints
+const marketQuery = new MarketQuery({ trendingScore: market => trendingEngine.score(market).score });
 
 // Start cleanup interval (runs every 2 minutes)
 const cleanupInterval = setInterval(() => {
   cacheManager.runCleanup();
+  priceHistoryStore.prune();
+
+  try {
+    marketStore.prune();
+  } catch (error) {
+    console.error('[MarketStore] Prune failed:', error.message);
+  }
 }, 120000); // 2 minutes
 
 console.log('[Cache] Cleanup interval started (runs every 2 minutes)');
@@ -671,10 +838,19 @@ console.log('[Cache] Cleanup interval started (runs every 2 minutes)');
 // PLATFORM FETCHERS INITIALIZATION
 // ====================================================================
 
+// Shared HTTP client: pooled connections, retries, a circuit breaker per platform
+// and a rate budget per host. Every outbound request (fetchers and routes) goes through it.
+const httpClient = new HttpClient();
+
+// Upstream requests made while serving an API route take priority over background polling
+app.use('/api', (req, res, next) => httpClient.runWithPriority('interactive', next));
+
 // Initialize Polymarket Fetcher
 const polymarketFetcher = new PolymarketFetcher(
   'https://gamma-api.polymarket.com',
-  cacheManager
+  cacheManager,
+  null,
+  httpClient
 );
 
 console.log('[PolymarketFetcher] Initialized');
@@ -683,11 +859,17 @@ console.log('[PolymarketFetcher] Initialized');
 const kalshiFetcher = new KalshiFetcher(
   API_ENDPOINTS.KALSHI_MARKETS.split('?')[0].replace('/markets', ''),
   process.env.KALSHI_API_KEY,
-  cacheManager
+  cacheManager,
+  { fetchStrategy: CONFIG.KALSHI_FETCH_STRATEGY, httpClient }
 );
 
 console.log('[KalshiFetcher] Initialized');
 
+// Register fetchers as platform adapters
+const platformRegistry = new PlatformRegistry(cacheManager);
+platformRegistry.register(polymarketFetcher);
+platformRegistry.register(kalshiFetcher);
+
 // ====================================================================
 // UNIFIED MARKET AGGREGATION COMPONENTS
 // ====================================================================
@@ -696,364 +878,357 @@ console.log('[KalshiFetcher] Initialized');
 const matchingEngine = new MarketMatchingEngine();
 console.log('[MatchingEngine] Initialized');
 
+// Full-text index behind /api/search (kept in sync by the polling service)
+const searchIndex = new SearchIndex({
+  extractEntities: question => matchingEngine.extractEntities(question),
+  statusOf: market => marketLifecycle.currentStatus(market)
+});
+
 // Initialize Arbitrage Detector
 const arbitrageDetector = new ArbitrageDetector();
 console.log('[ArbitrageDetector] Initialized');
 
-// Initialize Market Aggregator with both fetchers
-const marketAggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cacheManager);
+// Initialize manual match overrides (persisted to backend/data)
+const matchOverrideStore = new MatchOverrideStore();
+
+// Initialize Market Aggregator with all registered platforms
+const marketAggregator = new MarketAggregator(platformRegistry, cacheManager, matchOverrideStore);
 console.log('[MarketAggregator] Initialized');
 
+// Initialize on-demand orderbook depth (short TTL cache)
+const orderbookService = new OrderbookService(platformRegistry);
+
 // Initialize Polling Service for real-time data synchronization
-const pollingService = new PollingService(marketAggregator, cacheManager);
+const pollingService = new PollingService(marketAggregator, cacheManager, priceHistoryStore, { searchIndex });
 console.log('[PollingService] Initialized');
 
-// Start polling service
-pollingService.start();
-console.log('[PollingService] Started polling (Polymarket: 5s, Kalshi: 10s)');
+// Push polling changes to connected clients over SSE
+const marketStreamHub = new MarketStreamHub();
+marketStreamHub.attach(pollingService);
+
+// Keep arbitrage appeared/updated/disappeared events in the market store
+pollingService.on('arbitrage', (event) => {
+  try {
+    marketStore.recordArbitrageEvent(event);
+  } catch (error) {
+    console.error('[MarketStore] Error recording arbitrage event:', error.message);
+  }
+});
 
 // ====================================================================
-// NATIVE HTTP/S FETCH HELPER
+// PERSISTENCE (warm start and checkpoints)
 // ====================================================================
 
 /**
- * Executes a GET request using Node's native HTTP/S module.
- * @param {string} url The URL to fetch.
- * @returns {Promise<any>} The parsed JSON data.
+ * Warm the in-memory caches from the market store
+ * Restored markets are served immediately (flagged stale once their platform
+ * health says so) while the first polls refresh them.
  */
-function nativeFetch(url) {
-  // Safety check for undefined URL
-  if (!url || typeof url !== 'string') {
-    return Promise.reject(new Error(`Invalid URL provided: ${url}`));
-  }
+function warmCachesFromStore() {
+  const startTime = Date.now();
   
-  const isHttps = url.startsWith('https');
-  const client = isHttps ? https : http;
+  try {
+    const health = marketStore.loadPlatformHealth();
+    cacheManager.restorePlatformHealth(health);
+    
+    // Fallback data for platforms that fail their first fetch
+    for (const platform of platformRegistry.names()) {
+      const saved = health[platform] || {};
+      marketAggregator.restoreLastKnownGood(
+        platform,
+        marketStore.loadMarkets(platform, { maxAgeMs: CONFIG.STORE_WARM_MAX_AGE }),
+        saved.lastSuccessfulFetch || saved.savedAt || startTime
+      );
+    }
+    
+    const unifiedMarkets = marketStore.loadUnifiedMarkets({ maxAgeMs: CONFIG.STORE_WARM_MAX_AGE });
+    unifiedMarkets.forEach(market => cacheManager.setUnifiedMarket(market.unified_id, market));
+    
+    const points = priceHistoryStore.restore(
+      marketStore.loadPriceHistory(startTime - priceHistoryStore.retentionMs)
+    );
+    const volumes = priceHistoryStore.restoreVolume(
+      marketStore.loadVolumeHistory(startTime - priceHistoryStore.retentionMs)
+    );
+    
+    console.log(`[MarketStore] Warmed caches with ${unifiedMarkets.length} unified markets, ${points} price points and ${volumes} volume samples in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    console.error('[MarketStore] Error warming caches:', error.message);
+  }
+}
+
+/**
+ * Write cached unified markets, platform health and buffered price points
+ */
+function checkpointStore() {
+  try {
+    const saved = marketStore.saveUnifiedMarkets(cacheManager.getAllUnifiedMarkets());
+    marketStore.savePlatformHealth(cacheManager.platformHealth);
+    const points = marketStore.flush();
+    console.log(`[MarketStore] Checkpoint: ${saved} unified markets, ${points} price points and volume samples`);
+  } catch (error) {
+    console.error('[MarketStore] Checkpoint failed:', error.message);
+  }
+}
 
-  return new Promise((resolve, reject) => {
-    client.get(url, (res) => {
-      let data = '';
+warmCachesFromStore();
 
-      // A chunk of data has been received.
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+const checkpointInterval = setInterval(checkpointStore, CONFIG.STORE_CHECKPOINT_INTERVAL);
 
-      // The whole response has been received.
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            // Log raw response on JSON parsing failure
-            console.error(`JSON Parse Error for ${url}: ${e.message}. Status: ${res.statusCode}. Raw data: ${data.substring(0, 500)}...`);
-            reject(new Error(`Failed to parse JSON response. Status: ${res.statusCode}`));
-          }
-        } else {
-          // Log raw response on HTTP error
-          console.error(`HTTP Error for ${url}: Status: ${res.statusCode}. Raw data: ${data.substring(0, 500)}...`);
-          reject(new Error(`HTTP Error Status: ${res.statusCode} for ${url}`));
-        }
-      });
-    }).on('error', (err) => {
-      reject(new Error(`Native Fetch Error: ${err.message}`));
-    });
-  });
-}
+// Start polling service
+pollingService.start();
+console.log(`[PollingService] Started polling (${platformRegistry.names().join(', ')})`);
 
 // ====================================================================
 // OPTIMIZATION & DATA HELPERS
 // ====================================================================
 
 /**
- * Checks if a market is currently open and relevant (not expired/resolved).
+ * Checks if a market is currently live (upcoming, open or halted) rather than
+ * closed, resolved, disputed or voided. Statuses are checked against the real
+ * clock, so markets whose end date has passed are dropped.
  * @param {Object} market The normalized market object.
  * @returns {boolean} True if market should be displayed.
  */
 function isMarketCurrentlyOpen(market) {
-  const now = new Date('2025-11-01'); // Current date: Nov 1, 2025
-
-  // Check if market has an end date
-  if (market.endDate) {
-    const endDate = new Date(market.endDate);
-    // Market is closed if end date has passed
-    if (endDate < now) {
-      return false;
-    }
-  }
-
-  // Check if market is marked as closed/resolved
-  if (market.closed === true || market.resolved === true) {
-    return false;
-  }
-
-  // Gamma API pre-filters for active markets, so accept all
-  return true;
+  return marketLifecycle.isLive(market);
 }
 
 /**
- * Cleans and optimizes market titles by removing redundant "yes/no" prefixes
- * @param {string} title The raw market title from API
- * @returns {string} Cleaned title
+ * Applies the ?status= query filter to a list of markets.
+ * Statuses are refreshed first so cached markets reflect the current time.
+ * @param {Array} markets Normalized or unified markets.
+ * @param {Object} req Express request.
+ * @param {Object} res Express response, answered with 400 on an invalid status.
+ * @returns {Array|null} Filtered markets, or null if a response was sent.
  */
-function cleanMarketTitle(title) {
-  if (!title) return '';
-  
-  let cleaned = title;
-  // Remove leading "yes " or "no " patterns (case-insensitive)
-  cleaned = cleaned.replace(/^(yes|no)\s+/gi, '');
-  // Remove multiple consecutive "yes " or "no " in the middle
-  cleaned = cleaned.replace(/,\s*(yes|no)\s+/gi, ', ');
-  // Clean up extra spaces
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  return cleaned;
+function applyStatusFilter(markets, req, res) {
+  try {
+    const statuses = marketLifecycle.parseStatusFilter(req.query.status);
+    return marketLifecycle.filterByStatus(markets, statuses);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
 }
 
 /**
- * Creates a shortened, optimized title for a market card.
- * @param {string} title The full market title.
- * @returns {string} A truncated title, if necessary.
+ * Applies the listing query to markets: minVolume/maxSpread/endsBefore filters,
+ * ?subcategory= and ?tag= facets, then sort and cursor pagination.
+ * Sends a 400 response and returns null on an invalid parameter.
+ * @param {Array} markets Listing before filtering.
+ * @param {Object} req Express request.
+ * @param {Object} res Express response.
+ * @returns {Object|null} { markets, total, facets, filters, pagination }
  */
-function optimizeTitle(title) {
-  const MAX_LENGTH = 50;
-  const cleaned = cleanMarketTitle(title);
-  
-  if (cleaned.length > MAX_LENGTH) {
-    return cleaned.substring(0, MAX_LENGTH - 3) + '...';
+function buildListing(markets, req, res) {
+  let options;
+  try {
+    options = marketQuery.parse(req.query);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
   }
-  return cleaned;
-}
 
-/**
- * Limits outcomes to top 3 for card display.
- * @param {Array} outcomes Array of outcome objects.
- * @returns {Array} Top 3 outcomes sorted by price.
- */
-function limitOutcomesForCard(outcomes) {
-  if (!Array.isArray(outcomes)) return [];
-  return outcomes.sort((a, b) => b.price - a.price).slice(0, 3);
-}
+  const faceted = marketFacets.list(marketQuery.filter(markets, options), req.query);
+  const page = marketQuery.page(faceted.markets, options);
 
-/**
- * Maps Kalshi's native categories to our categories
- */
-function mapKalshiCategory(kalshiCategory) {
-  if (!kalshiCategory) return null;
-  
-  const categoryMap = {
-    'politics': 'Politics',
-    'elections': 'Politics',
-    'sports': 'Sports',
-    'economics': 'Economics',
-    'finance': 'Economics',
-    'crypto': 'Crypto',
-    'world': 'World',
-    'culture': 'Culture',
-    'entertainment': 'Culture',
+  return {
+    markets: page.markets,
+    total: faceted.markets.length,
+    facets: faceted.facets,
+    filters: faceted.filters,
+    pagination: page.pagination
   };
-  
-  return categoryMap[kalshiCategory.toLowerCase()] || null;
 }
 
 /**
- * Intelligently assigns a category based on keywords in the title.
- * @param {string} title The market title.
- * @param {string} nativeCategory Optional native category from API
- * @returns {string} A specific category.
+ * Sends a market listing (see buildListing).
+ * Arrays stay arrays for existing clients; ?facets=true or a ?limit=/?cursor=
+ * page answers { markets, total, facets, filters, pagination } instead.
+ * @param {Object} req Express request.
+ * @param {Object} res Express response.
+ * @param {Array} markets Listing before filtering.
  */
-function getAdvancedCategory(title, nativeCategory = null) {
-  // First try to use native category if provided
-  if (nativeCategory) {
-    const mapped = mapKalshiCategory(nativeCategory);
-    if (mapped) return mapped;
-  }
-
-  const lowerTitle = title.toLowerCase();
-
-  // Politics (Enhanced)
-  if (lowerTitle.includes('trump') || lowerTitle.includes('biden') || 
-      lowerTitle.includes('election') || lowerTitle.includes('president') || 
-      lowerTitle.includes('mayor') || lowerTitle.includes('governor') ||
-      lowerTitle.includes('senate') || lowerTitle.includes('congress')) {
-    return 'Politics';
-  }
-
-  // Geopolitics (New)
-  if (lowerTitle.includes('russia') || lowerTitle.includes('china') || 
-      lowerTitle.includes('taiwan') || lowerTitle.includes('gaza') || 
-      lowerTitle.includes('war')) {
-    return 'Geopolitics';
-  }
+function sendListing(req, res, markets) {
+  const listing = buildListing(markets, req, res);
+  if (!listing) return;
 
-  // Crypto
-  if (lowerTitle.includes('btc') || lowerTitle.includes('bitcoin') || 
-      lowerTitle.includes('eth') || lowerTitle.includes('solana') || 
-      lowerTitle.includes('crypto')) {
-    return 'Crypto';
+  if (req.query.facets === 'true' || req.query.facets === '1' || listing.pagination.limit) {
+    return res.json(listing);
   }
 
-  // Economics
-  if (lowerTitle.includes('fed') || lowerTitle.includes('inflation') || 
-      lowerTitle.includes('interest rate') || lowerTitle.includes('gdp') || 
-      lowerTitle.includes('cpi')) {
-    return 'Economics';
-  }
+  res.json(listing.markets);
+}
 
-  // Sports (Enhanced with player names and teams)
-  if (lowerTitle.includes('nba') || lowerTitle.includes('nfl') || 
-      lowerTitle.includes('lakers') || lowerTitle.includes('world cup') ||
-      lowerTitle.includes('mahomes') || lowerTitle.includes('josh allen') || 
-      lowerTitle.includes('james cook') ||
-      lowerTitle.includes('touchdown') || lowerTitle.includes('quarterback') || 
-      lowerTitle.includes('yards') ||
-      lowerTitle.includes('chiefs') || lowerTitle.includes('bills') || 
-      lowerTitle.includes('cowboys') ||
-      lowerTitle.includes('packers') || lowerTitle.includes('broncos') || 
-      lowerTitle.includes('rams')) {
-    return 'Sports';
-  }
+/**
+ * Parses /api/search query parameters into SearchIndex options.
+ * @param {Object} query Express query ({ platform, category, status, min_volume, max_volume, end_after, end_before, limit, offset })
+ * @returns {Object} { filters, limit, offset }
+ * @throws {Error} On an invalid parameter
+ */
+function parseSearchOptions(query) {
+  const list = value => (value ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : []);
+
+  const number = (name, min = 0) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < min) {
+      throw new Error(`Invalid ${name}: expected a number >= ${min}`);
+    }
+    return value;
+  };
 
-  // World (New)
-  if (lowerTitle.includes('india') || lowerTitle.includes('uk') || 
-      lowerTitle.includes('prime minister')) {
-    return 'World';
-  }
+  const date = (name) => {
+    if (!query[name]) return undefined;
+    const time = /^\d+$/.test(query[name]) ? Number(query[name]) : Date.parse(query[name]);
+    if (isNaN(time)) {
+      throw new Error(`Invalid ${name}: expected an ISO date or a timestamp in ms`);
+    }
+    return time;
+  };
 
-  // Culture (New)
-  if (lowerTitle.includes('movie') || lowerTitle.includes('box office') || 
-      lowerTitle.includes('taylor swift') || lowerTitle.includes('grammy')) {
-    return 'Culture';
+  const platforms = list(query.platform);
+  const unknown = platforms.filter(platform => !platformRegistry.has(platform));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown platform: ${unknown.join(', ')}`);
   }
 
-  // Fallback
-  return 'Other';
+  return {
+    filters: {
+      platforms,
+      categories: list(query.category).filter(category => category !== 'all'),
+      statuses: marketLifecycle.parseStatusFilter(query.status) || [],
+      minVolume: number('min_volume'),
+      maxVolume: number('max_volume'),
+      endAfter: date('end_after'),
+      endBefore: date('end_before')
+    },
+    limit: Math.min(number('limit', 1) || 20, 100),
+    offset: Math.floor(number('offset') || 0)
+  };
 }
 
 /**
- * Generates a realistic (but fake) 7-day price history for an outcome.
- * @param {number} startPrice The starting price (probability) for this outcome.
- * @returns {Array<Object>} An array of data points for the chart.
+ * Builds the platform health report: cache health, circuit breaker state and
+ * polling back-off per platform.
+ * @returns {Object} { platform: { status, ..., breaker, polling } }
  */
-function generateMarketHistory(startPrice) {
-  let history = [];
-  let price = startPrice;
-  const now = Math.floor(Date.now() / 1000);
-  const sevenDaysAgo = now - (7 * 24 * 60 * 60);
-  const dataPoints = 168;
-  const timeStep = (7 * 24 * 60 * 60) / dataPoints;
-
-  for (let i = 0; i < dataPoints; i++) {
-    const change = (Math.random() - 0.5) * 0.02;
-    price += change;
-    if (price > 0.99) price = 0.99;
-    if (price < 0.01) price = 0.01;
-    
-    history.push({ 
-      time: sevenDaysAgo + (i * timeStep), 
-      value: price 
-    });
+function getPlatformHealthReport() {
+  const health = cacheManager.getAllPlatformHealth();
+  const polling = pollingService.getBackoffStatus();
+
+  for (const platform of Object.keys(health)) {
+    health[platform] = {
+      ...health[platform],
+      breaker: httpClient.getBreaker(platform).getState(),
+      polling: polling[platform] || null
+    };
   }
 
-  history.push({ time: now, value: startPrice });
-  return history;
+  return health;
 }
 
 /**
- * Calculates a trending score for a market based on multiple factors
- * @param {Object} market Normalized market object
- * @returns {number} Trending score (higher = more trending)
+ * Answers a failed unified market request.
+ * Unknown markets are a 404. When no platform has data, not even
+ * last-known-good data, the response is a 503 whose Retry-After points at the
+ * earliest circuit breaker probe.
+ * @param {Object} res Express response.
+ * @param {Error} error The failure.
+ * @param {string} message Error summary for the response body.
  */
-function calculateTrendingScore(market) {
-  const now = Date.now();
-
-  // 1. Volume Velocity (volume per hour) - 30% weight
-  const volumeVelocity = market.volume_24h / 24;
-
-  // 2. Volume Magnitude (log scale to prevent dominance) - 25% weight
-  const volumeMagnitude = Math.log10(market.volume_24h + 1);
-
-  // 3. Liquidity Factor (higher liquidity = more stable market) - 15% weight
-  const liquidityFactor = Math.log10((market.liquidity || 0) + 1);
-
-  // 4. Price Competitiveness (markets with close odds are more interesting) - 15% weight
-  let priceCompetitiveness = 1.0;
-  if (market.outcomes && market.outcomes.length >= 2) {
-    const topPrice = market.outcomes[0].price;
-    const secondPrice = market.outcomes[1].price;
-    const priceDiff = Math.abs(topPrice - secondPrice);
-    priceCompetitiveness = 1 + (1 - priceDiff);
+function sendMarketDataError(res, error, message) {
+  if (error.code === 'MARKET_NOT_FOUND') {
+    return res.status(404).json({ error: 'Market not found', message: error.message });
   }
 
-  // 5. Recency Boost (new markets get priority) - 15% weight
-  let recencyBoost = 1.0;
-  if (market.startDate) {
-    try {
-      const hoursSinceStart = (now - new Date(market.startDate).getTime()) / (1000 * 60 * 60);
-      if (hoursSinceStart < 48) {
-        recencyBoost = 1.5;
-      } else if (hoursSinceStart < 168) {
-        recencyBoost = 1.2;
-      }
-    } catch (e) {
-      recencyBoost = 1.0;
-    }
+  if (error.code !== 'PLATFORMS_UNAVAILABLE') {
+    return res.status(500).json({ error: message, message: error.message });
   }
 
-  // Weighted trending score
-  let score = (
-    (volumeVelocity * 0.3) +
-    (volumeMagnitude * 0.25) +
-    (liquidityFactor * 0.15) +
-    (priceCompetitiveness * 0.15) +
-    (market.volume_24h * 0.15)
-  ) * recencyBoost;
+  const probes = Object.values(httpClient.getBreakerStates())
+    .map(breaker => breaker.retryAt)
+    .filter(Boolean);
+  const retryAfter = probes.length > 0
+    ? Math.max(1, Math.ceil((Math.min(...probes) - Date.now()) / 1000))
+    : 30;
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    error: message,
+    message: error.message,
+    retryAfter,
+    platforms: getPlatformHealthReport()
+  });
+}
 
-  // Boost multi-outcome markets (they're more interesting!)
-  if (market.isMultiOutcome) {
-    const originalScore = score;
-    score *= 1.2;
-    console.log(`[Trending] Multi-outcome boost: "${market.shortTitle}" - Score: ${originalScore.toFixed(2)} → ${score.toFixed(2)} (+20%)`);
+/**
+ * Normalized markets from the platform legs of cached unified markets
+ * (kept fresh by polling).
+ * @returns {Array} Markets, empty when the unified cache is cold
+ */
+function getCachedPlatformMarkets() {
+  const byId = new Map();
+  for (const unified of cacheManager.getAllUnifiedMarkets()) {
+    for (const market of Object.values(unified.platforms || {})) {
+      if (market && market.id) byId.set(market.id, market);
+    }
   }
 
-  return score;
+  return [...byId.values()];
 }
 
 /**
- * Fetches and calculates trending markets using custom algorithm
- * @returns {Promise<Array>} Array of trending markets sorted by trending score
+ * Ranks normalized markets from every platform with the trending engine.
+ * Uses the platform legs of cached unified markets and fetches every
+ * platform when the cache is cold.
+ * @returns {Promise<Array>} Top 100 markets with trendingScore and a trending breakdown
  */
 async function fetchTrendingMarkets() {
   try {
-    console.log('[Trending] Fetching markets for trending calculation...');
-    
-    const allMarkets = await fetchPolymarketData(2);
-    if (!allMarkets || allMarkets.length === 0) {
-      console.warn('[Trending] No markets fetched');
-      return [];
+    console.log('[Trending] Collecting markets from all platforms...');
+
+    let allMarkets = getCachedPlatformMarkets();
+    if (allMarkets.length === 0) {
+      const platformMarkets = await marketAggregator.fetchAllPlatforms();
+      allMarkets = platformRegistry.names().flatMap(name => platformMarkets[name] || []);
     }
 
-    console.log(`[Trending] Calculating trending scores for ${allMarkets.length} markets...`);
+    return rankTrendingMarkets(allMarkets);
+  } catch (error) {
+    console.error('[Trending] Failed to rank trending markets:', error.message);
+    throw error;
+  }
+}
 
-    const marketsWithScores = allMarkets.map(market => ({
-      ...market,
-      trendingScore: calculateTrendingScore(market)
-    }));
+/**
+ * Scores markets with the trending engine and logs the top 5.
+ * @param {Array} allMarkets Normalized markets from every platform
+ * @param {Object} weights Signal weights (default: the engine's configured weights)
+ * @returns {Array} Top 100 markets with trendingScore and a trending breakdown
+ */
+function rankTrendingMarkets(allMarkets, weights) {
+  if (allMarkets.length === 0) {
+    console.warn('[Trending] No markets available');
+    return [];
+  }
 
-    const trendingMarkets = marketsWithScores
-      .sort((a, b) => b.trendingScore - a.trendingScore)
-      .slice(0, 100);
+  const perPlatform = allMarkets.reduce((counts, market) => {
+    counts[market.platform] = (counts[market.platform] || 0) + 1;
+    return counts;
+  }, {});
+  console.log(`[Trending] Scoring ${allMarkets.length} markets:`, perPlatform);
 
-    console.log(`[Trending] Top 5 trending markets:`);
-    trendingMarkets.slice(0, 5).forEach((m, i) => {
-      console.log(`  ${i + 1}. ${m.shortTitle?.substring(0, 40)} - Score: ${m.trendingScore.toFixed(2)}, Volume: $${m.volume_24h?.toLocaleString()}`);
-    });
+  const trendingMarkets = trendingEngine.rank(allMarkets, { weights, limit: 100 });
 
-    return trendingMarkets;
-  } catch (error) {
-    console.error('[Trending] Failed to fetch trending markets:', error.message);
-    throw error;
-  }
+  console.log(`[Trending] Top 5 trending markets:`);
+  trendingMarkets.slice(0, 5).forEach((m, i) => {
+    const { volumeAcceleration, priceMomentum } = m.trending.signals;
+    console.log(`  ${i + 1}. [${m.platform}] ${(m.shortTitle || m.title || '').substring(0, 40)} - Score: ${m.trendingScore.toFixed(2)}, Volume accel: ${volumeAcceleration.contribution}, Momentum: ${priceMomentum.contribution}`);
+  });
+
+  return trendingMarkets;
 }
 
 /**
@@ -1149,7 +1324,7 @@ async function fetchPolymarketData(maxPages = 10) {
       const url = `https://gamma-api.polymarket.com/markets?active=true&closed=false&limit=${limit}&offset=${offset}`;
       console.log(`[Polymarket] Fetching page ${pagesFetched + 1}/${maxPages} at offset ${offset}...`);
 
-      const data = await nativeFetch(url);
+      const data = await httpClient.getJson(url, { platform: 'polymarket' });
       const marketArray = Array.isArray(data) ? data : data.data;
 
       if (!Array.isArray(marketArray)) {
@@ -1175,9 +1350,7 @@ async function fetchPolymarketData(maxPages = 10) {
 
     console.log(`[Polymarket] Total fetched: ${allMarkets.length} markets from ${pagesFetched} page(s)`);
 
-    const normalized = allMarkets
-      .map(normalizePolymarket)
-      .filter(Boolean)
+    const normalized = marketSchema.filterValid(allMarkets.map(market => polymarketFetcher.normalizeMarket(market)), 'Polymarket')
       .filter(isMarketCurrentlyOpen)
       .sort((a, b) => b.volume_24h - a.volume_24h);
 
@@ -1206,10 +1379,9 @@ async function fetchKalshiData() {
   try {
     console.log('[Kalshi] Fetching data using KalshiFetcher...');
 
-    const rawMarkets = await kalshiFetcher.fetchMarkets({
-      status: 'open',
-      limit: 500
-    });
+    // Pages through every event within the strategy's budget; later polls
+    // only re-fetch markets that changed (see KalshiFetcher.fetchGroupedMarkets)
+    const rawMarkets = await kalshiFetcher.fetchMarkets({ status: 'open' });
 
     if (!rawMarkets || rawMarkets.length === 0) {
       console.warn('[Kalshi] No markets returned');
@@ -1218,12 +1390,9 @@ async function fetchKalshiData() {
 
     console.log(`[Kalshi] Fetched ${rawMarkets.length} markets`);
 
-    const normalized = rawMarkets
-      .map(market => kalshiFetcher.normalizeMarket(market))
-      .filter(Boolean)
+    const normalized = marketSchema.filterValid(rawMarkets.map(market => kalshiFetcher.normalizeMarket(market)), 'Kalshi')
       .filter(isMarketCurrentlyOpen)
-      .sort((a, b) => b.volume_24h - a.volume_24h)
-      .slice(0, 50);
+      .sort((a, b) => b.volume_24h - a.volume_24h);
 
     console.log(`[Kalshi] Normalized ${normalized.length} markets`);
     return normalized;
@@ -1233,92 +1402,6 @@ async function fetchKalshiData() {
   }
 }
 
-/**
- * Converts a Polymarket market object to our standard multi-outcome format.
- */
-function normalizePolymarket(market) {
-  try {
-    const rawTitle = market.question;
-    const cleanedTitle = cleanMarketTitle(rawTitle);
-
-    const marketVolume = parseFloat(market.volume || market.volume24hr || market.volume_24h || market.volumeNum || 0);
-    
-    let tokenVolume = 0;
-    if (market.tokens && Array.isArray(market.tokens)) {
-      tokenVolume = market.tokens.reduce((sum, token) => {
-        return sum + parseFloat(token.volume || token.volume24hr || token.volume_24h || 0);
-      }, 0);
-    }
-
-    const totalVolume = Math.max(marketVolume, tokenVolume);
-    const liquidity = parseFloat(market.liquidity || 0);
-
-    const commonData = {
-      id: `poly-${market.condition_id || market.id}`,
-      title: cleanedTitle,
-      shortTitle: optimizeTitle(rawTitle),
-      platform: 'Polymarket',
-      category: getAdvancedCategory(cleanedTitle),
-      volume_24h: totalVolume,
-      liquidity: liquidity,
-      outcomes: [],
-      closed: market.closed || false,
-      resolved: market.resolved || false,
-      endDate: market.end_date_iso || market.endDate || null,
-      image: market.image || market.icon || null,
-      startDate: market.start_date_iso || market.startDate || market.created_at || null,
-      polymarketUrl: market.id ? `https://polymarket.com/event/${market.slug || market.id}` : null,
-      totalVolume: totalVolume,
-    };
-
-    const outcomeColors = ['#3B82F6', '#EF4444', '#F59E0B', '#10B981', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
-
-    if (market.tokens && market.tokens.length > 0) {
-      commonData.outcomes = market.tokens.map((token, index) => {
-        const price = parseFloat(token.price || 0);
-        return {
-          name: token.outcome,
-          price: price,
-          history: generateMarketHistory(price),
-          color: outcomeColors[index % outcomeColors.length],
-          image: token.image || null,
-          rank: index + 1,
-        };
-      });
-    } else {
-      const yesPrice = parseFloat(market.lastTradePrice || 0.5);
-      const noPrice = 1 - yesPrice;
-      commonData.outcomes = [
-        { name: 'Yes', price: yesPrice, history: generateMarketHistory(yesPrice), color: '#10B981', image: null, rank: 1 },
-        { name: 'No', price: noPrice, history: generateMarketHistory(noPrice), color: '#EF4444', image: null, rank: 2 },
-      ];
-    }
-
-    commonData.outcomes.sort((a, b) => b.price - a.price);
-    commonData.outcomes.forEach((outcome, index) => {
-      outcome.rank = index + 1;
-    });
-
-    commonData.allOutcomes = [...commonData.outcomes];
-
-    const outcomeCount = commonData.outcomes.length;
-    const isMultiOutcome = outcomeCount > 2;
-    commonData.isMultiOutcome = isMultiOutcome;
-    commonData.outcomeCount = outcomeCount;
-    commonData.marketType = isMultiOutcome ? 'multi-outcome' : 'binary';
-
-    if (isMultiOutcome && Math.random() < 0.01) {
-      console.log(`[Multi-Outcome] Detected: "${commonData.shortTitle}" with ${outcomeCount} outcomes`);
-    }
-
-    commonData.outcomes = limitOutcomesForCard(commonData.outcomes);
-    return commonData;
-  } catch (err) {
-    console.error("Error normalizing Polymarket market:", err.message, market);
-    return null;
-  }
-}
-
 /**
  * Get markets by category with smart caching
  * @param {string} category The category to filter by (or 'All' for all markets)
@@ -1397,12 +1480,37 @@ function logMultiOutcomeStats(markets) {
 // API ENDPOINTS
 // ====================================================================
 
-// Get trending markets
+// Get trending markets (all platforms; ?weights=priceMomentum:0.5,... re-ranks cached markets with custom weights)
 app.get('/api/markets/trending', async (req, res) => {
   const startTime = Date.now();
   console.log('[API] Received request for trending markets');
 
+  let weights = null;
   try {
+    weights = req.query.weights ? trendingEngine.parseWeights(req.query.weights) : null;
+  } catch (error) {
+    return res.status(400).json({ error: error.message, signals: TrendingEngine.SIGNALS });
+  }
+
+  try {
+    // Custom weights re-rank cached markets only, never fetching upstream
+    if (weights) {
+      const lastRanking = cacheManager.peekMetadata('trending');
+      let cachedMarkets = getCachedPlatformMarkets();
+      if (cachedMarkets.length === 0 && lastRanking) {
+        cachedMarkets = lastRanking.markets;
+      }
+
+      if (cachedMarkets.length === 0) {
+        const error = new Error('No cached markets to re-rank yet');
+        error.code = 'PLATFORMS_UNAVAILABLE';
+        return sendMarketDataError(res, error, 'Failed to rank trending markets');
+      }
+
+      const markets = applyStatusFilter(marketAggregator.markStale(rankTrendingMarkets(cachedMarkets, weights)), req, res);
+      return markets && res.json(markets);
+    }
+
     const cached = cacheManager.getMetadata('trending');
     const cacheAge = Date.now() - cacheManager.metadataCache.timestamp;
     const TRENDING_CACHE_TTL = 5 * 60 * 1000;
@@ -1411,10 +1519,11 @@ app.get('/api/markets/trending', async (req, res) => {
       cacheManager.trackAccess('trending');
       const duration = Date.now() - startTime;
       console.log(`[API] Cache hit for trending: ${cached.length} markets in ${duration}ms (age: ${Math.round(cacheAge / 1000)}s)`);
-      return res.json(cached);
+      const markets = applyStatusFilter(marketAggregator.markStale(cached), req, res);
+      return markets && res.json(markets);
     }
 
-    console.log('[API] Cache miss/expired for trending, calculating with custom algorithm...');
+    console.log('[API] Cache miss/expired for trending, ranking with the trending engine...');
     const trendingMarkets = await fetchTrendingMarkets();
     console.log(`[API] Calculated ${trendingMarkets.length} trending markets`);
 
@@ -1423,16 +1532,23 @@ app.get('/api/markets/trending', async (req, res) => {
 
     const duration = Date.now() - startTime;
     console.log(`[API] Returning ${trendingMarkets.length} trending markets in ${duration}ms (Cache: MISS)`);
-    res.json(trendingMarkets);
+    const markets = applyStatusFilter(marketAggregator.markStale(trendingMarkets), req, res);
+    if (markets) res.json(markets);
   } catch (error) {
     console.error('[API] Error fetching trending markets:', error);
     
-    const staleCache = cacheManager.getMetadata('trending');
-    if (staleCache && staleCache.length > 0) {
-      console.log('[API] Returning stale cache as fallback');
-      return res.json(staleCache);
+    // Last ranking, however old, flagged stale with its age
+    const fallback = cacheManager.peekMetadata('trending');
+    if (fallback && fallback.markets.length > 0) {
+      console.log(`[API] Returning stale trending cache as fallback (${Math.round(fallback.ageMs / 1000)}s old)`);
+      const markets = applyStatusFilter(fallback.markets.map(market => ({
+        ...market,
+        stale: true,
+        dataAgeMs: Math.max(fallback.ageMs, market.dataAgeMs || 0)
+      })), req, res);
+      return markets && res.json(markets);
     }
-    res.status(500).json({ error: 'Failed to fetch trending markets' });
+    sendMarketDataError(res, error, 'Failed to fetch trending markets');
   }
 });
 
@@ -1449,7 +1565,8 @@ app.get('/api/markets/multi-outcome', async (req, res) => {
       cacheManager.trackAccess('multi-outcome');
       const duration = Date.now() - startTime;
       console.log(`[API] Cache hit for multi-outcome: ${cached.length} markets in ${duration}ms (age: ${Math.round(cacheAge / 1000)}s)`);
-      return res.json(cached);
+      const markets = applyStatusFilter(cached, req, res);
+      return markets && res.json(markets);
     }
 
     console.log('[API] Cache miss/expired for multi-outcome, fetching...');
@@ -1466,14 +1583,15 @@ app.get('/api/markets/multi-outcome', async (req, res) => {
 
     const duration = Date.now() - startTime;
     console.log(`[API] Returning ${topMarkets.length} multi-outcome markets in ${duration}ms (Cache: MISS)`);
-    res.json(topMarkets);
+    const markets = applyStatusFilter(topMarkets, req, res);
+    if (markets) res.json(markets);
   } catch (error) {
     console.error('[API] Error fetching multi-outcome markets:', error.message);
     res.status(500).json({ error: 'Failed to fetch multi-outcome markets' });
   }
 });
 
-// Search endpoint
+// Search endpoint: ranked full-text search over unified markets (both platforms)
 app.get('/api/search', async (req, res) => {
   const query = req.query.q;
   const startTime = Date.now();
@@ -1483,50 +1601,61 @@ app.get('/api/search', async (req, res) => {
     return res.status(400).json({ error: 'Search query must be at least 2 characters' });
   }
 
+  let options;
   try {
-    const searchTerm = query.toLowerCase().trim();
-    const allMarketsCache = cacheManager.getMetadata('All_full');
-
-    if (allMarketsCache && allMarketsCache.length > 0) {
-      const results = allMarketsCache.filter(market => 
-        market.title?.toLowerCase().includes(searchTerm) ||
-        market.shortTitle?.toLowerCase().includes(searchTerm) ||
-        market.category?.toLowerCase().includes(searchTerm)
-      );
-
-      const duration = Date.now() - startTime;
-      console.log(`[API] Search found ${results.length} results in ${duration}ms (searched ${allMarketsCache.length} markets)`);
+    options = parseSearchOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-      return res.json({
-        query: query,
-        results: results,
-        totalSearched: allMarketsCache.length,
-        resultCount: results.length
-      });
+  try {
+    // The polling service keeps the index in sync; seed it on a cold cache
+    if (searchIndex.getStats().markets === 0) {
+      const cached = cacheManager.getAllUnifiedMarkets();
+      searchIndex.sync(cached.length > 0 ? cached : await marketAggregator.getUnifiedMarkets('all'));
     }
 
-    console.log('[API] No cache for search, fetching fresh data...');
-    const maxPages = CONFIG.MAX_PAGES[CONFIG.FETCH_STRATEGY];
-    const allMarkets = await fetchPolymarketData(maxPages);
-
-    const results = allMarkets.filter(market => 
-      market.title?.toLowerCase().includes(searchTerm) ||
-      market.shortTitle?.toLowerCase().includes(searchTerm) ||
-      market.category?.toLowerCase().includes(searchTerm)
-    );
+    const { total, results } = searchIndex.search(query, options);
+    const totalSearched = searchIndex.getStats().markets;
 
     const duration = Date.now() - startTime;
-    console.log(`[API] Search found ${results.length} results in ${duration}ms (searched ${allMarkets.length} markets)`);
+    console.log(`[API] Search found ${total} results in ${duration}ms (searched ${totalSearched} markets)`);
 
     res.json({
       query: query,
-      results: results,
-      totalSearched: allMarkets.length,
-      resultCount: results.length
+      results: results.map(({ market, score, matchedTerms, highlights }) => ({
+        ...marketLifecycle.refresh(market),
+        search: { score, matchedTerms, highlights }
+      })),
+      totalSearched,
+      resultCount: results.length,
+      total,
+      offset: options.offset,
+      limit: options.limit,
+      hasMore: options.offset + results.length < total
     });
   } catch (error) {
     console.error('[API] Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    sendMarketDataError(res, error, 'Search failed');
+  }
+});
+
+// Category listing: taxonomy tree with unified market counts
+app.get('/api/categories', async (req, res) => {
+  try {
+    const cached = cacheManager.getAllUnifiedMarkets();
+    const markets = applyStatusFilter(cached.length > 0 ? cached : await marketAggregator.getUnifiedMarkets('all'), req, res);
+    if (!markets) return;
+
+    res.json({
+      categories: categoryTaxonomy.countMarkets(markets),
+      fallback: categoryTaxonomy.fallback,
+      total: markets.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[API] Error listing categories:', error.message);
+    sendMarketDataError(res, error, 'Failed to list categories');
   }
 });
 
@@ -1549,12 +1678,14 @@ app.get('/api/markets/:category', async (req, res) => {
   console.log(`[API] Received request for category: ${category}`);
 
   try {
-    const markets = await getMarketsByCategory(category);
+    const markets = applyStatusFilter(await getMarketsByCategory(category), req, res);
+    if (!markets) return;
+
     const duration = Date.now() - startTime;
     const cacheStatus = cacheManager.getMetadata(category) ? 'HIT' : 'MISS';
 
     console.log(`[API] Returning ${markets.length} markets for ${category} in ${duration}ms (Cache: ${cacheStatus})`);
-    res.json(markets);
+    sendListing(req, res, markets);
   } catch (error) {
     console.error(`[API] Error fetching markets for ${category}:`, error);
     res.status(500).json({ error: 'Failed to fetch markets' });
@@ -1567,9 +1698,11 @@ app.get('/api/markets', async (req, res) => {
   console.log('[API] Received request for /api/markets (all)');
 
   try {
-    const allMarkets = await getMarketsByCategory('All');
+    const allMarkets = applyStatusFilter(await getMarketsByCategory('All'), req, res);
+    if (!allMarkets) return;
+
     console.log(`[API] Returning ${allMarkets.length} markets (legacy endpoint)`);
-    res.json(allMarkets);
+    sendListing(req, res, allMarkets);
   } catch (error) {
     console.error('[API] Error fetching markets:', error);
     res.status(500).json({ error: 'Failed to fetch markets' });
@@ -1585,13 +1718,13 @@ app.get('/api/market/:marketId/live', async (req, res) => {
   try {
     const polymarketId = marketId.replace('poly-', '');
     const url = `https://gamma-api.polymarket.com/markets/${polymarketId}`;
-    const marketData = await nativeFetch(url);
+    const marketData = await httpClient.getJson(url, { platform: 'polymarket' });
 
     if (!marketData) {
       return res.status(404).json({ error: 'Market not found' });
     }
 
-    const normalized = normalizePolymarket(marketData);
+    const normalized = polymarketFetcher.normalizeMarket(marketData);
     const duration = Date.now() - startTime;
     console.log(`[API] Live price fetched for ${marketId} in ${duration}ms`);
 
@@ -1602,11 +1735,56 @@ app.get('/api/market/:marketId/live', async (req, res) => {
       fetchTime: duration
     });
   } catch (error) {
-    console.error(`[API] Error fetching live price for ${marketId}:`, error);
+    console.error(`[API] Error fetching live price for ${marketId}:`, error.message);
+
+    if (error instanceof HttpClient.HttpStatusError && error.status === 404) {
+      return res.status(404).json({ error: 'Market not found' });
+    }
+    if (error instanceof HttpClient.CircuitOpenError) {
+      return res.status(503).json({ error: 'Polymarket is unavailable', retryAt: error.retryAt });
+    }
     res.status(500).json({ error: 'Failed to fetch live market data' });
   }
 });
 
+// Price history endpoint for charts (recorded by PollingService)
+app.get('/api/market/:marketId/history', (req, res) => {
+  const marketId = req.params.marketId;
+  const timeframe = (req.query.timeframe || 'ALL').toUpperCase();
+  const startTime = Date.now();
+  console.log(`[API] Price history request for market: ${marketId} (timeframe: ${timeframe})`);
+
+  if (!priceHistoryStore.isValidTimeframe(timeframe)) {
+    return res.status(400).json({
+      error: 'Invalid timeframe',
+      validTimeframes: Object.keys(PriceHistoryStore.TIMEFRAMES)
+    });
+  }
+
+  try {
+    const history = priceHistoryStore.getHistory(marketId, timeframe);
+
+    if (!history) {
+      return res.status(404).json({ error: 'No price history recorded for market', marketId });
+    }
+
+    const outcomes = Object.entries(history).map(([name, points]) => ({ name, history: points }));
+    const duration = Date.now() - startTime;
+    console.log(`[API] Returning ${outcomes.length} outcome series for ${marketId} in ${duration}ms`);
+
+    res.json({
+      marketId,
+      timeframe,
+      outcomes,
+      timestamp: Date.now(),
+      fetchTime: duration
+    });
+  } catch (error) {
+    console.error(`[API] Error fetching price history for ${marketId}:`, error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
 // Cache statistics endpoint
 app.get('/api/stats', (req, res) => {
   console.log('[API] Cache statistics requested');
@@ -1628,6 +1806,7 @@ app.get('/api/stats', (req, res) => {
         cacheHits: stats.cacheHits,
         cacheMisses: stats.cacheMisses
       },
+      store: marketStore.getStats(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -1645,9 +1824,11 @@ app.get('/api/unified-markets', async (req, res) => {
   const category = req.query.category || 'All';
   const startTime = Date.now();
   console.log(`[API] Received request for unified markets (category: ${category})`);
+  cacheManager.trackAccess(category);
 
   try {
-    const unifiedMarkets = await marketAggregator.getUnifiedMarkets(category);
+    const unifiedMarkets = applyStatusFilter(await marketAggregator.getUnifiedMarkets(category), req, res);
+    if (!unifiedMarkets) return;
 
     let polymarketCount = 0;
     let kalshiCount = 0;
@@ -1671,14 +1852,11 @@ app.get('/api/unified-markets', async (req, res) => {
     console.log(`[API] Returning ${unifiedMarkets.length} unified markets for ${category} in ${duration}ms`);
     console.log(`[API] Platform distribution: ${polymarketCount} Polymarket, ${kalshiCount} Kalshi, ${bothCount} Both`);
 
-    // Return simple array for frontend compatibility
-    res.json(unifiedMarkets);
+    // Simple array for frontend compatibility (stale markets carry stale: true)
+    sendListing(req, res, unifiedMarkets);
   } catch (error) {
     console.error(`[API] Error fetching unified markets for ${category}:`, error);
-    res.status(500).json({ 
-      error: 'Failed to fetch unified markets',
-      message: error.message 
-    });
+    sendMarketDataError(res, error, 'Failed to fetch unified markets');
   }
 });
 
@@ -1687,9 +1865,16 @@ app.get('/api/unified-markets/:category', async (req, res) => {
   const category = req.params.category;
   const startTime = Date.now();
   console.log(`[API] Received request for unified markets in category: ${category}`);
+  cacheManager.trackAccess(category);
 
   try {
-    const unifiedMarkets = await marketAggregator.getUnifiedMarkets(category);
+    const categoryMarkets = applyStatusFilter(await marketAggregator.getUnifiedMarkets(category), req, res);
+    if (!categoryMarkets) return;
+
+    const listing = buildListing(categoryMarkets, req, res);
+    if (!listing) return;
+
+    const { markets: unifiedMarkets, total, facets, filters, pagination } = listing;
 
     let polymarketCount = 0;
     let kalshiCount = 0;
@@ -1717,20 +1902,23 @@ app.get('/api/unified-markets/:category', async (req, res) => {
       category,
       markets: unifiedMarkets,
       count: unifiedMarkets.length,
+      total,
+      facets,
+      filters,
+      pagination,
       platformDistribution: {
         polymarket: polymarketCount,
         kalshi: kalshiCount,
         both: bothCount
       },
+      stale: unifiedMarkets.some(market => market.stale),
+      stalePlatforms: marketAggregator.getStalePlatforms(),
       timestamp: Date.now(),
       fetchTime: duration
     });
   } catch (error) {
     console.error(`[API] Error fetching unified markets for ${category}:`, error);
-    res.status(500).json({ 
-      error: 'Failed to fetch unified markets',
-      message: error.message 
-    });
+    sendMarketDataError(res, error, 'Failed to fetch unified markets');
   }
 });
 
@@ -1739,6 +1927,7 @@ app.get('/api/unified-market/:id', async (req, res) => {
   const unifiedId = req.params.id;
   const startTime = Date.now();
   console.log(`[API] Received request for unified market: ${unifiedId}`);
+  cacheManager.trackMarketAccess(unifiedId);
 
   try {
     const market = await marketAggregator.getUnifiedMarketDetails(unifiedId);
@@ -1760,9 +1949,78 @@ app.get('/api/unified-market/:id', async (req, res) => {
     });
   } catch (error) {
     console.error(`[API] Error fetching unified market ${unifiedId}:`, error);
-    res.status(500).json({ 
-      error: 'Failed to fetch unified market details',
-      message: error.message 
+    sendMarketDataError(res, error, 'Failed to fetch unified market details');
+  }
+});
+
+// Get normalized orderbooks for every platform of a unified market plus merged depth
+app.get('/api/unified-market/:id/orderbook', async (req, res) => {
+  const unifiedId = req.params.id;
+  const startTime = Date.now();
+  console.log(`[API] Received request for unified market orderbook: ${unifiedId}`);
+  cacheManager.trackMarketAccess(unifiedId);
+
+  let market;
+  try {
+    market = await marketAggregator.getUnifiedMarketDetails(unifiedId);
+  } catch (error) {
+    console.error(`[API] Error fetching unified market ${unifiedId}:`, error.message);
+    return sendMarketDataError(res, error, 'Failed to fetch unified market details');
+  }
+
+  try {
+    const orderbook = await orderbookService.getUnifiedOrderbook(market);
+
+    const duration = Date.now() - startTime;
+    console.log(`[API] Returning orderbook for ${unifiedId} in ${duration}ms`);
+
+    res.json({
+      ...orderbook,
+      fetchTime: duration
+    });
+  } catch (error) {
+    console.error(`[API] Error fetching orderbook for ${unifiedId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch orderbook',
+      message: error.message
+    });
+  }
+});
+
+// Get arbitrage for a unified market sized against live orderbook depth
+app.get('/api/unified-market/:id/arbitrage', async (req, res) => {
+  const unifiedId = req.params.id;
+  const startTime = Date.now();
+  console.log(`[API] Received request for unified market arbitrage sizing: ${unifiedId}`);
+  cacheManager.trackMarketAccess(unifiedId);
+
+  let market;
+  try {
+    market = await marketAggregator.getUnifiedMarketDetails(unifiedId);
+  } catch (error) {
+    console.error(`[API] Error fetching unified market ${unifiedId}:`, error.message);
+    return sendMarketDataError(res, error, 'Failed to fetch unified market details');
+  }
+
+  try {
+    const orderbook = await orderbookService.getUnifiedOrderbook(market);
+    const arbitrage = marketAggregator.detectArbitrage(market, orderbook.platforms);
+
+    const duration = Date.now() - startTime;
+    console.log(`[API] Returning arbitrage sizing for ${unifiedId} in ${duration}ms`);
+
+    res.json({
+      unified_id: unifiedId,
+      arbitrage,
+      orderbookErrors: orderbook.errors,
+      timestamp: Date.now(),
+      fetchTime: duration
+    });
+  } catch (error) {
+    console.error(`[API] Error sizing arbitrage for ${unifiedId}:`, error);
+    res.status(500).json({
+      error: 'Failed to size arbitrage opportunity',
+      message: error.message
     });
   }
 });
@@ -1787,20 +2045,80 @@ app.get('/api/arbitrage-opportunities', async (req, res) => {
     });
   } catch (error) {
     console.error('[API] Error fetching arbitrage opportunities:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to fetch arbitrage opportunities',
-      message: error.message 
+      message: error.message
     });
   }
 });
 
-// Get platform health status
+// Get Dutch book opportunities across multi-outcome markets
+app.get('/api/arbitrage-opportunities/multi-outcome', async (req, res) => {
+  const startTime = Date.now();
+  console.log('[API] Received request for multi-outcome arbitrage opportunities');
+
+  try {
+    const opportunities = await marketAggregator.findMultiOutcomeArbitrage();
+
+    const duration = Date.now() - startTime;
+    console.log(`[API] Returning ${opportunities.length} multi-outcome arbitrage opportunities in ${duration}ms`);
+
+    res.json({
+      opportunities,
+      count: opportunities.length,
+      timestamp: Date.now(),
+      fetchTime: duration
+    });
+  } catch (error) {
+    console.error('[API] Error fetching multi-outcome arbitrage opportunities:', error);
+    res.status(500).json({
+      error: 'Failed to fetch multi-outcome arbitrage opportunities',
+      message: error.message
+    });
+  }
+});
+
+// Get recorded arbitrage events (appeared/updated/disappeared), newest first
+// Query: ?unified_id=<id>&since=<ms>&limit=<n, max 500>
+app.get('/api/arbitrage-events', (req, res) => {
+  const startTime = Date.now();
+  console.log('[API] Received request for arbitrage event history');
+
+  const limit = req.query.limit === undefined || req.query.limit === '' ? 100 : Number(req.query.limit);
+  if (!Number.isFinite(limit) || limit < 1) {
+    return res.status(400).json({ error: 'Invalid limit: expected a number >= 1' });
+  }
+
+  try {
+    const events = marketStore.getArbitrageEvents({
+      unifiedId: req.query.unified_id,
+      since: Number(req.query.since) || 0,
+      limit: Math.min(Math.floor(limit), 500)
+    });
+
+    const duration = Date.now() - startTime;
+    res.json({
+      events,
+      count: events.length,
+      timestamp: Date.now(),
+      fetchTime: duration
+    });
+  } catch (error) {
+    console.error('[API] Error fetching arbitrage events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch arbitrage events',
+      message: error.message
+    });
+  }
+});
+
+// Get platform health status with circuit breaker state and polling back-off
 app.get('/api/platform-health', async (req, res) => {
   const startTime = Date.now();
   console.log('[API] Received request for platform health');
 
   try {
-    const health = cacheManager.getAllPlatformHealth();
+    const health = getPlatformHealthReport();
     const duration = Date.now() - startTime;
     console.log(`[API] Returning platform health in ${duration}ms`);
 
@@ -1825,11 +2143,13 @@ app.get('/api/polling-stats', async (req, res) => {
 
   try {
     const stats = pollingService.getStats();
+    const queue = pollingService.getQueueStats();
     const duration = Date.now() - startTime;
     console.log(`[API] Returning polling stats in ${duration}ms`);
 
     res.json({
       stats,
+      queue,
       timestamp: Date.now(),
       fetchTime: duration
     });
@@ -1842,6 +2162,22 @@ app.get('/api/polling-stats', async (req, res) => {
   }
 });
 
+// Get per-host rate budget usage and throttling delays
+app.get('/api/rate-budget', (req, res) => {
+  try {
+    res.json({
+      hosts: httpClient.getBudgetStats(),
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('[API] Error fetching rate budget:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch rate budget',
+      message: error.message 
+    });
+  }
+});
+
 // Get staleness status
 app.get('/api/staleness-status', async (req, res) => {
   const startTime = Date.now();
@@ -1866,6 +2202,109 @@ app.get('/api/staleness-status', async (req, res) => {
   }
 });
 
+// ====================================================================
+// MANUAL MATCH OVERRIDES
+// ====================================================================
+
+/**
+ * Shared handler for creating link/reject overrides
+ * Body: { marketIds: [id1, id2], reason, author }
+ */
+function createMatchOverride(type) {
+  return (req, res) => {
+    const { marketIds, reason, author } = req.body || {};
+    console.log(`[API] Received ${type} override request`);
+
+    if (!Array.isArray(marketIds) || marketIds.length !== 2) {
+      return res.status(400).json({ error: 'marketIds must be an array of two platform market IDs' });
+    }
+
+    try {
+      const override = matchOverrideStore.setOverride(type, marketIds[0], marketIds[1], { reason, author });
+
+      // Re-match on next request so the override takes effect
+      cacheManager.clearUnifiedMarkets();
+
+      res.status(201).json({ override, timestamp: Date.now() });
+    } catch (error) {
+      console.error(`[API] Error creating ${type} override:`, error.message);
+      res.status(error.code === 'SAVE_FAILED' ? 500 : 400).json({ error: error.message });
+    }
+  };
+}
+
+// Force-link two platform markets (confirm / pin a pair)
+app.post('/api/match-overrides/link', createMatchOverride('link'));
+
+// Blacklist a false-positive pair
+app.post('/api/match-overrides/reject', createMatchOverride('reject'));
+
+// List overrides (?type=link|reject)
+app.get('/api/match-overrides', (req, res) => {
+  const type = req.query.type || null;
+
+  if (type && !MatchOverrideStore.OVERRIDE_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid override type',
+      validTypes: MatchOverrideStore.OVERRIDE_TYPES
+    });
+  }
+
+  const overrides = matchOverrideStore.list(type);
+  res.json({
+    overrides,
+    count: overrides.length,
+    stats: matchOverrideStore.getStats(),
+    timestamp: Date.now()
+  });
+});
+
+// Audit log of override changes (?limit=100)
+app.get('/api/match-overrides/audit', (req, res) => {
+  const limit = req.query.limit === undefined || req.query.limit === '' ? 100 : Number(req.query.limit);
+  if (!Number.isFinite(limit) || limit < 1) {
+    return res.status(400).json({ error: 'Invalid limit: expected a number >= 1' });
+  }
+
+  const entries = matchOverrideStore.getAuditLog(Math.floor(limit));
+  res.json({ entries, count: entries.length, timestamp: Date.now() });
+});
+
+// Remove an override
+app.delete('/api/match-overrides/:id', (req, res) => {
+  const { reason, author } = req.body || {};
+
+  let removed;
+  try {
+    removed = matchOverrideStore.remove(req.params.id, { reason, author });
+  } catch (error) {
+    console.error('[API] Error removing override:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!removed) {
+    return res.status(404).json({ error: 'Override not found', id: req.params.id });
+  }
+
+  cacheManager.clearUnifiedMarkets();
+  res.json({ removed, timestamp: Date.now() });
+});
+
+// Push stream of unified market changes (Server-Sent Events)
+// Query: ids=<unified_id,...>, categories=<category,...>
+app.get('/api/stream', (req, res) => {
+  console.log('[API] Received stream subscription request');
+  marketStreamHub.connect(req, res);
+});
+
+// Get push stream statistics
+app.get('/api/stream/stats', (req, res) => {
+  res.json({
+    stats: marketStreamHub.getStats(),
+    timestamp: Date.now()
+  });
+});
+
 // ====================================================================
 // SERVE FRONTEND STATIC FILES
 // ====================================================================
@@ -1897,9 +2336,17 @@ process.on('SIGTERM', () => {
   // Stop polling service
   pollingService.stop();
   
+  // Close push stream connections
+  marketStreamHub.close();
+  
   // Clear cleanup interval
   clearInterval(cleanupInterval);
   
+  // Persist caches and close the market store
+  clearInterval(checkpointInterval);
+  checkpointStore();
+  marketStore.close();
+  
   // Log final cache statistics
   const finalStats = cacheManager.getStats();
   console.log('[Cache] Final statistics:', JSON.stringify(finalStats, null, 2));
@@ -1917,9 +2364,17 @@ process.on('SIGINT', () => {
   // Stop polling service
   pollingService.stop();
   
+  // Close push stream connections
+  marketStreamHub.close();
+  
   // Clear cleanup interval
   clearInterval(cleanupInterval);
   
+  // Persist caches and close the market store
+  clearInterval(checkpointInterval);
+  checkpointStore();
+  marketStore.close();
+  
   // Log final cache statistics
   const finalStats = cacheManager.getStats();
   console.log('[Cache] Final statistics:', JSON.stringify(finalStats, null, 2));
@@ -1940,6 +2395,7 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`${'='.repeat(60)}`);
   console.log(`⚙️  Configuration:`);
   console.log(`   - Fetch Strategy: ${CONFIG.FETCH_STRATEGY} (${CONFIG.MAX_PAGES[CONFIG.FETCH_STRATEGY]} pages)`);
+  console.log(`   - Kalshi Fetch Strategy: ${CONFIG.KALSHI_FETCH_STRATEGY} (${kalshiFetcher.getMaxPages()} pages of events)`);
   console.log(`   - Markets per fetch: ~${CONFIG.MAX_PAGES[CONFIG.FETCH_STRATEGY] * 1000}`);
   console.log(`   - Cache TTL: ${CONFIG.CACHE_TTL.METADATA / 1000}s (metadata), ${CONFIG.CACHE_TTL.FULL_DATA / 1000}s (full)`);
   console.log(`   - Cleanup interval: ${CONFIG.CLEANUP_INTERVAL / 1000}s`);
@@ -10,6 +10,11 @@
 
 const MarketAggregator = require('./MarketAggregator');
 const MarketMatchingEngine = require('./MarketMatchingEngine');
+const PlatformRegistry = require('./PlatformRegistry');
+const MarketSchema = require('./MarketSchema');
+
+// Mock fetchers build markets through the shared schema like the real adapters
+const schema = new MarketSchema();
 
 // Mock cache manager
 class MockCacheManager {
@@ -63,6 +68,10 @@ class MockCacheManager {
 
 // Mock Kalshi fetcher
 class MockKalshiFetcher {
+  constructor() {
+    this.name = 'kalshi';
+  }
+  
   async fetchMarkets(options = {}) {
     console.log('[MockKalshiFetcher] Fetching markets...');
     
@@ -87,10 +96,19 @@ class MockKalshiFetcher {
     ];
   }
   
+  async fetchMarketDetails(marketId) {
+    return null;
+  }
+  
+  getHealthStatus() {
+    return { status: 'healthy' };
+  }
+  
   normalizeMarket(market) {
-    return {
+    return schema.buildMarket({
       id: `kalshi-${market.ticker}`,
       platform: 'kalshi',
+      platformName: 'Kalshi',
       question: market.title,
       outcomes: [
         { name: 'Yes', price: 0.53 },
@@ -99,14 +117,17 @@ class MockKalshiFetcher {
       volume_24h: market.volume,
       liquidity: market.liquidity,
       endDate: market.close_time,
-      category: 'Politics',
-      spread: 0.01
-    };
+      nativeCategory: 'Politics'
+    });
   }
 }
 
 // Mock Polymarket fetcher (placeholder)
 class MockPolymarketFetcher {
+  constructor() {
+    this.name = 'polymarket';
+  }
+  
   async fetchMarkets(options = {}) {
     console.log('[MockPolymarketFetcher] Fetching markets...');
     
@@ -126,10 +147,19 @@ class MockPolymarketFetcher {
     ];
   }
   
+  async fetchMarketDetails(marketId) {
+    return null;
+  }
+  
+  getHealthStatus() {
+    return { status: 'healthy' };
+  }
+  
   normalizeMarket(market) {
-    return {
+    return schema.buildMarket({
       id: `poly-${market.id}`,
       platform: 'polymarket',
+      platformName: 'Polymarket',
       question: market.question,
       outcomes: market.tokens.map(t => ({
         name: t.outcome,
@@ -138,12 +168,18 @@ class MockPolymarketFetcher {
       volume_24h: market.volume,
       liquidity: market.liquidity,
       endDate: market.end_date_iso,
-      category: 'Politics',
-      spread: 0.01
-    };
+      nativeCategory: 'Politics'
+    });
   }
 }
 
+// Build a registry from mock fetchers
+function createRegistry(...fetchers) {
+  const registry = new PlatformRegistry();
+  fetchers.forEach(fetcher => registry.register(fetcher));
+  return registry;
+}
+
 // Test functions
 async function testParallelFetching() {
   console.log('\n=== TEST 1: Parallel Data Fetching ===\n');
@@ -152,7 +188,7 @@ async function testParallelFetching() {
   const kalshiFetcher = new MockKalshiFetcher();
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, kalshiFetcher), cache);
   
   try {
     const result = await aggregator.fetchAllPlatforms();
@@ -177,7 +213,7 @@ async function testMarketCombination() {
   const kalshiFetcher = new MockKalshiFetcher();
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, kalshiFetcher), cache);
   
   try {
     // Fetch markets
@@ -218,7 +254,7 @@ async function testLiquidityScoring() {
   const kalshiFetcher = new MockKalshiFetcher();
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, kalshiFetcher), cache);
   
   // Create test unified market
   const testMarket = {
@@ -277,7 +313,7 @@ async function testArbitrageDetection() {
   const kalshiFetcher = new MockKalshiFetcher();
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, kalshiFetcher), cache);
   
   // Test market with arbitrage opportunity
   const arbitrageMarket = {
@@ -350,14 +386,24 @@ async function testGracefulDegradation() {
   
   // Mock fetcher that fails
   const failingKalshiFetcher = {
+    name: 'kalshi',
     async fetchMarkets() {
       throw new Error('Kalshi API unavailable');
+    },
+    async fetchMarketDetails() {
+      throw new Error('Kalshi API unavailable');
+    },
+    normalizeMarket() {
+      return null;
+    },
+    getHealthStatus() {
+      return { status: 'degraded' };
     }
   };
   
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, failingKalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, failingKalshiFetcher), cache);
   
   try {
     const result = await aggregator.fetchAllPlatforms();
@@ -386,7 +432,7 @@ async function testSmartRouting() {
   const kalshiFetcher = new MockKalshiFetcher();
   const polymarketFetcher = new MockPolymarketFetcher();
   
-  const aggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, cache);
+  const aggregator = new MarketAggregator(createRegistry(polymarketFetcher, kalshiFetcher), cache);
   
   // Test market with different prices and liquidity
   const testMarket = {
@@ -2,7 +2,8 @@
  * Test script for PollingService
  * 
  * This script tests the real-time data synchronization functionality:
- * - Polling intervals (5s for Polymarket, 10s for Kalshi)
+ * - Sweep intervals (sweepIntervalMs, never below the adapter's hot-market
+ *   interval: 5s for Polymarket, 10s for Kalshi)
  * - Data update logic
  * - Staleness detection
  */
@@ -50,6 +51,19 @@ class MockMarketAggregator {
   constructor() {
     this.polymarketCallCount = 0;
     this.kalshiCallCount = 0;
+    
+    // Minimal registry exposing the polling config of each platform
+    const adapters = [
+      { name: 'polymarket', polling: { interval: 5000, enabled: true } },
+      { name: 'kalshi', polling: { interval: 10000, enabled: true } }
+    ];
+    this.registry = { list: () => adapters };
+  }
+  
+  async fetchPlatformMarkets(platform) {
+    return platform === 'polymarket'
+      ? this.fetchPolymarketMarkets()
+      : this.fetchKalshiMarkets();
   }
   
   async fetchPolymarketMarkets() {
@@ -113,19 +127,23 @@ class MockMarketAggregator {
 // ====================================================================
 
 async function testPollingIntervals() {
-  console.log('\n=== TEST 1: Polling Intervals ===\n');
+  console.log('\n=== TEST 1: Sweep Intervals ===\n');
   
   const mockCache = new MockCacheManager();
   const mockAggregator = new MockMarketAggregator();
-  const pollingService = new PollingService(mockAggregator, mockCache);
+  
+  // Short sweeps so the test sees several; each platform sweeps at
+  // max(its hot-market interval, sweepIntervalMs): Polymarket 5s, Kalshi 10s
+  const pollingService = new PollingService(mockAggregator, mockCache, null, { sweepIntervalMs: 4000 });
   
   // Start polling
   pollingService.start();
   
   // Wait 12 seconds to observe polling behavior
-  // Expected: Polymarket should poll ~2-3 times (5s interval)
-  //           Kalshi should poll ~1-2 times (10s interval)
-  await new Promise(resolve => setTimeout(resolve, 12000));
+  // Expected: Polymarket should sweep ~3 times (at 0s, 5s, 10s)
+  //           Kalshi should sweep ~2 times (at 0s, 10s)
+  const duration = 12000;
+  await new Promise(resolve => setTimeout(resolve, duration));
   
   // Stop polling
   pollingService.stop();
@@ -136,20 +154,18 @@ async function testPollingIntervals() {
   console.log(`Polymarket: ${stats.polymarket.totalPolls} polls, ${stats.polymarket.successfulPolls} successful`);
   console.log(`Kalshi: ${stats.kalshi.totalPolls} polls, ${stats.kalshi.successfulPolls} successful`);
   
-  // Verify intervals
-  const polymarketExpected = 2; // Should be at least 2 polls in 12 seconds (5s interval)
-  const kalshiExpected = 1; // Should be at least 1 poll in 12 seconds (10s interval)
-  
-  if (stats.polymarket.totalPolls >= polymarketExpected) {
-    console.log('✓ Polymarket polling interval correct');
-  } else {
-    console.log(`✗ Polymarket polling interval incorrect (expected >= ${polymarketExpected}, got ${stats.polymarket.totalPolls})`);
-  }
-  
-  if (stats.kalshi.totalPolls >= kalshiExpected) {
-    console.log('✓ Kalshi polling interval correct');
-  } else {
-    console.log(`✗ Kalshi polling interval incorrect (expected >= ${kalshiExpected}, got ${stats.kalshi.totalPolls})`);
+  // Verify intervals: an initial sweep, then one per sweep interval
+  // (each sweep's fetch delay pushes the next one out, hence the floor)
+  for (const platform of ['polymarket', 'kalshi']) {
+    const { sweepInterval } = pollingService.config[platform];
+    const expected = Math.floor(duration / sweepInterval);
+    const label = platform === 'polymarket' ? 'Polymarket' : 'Kalshi';
+    
+    if (stats[platform].totalPolls >= expected) {
+      console.log(`✓ ${label} sweep interval correct (${sweepInterval / 1000}s)`);
+    } else {
+      console.log(`✗ ${label} sweep interval incorrect (expected >= ${expected}, got ${stats[platform].totalPolls})`);
+    }
   }
 }
 
@@ -158,7 +174,7 @@ async function testStalenessDetection() {
   
   const mockCache = new MockCacheManager();
   const mockAggregator = new MockMarketAggregator();
-  const pollingService = new PollingService(mockAggregator, mockCache);
+  const pollingService = new PollingService(mockAggregator, mockCache, null, { sweepIntervalMs: 4000 });
   
   // Initially, data should be stale (no fetches yet)
   let staleness = pollingService.getStalenessStatus();
@@ -193,20 +209,22 @@ async function testStalenessDetection() {
   // Stop polling
   pollingService.stop();
   
-  // Wait 65 seconds to make data stale
-  console.log('\nWaiting 65 seconds to make data stale...');
-  await new Promise(resolve => setTimeout(resolve, 65000));
+  // Data goes stale one missed sweep (plus grace) after the last fetch
+  const staleAfter = Math.max(pollingService.getStaleAfter('polymarket'), pollingService.getStaleAfter('kalshi'));
+  const wait = staleAfter + 5000;
+  console.log(`\nWaiting ${wait / 1000} seconds to make data stale...`);
+  await new Promise(resolve => setTimeout(resolve, wait));
   
-  // Check staleness after 65 seconds
+  // Check staleness after the wait
   staleness = pollingService.getStalenessStatus();
-  console.log('\nStaleness after 65 seconds:');
+  console.log(`\nStaleness after ${wait / 1000} seconds:`);
   console.log(`  Polymarket: ${staleness.polymarket.isStale ? 'STALE' : 'FRESH'} (${Math.round(staleness.polymarket.timeSinceLastFetch / 1000)}s ago)`);
   console.log(`  Kalshi: ${staleness.kalshi.isStale ? 'STALE' : 'FRESH'} (${Math.round(staleness.kalshi.timeSinceLastFetch / 1000)}s ago)`);
   
   if (staleness.polymarket.isStale && staleness.kalshi.isStale) {
-    console.log('✓ Staleness detection after 60s correct');
+    console.log(`✓ Staleness detection after ${staleAfter / 1000}s correct`);
   } else {
-    console.log('✗ Data should be stale after 60s');
+    console.log(`✗ Data should be stale after ${staleAfter / 1000}s`);
   }
 }
 
@@ -311,11 +329,11 @@ async function runAllTests() {
     // Test 1: Polling intervals
     await testPollingIntervals();
     
-    // Test 2: Staleness detection (SKIPPED - takes 65 seconds)
+    // Test 2: Staleness detection (SKIPPED - takes 75 seconds)
     // Uncomment to run full staleness test
     // await testStalenessDetection();
     console.log('\n=== TEST 2: Staleness Detection ===');
-    console.log('(Skipped - takes 65 seconds. Run manually if needed)');
+    console.log('(Skipped - takes 75 seconds. Run manually if needed)');
     
     // Test 3: Data update logic
     await testDataUpdateLogic();
@@ -5,6 +5,7 @@
 
 const PolymarketFetcher = require('./PolymarketFetcher');
 const MarketAggregator = require('./MarketAggregator');
+const PlatformRegistry = require('./PlatformRegistry');
 const MarketMatchingEngine = require('./MarketMatchingEngine');
 const ArbitrageDetector = require('./ArbitrageDetector');
 
@@ -42,10 +43,22 @@ class MockCacheManager {
 
 // Mock Kalshi fetcher (returns empty for this test)
 class MockKalshiFetcher {
+  constructor() {
+    this.name = 'kalshi';
+  }
+  
   async fetchMarkets() {
     return [];
   }
   
+  async fetchMarketDetails() {
+    return null;
+  }
+  
+  getHealthStatus() {
+    return { status: 'healthy' };
+  }
+  
   normalizeMarket() {
     return null;
   }
@@ -63,7 +76,11 @@ async function runIntegrationTest() {
     const polymarketFetcher = new PolymarketFetcher('https://gamma-api.polymarket.com', mockCache);
     const kalshiFetcher = new MockKalshiFetcher();
     
-    const marketAggregator = new MarketAggregator(polymarketFetcher, kalshiFetcher, mockCache);
+    const platformRegistry = new PlatformRegistry();
+    platformRegistry.register(polymarketFetcher);
+    platformRegistry.register(kalshiFetcher);
+    
+    const marketAggregator = new MarketAggregator(platformRegistry, mockCache);
     
     console.log('✓ Components initialized');
     console.log('');
@@ -8,10 +8,10 @@
  */
 
 const MarketAggregator = require('./MarketAggregator');
+const PlatformRegistry = require('./PlatformRegistry');
 
-// Mock fetchers (not needed for this test)
-const mockPolymarketFetcher = null;
-const mockKalshiFetcher = null;
+// Empty registry (fetchers not needed for this test)
+const mockRegistry = new PlatformRegistry();
 
 // Mock cache manager
 const mockCacheManager = {
@@ -24,8 +24,7 @@ const mockCacheManager = {
 
 // Create aggregator instance
 const aggregator = new MarketAggregator(
-  mockPolymarketFetcher,
-  mockKalshiFetcher,
+  mockRegistry,
   mockCacheManager
 );
 
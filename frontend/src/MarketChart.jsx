@@ -1,10 +1,52 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+
+// Fetch recorded price history for a market from the backend
+async function fetchPriceHistory(marketId, timeframe) {
+  const response = await fetch(`/api/market/${encodeURIComponent(marketId)}/history?timeframe=${timeframe}`);
+  if (response.status === 404) return {};
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const historyByOutcome = {};
+  (data.outcomes || []).forEach(o => {
+    historyByOutcome[o.name] = o.history || [];
+  });
+  return historyByOutcome;
+}
 
 // Professional Multi-Line Market Chart Component
-export function MarketChart({ outcomes, theme = 'dark' }) {
+export function MarketChart({ marketId, outcomes: rawOutcomes, theme = 'dark' }) {
   const [timeframe, setTimeframe] = useState('ALL');
+  const [historyByOutcome, setHistoryByOutcome] = useState({});
+
+  // Load recorded history whenever the market or timeframe changes
+  useEffect(() => {
+    if (!marketId) return;
+
+    let isMounted = true;
+    fetchPriceHistory(marketId, timeframe)
+      .then(history => {
+        if (isMounted) setHistoryByOutcome(history);
+      })
+      .catch(err => {
+        console.error('Price history fetch error:', err);
+        if (isMounted) setHistoryByOutcome({});
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [marketId, timeframe]);
+
+  // Prefer recorded history from the backend over any inline history
+  const outcomes = (rawOutcomes || []).map(o => ({
+    ...o,
+    history: historyByOutcome[o.name] || o.history || []
+  }));
 
-  if (!outcomes || outcomes.length === 0) {
+  if (outcomes.length === 0) {
     return (
       <div className={`text-center py-8 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
         No chart data available
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 
 // --- Helper Functions ---
 
@@ -24,29 +24,72 @@ function formatTime(timestamp, timeframe) {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+// Fetch the recorded YES (or leading outcome) history for one platform market
+// and convert it to { timestamp (ms), price } points
+async function fetchPlatformHistory(platformData, timeframe) {
+  // The backend has no 1Y bucket; ALL covers the full retention window
+  const apiTimeframe = timeframe === '1Y' ? 'ALL' : timeframe;
+  const response = await fetch(`/api/market/${encodeURIComponent(platformData.id)}/history?timeframe=${apiTimeframe}`);
+  if (response.status === 404) return [];
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const outcomes = data.outcomes || [];
+  const series = outcomes.find(o => o.name.toLowerCase() === 'yes') || outcomes[0];
+  if (!series) return [];
+
+  return series.history.map(p => ({ timestamp: p.time * 1000, price: p.value }));
+}
+
 // --- Multi-Platform Chart Component ---
 export default function MultiPlatformChart({ unifiedMarket, theme = 'dark' }) {
   const [timeframe, setTimeframe] = useState('1D');
   const [hoveredPoint, setHoveredPoint] = useState(null);
   
+  const [historyByPlatform, setHistoryByPlatform] = useState({});
+  
   const { platforms } = unifiedMarket;
   
+  // Load recorded history for every platform whenever the timeframe changes
+  useEffect(() => {
+    let isMounted = true;
+    const entries = Object.entries(platforms).filter(([, platformData]) => platformData && platformData.id);
+    
+    Promise.all(entries.map(([platformName, platformData]) =>
+      fetchPlatformHistory(platformData, timeframe)
+        .then(history => [platformName, history])
+        .catch(err => {
+          console.error(`Price history fetch error for ${platformName}:`, err);
+          return [platformName, []];
+        })
+    )).then(results => {
+      if (isMounted) setHistoryByPlatform(Object.fromEntries(results));
+    });
+    
+    return () => {
+      isMounted = false;
+    };
+  }, [platforms, timeframe]);
+  
   // Prepare chart data from all platforms
   const chartData = useMemo(() => {
     const datasets = [];
     
-    Object.entries(platforms).forEach(([platformName, platformData]) => {
-      if (platformData.history && platformData.history.length > 0) {
+    Object.keys(platforms).forEach(platformName => {
+      const history = historyByPlatform[platformName];
+      if (history && history.length > 0) {
         datasets.push({
           platform: platformName,
-          data: platformData.history,
+          data: history,
           color: getPlatformColor(platformName)
         });
       }
     });
     
     return datasets;
-  }, [platforms, timeframe]);
+  }, [platforms, historyByPlatform]);
   
   // Filter history based on timeframe
   const getFilteredHistory = (history) => {
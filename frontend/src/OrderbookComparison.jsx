@@ -1,4 +1,7 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+
+// Matches the backend orderbook cache TTL
+const ORDERBOOK_REFRESH_MS = 5000;
 
 // --- Helper Functions ---
 
@@ -188,10 +191,137 @@ function OrderbookDisplay({ platformName, orderbook, theme = 'dark' }) {
   );
 }
 
+// --- Merged Depth Component ---
+// Combined ladder across platforms, with where each level's size sits
+function MergedDepthDisplay({ merged, theme = 'dark' }) {
+  const textPrimary = theme === 'dark' ? 'text-white' : 'text-gray-900';
+  const textSecondary = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const bgCard = theme === 'dark' ? 'bg-[#1A2332]' : 'bg-white';
+  const borderColor = theme === 'dark' ? 'border-gray-700' : 'border-gray-200';
+  
+  const asks = merged.asks.slice(0, 10);
+  const bids = merged.bids.slice(0, 10);
+  const maxCumulative = Math.max(
+    asks.length > 0 ? asks[asks.length - 1].cumulative : 0,
+    bids.length > 0 ? bids[bids.length - 1].cumulative : 0,
+    1
+  );
+  
+  const renderLevel = (level, side) => {
+    const isAsk = side === 'ask';
+    const breakdown = Object.entries(level.platforms)
+      .map(([platform, size]) => `${platform}: ${formatSize(size)}`)
+      .join(' · ');
+    
+    return (
+      <div
+        key={`${side}-${level.price}`}
+        className="relative flex justify-between px-2 py-1 rounded text-sm overflow-hidden"
+        title={breakdown}
+      >
+        {/* Cumulative depth bar */}
+        <div
+          className={`absolute inset-y-0 right-0 ${isAsk ? 'bg-red-500/15' : 'bg-green-500/15'}`}
+          style={{ width: `${(level.cumulative / maxCumulative) * 100}%` }}
+        />
+        <span className={`relative font-medium ${isAsk ? 'text-red-500' : 'text-green-500'}`}>
+          {formatPrice(level.price)}
+        </span>
+        <span className={`relative ${textSecondary}`}>
+          {formatSize(level.size)}
+        </span>
+        <span className={`relative text-xs ${textSecondary}`}>
+          {Object.keys(level.platforms).join(' + ')}
+        </span>
+        <span className={`relative ${textPrimary}`}>
+          {formatSize(level.cumulative)}
+        </span>
+      </div>
+    );
+  };
+  
+  return (
+    <div className={`${bgCard} border ${borderColor} rounded-lg p-4`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-lg font-semibold ${textPrimary}`}>Merged Depth</h3>
+        {merged.spread !== null && (
+          <div className={`text-sm ${textSecondary}`}>
+            Best: {formatPrice(merged.bestBid)} / {formatPrice(merged.bestAsk)}
+          </div>
+        )}
+      </div>
+      
+      <div className="space-y-1">
+        {/* Asks rendered worst-to-best so the book meets in the middle */}
+        {[...asks].reverse().map(level => renderLevel(level, 'ask'))}
+        
+        {merged.spread !== null && (
+          <div className={`text-center py-2 border-y ${borderColor}`}>
+            <span className={`text-sm font-semibold ${merged.spread < 0 ? 'text-green-500' : textSecondary}`}>
+              {merged.spread < 0 ? 'Crossed book: ' : 'Spread: '}{formatPrice(Math.abs(merged.spread))}
+            </span>
+          </div>
+        )}
+        
+        {bids.map(level => renderLevel(level, 'bid'))}
+        
+        {asks.length === 0 && bids.length === 0 && (
+          <div className={`text-center py-4 text-xs ${textSecondary}`}>
+            No depth available on any platform
+          </div>
+        )}
+      </div>
+      
+      <div className={`flex justify-between px-2 mt-4 pt-2 border-t ${borderColor} text-xs ${textSecondary}`}>
+        <span>Price</span>
+        <span>Size</span>
+        <span>Venues</span>
+        <span>Cumulative</span>
+      </div>
+    </div>
+  );
+}
+
 // --- Main OrderbookComparison Component ---
 export default function OrderbookComparison({ unifiedMarket, theme = 'dark' }) {
-  const { platforms } = unifiedMarket;
+  const { platforms, unified_id } = unifiedMarket;
   const textPrimary = theme === 'dark' ? 'text-white' : 'text-gray-900';
+  const textSecondary = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  
+  // Live depth from /api/unified-market/:id/orderbook
+  const [depth, setDepth] = useState(null);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    if (!unified_id) return;
+    
+    let cancelled = false;
+    
+    const loadOrderbook = async () => {
+      try {
+        const response = await fetch(`/api/unified-market/${encodeURIComponent(unified_id)}/orderbook`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setDepth(data);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('[Orderbook] Failed to load orderbook:', err);
+        if (!cancelled) setError(err.message);
+      }
+    };
+    
+    loadOrderbook();
+    const interval = setInterval(loadOrderbook, ORDERBOOK_REFRESH_MS);
+    
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [unified_id]);
   
   const availablePlatforms = Object.keys(platforms);
   
@@ -219,11 +349,24 @@ export default function OrderbookComparison({ unifiedMarket, theme = 'dark' }) {
           <OrderbookDisplay
             key={platformName}
             platformName={platformName}
-            orderbook={platforms[platformName].orderbook}
+            orderbook={depth?.platforms?.[platformName] || platforms[platformName].orderbook}
             theme={theme}
           />
         ))}
       </div>
+      
+      {/* Merged Depth */}
+      {depth?.merged && (
+        <div className="mt-4">
+          <MergedDepthDisplay merged={depth.merged} theme={theme} />
+        </div>
+      )}
+      
+      {error && !depth && (
+        <div className={`text-xs mt-2 ${textSecondary}`}>
+          Live orderbook unavailable ({error})
+        </div>
+      )}
     </div>
   );
 }
@@ -5,9 +5,12 @@ import './app.css';
 import UnifiedMarketCard from './UnifiedMarketCard.jsx';
 import PlatformComparison from './PlatformComparison.jsx';
 import MultiPlatformChart from './MultiPlatformChart.jsx';
+import { MarketChart } from './MarketChart.jsx';
 import OrderbookComparison from './OrderbookComparison.jsx';
 import ArbitrageAlert from './ArbitrageAlert.jsx';
 import useStalenessWarning from './useStalenessWarning.jsx';
+import { useMarketStream, applyOutcomeChanges } from './useMarketStream.js';
+import { useMarketListing, matchesSelection, SORT_OPTIONS } from './useMarketListing.js';
 
 // --- NEW: Web3 Constants ---
 const USDC_CONTRACT_ADDRESS = '0x94a9D9AC8a22534E3FaCa422B7D3B74064fCaBf4'; // Sepolia USDC
@@ -128,10 +131,13 @@ const mockReferralData = {
 };
 
 
+// --- Display name for a platform key ('kalshi' -> 'Kalshi') ---
+const getPlatformLabel = (platform) => (platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : '');
+
 // --- Helper function for logos (FIXED IMAGE PATHS) ---
 const getLogo = (platform) => {
   // Using external URLs for platform logos
-  switch (platform) {
+  switch (getPlatformLabel(platform)) {
     case 'Limitless':
       return "https://pbs.twimg.com/profile_images/1831757906869542912/fLHeW0Ji_400x400.jpg";
     case 'Polymarket':
@@ -143,34 +149,6 @@ const getLogo = (platform) => {
   }
 };
 
-// --- NEW: Mock Price Chart Data Generator ---
-const generateChartData = () => {
-  let data = [];
-  let price = 0.5; // Starting price
-  const startTime = new Date().getTime() - (100 * 30000); // 100 data points, 30 sec apart
-
-  for (let i = 0; i < 100; i++) {
-    const change = (Math.random() - 0.5) * 0.02;
-    price += change;
-    if (price > 0.99) price = 0.99;
-    if (price < 0.01) price = 0.01;
-    data.push({ time: startTime + (i * 30000), price: price });
-  }
-  return data;
-};
-
-// --- NEW: Mock Chart Data Fetcher ---
-const fetchChartData = (marketId, platform) => {
-    console.log(`Simulating fetch for ${platform} chart data (Market ID: ${marketId})...`);
-    return new Promise(resolve => {
-        setTimeout(() => {
-            const chartData = generateChartData(platform);
-            resolve(chartData);
-        }, 1200); // Simulated network delay
-    });
-};
-
-
 // --- END OF API LOGIC ---
 
 
@@ -276,142 +254,6 @@ const RabbyIcon = () => (
 // START OF COMPONENTS (Defined before App)
 // ====================================================================
 
-// --- Custom Hook for Simulated Live Data (FIXED) ---
-function useSimulatedWebSocket(markets, setMarkets, handleAddNotification) {
-  // FIX: Use useRef to prevent re-renders from breaking the interval
-  const marketsRef = useRef(markets);
-  const setMarketsRef = useRef(setMarkets);
-  const handleAddNotificationRef = useRef(handleAddNotification);
-  
-  // Update refs whenever props change
-  useEffect(() => {
-    marketsRef.current = markets;
-    setMarketsRef.current = setMarkets;
-    handleAddNotificationRef.current = handleAddNotification;
-  }, [markets, setMarkets, handleAddNotification]);
-
-  useEffect(() => {
-    // Only start the websocket simulation if markets are loaded
-    if (marketsRef.current.length === 0) {
-      return;
-    }
-
-    const SIMULATED_WS_URL = 'wss://simulated-market-stream.tanner.xyz';
-
-    const generatePriceUpdate = () => {
-      const currentMarkets = marketsRef.current;
-      if (currentMarkets.length === 0) return null;
-
-      const randomMarket = currentMarkets[Math.floor(Math.random() * currentMarkets.length)];
-      if (!randomMarket || !Array.isArray(randomMarket.outcomes) || randomMarket.outcomes.length === 0) return null;
-      
-      const randomOutcome = randomMarket.outcomes[Math.floor(Math.random() * randomMarket.outcomes.length)];
-      if (typeof randomOutcome.price !== 'number') return null;
-      
-      const change = (Math.random() - 0.5) * 0.01; 
-      let newPrice = Math.max(0.01, Math.min(0.99, randomOutcome.price + change));
-
-      return {
-        marketId: randomMarket.id,
-        outcomeName: randomOutcome.name,
-        newPrice: parseFloat(newPrice.toFixed(4)),
-        timestamp: Date.now()
-      };
-    };
-
-    let isConnected = false;
-    let updateInterval;
-
-    const simulateConnect = () => {
-      console.log(`[WS] Attempting to connect to ${SIMULATED_WS_URL}...`);
-      
-      setTimeout(() => {
-        isConnected = true;
-        console.log("[WS] Connected. Starting data stream.");
-        if (handleAddNotificationRef.current) {
-          handleAddNotificationRef.current("Market data stream established.");
-        }
-
-        updateInterval = setInterval(sendUpdate, 1000);
-      }, 1500);
-    };
-
-    const sendUpdate = () => {
-      const update = generatePriceUpdate();
-      if (update) {
-        processMessage(update);
-      }
-    };
-
-    const processMessage = (update) => {
-      if (setMarketsRef.current) {
-        setMarketsRef.current(prevMarkets => {
-          let updated = false;
-          const newMarkets = prevMarkets.map(m => {
-            if (m.id === update.marketId) {
-              const newOutcomes = m.outcomes.map(o => {
-                if (o.name === update.outcomeName) {
-                  updated = true;
-                  return { ...o, price: update.newPrice };
-                }
-                return o;
-              });
-              
-              newOutcomes.sort((a, b) => b.price - a.price);
-              return { ...m, outcomes: newOutcomes };
-            }
-            return m;
-          });
-          return updated ? newMarkets : prevMarkets;
-        });
-      }
-    };
-
-    simulateConnect();
-    
-    return () => {
-      if (updateInterval) {
-        clearInterval(updateInterval);
-      }
-      console.log("[WS] Disconnected.");
-    };
-
-  }, []); // Run only once when component mounts
-}
-
-
-// --- NEW: Simulated Price Chart Component ---
-function SimulatedPriceChart({ data }) {
-  // A simple SVG chart. A real app would use a library like lightweight-charts.
-  const svgWidth = 500;
-  const svgHeight = 300;
-
-  const prices = data.map(d => d.price);
-  const minPrice = Math.min(...prices);
-  const maxPrice = Math.max(...prices);
-  const priceRange = maxPrice - minPrice || 1; // Prevent division by zero
-
-  // Create path string
-  const path = data.map((d, i) => {
-    const x = (i / (data.length - 1)) * svgWidth;
-    const y = svgHeight - ((d.price - minPrice) / priceRange) * svgHeight;
-    return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
-  }).join(' ');
-
-  return (
-    <div className="w-full h-full flex items-center justify-center">
-      <svg viewBox={`0 0 ${svgWidth} ${svgHeight}`} className="w-full h-full">
-        <path
-          d={path}
-          fill="none"
-          stroke="#3B82F6" // Blue-600
-          strokeWidth="2"
-        />
-      </svg>
-    </div>
-  );
-}
-
 // --- Simulated Order Book Component ---
 function SimulatedOrderBook({ onPriceClick }) {
   const {bids, asks} = mockOrderBook;
@@ -788,7 +630,7 @@ function MarketDetailPage({
           src={getLogo(market.platform)}
           alt={market.platform}
           className="w-8 h-8 rounded-full"
-          style={market.platform === 'Kalshi' ? { backgroundColor: 'white' } : {}}
+          style={getPlatformLabel(market.platform) === 'Kalshi' ? { backgroundColor: 'white' } : {}}
         />
         <h1 className="text-3xl font-bold text-white">{market.title || market.question}</h1>
       </div>
@@ -827,15 +669,19 @@ function MarketDetailPage({
             <h2 className="text-xl font-semibold text-white mb-4">
               {market.platforms && Object.keys(market.platforms).length > 1 
                 ? '📈 Multi-Platform Price History' 
-                : (isBinary ? '7-Day Probability Chart' : '7-Day Odds Chart')}
+                : (isBinary ? 'Probability Chart' : 'Odds Chart')}
             </h2>
             {market.platforms && Object.keys(market.platforms).length > 1 ? (
               <MultiPlatformChart 
-                market={market}
+                unifiedMarket={market}
                 theme="dark"
               />
             ) : (
-              <SimulatedPriceChart data={generateChartData()} />
+              <MarketChart
+                marketId={market.id}
+                outcomes={market.outcomes}
+                theme="dark"
+              />
             )}
           </div>
 
@@ -846,7 +692,7 @@ function MarketDetailPage({
                 <span>📊</span> Orderbook Comparison
               </h2>
               <OrderbookComparison 
-                market={market}
+                unifiedMarket={market}
                 theme="dark"
               />
             </div>
@@ -978,9 +824,9 @@ function OpenOrderRow({ order, onCancel }) {
           src={logoUrl}
           alt={order.platform}
           className="w-5 h-5 rounded-full inline-block mr-2"
-          style={order.platform === 'Kalshi' ? { backgroundColor: 'white' } : {}}
+          style={getPlatformLabel(order.platform) === 'Kalshi' ? { backgroundColor: 'white' } : {}}
         />
-        {order.platform}
+        {getPlatformLabel(order.platform)}
       </td>
       <td className="px-4 py-4 text-sm font-medium">
         <span className={sideClass}>
@@ -1705,7 +1551,7 @@ function TickerTape({ newsItems }) {
               src={getLogo(item.platform)}
               alt={item.platform}
               className="w-5 h-5 rounded-full mr-2"
-              style={item.platform === 'Kalshi' ? { backgroundColor: 'white' } : {}}
+              style={getPlatformLabel(item.platform) === 'Kalshi' ? { backgroundColor: 'white' } : {}}
             />
             <span className="text-sm text-gray-300">{item.text}</span>
           </div>
@@ -1715,60 +1561,6 @@ function TickerTape({ newsItems }) {
   );
 }
 
-// --- Sorting Functions for Market Filters ---
-
-// Sort by Volume (using volume_24h field)
-function sortByVolume(markets, direction) {
-  return [...markets].sort((a, b) => {
-    const volA = a.volume_24h || 0;
-    const volB = b.volume_24h || 0;
-    return direction === 'asc' ? volA - volB : volB - volA;
-  });
-}
-
-// Sort by Probability (highest outcome price)
-function sortByProbability(markets, direction) {
-  return [...markets].sort((a, b) => {
-    // Get highest outcome probability
-    const probA = Math.max(...(a.outcomes?.map(o => o.price) || [0]));
-    const probB = Math.max(...(b.outcomes?.map(o => o.price) || [0]));
-    return direction === 'asc' ? probA - probB : probB - probA;
-  });
-}
-
-// Sort by Liquidity (using volume_24h as proxy)
-function sortByLiquidity(markets, direction) {
-  // Same as volume for now (using volume_24h as liquidity proxy)
-  return sortByVolume(markets, direction);
-}
-
-// Sort by Closing Time (endDate field)
-function sortByClosingTime(markets, direction) {
-  return [...markets].sort((a, b) => {
-    const dateA = a.endDate ? new Date(a.endDate).getTime() : Infinity;
-    const dateB = b.endDate ? new Date(b.endDate).getTime() : Infinity;
-    return direction === 'asc' ? dateA - dateB : dateB - dateA;
-  });
-}
-
-// Unified sorting function to handle all filter types
-function applySorting(markets, filterType, direction) {
-  if (!filterType) return markets;
-  
-  switch (filterType) {
-    case 'volume':
-      return sortByVolume(markets, direction);
-    case 'probability':
-      return sortByProbability(markets, direction);
-    case 'liquidity':
-      return sortByLiquidity(markets, direction);
-    case 'closing':
-      return sortByClosingTime(markets, direction);
-    default:
-      return markets;
-  }
-}
-
 // --- MarketCard Component (FIXED) ---
 function MarketCard({ market, onMarketClick }) {
     
@@ -1807,7 +1599,7 @@ function MarketCard({ market, onMarketClick }) {
           src={getLogo(market.platform)}
           alt={market.platform}
           className="w-6 h-6 rounded-full"
-          style={market.platform === 'Kalshi' ? { backgroundColor: 'white' } : {}}
+          style={getPlatformLabel(market.platform) === 'Kalshi' ? { backgroundColor: 'white' } : {}}
         />
       </div>
       
@@ -1862,18 +1654,75 @@ function MarketListPage({
 }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [activeCategory, setActiveCategory] = useState('All');
-  const categories = ['All', 'Politics', 'Geopolitics', 'Crypto', 'Economics', 'Sports', 'World', 'Culture', 'Other'];
+  const [selection, setSelection] = useState({ subcategory: [], tag: [] });
+  const [sort, setSort] = useState('volume');
+  const [order, setOrder] = useState(null); // null = the sort's natural order
+  const scrollRootRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  const facetListing = useMarketListing({ unified: showUnifiedView, category: activeCategory, selection, sort, order });
+  const activeOrder = order || (sort === 'closing' ? 'asc' : 'desc');
+  const categories = ['All', ...facetListing.categories.map(cat => cat.name)];
+  const categoryCounts = Object.fromEntries(facetListing.categories.map(cat => [cat.name, cat.count]));
+
+  const selectCategory = (cat) => {
+    setActiveCategory(cat);
+    setSelection({ subcategory: [], tag: [] });
+  };
 
-  const filteredMarkets = markets
-    .filter(m => activeCategory === 'All' || m.category === activeCategory) 
+  const toggleFacet = (facet, value) => {
+    setSelection(prev => {
+      const selected = prev[facet].some(entry => entry.toLowerCase() === value.toLowerCase());
+      return {
+        ...prev,
+        [facet]: selected
+          ? prev[facet].filter(entry => entry.toLowerCase() !== value.toLowerCase())
+          : [...prev[facet], value]
+      };
+    });
+  };
+
+  // Infinite scroll: load the next page when the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !facetListing.hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        facetListing.loadMore();
+      }
+    }, { root: scrollRootRef.current, rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [facetListing.hasMore, facetListing.loadMore]);
+
+  // Server-sorted pages with live (SSE) updates merged in by id;
+  // falls back to filtering the full lists client-side if the fetch fails
+  const liveListing = (live, keyOf) => {
+    if (facetListing.error || !facetListing.markets) {
+      return live
+        .filter(m => activeCategory === 'All' || m.category === activeCategory)
+        .filter(m => matchesSelection(m, selection));
+    }
+
+    const liveByKey = new Map(live.map(m => [keyOf(m), m]));
+    return facetListing.markets.map(m => liveByKey.get(keyOf(m)) || m);
+  };
+
+  const filteredMarkets = liveListing(markets, m => m.id)
     .filter(m => m.title && m.title.toLowerCase().includes(searchTerm.toLowerCase()));
 
-  const filteredUnifiedMarkets = unifiedMarkets
-    .filter(m => activeCategory === 'All' || m.category === activeCategory)
+  const filteredUnifiedMarkets = liveListing(unifiedMarkets, m => m.unified_id || m.id)
     .filter(m => m.question && m.question.toLowerCase().includes(searchTerm.toLowerCase()));
 
+  const facetGroups = [
+    { facet: 'subcategory', label: 'Subcategory', values: facetListing.facets.subcategory || [] },
+    { facet: 'tag', label: 'Tags', values: facetListing.facets.tag || [] }
+  ].filter(group => group.values.length > 0);
+
   return (
-    <main className="flex-1 overflow-y-auto p-8">
+    <main ref={scrollRootRef} className="flex-1 overflow-y-auto p-8">
       {/* Filters */}
       <div className="mb-6 flex flex-col md:flex-row gap-4 justify-between items-center">
         <div className="flex-1 w-full md:w-auto">
@@ -1891,6 +1740,29 @@ function MarketListPage({
           </div>
         </div>
         
+        {/* Server-side Sort */}
+        <div className="flex items-center gap-2">
+          <select
+            value={sort}
+            onChange={(e) => {
+              setSort(e.target.value);
+              setOrder(null);
+            }}
+            className="px-3 py-2 bg-gray-900 text-white rounded-lg border border-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setOrder(activeOrder === 'asc' ? 'desc' : 'asc')}
+            className="px-3 py-2 bg-gray-800 text-gray-300 rounded-lg hover:bg-gray-700"
+            title="Reverse sort order"
+          >
+            {activeOrder === 'asc' ? '↑' : '↓'}
+          </button>
+        </div>
+
         {/* Unified View Toggle */}
         <button
           onClick={onToggleUnifiedView}
@@ -1908,7 +1780,7 @@ function MarketListPage({
           {categories.map(cat => (
             <button
               key={cat}
-              onClick={() => setActiveCategory(cat)}
+              onClick={() => selectCategory(cat)}
               className={`flex-shrink-0 px-4 py-1.5 rounded-md text-sm font-medium transition-colors ${
                 activeCategory === cat
                   ? 'bg-blue-600 text-white'
@@ -1916,11 +1788,47 @@ function MarketListPage({
               }`}
             >
               {cat}
+              {categoryCounts[cat] != null && (
+                <span className="ml-1.5 text-xs opacity-70">{categoryCounts[cat]}</span>
+              )}
             </button>
           ))}
         </div>
       </div>
 
+      {/* Facet Filters (multi-select: OR within a group, AND across groups) */}
+      {facetGroups.length > 0 && (
+        <div className="mb-6 space-y-3">
+          {facetGroups.map(group => (
+            <div key={group.facet} className="flex flex-wrap items-center gap-2">
+              <span className="text-xs font-semibold uppercase tracking-wide text-gray-500 w-24">{group.label}</span>
+              {group.values.map(entry => (
+                <button
+                  key={entry.value}
+                  onClick={() => toggleFacet(group.facet, entry.value)}
+                  className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                    entry.selected
+                      ? 'bg-blue-600 border-blue-500 text-white'
+                      : 'bg-gray-900 border-gray-700 text-gray-300 hover:bg-gray-800'
+                  }`}
+                >
+                  {entry.value}
+                  <span className="ml-1.5 opacity-70">{entry.count}</span>
+                </button>
+              ))}
+              {selection[group.facet].length > 0 && (
+                <button
+                  onClick={() => setSelection(prev => ({ ...prev, [group.facet]: [] }))}
+                  className="text-xs text-gray-400 hover:text-white underline"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Arbitrage Opportunities Alert */}
       {showUnifiedView && arbitrageOpportunities && arbitrageOpportunities.length > 0 && (
         <div className="mb-6">
@@ -1987,6 +1895,15 @@ function MarketListPage({
           )
         )}
       </div>
+
+      {/* Infinite Scroll Sentinel */}
+      <div ref={sentinelRef} className="h-px" />
+      {facetListing.isLoadingMore && (
+        <p className="text-gray-400 text-center mt-6">Loading more markets...</p>
+      )}
+      {!facetListing.error && facetListing.markets && !facetListing.hasMore && facetListing.total > 0 && (
+        <p className="text-gray-500 text-center text-sm mt-6">All {facetListing.total} markets loaded</p>
+      )}
     </main>
   );
 }
@@ -2379,8 +2296,70 @@ export default function App() {
     return () => clearInterval(interval);
   }, [showUnifiedView]);
 
-  // --- Live Price Update Stream ---
-  useSimulatedWebSocket(markets, setMarkets, handleAddNotification);
+  // --- Live Price Update Stream (Server-Sent Events from /api/stream) ---
+  const handleStreamMarketUpdate = (update) => {
+    // Flat market list is keyed by platform market ID
+    setMarkets(prevMarkets => {
+      let updated = false;
+      const newMarkets = prevMarkets.map(m => {
+        if (m.id !== update.market_id) return m;
+        const newOutcomes = applyOutcomeChanges(m.outcomes, update.changes);
+        if (newOutcomes === m.outcomes) return m;
+        updated = true;
+        return { ...m, outcomes: [...newOutcomes].sort((a, b) => b.price - a.price) };
+      });
+      return updated ? newMarkets : prevMarkets;
+    });
+
+    // Unified markets are keyed by unified_id, one entry per platform
+    setUnifiedMarkets(prevMarkets => prevMarkets.map(m => {
+      const platformData = m.unified_id === update.unified_id && m.platforms?.[update.platform];
+      if (!platformData) return m;
+      return {
+        ...m,
+        platforms: {
+          ...m.platforms,
+          [update.platform]: {
+            ...platformData,
+            outcomes: applyOutcomeChanges(platformData.outcomes, update.changes),
+            volume_24h: update.volume_24h ?? platformData.volume_24h
+          }
+        }
+      };
+    }));
+  };
+
+  const handleStreamArbitrage = (event) => {
+    setUnifiedMarkets(prevMarkets => prevMarkets.map(m => (
+      m.unified_id === event.unified_id ? { ...m, arbitrage: event.arbitrage } : m
+    )));
+
+    setArbitrageOpportunities(prevOpportunities => {
+      const others = prevOpportunities.filter(o => o.unified_id !== event.unified_id);
+      if (event.type === 'disappeared') return others;
+
+      const existing = prevOpportunities.find(o => o.unified_id === event.unified_id)
+        || unifiedMarkets.find(m => m.unified_id === event.unified_id)
+        || { unified_id: event.unified_id, question: event.question, category: event.category };
+      return [...others, { ...existing, arbitrage: event.arbitrage }];
+    });
+
+    if (event.type === 'appeared') {
+      handleAddNotification(`Arbitrage opportunity: ${event.question}`);
+    }
+  };
+
+  const handleStreamStaleness = (event) => {
+    if (event.isStale) {
+      handleAddNotification(`${event.platform} data is stale`);
+    }
+  };
+
+  useMarketStream({
+    onMarketUpdate: handleStreamMarketUpdate,
+    onArbitrage: handleStreamArbitrage,
+    onStaleness: handleStreamStaleness
+  });
 
 
   // --- Real Balance Fetching ---
@@ -3061,7 +3040,7 @@ export default function App() {
                 <span>📊</span> Orderbook Comparison
               </h3>
               <OrderbookComparison 
-                market={selectedUnifiedMarket}
+                unifiedMarket={selectedUnifiedMarket}
                 theme="dark"
               />
             </div>
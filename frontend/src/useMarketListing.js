@@ -0,0 +1,207 @@
+/**
+ * useMarketListing - React hook for paged, faceted market listings
+ *
+ * Fetches a category listing page by page (server-side sort, filters
+ * and cursor pagination) with subcategory/tag facet counts, plus the
+ * category tree from /api/categories. Facet values are OR-ed within a
+ * facet and AND-ed across facets on the server.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Shown until /api/categories answers (or if it fails)
+export const DEFAULT_CATEGORIES = ['Politics', 'Geopolitics', 'Crypto', 'Economics', 'Sports', 'World', 'Culture', 'Other'];
+
+// Server-side sort keys, in menu order
+export const SORT_OPTIONS = [
+  { value: 'volume', label: 'Volume' },
+  { value: 'liquidity', label: 'Liquidity' },
+  { value: 'trending', label: 'Trending' },
+  { value: 'closing', label: 'Closing soon' },
+  { value: 'probability', label: 'Probability' }
+];
+
+const PAGE_SIZE = 48;
+
+/**
+ * Build the listing URL for a category, facet selection and page
+ *
+ * @param {boolean} unified Unified (multi-platform) listing
+ * @param {string} category Category ('All' = every category)
+ * @param {Object} selection { subcategory: [], tag: [] }
+ * @param {Object} page { sort, order, minVolume, limit, cursor }
+ * @returns {string} Listing URL
+ */
+export function buildListingUrl(unified, category, selection = {}, page = {}) {
+  const params = new URLSearchParams({ facets: 'true' });
+
+  for (const facet of ['subcategory', 'tag']) {
+    if (selection[facet] && selection[facet].length > 0) {
+      params.set(facet, selection[facet].join(','));
+    }
+  }
+
+  for (const key of ['sort', 'order', 'minVolume', 'limit', 'cursor']) {
+    if (page[key] !== undefined && page[key] !== null && page[key] !== '') {
+      params.set(key, page[key]);
+    }
+  }
+
+  if (unified) {
+    if (category !== 'All') params.set('category', category);
+    return `/api/unified-markets?${params.toString()}`;
+  }
+
+  return `/api/markets/${encodeURIComponent(category)}?${params.toString()}`;
+}
+
+/**
+ * Client-side facet filter, used when the listing cannot be fetched
+ *
+ * @param {Object} market Normalized or unified market
+ * @param {Object} selection { subcategory: [], tag: [] }
+ * @returns {boolean} True if the market matches the selection
+ */
+export function matchesSelection(market, selection = {}) {
+  const tags = market.platforms
+    ? Object.values(market.platforms).flatMap(platformMarket => (platformMarket && platformMarket.tags) || [])
+    : market.tags || [];
+  const values = {
+    subcategory: market.subcategory ? [market.subcategory] : [],
+    tag: tags
+  };
+
+  return ['subcategory', 'tag'].every((facet) => {
+    const selected = (selection[facet] || []).map(value => value.toLowerCase());
+    return selected.length === 0 || values[facet].some(value => selected.includes(value.toLowerCase()));
+  });
+}
+
+/**
+ * Custom hook for a paged, faceted market listing
+ *
+ * @param {Object} options Listing options
+ * @param {boolean} options.unified Unified (multi-platform) listing
+ * @param {string} options.category Active category ('All' = every category)
+ * @param {Object} options.selection { subcategory: [], tag: [] }
+ * @param {string} options.sort Sort key (see SORT_OPTIONS)
+ * @param {string} options.order 'asc' or 'desc' (default: the sort's natural order)
+ * @param {number} options.minVolume Minimum 24h volume (USD)
+ * @returns {Object} { markets, facets, total, categories, hasMore, loadMore, isLoading, isLoadingMore, error }
+ */
+export function useMarketListing({ unified = false, category = 'All', selection = {}, sort = 'volume', order, minVolume } = {}) {
+  const [listing, setListing] = useState({ markets: null, facets: { subcategory: [], tag: [] }, total: 0, nextCursor: null });
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES.map(name => ({ name, count: null, subcategories: [] })));
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Identifies the current first-page request so stale pages are dropped
+  const requestRef = useRef(0);
+
+  const url = buildListingUrl(unified, category, selection, { sort, order, minVolume, limit: PAGE_SIZE });
+
+  const fetchPage = async (pageUrl) => {
+    const response = await fetch(pageUrl);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+  };
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchCategories = async () => {
+      try {
+        const data = await fetchPage('/api/categories');
+
+        if (isMounted && Array.isArray(data.categories)) {
+          setCategories(data.categories);
+        }
+      } catch (err) {
+        console.error('Category list fetch error:', err);
+      }
+    };
+
+    fetchCategories();
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+    setIsLoading(true);
+
+    const fetchFirstPage = async () => {
+      try {
+        const data = await fetchPage(url);
+
+        if (request === requestRef.current) {
+          setListing({
+            markets: data.markets || [],
+            facets: data.facets || { subcategory: [], tag: [] },
+            total: data.total || 0,
+            nextCursor: data.pagination ? data.pagination.nextCursor : null
+          });
+          setError(null);
+          setIsLoading(false);
+        }
+      } catch (err) {
+        if (request === requestRef.current) {
+          setError(err.message);
+          console.error('Market listing fetch error:', err);
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchFirstPage();
+
+    return () => {
+      // Invalidate in-flight pages of this listing
+      requestRef.current++;
+    };
+  }, [url]);
+
+  const loadMore = useCallback(async () => {
+    if (!listing.nextCursor || isLoadingMore) return;
+
+    const request = requestRef.current;
+    setIsLoadingMore(true);
+
+    try {
+      const data = await fetchPage(`${url}&cursor=${encodeURIComponent(listing.nextCursor)}`);
+
+      if (request === requestRef.current) {
+        setListing(prev => ({
+          ...prev,
+          markets: [...(prev.markets || []), ...(data.markets || [])],
+          nextCursor: data.pagination ? data.pagination.nextCursor : null
+        }));
+      }
+    } catch (err) {
+      console.error('Market listing page fetch error:', err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [url, listing.nextCursor, isLoadingMore]);
+
+  return {
+    markets: listing.markets,
+    facets: listing.facets,
+    total: listing.total,
+    categories,
+    hasMore: Boolean(listing.nextCursor),
+    loadMore,
+    isLoading,
+    isLoadingMore,
+    error
+  };
+}
+
+export default useMarketListing;
@@ -0,0 +1,139 @@
+/**
+ * useMarketStream - React hook for the backend market push stream
+ *
+ * Subscribes to /api/stream (Server-Sent Events) and forwards
+ * per-market price diffs, arbitrage appear/disappear events and
+ * platform staleness changes to the provided handlers.
+ *
+ * EventSource reconnects automatically using the retry delay
+ * advertised by the server.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Build the stream URL for a set of subscriptions
+ *
+ * @param {Array<string>} ids Unified market IDs (empty = all)
+ * @param {Array<string>} categories Categories (empty = all)
+ * @returns {string} Stream URL
+ */
+export function buildStreamUrl(ids = [], categories = []) {
+  const params = new URLSearchParams();
+
+  if (ids.length > 0) {
+    params.set('ids', ids.join(','));
+  }
+
+  if (categories.length > 0) {
+    params.set('categories', categories.join(','));
+  }
+
+  const query = params.toString();
+  return query ? `/api/stream?${query}` : '/api/stream';
+}
+
+/**
+ * Apply a 'market-update' diff to a list of outcomes
+ *
+ * @param {Array} outcomes Current outcomes [{ name, price }]
+ * @param {Array} changes Diffs [{ outcome, newPrice }]
+ * @returns {Array} Updated outcomes (same reference if nothing changed)
+ */
+export function applyOutcomeChanges(outcomes, changes) {
+  if (!Array.isArray(outcomes) || !Array.isArray(changes) || changes.length === 0) {
+    return outcomes;
+  }
+
+  let updated = false;
+  const next = outcomes.map(outcome => {
+    const change = changes.find(c => c.outcome === outcome.name);
+    if (!change) return outcome;
+
+    updated = true;
+    return { ...outcome, price: change.newPrice };
+  });
+
+  return updated ? next : outcomes;
+}
+
+/**
+ * Custom hook to consume the market push stream
+ *
+ * @param {Object} options Hook options
+ * @param {Array<string>} options.ids Unified market IDs to subscribe to
+ * @param {Array<string>} options.categories Categories to subscribe to
+ * @param {Function} options.onMarketUpdate Called with 'market-update' payloads
+ * @param {Function} options.onArbitrage Called with 'arbitrage' payloads
+ * @param {Function} options.onStaleness Called with 'staleness' payloads
+ * @param {boolean} options.enabled Whether to keep the stream open (default: true)
+ * @returns {Object} { isConnected, lastEventAt }
+ */
+export function useMarketStream({
+  ids = [],
+  categories = [],
+  onMarketUpdate,
+  onArbitrage,
+  onStaleness,
+  enabled = true
+} = {}) {
+  const [isConnected, setIsConnected] = useState(false);
+  const [lastEventAt, setLastEventAt] = useState(null);
+
+  // Keep latest handlers without reopening the stream on every render
+  const handlersRef = useRef({ onMarketUpdate, onArbitrage, onStaleness });
+  useEffect(() => {
+    handlersRef.current = { onMarketUpdate, onArbitrage, onStaleness };
+  }, [onMarketUpdate, onArbitrage, onStaleness]);
+
+  const url = buildStreamUrl(ids, categories);
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    console.log(`[Stream] Connecting to ${url}...`);
+    const source = new EventSource(url);
+
+    const listen = (eventName, handlerName) => {
+      source.addEventListener(eventName, (event) => {
+        try {
+          const payload = JSON.parse(event.data);
+          setLastEventAt(Date.now());
+
+          const handler = handlersRef.current[handlerName];
+          if (handler) {
+            handler(payload);
+          }
+        } catch (err) {
+          console.error(`[Stream] Invalid ${eventName} event:`, err);
+        }
+      });
+    };
+
+    source.addEventListener('connected', () => {
+      console.log('[Stream] Connected.');
+      setIsConnected(true);
+    });
+
+    listen('market-update', 'onMarketUpdate');
+    listen('arbitrage', 'onArbitrage');
+    listen('staleness', 'onStaleness');
+
+    source.onerror = () => {
+      // EventSource retries on its own; just reflect the state
+      setIsConnected(false);
+    };
+
+    return () => {
+      source.close();
+      setIsConnected(false);
+      console.log('[Stream] Disconnected.');
+    };
+  }, [url, enabled]);
+
+  return { isConnected, lastEventAt };
+}
+
+export default useMarketStream;